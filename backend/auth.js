@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { pool } = require('./db');
+
+const scrypt = promisify(crypto.scrypt);
+
+// ==========================================
+// AUTHENTICATION
+// ==========================================
+//
+// Passwords are stored as scrypt hashes ("scrypt$<salt>$<hash>").
+// Logging in creates a random bearer token; only its SHA-256 is kept in
+// the sessions table. Clients send it as "Authorization: Bearer <token>".
+
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS) || 30;
+const KEY_LENGTH = 64;
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, expectedHex] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !expectedHex) return false;
+
+    const expected = Buffer.from(expectedHex, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a session for the user and return the bearer token
+async function createSession(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    await pool.execute(
+        `INSERT INTO sessions (user_id, token_hash, expires_at) VALUES (?, ?, ?)`,
+        [userId, hashToken(token), expiresAt]
+    );
+
+    return { token, expiresAt };
+}
+
+async function destroySession(token) {
+    await pool.execute(`DELETE FROM sessions WHERE token_hash = ?`, [hashToken(token)]);
+}
+
+function getBearerToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
+
+// Middleware: resolves the bearer token to req.user, or answers 401
+async function requireAuth(req, res, next) {
+    try {
+        const token = getBearerToken(req);
+        if (!token) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        const [rows] = await pool.execute(
+            `SELECT u.id, u.email, u.name
+             FROM sessions s JOIN users u ON u.id = s.user_id
+             WHERE s.token_hash = ? AND s.expires_at > NOW()`,
+            [hashToken(token)]
+        );
+
+        if (rows.length === 0) {
+            return res.status(401).json({ error: 'Session expired. Please log in again.' });
+        }
+
+        req.user = rows[0];
+        req.authToken = token;
+        next();
+    } catch (error) {
+        console.error('Error authenticating request:', error);
+        res.status(500).json({ error: 'Failed to authenticate request' });
+    }
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    createSession,
+    destroySession,
+    requireAuth
+};
@@ -0,0 +1,18 @@
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+// ==========================================
+// DATABASE CONNECTION
+// ==========================================
+
+const pool = mysql.createPool({
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || '',
+    database: process.env.DB_NAME || 'study_management',
+    waitForConnections: true,
+    connectionLimit: 10,
+    queueLimit: 0
+});
+
+module.exports = { pool };
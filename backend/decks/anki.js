@@ -0,0 +1,412 @@
+const crypto = require('crypto');
+const { unzipSync, zipSync, strToU8 } = require('fflate');
+const initSqlJs = require('sql.js');
+const { addDays, toDateString } = require('../scheduler');
+
+// ==========================================
+// ANKI PACKAGES (.apkg)
+// ==========================================
+//
+// An .apkg is a zip holding an SQLite collection ("collection.anki2", or
+// "collection.anki21" from Anki 2.1) plus a media map. We read notes, cards
+// and the review log from it and write single-deck packages in the legacy
+// schema 11 layout every Anki version can import. Media files are not
+// carried over in either direction.
+//
+// Review state maps onto SM-2 (srs.js) like this:
+//   factor (permille)  <-> ease
+//   ivl (days)         <-> intervalDays
+//   due (review cards: days since the collection was created) <-> dueDate
+//   reps               <-> repetitions
+//   revlog             <-> lastReviewedAt
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Anki card types
+const CARD_NEW = 0;
+const CARD_LEARNING = 1;
+const CARD_REVIEW = 2;
+const CARD_RELEARNING = 3;
+
+const MODEL_CLOZE = 1;
+
+// A package or spreadsheet we can't turn into cards; the message is shown
+// to the user
+class DeckFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DeckFormatError';
+        this.status = 400;
+    }
+}
+
+// Loading the WebAssembly build is slow, so it happens once
+let sqlJs = null;
+const loadSqlJs = () => {
+    if (!sqlJs) sqlJs = initSqlJs();
+    return sqlJs;
+};
+
+function selectAll(db, sql, params = []) {
+    const statement = db.prepare(sql);
+    statement.bind(params);
+    const rows = [];
+    while (statement.step()) rows.push(statement.getAsObject());
+    statement.free();
+    return rows;
+}
+
+const decodeEntities = text => text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+
+// Anki fields are HTML; cards here are Markdown-ish plain text
+function htmlToText(html) {
+    return decodeEntities(String(html || '')
+        .replace(/\[sound:[^\]]*\]/g, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(div|p|li|tr|h[1-6])>/gi, '\n')
+        .replace(/<[^>]*>/g, ''))
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+const escapeHtml = text => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const textToHtml = text => escapeHtml(text).replace(/\r?\n/g, '<br>');
+
+// Field names a card template shows, in order ({{Front}}, {{text:Back}}, ...)
+function templateFields(format, fieldNames) {
+    const names = [];
+    for (const [, reference] of String(format || '').matchAll(/\{\{([^#/^!}][^}]*)\}\}/g)) {
+        const name = reference.split(':').pop().trim();
+        if (fieldNames.includes(name) && !names.includes(name)) names.push(name);
+    }
+    return names;
+}
+
+// Cloze deletions: the card's own number is blanked on the front and
+// highlighted on the back, the others read as plain text
+const CLOZE_PATTERN = /\{\{c(\d+)::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g;
+
+function clozeSides(text, number) {
+    const question = text.replace(CLOZE_PATTERN, (_, n, answer, hint) => (Number(n) === number ? `[${hint || '...'}]` : answer));
+    const answer = text.replace(CLOZE_PATTERN, (_, n, value) => (Number(n) === number ? `**${value}**` : value));
+    return { question, answer };
+}
+
+// Question and answer text for one card of a note
+function cardSides(model, fields, ord) {
+    const fieldNames = model.flds.map(field => field.name);
+    const value = name => htmlToText(fields[fieldNames.indexOf(name)]);
+
+    if (model.type === MODEL_CLOZE) {
+        const { question, answer } = clozeSides(htmlToText(fields[0]), ord + 1);
+        const extra = fields.slice(1).map(htmlToText).filter(Boolean).join('\n\n');
+        return { question, answer: extra ? `${answer}\n\n${extra}` : answer };
+    }
+
+    const template = model.tmpls.find(tmpl => tmpl.ord === ord) || model.tmpls[0];
+    const front = templateFields(template && template.qfmt, fieldNames);
+    const back = templateFields(template && template.afmt, fieldNames).filter(name => !front.includes(name));
+    const join = names => names.map(value).filter(Boolean).join('\n\n');
+
+    return {
+        question: join(front) || htmlToText(fields[0]),
+        answer: join(back) || htmlToText(fields[1])
+    };
+}
+
+// SM-2 review state for an Anki card. Learning cards are due again today;
+// review cards have graduated, which SM-2 models as three or more
+// successful repetitions.
+function reviewState(card, { created, today, lastReviewed }) {
+    const ease = card.factor > 0 ? Math.round(card.factor / 10) / 100 : 2.5;
+    const lastReviewedAt = lastReviewed ? new Date(lastReviewed) : null;
+    // Cards in a filtered deck keep their real due date in odue
+    const due = card.odid ? card.odue : card.due;
+
+    switch (card.type) {
+        case CARD_REVIEW:
+            return {
+                ease,
+                intervalDays: Math.max(card.ivl, 1),
+                repetitions: Math.max(card.reps - card.lapses, 3),
+                dueDate: addDays(created, due),
+                lastReviewedAt
+            };
+        case CARD_LEARNING:
+        case CARD_RELEARNING:
+            return {
+                ease,
+                intervalDays: card.type === CARD_RELEARNING ? 1 : 0,
+                repetitions: 0,
+                dueDate: today,
+                lastReviewedAt
+            };
+        default:
+            return { ease, intervalDays: 0, repetitions: 0, dueDate: null, lastReviewedAt: null };
+    }
+}
+
+// Read an .apkg into [{ name, cards }], one entry per deck that has cards.
+// Throws a DeckFormatError when the package can't be used.
+async function readApkg(buffer, { today }) {
+    let files;
+    try {
+        files = unzipSync(new Uint8Array(buffer));
+    } catch (error) {
+        throw new DeckFormatError('The file is not a valid Anki package');
+    }
+
+    const collection = files['collection.anki21'] || files['collection.anki2'];
+    if (files['collection.anki21b'] && !files['collection.anki21']) {
+        throw new DeckFormatError('This package uses the newest Anki format. Export it again with "Support older Anki versions" ticked.');
+    }
+    if (!collection) {
+        throw new DeckFormatError('The Anki package has no collection in it');
+    }
+
+    const SQL = await loadSqlJs();
+    const db = new SQL.Database(collection);
+    try {
+        const [col] = selectAll(db, 'SELECT crt, models, decks FROM col');
+        if (!col) throw new DeckFormatError('The Anki collection is empty');
+
+        const models = JSON.parse(col.models || '{}');
+        const decks = JSON.parse(col.decks || '{}');
+        const created = toDateString(new Date(col.crt * 1000));
+
+        const notes = new Map(selectAll(db, 'SELECT id, mid, flds FROM notes').map(note => [note.id, note]));
+        const lastReviews = new Map(selectAll(db, 'SELECT cid, MAX(id) as reviewedAt FROM revlog GROUP BY cid')
+            .map(row => [row.cid, row.reviewedAt]));
+
+        const byDeck = new Map();
+        const cards = selectAll(db, `SELECT id, nid, did, odid, ord, type, due, odue, ivl, factor, reps, lapses
+                                     FROM cards ORDER BY did, nid, ord`);
+        cards.forEach(card => {
+            const note = notes.get(card.nid);
+            const model = note && models[note.mid];
+            if (!model) return;
+
+            const { question, answer } = cardSides(model, note.flds.split('\x1f'), card.ord);
+            if (!question || !answer) return;
+
+            const deckId = card.odid || card.did;
+            if (!byDeck.has(deckId)) byDeck.set(deckId, []);
+            byDeck.get(deckId).push({
+                question,
+                answer,
+                ...reviewState(card, { created, today, lastReviewed: lastReviews.get(card.id) })
+            });
+        });
+
+        if (byDeck.size === 0) throw new DeckFormatError('The Anki package has no cards in it');
+
+        return [...byDeck.entries()].map(([deckId, deckCards]) => ({
+            name: (decks[deckId] && decks[deckId].name) || 'Anki Import',
+            cards: deckCards
+        }));
+    } catch (error) {
+        if (error instanceof DeckFormatError) throw error;
+        throw new DeckFormatError('The Anki collection in this package could not be read');
+    } finally {
+        db.close();
+    }
+}
+
+const COLLECTION_SCHEMA = `
+    CREATE TABLE col (
+        id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+        ver integer not null, dty integer not null, usn integer not null, ls integer not null,
+        conf text not null, models text not null, decks text not null, dconf text not null, tags text not null
+    );
+    CREATE TABLE notes (
+        id integer primary key, guid text not null, mid integer not null, mod integer not null,
+        usn integer not null, tags text not null, flds text not null, sfld integer not null,
+        csum integer not null, flags integer not null, data text not null
+    );
+    CREATE TABLE cards (
+        id integer primary key, nid integer not null, did integer not null, ord integer not null,
+        mod integer not null, usn integer not null, type integer not null, queue integer not null,
+        due integer not null, ivl integer not null, factor integer not null, reps integer not null,
+        lapses integer not null, left integer not null, odue integer not null, odid integer not null,
+        flags integer not null, data text not null
+    );
+    CREATE TABLE revlog (
+        id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+        ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null,
+        type integer not null
+    );
+    CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+    CREATE INDEX ix_notes_usn ON notes (usn);
+    CREATE INDEX ix_cards_usn ON cards (usn);
+    CREATE INDEX ix_revlog_usn ON revlog (usn);
+    CREATE INDEX ix_cards_nid ON cards (nid);
+    CREATE INDEX ix_cards_sched ON cards (did, queue, due);
+    CREATE INDEX ix_revlog_cid ON revlog (cid);
+    CREATE INDEX ix_notes_csum ON notes (csum);
+`;
+
+// Anki's stock "Basic" note type and deck options, in the JSON the legacy
+// collection format keeps in the col row
+function basicModel(id, deckId, mod) {
+    const field = (name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] });
+    return {
+        id,
+        name: 'Basic (Study Manager)',
+        type: 0,
+        mod,
+        usn: -1,
+        sortf: 0,
+        did: deckId,
+        tmpls: [{
+            name: 'Card 1',
+            ord: 0,
+            qfmt: '{{Front}}',
+            afmt: '{{FrontSide}}\n\n<hr id=answer>\n\n{{Back}}',
+            bqfmt: '',
+            bafmt: '',
+            did: null
+        }],
+        flds: [field('Front', 0), field('Back', 1)],
+        css: '.card {\n    font-family: arial;\n    font-size: 20px;\n    text-align: center;\n    color: black;\n    background-color: white;\n}\n',
+        latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+        latexPost: '\\end{document}',
+        tags: [],
+        vers: [],
+        req: [[0, 'any', [0]]]
+    };
+}
+
+function deck(id, name, mod) {
+    return {
+        id,
+        name,
+        mod,
+        usn: -1,
+        desc: '',
+        dyn: 0,
+        conf: 1,
+        collapsed: false,
+        browserCollapsed: false,
+        extendNew: 0,
+        extendRev: 0,
+        newToday: [0, 0],
+        revToday: [0, 0],
+        lrnToday: [0, 0],
+        timeToday: [0, 0]
+    };
+}
+
+const DECK_OPTIONS = {
+    1: {
+        id: 1,
+        name: 'Default',
+        mod: 0,
+        usn: 0,
+        dyn: false,
+        maxTaken: 60,
+        timer: 0,
+        autoplay: true,
+        replayq: true,
+        new: { bury: false, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 0], order: 1, perDay: 20 },
+        lapse: { delays: [10], leechAction: 1, leechFails: 8, minInt: 1, mult: 0 },
+        rev: { bury: false, ease4: 1.3, ivlFct: 1, maxIvl: 36500, perDay: 200, hardFactor: 1.2 }
+    }
+};
+
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+
+// First 8 hex digits of the field's SHA-1, which Anki uses to spot duplicates
+const fieldChecksum = text => parseInt(crypto.createHash('sha1').update(text).digest('hex').slice(0, 8), 16);
+
+// Write one set as an .apkg with a single deck of Basic notes. Reviewed cards
+// become review cards due on the same date with the same interval and ease.
+async function writeApkg({ name, cards, today }) {
+    const SQL = await loadSqlJs();
+    const db = new SQL.Database();
+    try {
+        db.run(COLLECTION_SCHEMA);
+
+        const now = Date.now();
+        const mod = Math.floor(now / 1000);
+        const deckId = now;
+        const modelId = now + 1;
+
+        // Review due dates count days from the collection's creation, so
+        // start it on the earliest date any card needs
+        const created = cards.reduce((earliest, card) => (card.dueDate && card.dueDate < earliest ? card.dueDate : earliest), today);
+
+        db.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)', [
+            Math.floor(new Date(`${created}T00:00:00Z`).getTime() / 1000),
+            now,
+            now,
+            JSON.stringify({ activeDecks: [deckId], curDeck: deckId, curModel: modelId, nextPos: cards.length + 1, sortType: 'noteFld', sortBackwards: false, addToCur: true }),
+            JSON.stringify({ [modelId]: basicModel(modelId, deckId, mod) }),
+            JSON.stringify({ 1: deck(1, 'Default', mod), [deckId]: deck(deckId, name, mod) }),
+            JSON.stringify(DECK_OPTIONS),
+            '{}'
+        ]);
+
+        const reviewIds = new Set();
+        cards.forEach((card, i) => {
+            const id = now + i;
+            const front = textToHtml(card.question);
+            const sortField = htmlToText(front);
+            db.run('INSERT INTO notes VALUES (?, ?, ?, ?, -1, \'\', ?, ?, ?, 0, \'\')', [
+                id,
+                crypto.randomBytes(8).toString('base64url'),
+                modelId,
+                mod,
+                `${front}\x1f${textToHtml(card.answer)}`,
+                sortField,
+                fieldChecksum(sortField)
+            ]);
+
+            const reviewed = Boolean(card.dueDate);
+            const intervalDays = Math.max(Number(card.intervalDays) || 0, 1);
+            const factor = Math.round((Number(card.ease) || 2.5) * 1000);
+            db.run('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, ?, ?, ?, ?, ?, ?, 0, 0, 0, 0, 0, \'\')', [
+                id,
+                id,
+                deckId,
+                mod,
+                reviewed ? CARD_REVIEW : CARD_NEW,
+                reviewed ? CARD_REVIEW : CARD_NEW,
+                reviewed ? daysBetween(created, card.dueDate) : i + 1,
+                reviewed ? intervalDays : 0,
+                reviewed ? factor : 0,
+                Number(card.repetitions) || 0
+            ]);
+
+            // One log entry keeps the date the card was last reviewed
+            if (reviewed && card.lastReviewedAt) {
+                let reviewId = new Date(card.lastReviewedAt).getTime();
+                if (Number.isNaN(reviewId)) return;
+                while (reviewIds.has(reviewId)) reviewId++;
+                reviewIds.add(reviewId);
+                db.run('INSERT INTO revlog VALUES (?, ?, -1, 3, ?, 0, ?, 0, 1)', [reviewId, id, intervalDays, factor]);
+            }
+        });
+
+        return Buffer.from(zipSync({
+            'collection.anki2': db.export(),
+            media: strToU8('{}')
+        }));
+    } finally {
+        db.close();
+    }
+}
+
+module.exports = { DeckFormatError, readApkg, writeApkg, htmlToText };
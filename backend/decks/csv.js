@@ -0,0 +1,215 @@
+// ==========================================
+// CSV / TSV DECKS
+// ==========================================
+//
+// Reads spreadsheet exports (RFC 4180 quoting, any single-character
+// delimiter) and writes flashcard sets back out with their review state.
+// Anki's "Notes in Plain Text" files are read too: their leading
+// "#separator:tab" style header lines are honoured and skipped.
+
+const DELIMITERS = { ',': ',', '\t': '\t', ';': ';', '|': '|' };
+
+// Names Anki uses in "#separator:" headers
+const NAMED_SEPARATORS = { comma: ',', tab: '\t', semicolon: ';', pipe: '|', space: ' ' };
+
+// Columns written on export; suggestMapping recognises them on import so a
+// set survives a round trip with its schedule intact
+const EXPORT_COLUMNS = ['question', 'answer', 'ease', 'interval_days', 'repetitions', 'due_date', 'last_reviewed_at'];
+
+// Header names that map onto each card field
+const HEADER_ALIASES = {
+    question: ['question', 'front', 'term', 'prompt', 'q'],
+    answer: ['answer', 'back', 'definition', 'response', 'a'],
+    ease: ['ease', 'ease_factor', 'factor'],
+    interval: ['interval_days', 'interval', 'ivl'],
+    repetitions: ['repetitions', 'reps'],
+    due: ['due_date', 'due'],
+    lastReviewed: ['last_reviewed_at', 'last_reviewed', 'reviewed_at']
+};
+
+const MAPPING_FIELDS = Object.keys(HEADER_ALIASES);
+
+const stripBom = text => String(text).replace(/^\uFEFF/, '');
+
+// Split Anki's "#key:value" header lines off the top of the file
+function readFileHeaders(text) {
+    const headers = {};
+    const lines = text.split(/\r?\n/);
+    let i = 0;
+    for (; i < lines.length; i++) {
+        const match = lines[i].match(/^#([a-z ]+):(.*)$/i);
+        if (!match) break;
+        headers[match[1].trim().toLowerCase()] = match[2].trim();
+    }
+    return { headers, body: lines.slice(i).join('\n') };
+}
+
+// The delimiter that splits the first line into the most columns. Tabs win
+// ties because they rarely appear inside card text.
+function detectDelimiter(text, fileName = '') {
+    if (/\.(tsv|tab)$/i.test(fileName)) return '\t';
+
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    let best = ',';
+    let bestCount = 0;
+    ['\t', ',', ';', '|'].forEach(delimiter => {
+        const count = firstLine.split(delimiter).length - 1;
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    });
+    return best;
+}
+
+// Rows of fields. Quoted fields may contain the delimiter, doubled quotes and
+// newlines; blank lines are dropped.
+function parseDelimited(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const endField = () => {
+        row.push(field);
+        field = '';
+    };
+    const endRow = () => {
+        endField();
+        if (row.some(value => value.trim() !== '')) rows.push(row);
+        row = [];
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) endRow();
+
+    return rows;
+}
+
+// Guess which column holds each field from the header row, falling back to
+// question and answer in the first two columns
+function suggestMapping(header) {
+    const names = (header || []).map(name => String(name).trim().toLowerCase().replace(/[\s-]+/g, '_'));
+    const mapping = {};
+    MAPPING_FIELDS.forEach(field => {
+        const column = names.findIndex(name => HEADER_ALIASES[field].includes(name));
+        if (column !== -1) mapping[field] = column;
+    });
+    if (mapping.question === undefined) mapping.question = 0;
+    if (mapping.answer === undefined) mapping.answer = mapping.question === 1 ? 0 : 1;
+    return mapping;
+}
+
+// Does the first row look like column names rather than a card?
+const looksLikeHeader = row => {
+    const mapping = suggestMapping(row);
+    const names = row.map(name => String(name).trim().toLowerCase());
+    return HEADER_ALIASES.question.includes(names[mapping.question]) || HEADER_ALIASES.answer.includes(names[mapping.answer]);
+};
+
+// Parse a file into { delimiter, header, rows } where header is null when
+// the first row is a card
+function readTable(text, { fileName = '', delimiter = null, hasHeader = null } = {}) {
+    const { headers, body } = readFileHeaders(stripBom(text));
+    const separator = DELIMITERS[delimiter]
+        || NAMED_SEPARATORS[String(headers.separator || '').toLowerCase()]
+        || detectDelimiter(body, fileName);
+
+    const rows = parseDelimited(body, separator);
+    const withHeader = hasHeader === null || hasHeader === undefined
+        ? rows.length > 0 && looksLikeHeader(rows[0])
+        : Boolean(hasHeader);
+
+    return {
+        delimiter: separator,
+        header: withHeader ? rows[0] : null,
+        rows: withHeader ? rows.slice(1) : rows
+    };
+}
+
+// Turn table rows into cards using a { field: columnIndex } mapping, which
+// must at least name the question and answer columns.
+// Rows without a question or an answer are skipped and counted.
+function rowsToCards(rows, mapping) {
+    const column = field => {
+        const index = mapping[field];
+        return Number.isInteger(index) && index >= 0 ? index : null;
+    };
+    const value = (row, field) => {
+        const index = column(field);
+        return index === null ? '' : String(row[index] ?? '').trim();
+    };
+
+    const cards = [];
+    let skipped = 0;
+    rows.forEach(row => {
+        const question = value(row, 'question');
+        const answer = value(row, 'answer');
+        if (!question || !answer) {
+            skipped++;
+            return;
+        }
+        cards.push({
+            question,
+            answer,
+            ease: value(row, 'ease'),
+            intervalDays: value(row, 'interval'),
+            repetitions: value(row, 'repetitions'),
+            dueDate: value(row, 'due'),
+            lastReviewedAt: value(row, 'lastReviewed')
+        });
+    });
+    return { cards, skipped };
+}
+
+function quoteField(value, delimiter) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /["\r\n]/.test(text) || text.includes(delimiter) || text !== text.trim()
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+}
+
+// A set's cards as CSV (with a BOM so spreadsheets read it as UTF-8) or TSV
+function writeDelimited(cards, delimiter = ',') {
+    const lines = [EXPORT_COLUMNS, ...cards.map(card => [
+        card.question,
+        card.answer,
+        card.ease,
+        card.intervalDays,
+        card.repetitions,
+        card.dueDate,
+        card.lastReviewedAt ? new Date(card.lastReviewedAt).toISOString() : ''
+    ])].map(fields => fields.map(field => quoteField(field, delimiter)).join(delimiter));
+
+    return delimiter === ',' ? `\uFEFF${lines.join('\r\n')}\r\n` : `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    MAPPING_FIELDS,
+    readTable,
+    parseDelimited,
+    suggestMapping,
+    rowsToCards,
+    writeDelimited
+};
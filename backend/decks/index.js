@@ -0,0 +1,147 @@
+const path = require('path');
+const { readTable, suggestMapping, rowsToCards, writeDelimited, MAPPING_FIELDS } = require('./csv');
+const { DeckFormatError, readApkg, writeApkg } = require('./anki');
+const { toDateString } = require('../scheduler');
+
+// ==========================================
+// FLASHCARD DECK IMPORT / EXPORT
+// ==========================================
+//
+// Spreadsheets (CSV/TSV) and Anki packages in and out of flashcard sets.
+// Imported cards come back as
+//   { question, answer, ease, intervalDays, repetitions, dueDate, lastReviewedAt }
+// with the review state cleaned up for the flashcards table: a card without
+// a valid due date is new.
+
+const DECK_FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    tsv: 'text/tab-separated-values; charset=utf-8',
+    apkg: 'application/octet-stream'
+};
+
+const MAX_IMPORT_CARDS = 5000;
+const MAX_CARD_CHARS = 20000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MIN_EASE = 1.3;
+const MAX_EASE = 9.99;
+
+// Anki packages by extension; anything else is read as a delimited table
+const isApkg = fileName => path.extname(String(fileName || '')).toLowerCase() === '.apkg';
+
+const deckName = fileName => path.basename(String(fileName || ''), path.extname(String(fileName || ''))).trim() || 'Imported Cards';
+
+// 'YYYY-MM-DD' for anything Date can read, rejecting impossible ISO dates
+// like 2024-02-30 instead of rolling them over
+function validDate(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    const isoDate = DATE_PATTERN.test(text);
+    const date = new Date(isoDate ? `${text}T00:00:00Z` : text);
+    if (Number.isNaN(date.getTime())) return null;
+    const dateString = toDateString(date);
+    return isoDate && dateString !== text ? null : dateString;
+}
+
+const nonNegativeInteger = value => {
+    const number = Math.round(Number(value));
+    return Number.isFinite(number) && number > 0 ? number : 0;
+};
+
+// Fit imported review state to what the flashcards table and SM-2 expect
+function normalizeCard(card) {
+    const ease = Number(card.ease);
+    const dueDate = validDate(card.dueDate);
+    const lastReviewedAt = card.lastReviewedAt ? new Date(card.lastReviewedAt) : null;
+
+    return {
+        question: String(card.question).slice(0, MAX_CARD_CHARS),
+        answer: String(card.answer).slice(0, MAX_CARD_CHARS),
+        ease: ease > 0 ? Math.min(Math.max(Math.round(ease * 100) / 100, MIN_EASE), MAX_EASE) : 2.5,
+        intervalDays: dueDate ? nonNegativeInteger(card.intervalDays) : 0,
+        repetitions: dueDate ? nonNegativeInteger(card.repetitions) : 0,
+        dueDate,
+        lastReviewedAt: dueDate && lastReviewedAt && !Number.isNaN(lastReviewedAt.getTime()) ? lastReviewedAt : null
+    };
+}
+
+const checkSize = count => {
+    if (count > MAX_IMPORT_CARDS) {
+        throw new DeckFormatError(`Import at most ${MAX_IMPORT_CARDS} cards at a time (this file has ${count})`);
+    }
+};
+
+const decodeText = buffer => Buffer.from(buffer).toString('utf8');
+
+// What the file holds, so the user can pick columns before importing:
+//   tables: { format: 'table', delimiter, header, sample, rowCount, mapping }
+//   Anki:   { format: 'apkg', decks: [{ name, count }] }
+async function previewDeckFile({ fileName, buffer, delimiter, hasHeader, today }) {
+    if (isApkg(fileName)) {
+        const decks = await readApkg(buffer, { today });
+        return { format: 'apkg', decks: decks.map(deck => ({ name: deck.name, count: deck.cards.length })) };
+    }
+
+    const table = readTable(decodeText(buffer), { fileName, delimiter, hasHeader });
+    if (table.rows.length === 0) throw new DeckFormatError('The file has no rows to import');
+
+    return {
+        format: 'table',
+        delimiter: table.delimiter,
+        header: table.header,
+        sample: table.rows.slice(0, 5),
+        rowCount: table.rows.length,
+        mapping: suggestMapping(table.header)
+    };
+}
+
+// Cards to import as [{ name, cards }] (one entry per Anki deck, or one for
+// a table) plus the number of rows skipped for lacking a question or answer.
+// `mapping` is { question, answer, ease, interval, repetitions, due,
+// lastReviewed } column indexes and defaults to the guess from the header.
+async function readDeckFile({ fileName, buffer, mapping, delimiter, hasHeader, today }) {
+    if (isApkg(fileName)) {
+        const decks = await readApkg(buffer, { today });
+        checkSize(decks.reduce((sum, deck) => sum + deck.cards.length, 0));
+        return {
+            decks: decks.map(deck => ({ name: deck.name, cards: deck.cards.map(normalizeCard) })),
+            skipped: 0
+        };
+    }
+
+    const table = readTable(decodeText(buffer), { fileName, delimiter, hasHeader });
+    const columns = mapping || suggestMapping(table.header);
+    if (!Number.isInteger(columns.question) || !Number.isInteger(columns.answer) || columns.question === columns.answer) {
+        throw new DeckFormatError('Choose two different columns for the question and the answer');
+    }
+
+    const { cards, skipped } = rowsToCards(table.rows, columns);
+    if (cards.length === 0) throw new DeckFormatError('No rows had both a question and an answer');
+    checkSize(cards.length);
+
+    return { decks: [{ name: deckName(fileName), cards: cards.map(normalizeCard) }], skipped };
+}
+
+// A flashcard set ({ topic, cards }) as a CSV, TSV or .apkg file body
+async function writeDeck(format, flashcardSet, today = toDateString(new Date())) {
+    switch (format) {
+        case 'csv':
+            return writeDelimited(flashcardSet.cards, ',');
+        case 'tsv':
+            return writeDelimited(flashcardSet.cards, '\t');
+        case 'apkg':
+            return writeApkg({ name: flashcardSet.topic, cards: flashcardSet.cards, today });
+        default:
+            throw new Error(`Unknown deck format: ${format}`);
+    }
+}
+
+module.exports = {
+    DECK_FORMATS,
+    MAPPING_FIELDS,
+    DeckFormatError,
+    previewDeckFile,
+    readDeckFile,
+    writeDeck
+};
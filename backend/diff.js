@@ -0,0 +1,94 @@
+// ==========================================
+// LINE DIFF
+// ==========================================
+//
+// Myers' shortest edit script over lines, used to compare note versions.
+
+const toLines = text => (text ? String(text).split('\n') : []);
+
+// Past this many edits the versions are shown as replaced wholesale, which
+// keeps the search's memory bounded for unrelated texts
+const MAX_EDITS = 2000;
+
+// Myers' greedy search from a to b. Returns the furthest-reaching x per
+// diagonal for every edit distance, or null when the texts are more than
+// MAX_EDITS apart.
+function shortestEdit(a, b) {
+    const max = Math.min(a.length + b.length, MAX_EDITS);
+    const v = new Map([[1, 0]]);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        trace.push(new Map(v));
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v.get(k - 1) < v.get(k + 1)) ? v.get(k + 1) : v.get(k - 1) + 1;
+            let y = x - k;
+            while (x < a.length && y < b.length && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v.set(k, x);
+            if (x >= a.length && y >= b.length) return trace;
+        }
+    }
+    return null;
+}
+
+// Returns [{ type: 'same' | 'added' | 'removed', text }] turning `before` into `after`
+function diffLines(before, after) {
+    const a = toLines(before);
+    const b = toLines(after);
+
+    // Unchanged lines at either end are common and cheap to set aside
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let end = 0;
+    while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+
+    const prefix = a.slice(0, start).map(text => ({ type: 'same', text }));
+    const suffix = a.slice(a.length - end).map(text => ({ type: 'same', text }));
+    const midA = a.slice(start, a.length - end);
+    const midB = b.slice(start, b.length - end);
+
+    const trace = shortestEdit(midA, midB);
+    if (!trace) {
+        return [
+            ...prefix,
+            ...midA.map(text => ({ type: 'removed', text })),
+            ...midB.map(text => ({ type: 'added', text })),
+            ...suffix
+        ];
+    }
+
+    // Walk the trace backwards to recover the edits
+    const lines = [];
+    let x = midA.length;
+    let y = midB.length;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const v = trace[d];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && v.get(k - 1) < v.get(k + 1)) ? k + 1 : k - 1;
+        const prevX = v.get(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            lines.push({ type: 'same', text: midA[--x] });
+            y--;
+        }
+        if (d > 0) {
+            if (x === prevX) lines.push({ type: 'added', text: midB[--y] });
+            else lines.push({ type: 'removed', text: midA[--x] });
+        }
+    }
+    return [...prefix, ...lines.reverse(), ...suffix];
+}
+
+// Counts of added and removed lines
+function diffStats(lines) {
+    return {
+        added: lines.filter(line => line.type === 'added').length,
+        removed: lines.filter(line => line.type === 'removed').length
+    };
+}
+
+module.exports = { diffLines, diffStats };
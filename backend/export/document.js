@@ -0,0 +1,209 @@
+const { marked } = require('marked');
+
+// ==========================================
+// EXPORT DOCUMENT MODEL
+// ==========================================
+//
+// Every export is first turned into a format-neutral document:
+//   { title, meta: [string], blocks: [block] }
+// which the PDF, DOCX and Markdown renderers then lay out. Blocks:
+//   { type: 'heading', level, runs }      { type: 'paragraph', runs }
+//   { type: 'list', ordered, items: [{ runs, depth }] }
+//   { type: 'table', header: [runs], rows: [[runs]] }
+//   { type: 'card', number, question, answer, status }
+//   { type: 'code', text }   { type: 'quote', runs }   { type: 'rule' }
+// Runs are inline text spans: { text, bold, italic, code }.
+
+const plain = text => [{ text: String(text ?? '') }];
+
+const decodeEntities = text => text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+
+// Flatten marked's inline tokens into styled runs
+function inlineRuns(tokens, style = {}) {
+    const runs = [];
+    for (const token of tokens || []) {
+        switch (token.type) {
+            case 'strong':
+                runs.push(...inlineRuns(token.tokens, { ...style, bold: true }));
+                break;
+            case 'em':
+                runs.push(...inlineRuns(token.tokens, { ...style, italic: true }));
+                break;
+            case 'del':
+            case 'link':
+                runs.push(...inlineRuns(token.tokens, style));
+                break;
+            case 'codespan':
+                runs.push({ ...style, text: decodeEntities(token.text), code: true });
+                break;
+            case 'br':
+                runs.push({ ...style, text: '\n' });
+                break;
+            case 'text':
+                if (token.tokens) runs.push(...inlineRuns(token.tokens, style));
+                else runs.push({ ...style, text: decodeEntities(token.text) });
+                break;
+            default:
+                if (token.text) runs.push({ ...style, text: decodeEntities(token.text) });
+        }
+    }
+    return runs;
+}
+
+function listItems(list, depth = 0) {
+    const items = [];
+    for (const item of list.items) {
+        const nested = [];
+        const runs = [];
+        for (const child of item.tokens) {
+            if (child.type === 'list') nested.push(child);
+            else runs.push(...inlineRuns(child.tokens || [child]));
+        }
+        items.push({ runs, depth });
+        nested.forEach(child => items.push(...listItems(child, depth + 1)));
+    }
+    return items;
+}
+
+// Convert Markdown (as produced by the AI notes) into blocks
+function markdownToBlocks(markdown) {
+    const blocks = [];
+    for (const token of marked.lexer(String(markdown || ''))) {
+        switch (token.type) {
+            case 'heading':
+                blocks.push({ type: 'heading', level: token.depth, runs: inlineRuns(token.tokens) });
+                break;
+            case 'paragraph':
+                blocks.push({ type: 'paragraph', runs: inlineRuns(token.tokens) });
+                break;
+            case 'list':
+                blocks.push({ type: 'list', ordered: token.ordered, items: listItems(token) });
+                break;
+            case 'table':
+                blocks.push({
+                    type: 'table',
+                    header: token.header.map(cell => inlineRuns(cell.tokens)),
+                    rows: token.rows.map(row => row.map(cell => inlineRuns(cell.tokens)))
+                });
+                break;
+            case 'code':
+                blocks.push({ type: 'code', text: token.text });
+                break;
+            case 'blockquote':
+                blocks.push({ type: 'quote', runs: inlineRuns(token.tokens.flatMap(t => t.tokens || [t])) });
+                break;
+            case 'hr':
+                blocks.push({ type: 'rule' });
+                break;
+            case 'space':
+                break;
+            default:
+                if (token.text) blocks.push({ type: 'paragraph', runs: plain(token.text) });
+        }
+    }
+    return blocks;
+}
+
+const formatDate = value => new Date(value).toLocaleDateString();
+const formatDateTime = value => new Date(value).toLocaleString();
+
+function studyPlanDocument(plan) {
+    // Tick completed tasks when per-task status is known
+    const done = new Set((plan.tasks || []).filter(t => t.completed).map(t => `${t.week}:${t.position}`));
+    const taskLabel = (week, task, position) => {
+        if (!plan.tasks) return task;
+        return `${done.has(`${week.week}:${position}`) ? '[x]' : '[ ]'} ${task}`;
+    };
+
+    const blocks = [
+        {
+            type: 'table',
+            header: [plain('Week'), plain('Topic'), plain('Hours'), plain('Tasks')],
+            rows: plan.plan.map(week => [
+                plain(week.week),
+                plain(week.topic),
+                plain(week.hours),
+                plain(week.tasks.map((task, i) => `• ${taskLabel(week, task, i)}`).join('\n'))
+            ])
+        }
+    ];
+
+    plan.plan.forEach(week => {
+        blocks.push({ type: 'heading', level: 2, runs: plain(`Week ${week.week}: ${week.topic}`) });
+        blocks.push({ type: 'paragraph', runs: [{ text: 'Allocated hours:', bold: true }, { text: ` ${week.hours}` }] });
+        blocks.push({ type: 'list', ordered: false, items: week.tasks.map((task, i) => ({ runs: plain(taskLabel(week, task, i)), depth: 0 })) });
+    });
+
+    return {
+        title: `Study Plan: ${plan.course_name}`,
+        meta: [
+            `Deadline: ${formatDate(plan.deadline)}`,
+            `Hours per day: ${plan.hours_per_day}`,
+            `Total hours: ${plan.total_hours}`,
+            `Progress: ${plan.progress}%${plan.tasks ? ` (${done.size} of ${plan.tasks.length} tasks done)` : ''}`,
+            `Created: ${formatDateTime(plan.created_at)}`
+        ],
+        blocks
+    };
+}
+
+function notesDocument(note) {
+    return {
+        title: note.title,
+        meta: [`Source: ${note.source}`, `Created: ${formatDateTime(note.created_at)}`],
+        blocks: markdownToBlocks(note.content),
+        markdown: note.content
+    };
+}
+
+function chatDocument(history, title = 'Chat History') {
+    const blocks = [];
+    history.forEach(msg => {
+        const speaker = msg.role === 'user' ? 'You' : 'Assistant';
+        blocks.push({ type: 'heading', level: 3, runs: plain(`${speaker} · ${formatDateTime(msg.timestamp)}`) });
+        blocks.push(...markdownToBlocks(msg.content));
+    });
+
+    return {
+        title,
+        meta: [`Messages: ${history.length}`],
+        blocks
+    };
+}
+
+// Review status shown on each exported card
+function cardStatus(card) {
+    if (!card.dueDate) return 'New';
+    return `${card.mature ? 'Mature' : 'Learning'} · due ${formatDate(`${card.dueDate}T00:00:00`)}`;
+}
+
+function flashcardsDocument(flashcardSet) {
+    return {
+        title: `Flashcards: ${flashcardSet.topic}`,
+        meta: [
+            `Total cards: ${flashcardSet.totalCount}`,
+            `Mature: ${flashcardSet.matureCount}`,
+            `Created: ${formatDateTime(flashcardSet.createdAt)}`
+        ],
+        blocks: flashcardSet.cards.map((card, i) => ({
+            type: 'card',
+            number: i + 1,
+            question: card.question,
+            answer: card.answer,
+            status: cardStatus(card)
+        }))
+    };
+}
+
+module.exports = {
+    markdownToBlocks,
+    studyPlanDocument,
+    notesDocument,
+    chatDocument,
+    flashcardsDocument
+};
@@ -0,0 +1,171 @@
+const {
+    AlignmentType,
+    BorderStyle,
+    Document,
+    HeadingLevel,
+    LevelFormat,
+    Packer,
+    Paragraph,
+    ShadingType,
+    Table,
+    TableCell,
+    TableRow,
+    TextRun,
+    WidthType
+} = require('docx');
+
+// Lays an export document out as a Word (.docx) file and returns it as a Buffer
+
+const HEADING_LEVELS = {
+    1: HeadingLevel.HEADING_1,
+    2: HeadingLevel.HEADING_2,
+    3: HeadingLevel.HEADING_3,
+    4: HeadingLevel.HEADING_4,
+    5: HeadingLevel.HEADING_5,
+    6: HeadingLevel.HEADING_6
+};
+
+const SHADE = 'F8F9FA';
+const ACCENT = '007BFF';
+const MUTED = '6C757D';
+
+// docx needs explicit breaks for newlines inside a run
+function textRuns(runs, extra = {}) {
+    const result = [];
+    runs.forEach(run => {
+        String(run.text).split('\n').forEach((line, i) => {
+            result.push(new TextRun({
+                text: line,
+                bold: run.bold || extra.bold,
+                italics: run.italic || extra.italics,
+                font: run.code ? 'Courier New' : undefined,
+                color: extra.color,
+                break: i > 0 ? 1 : undefined
+            }));
+        });
+    });
+    return result;
+}
+
+const plainRuns = text => [{ text: String(text) }];
+
+function tableCell(runs, { header = false, width } = {}) {
+    return new TableCell({
+        width: width ? { size: width, type: WidthType.PERCENTAGE } : undefined,
+        shading: header ? { type: ShadingType.CLEAR, fill: SHADE, color: 'auto' } : undefined,
+        children: [new Paragraph({ children: textRuns(runs, { bold: header }) })]
+    });
+}
+
+function renderTable(block) {
+    const columns = block.header.length;
+    const weights = block.header.map((_, i) => (i === columns - 1 && columns > 2 ? 3 : 1));
+    const weightSum = weights.reduce((a, b) => a + b, 0);
+    const widths = weights.map(w => Math.round((100 * w) / weightSum));
+
+    return new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        rows: [
+            new TableRow({
+                tableHeader: true,
+                children: block.header.map((cell, i) => tableCell(cell, { header: true, width: widths[i] }))
+            }),
+            ...block.rows.map(row => new TableRow({
+                children: row.map((cell, i) => tableCell(cell, { width: widths[i] }))
+            }))
+        ]
+    });
+}
+
+// A flashcard is a two-row table: a shaded question row and an answer row
+function renderCard(block) {
+    const border = { style: BorderStyle.SINGLE, size: 4, color: 'DEE2E6' };
+    const borders = { top: border, bottom: border, left: { ...border, size: 24, color: ACCENT }, right: border };
+
+    return new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        rows: [
+            new TableRow({
+                children: [new TableCell({
+                    borders,
+                    shading: { type: ShadingType.CLEAR, fill: SHADE, color: 'auto' },
+                    children: [
+                        new Paragraph({
+                            children: [
+                                new TextRun({ text: `CARD ${block.number}`, bold: true, color: ACCENT }),
+                                new TextRun({ text: `   ${block.status}`, color: MUTED })
+                            ]
+                        }),
+                        new Paragraph({ children: [new TextRun({ text: 'Q: ', bold: true }), ...textRuns(plainRuns(block.question))] })
+                    ]
+                })]
+            }),
+            new TableRow({
+                children: [new TableCell({
+                    borders,
+                    children: [new Paragraph({ children: [new TextRun({ text: 'A: ', bold: true }), ...textRuns(plainRuns(block.answer))] })]
+                })]
+            })
+        ]
+    });
+}
+
+function renderBlock(block) {
+    switch (block.type) {
+        case 'heading':
+            return [new Paragraph({ heading: HEADING_LEVELS[block.level], children: textRuns(block.runs) })];
+        case 'paragraph':
+            return [new Paragraph({ children: textRuns(block.runs) })];
+        case 'list':
+            return block.items.map(item => new Paragraph({
+                children: textRuns(item.runs),
+                ...(block.ordered
+                    ? { numbering: { reference: 'ordered-list', level: Math.min(item.depth, 2) } }
+                    : { bullet: { level: Math.min(item.depth, 2) } })
+            }));
+        case 'table':
+            return [renderTable(block), new Paragraph({})];
+        case 'card':
+            return [renderCard(block), new Paragraph({})];
+        case 'code':
+            return [new Paragraph({
+                shading: { type: ShadingType.CLEAR, fill: SHADE, color: 'auto' },
+                children: textRuns([{ text: block.text, code: true }])
+            })];
+        case 'quote':
+            return [new Paragraph({ indent: { left: 400 }, children: textRuns(block.runs, { italics: true, color: MUTED }) })];
+        case 'rule':
+            return [new Paragraph({ border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: 'DEE2E6', space: 1 } } })];
+        default:
+            return [];
+    }
+}
+
+async function renderDocx(document) {
+    const doc = new Document({
+        title: document.title,
+        numbering: {
+            config: [{
+                reference: 'ordered-list',
+                levels: [0, 1, 2].map(level => ({
+                    level,
+                    format: [LevelFormat.DECIMAL, LevelFormat.LOWER_LETTER, LevelFormat.LOWER_ROMAN][level],
+                    text: `%${level + 1}.`,
+                    alignment: AlignmentType.START,
+                    style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } }
+                }))
+            }]
+        },
+        sections: [{
+            children: [
+                new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(document.title)] }),
+                new Paragraph({ children: [new TextRun({ text: document.meta.join('   ·   '), color: MUTED })] }),
+                ...document.blocks.flatMap(renderBlock)
+            ]
+        }]
+    });
+
+    return Packer.toBuffer(doc);
+}
+
+module.exports = { renderDocx };
@@ -0,0 +1,51 @@
+const { renderPdf } = require('./pdf');
+const { renderDocx } = require('./docx');
+const { renderMarkdown } = require('./markdown');
+const documents = require('./document');
+const { DECK_FORMATS, writeDeck } = require('../decks');
+
+const EXPORT_FORMATS = {
+    pdf: 'application/pdf',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    md: 'text/markdown; charset=utf-8',
+    json: 'application/json; charset=utf-8'
+};
+
+// RFC 6266 header with an ASCII fallback plus the exact UTF-8 name
+function contentDisposition(filename) {
+    const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+const safeFileName = name => String(name).trim().replace(/[\s/\\?%*:|"<>]+/g, '-').slice(0, 80) || 'export';
+
+// Stream an export document in the requested format with download headers.
+// `data` is what the json format returns; flashcard sets also pass `deck`
+// ({ topic, cards }) for the CSV, TSV and Anki formats.
+async function sendExport(res, { format, baseName, document, data, deck }) {
+    const filename = `${safeFileName(baseName)}-${Date.now()}.${format}`;
+    res.setHeader('Content-Type', EXPORT_FORMATS[format] || DECK_FORMATS[format]);
+    res.setHeader('Content-Disposition', contentDisposition(filename));
+
+    switch (format) {
+        case 'pdf':
+            renderPdf(document, res);
+            break;
+        case 'docx':
+            res.send(await renderDocx(document));
+            break;
+        case 'md':
+            res.send(renderMarkdown(document));
+            break;
+        case 'json':
+            res.send(JSON.stringify(data, null, 2));
+            break;
+        case 'csv':
+        case 'tsv':
+        case 'apkg':
+            res.send(await writeDeck(format, deck));
+            break;
+    }
+}
+
+module.exports = { EXPORT_FORMATS, DECK_FORMATS, contentDisposition, sendExport, ...documents };
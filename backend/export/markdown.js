@@ -0,0 +1,59 @@
+// Writes an export document back out as Markdown
+
+function runsToMarkdown(runs) {
+    return runs.map(run => {
+        if (!run.text) return '';
+        if (run.code) return `\`${run.text}\``;
+        if (run.bold && run.italic) return `***${run.text}***`;
+        if (run.bold) return `**${run.text}**`;
+        if (run.italic) return `*${run.text}*`;
+        return run.text;
+    }).join('');
+}
+
+const tableCell = runs => runsToMarkdown(runs).replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+
+function blockToMarkdown(block) {
+    switch (block.type) {
+        case 'heading':
+            return `${'#'.repeat(block.level)} ${runsToMarkdown(block.runs)}`;
+        case 'paragraph':
+            return runsToMarkdown(block.runs);
+        case 'list': {
+            const counters = [];
+            return block.items.map(item => {
+                counters[item.depth] = (counters[item.depth] || 0) + 1;
+                counters.length = item.depth + 1;
+                const marker = block.ordered ? `${counters[item.depth]}.` : '-';
+                return `${'   '.repeat(item.depth)}${marker} ${runsToMarkdown(item.runs)}`;
+            }).join('\n');
+        }
+        case 'table':
+            return [
+                `| ${block.header.map(tableCell).join(' | ')} |`,
+                `| ${block.header.map(() => '---').join(' | ')} |`,
+                ...block.rows.map(row => `| ${row.map(tableCell).join(' | ')} |`)
+            ].join('\n');
+        case 'card':
+            return `### Card ${block.number} (${block.status})\n\n**Q:** ${block.question}\n\n**A:** ${block.answer}`;
+        case 'code':
+            return `\`\`\`\n${block.text}\n\`\`\``;
+        case 'quote':
+            return `> ${runsToMarkdown(block.runs)}`;
+        case 'rule':
+            return '---';
+        default:
+            return '';
+    }
+}
+
+function renderMarkdown(document) {
+    const header = `# ${document.title}\n\n${document.meta.map(line => `- ${line}`).join('\n')}`;
+    // Notes keep their original Markdown instead of a re-rendered copy
+    const body = document.markdown !== undefined
+        ? document.markdown
+        : document.blocks.map(blockToMarkdown).filter(Boolean).join('\n\n');
+    return `${header}\n\n${body}\n`;
+}
+
+module.exports = { renderMarkdown };
@@ -0,0 +1,196 @@
+const PDFDocument = require('pdfkit');
+
+// Lays an export document out as a PDF and pipes it into a writable stream
+
+const FONTS = {
+    regular: 'Helvetica',
+    bold: 'Helvetica-Bold',
+    italic: 'Helvetica-Oblique',
+    boldItalic: 'Helvetica-BoldOblique',
+    code: 'Courier'
+};
+
+const HEADING_SIZES = { 1: 20, 2: 16, 3: 13, 4: 12, 5: 11, 6: 11 };
+const BODY_SIZE = 11;
+const ACCENT = '#007bff';
+const MUTED = '#6c757d';
+const BORDER = '#dee2e6';
+const SHADE = '#f8f9fa';
+
+function runFont(run, forceBold) {
+    if (run.code) return FONTS.code;
+    const bold = run.bold || forceBold;
+    if (bold && run.italic) return FONTS.boldItalic;
+    if (bold) return FONTS.bold;
+    if (run.italic) return FONTS.italic;
+    return FONTS.regular;
+}
+
+// Write a sequence of styled runs as one flowing paragraph
+function writeRuns(doc, runs, { size = BODY_SIZE, bold = false, x, width, color = 'black' } = {}) {
+    const parts = runs.filter(run => run.text);
+    if (parts.length === 0) parts.push({ text: ' ' });
+
+    doc.fillColor(color).fontSize(size);
+    parts.forEach((run, i) => {
+        const options = { continued: i < parts.length - 1, width };
+        doc.font(runFont(run, bold));
+        if (i === 0 && x !== undefined) doc.text(run.text, x, doc.y, options);
+        else doc.text(run.text, options);
+    });
+    doc.font(FONTS.regular).fillColor('black');
+}
+
+const runsText = runs => runs.map(run => run.text).join('');
+
+function ensureSpace(doc, height) {
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    if (doc.y + height > bottom) doc.addPage();
+}
+
+function drawTable(doc, block) {
+    const left = doc.page.margins.left;
+    const totalWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const columns = block.header.length;
+    const padding = 5;
+
+    // Give the last column (usually the longest text) more room
+    const weights = block.header.map((_, i) => (i === columns - 1 && columns > 2 ? 3 : 1));
+    const weightSum = weights.reduce((a, b) => a + b, 0);
+    const widths = weights.map(w => (totalWidth * w) / weightSum);
+
+    const drawRow = (cells, header) => {
+        doc.fontSize(10).font(header ? FONTS.bold : FONTS.regular);
+        const heights = cells.map((cell, i) =>
+            doc.heightOfString(runsText(cell) || ' ', { width: widths[i] - padding * 2 })
+        );
+        const rowHeight = Math.max(...heights) + padding * 2;
+
+        ensureSpace(doc, rowHeight);
+        const top = doc.y;
+        let x = left;
+        cells.forEach((cell, i) => {
+            if (header) doc.rect(x, top, widths[i], rowHeight).fillAndStroke(SHADE, BORDER);
+            else doc.rect(x, top, widths[i], rowHeight).stroke(BORDER);
+            doc.fillColor('black').font(header ? FONTS.bold : FONTS.regular).fontSize(10)
+                .text(runsText(cell) || ' ', x + padding, top + padding, { width: widths[i] - padding * 2 });
+            x += widths[i];
+        });
+        doc.x = left;
+        doc.y = top + rowHeight;
+    };
+
+    drawRow(block.header, true);
+    block.rows.forEach(row => drawRow(row, false));
+    doc.moveDown();
+}
+
+function drawCard(doc, block) {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const padding = 10;
+    const inner = width - padding * 2;
+
+    doc.fontSize(BODY_SIZE).font(FONTS.regular);
+    const questionHeight = doc.heightOfString(block.question, { width: inner });
+    const answerHeight = doc.heightOfString(block.answer, { width: inner });
+    const height = questionHeight + answerHeight + 70;
+
+    ensureSpace(doc, height);
+    const top = doc.y;
+
+    doc.roundedRect(left, top, width, height, 6).lineWidth(1).stroke(BORDER);
+    doc.rect(left, top, 4, height).fill(ACCENT);
+
+    doc.fillColor(ACCENT).font(FONTS.bold).fontSize(10)
+        .text(`CARD ${block.number}`, left + padding, top + padding, { width: inner, continued: true })
+        .fillColor(MUTED).font(FONTS.regular)
+        .text(`   ${block.status}`, { continued: false });
+
+    doc.moveDown(0.3);
+    doc.fillColor('black').font(FONTS.bold).fontSize(BODY_SIZE).text('Q: ', left + padding, doc.y, { continued: true })
+        .font(FONTS.regular).text(block.question, { width: inner });
+    doc.moveDown(0.3);
+    doc.font(FONTS.bold).text('A: ', left + padding, doc.y, { continued: true })
+        .font(FONTS.regular).text(block.answer, { width: inner });
+
+    doc.x = left;
+    doc.y = top + height + 10;
+}
+
+function drawBlock(doc, block) {
+    const left = doc.page.margins.left;
+
+    switch (block.type) {
+        case 'heading':
+            ensureSpace(doc, 40);
+            doc.moveDown(0.5);
+            writeRuns(doc, block.runs, { size: HEADING_SIZES[block.level] || BODY_SIZE, bold: true, x: left });
+            doc.moveDown(0.3);
+            break;
+        case 'paragraph':
+            writeRuns(doc, block.runs, { x: left });
+            doc.moveDown(0.5);
+            break;
+        case 'list':
+            block.items.forEach((item, i) => {
+                const indent = left + 15 + item.depth * 15;
+                const marker = block.ordered && item.depth === 0 ? `${i + 1}.` : '•';
+                ensureSpace(doc, 20);
+                const top = doc.y;
+                doc.font(FONTS.regular).fontSize(BODY_SIZE).text(marker, indent - 15, top);
+                doc.y = top;
+                writeRuns(doc, item.runs, { x: indent, width: doc.page.width - doc.page.margins.right - indent });
+            });
+            doc.x = left;
+            doc.moveDown(0.5);
+            break;
+        case 'table':
+            drawTable(doc, block);
+            break;
+        case 'card':
+            drawCard(doc, block);
+            break;
+        case 'code': {
+            doc.font(FONTS.code).fontSize(9);
+            const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+            const height = doc.heightOfString(block.text, { width: width - 16 }) + 16;
+            ensureSpace(doc, Math.min(height, 200));
+            const top = doc.y;
+            doc.rect(left, top, width, height).fill(SHADE);
+            doc.fillColor('black').text(block.text, left + 8, top + 8, { width: width - 16 });
+            doc.x = left;
+            doc.y = top + height;
+            doc.moveDown(0.5);
+            break;
+        }
+        case 'quote':
+            writeRuns(doc, block.runs, { x: left + 15, color: MUTED });
+            doc.x = left;
+            doc.moveDown(0.5);
+            break;
+        case 'rule': {
+            const right = doc.page.width - doc.page.margins.right;
+            doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke(BORDER);
+            doc.moveDown(0.5);
+            break;
+        }
+    }
+}
+
+function renderPdf(document, stream) {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: document.title } });
+    doc.pipe(stream);
+
+    doc.font(FONTS.bold).fontSize(22).fillColor(ACCENT).text(document.title);
+    doc.moveDown(0.3);
+    doc.font(FONTS.regular).fontSize(10).fillColor(MUTED).text(document.meta.join('   ·   '));
+    doc.fillColor('black');
+    doc.moveDown();
+
+    document.blocks.forEach(block => drawBlock(doc, block));
+
+    doc.end();
+}
+
+module.exports = { renderPdf };
@@ -0,0 +1,69 @@
+const path = require('path');
+const { unzipSync, strFromU8 } = require('fflate');
+const { parseXml, find, textContent } = require('./xml');
+const { DocumentFormatError, cleanText } = require('./document');
+
+// ==========================================
+// ZIP CONTAINERS
+// ==========================================
+//
+// DOCX, PPTX and EPUB files are zip archives of XML parts. Only the parts
+// a reader asks for are inflated, and never more than MAX_UNZIPPED_BYTES in
+// total, so a small upload can't expand into gigabytes.
+
+const MAX_UNZIPPED_BYTES = 200 * 1024 * 1024;
+
+// Open an archive for reading. `label` names the format in error messages.
+// -> { names, has(name), text(name) }
+function openArchive(buffer, label) {
+    let entries;
+    try {
+        // Peek at the directory first; file contents are inflated on demand
+        entries = {};
+        unzipSync(new Uint8Array(buffer), {
+            filter: file => {
+                entries[file.name] = file.originalSize;
+                return false;
+            }
+        });
+    } catch (error) {
+        throw new DocumentFormatError(`The file is not a valid ${label}`);
+    }
+
+    let inflated = 0;
+    const read = name => {
+        if (!(name in entries)) throw new DocumentFormatError(`The ${label} is missing ${name}`);
+        inflated += entries[name];
+        if (inflated > MAX_UNZIPPED_BYTES) throw new DocumentFormatError(`The ${label} is too large to read`);
+        const files = unzipSync(new Uint8Array(buffer), { filter: file => file.name === name });
+        return files[name];
+    };
+
+    return {
+        names: Object.keys(entries),
+        has: name => name in entries,
+        text: name => strFromU8(read(name))
+    };
+}
+
+// Resolve a relationship or manifest href against the part that holds it
+// ("word/document.xml" + "media/a.png" -> "word/media/a.png")
+function resolvePart(fromPart, href) {
+    let target = String(href).split('#')[0];
+    try {
+        target = decodeURIComponent(target);
+    } catch (error) {
+        // Not percent-encoded after all; use it as written
+    }
+    if (target.startsWith('/')) return target.slice(1);
+    return path.posix.normalize(path.posix.join(path.posix.dirname(fromPart), target));
+}
+
+// The title set in an Office file's properties (docProps/core.xml)
+function coreTitle(archive) {
+    if (!archive.has('docProps/core.xml')) return null;
+    const title = find(parseXml(archive.text('docProps/core.xml')), 'title');
+    return title ? cleanText(textContent(title)) || null : null;
+}
+
+module.exports = { openArchive, resolvePart, coreTitle };
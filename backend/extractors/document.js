@@ -0,0 +1,109 @@
+// ==========================================
+// DOCUMENT MODEL
+// ==========================================
+//
+// Every uploaded format is read into the same shape before notes are made
+// from it:
+//
+//   { format, title, blocks, slideCount?, chapterCount? }
+//
+// where blocks, in reading order, are
+//   { type: 'heading', level, text }      level 1-6
+//   { type: 'paragraph', text }
+//   { type: 'list', ordered, items }      items are strings
+//   { type: 'table', rows }               rows of cell strings, header first
+//   { type: 'code', text }
+//   { type: 'quote', text }
+//   { type: 'notes', text }               a presenter's speaker notes
+//
+// documentToMarkdown turns it into the Markdown text the notes pipeline
+// splits at headings.
+
+// A file we can't read notes from; the message is shown to the user
+class DocumentFormatError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'DocumentFormatError';
+        this.status = status;
+    }
+}
+
+// Collapse runs of spaces and blank lines the way a browser would, keeping
+// single line breaks
+const cleanText = text => String(text || '')
+    .replace(/\u00A0/g, ' ')
+    .replace(/[ \t\f\v]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+const heading = (level, text) => ({ type: 'heading', level: Math.min(Math.max(level, 1), 6), text: cleanText(text).replace(/\s+/g, ' ') });
+const paragraph = text => ({ type: 'paragraph', text: cleanText(text) });
+const list = (items, ordered = false) => ({ type: 'list', ordered, items: items.map(cleanText).filter(Boolean) });
+const table = rows => ({ type: 'table', rows: rows.map(row => row.map(cell => cleanText(cell).replace(/\s+/g, ' '))) });
+const code = text => ({ type: 'code', text: String(text || '').replace(/^\n+|\s+$/g, '') });
+const quote = text => ({ type: 'quote', text: cleanText(text) });
+const speakerNotes = text => ({ type: 'notes', text: cleanText(text) });
+
+// Drop blocks with nothing in them
+const hasContent = block => {
+    if (block.type === 'list') return block.items.length > 0;
+    if (block.type === 'table') return block.rows.some(row => row.some(Boolean));
+    return Boolean(block.text);
+};
+
+// Body text that starts like a heading is escaped so the notes pipeline
+// doesn't split the source there
+const escapeLine = line => line.replace(/^(#{1,6}\s)/, '\\$1');
+
+const escapeCell = cell => cell.replace(/\|/g, '\\|');
+
+function blockToMarkdown(block) {
+    switch (block.type) {
+        case 'heading':
+            return `${'#'.repeat(block.level)} ${block.text}`;
+        case 'list':
+            return block.items
+                .map((item, i) => `${block.ordered ? `${i + 1}.` : '-'} ${item.replace(/\n/g, '\n   ')}`)
+                .join('\n');
+        case 'table': {
+            const width = Math.max(...block.rows.map(row => row.length));
+            const line = row => `| ${Array.from({ length: width }, (_, i) => escapeCell(row[i] || '')).join(' | ')} |`;
+            const [header, ...body] = block.rows;
+            return [line(header), `|${' --- |'.repeat(width)}`, ...body.map(line)].join('\n');
+        }
+        case 'code':
+            return `\`\`\`\n${block.text}\n\`\`\``;
+        case 'quote':
+            return block.text.split('\n').map(line => `> ${line}`).join('\n');
+        case 'notes':
+            return `> **Speaker notes:** ${block.text.split('\n').join('\n> ')}`;
+        default:
+            return block.text.split('\n').map(escapeLine).join('\n');
+    }
+}
+
+function documentToMarkdown(doc) {
+    return doc.blocks.filter(hasContent).map(blockToMarkdown).join('\n\n');
+}
+
+// Plain text: paragraphs are separated by blank lines
+function textDocument(text, format = 'text') {
+    const blocks = String(text || '').replace(/\r\n?/g, '\n').split(/\n\s*\n/).map(paragraph);
+    return { format, title: null, blocks: blocks.filter(hasContent) };
+}
+
+module.exports = {
+    DocumentFormatError,
+    cleanText,
+    heading,
+    paragraph,
+    list,
+    table,
+    code,
+    quote,
+    speakerNotes,
+    hasContent,
+    documentToMarkdown,
+    textDocument
+};
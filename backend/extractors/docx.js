@@ -0,0 +1,171 @@
+const { openArchive, coreTitle } = require('./archive');
+const { parseXml, child, childrenNamed, find, findAll, attr, textContent } = require('./xml');
+const { DocumentFormatError, cleanText, heading, paragraph, list, table } = require('./document');
+
+// ==========================================
+// WORD DOCUMENTS (.docx)
+// ==========================================
+//
+// The body lives in word/document.xml as paragraphs (w:p) and tables
+// (w:tbl). Heading levels come from the paragraph style ("Heading 2", or
+// any style based on one) or an explicit outline level; list items are
+// paragraphs with numbering, ordered unless numbering.xml says "bullet".
+
+// Elements whose text is not part of the visible document
+// (mc:Fallback repeats the content of the mc:Choice beside it)
+const HIDDEN_TEXT = new Set(['ppr', 'rpr', 'del', 'instrtext', 'footnotereference', 'endnotereference', 'fallback']);
+
+// Text of a paragraph: runs, tabs and line breaks, including those inside
+// hyperlinks, tracked insertions and content controls
+function paragraphText(node) {
+    if (typeof node === 'string') return '';
+    if (HIDDEN_TEXT.has(node.name)) return '';
+    if (node.name === 't') return textContent(node);
+    if (node.name === 'tab') return '\t';
+    if (node.name === 'br' || node.name === 'cr') return '\n';
+    return node.children.map(paragraphText).join('');
+}
+
+const intAttr = (node, name) => {
+    const value = parseInt(attr(node, name), 10);
+    return Number.isNaN(value) ? null : value;
+};
+
+// styleId -> { level, numId } from word/styles.xml, following basedOn chains
+function readStyles(xml) {
+    const raw = new Map();
+    findAll(parseXml(xml), 'style').forEach(style => {
+        const pPr = child(style, 'ppr');
+        const name = String(attr(child(style, 'name'), 'val') || '').toLowerCase();
+        const outline = intAttr(child(pPr, 'outlinelvl'), 'val');
+        const headingMatch = name.match(/^heading\s*(\d)$/);
+
+        let level = null;
+        if (name === 'title') level = 1;
+        else if (headingMatch) level = Number(headingMatch[1]);
+        else if (outline !== null && outline < 9) level = outline + 1;
+
+        raw.set(attr(style, 'styleid'), {
+            level,
+            numId: intAttr(find(pPr, 'numid'), 'val'),
+            basedOn: attr(child(style, 'basedon'), 'val')
+        });
+    });
+
+    const resolve = (id, depth = 0) => {
+        const style = raw.get(id);
+        if (!style) return { level: null, numId: null };
+        const parent = style.basedOn && depth < 10 ? resolve(style.basedOn, depth + 1) : { level: null, numId: null };
+        return {
+            level: style.level !== null ? style.level : parent.level,
+            numId: style.numId !== null ? style.numId : parent.numId
+        };
+    };
+
+    const styles = new Map();
+    raw.forEach((_, id) => styles.set(id, resolve(id)));
+    return styles;
+}
+
+// "numId:ilvl" -> true when that list level is numbered rather than bulleted
+function readNumbering(xml) {
+    const tree = parseXml(xml);
+    const formats = new Map();
+    findAll(tree, 'abstractnum').forEach(abstract => {
+        childrenNamed(abstract, 'lvl').forEach(level => {
+            const format = attr(child(level, 'numfmt'), 'val') || 'decimal';
+            formats.set(`${attr(abstract, 'abstractnumid')}:${attr(level, 'ilvl')}`, format !== 'bullet' && format !== 'none');
+        });
+    });
+
+    const ordered = new Map();
+    findAll(tree, 'num').forEach(num => {
+        const abstractId = attr(child(num, 'abstractnumid'), 'val');
+        formats.forEach((isOrdered, key) => {
+            const [id, level] = key.split(':');
+            if (id === abstractId) ordered.set(`${attr(num, 'numid')}:${level}`, isOrdered);
+        });
+    });
+    return ordered;
+}
+
+function readBody(body, styles, numbering) {
+    const blocks = [];
+    let listBlock = null;
+
+    const endList = () => {
+        if (listBlock) blocks.push(list(listBlock.items, listBlock.ordered));
+        listBlock = null;
+    };
+
+    const addParagraph = p => {
+        const pPr = child(p, 'ppr');
+        const style = styles.get(attr(child(pPr, 'pstyle'), 'val')) || { level: null, numId: null };
+        const outline = intAttr(child(pPr, 'outlinelvl'), 'val');
+        const numPr = child(pPr, 'numpr');
+        const numId = numPr ? intAttr(child(numPr, 'numid'), 'val') : style.numId;
+        const text = paragraphText(p);
+        if (!cleanText(text)) return;
+
+        const level = outline !== null && outline < 9 ? outline + 1 : style.level;
+        if (level) {
+            endList();
+            blocks.push(heading(level, text));
+        } else if (numId) {
+            const ilvl = numPr ? intAttr(child(numPr, 'ilvl'), 'val') || 0 : 0;
+            const ordered = numbering.get(`${numId}:${ilvl}`) === true;
+            if (!listBlock || listBlock.ordered !== ordered) {
+                endList();
+                listBlock = { ordered, items: [] };
+            }
+            listBlock.items.push(text);
+        } else {
+            endList();
+            blocks.push(paragraph(text));
+        }
+    };
+
+    const walk = node => node.children.forEach(item => {
+        if (typeof item === 'string') return;
+        if (item.name === 'p') {
+            addParagraph(item);
+        } else if (item.name === 'tbl') {
+            endList();
+            const rows = childrenNamed(item, 'tr').map(row => childrenNamed(row, 'tc')
+                .map(cell => findAll(cell, 'p').map(paragraphText).join('\n')));
+            blocks.push(table(rows));
+        } else if (item.name === 'sdt' || item.name === 'sdtcontent' || item.name === 'customxml') {
+            // Content controls wrap ordinary paragraphs and tables
+            walk(item);
+        }
+    });
+
+    walk(body);
+    endList();
+    return blocks;
+}
+
+function extractDocx(buffer) {
+    const archive = openArchive(buffer, 'Word document');
+    if (!archive.has('word/document.xml')) throw new DocumentFormatError('The file is not a valid Word document');
+
+    try {
+        const styles = archive.has('word/styles.xml') ? readStyles(archive.text('word/styles.xml')) : new Map();
+        const numbering = archive.has('word/numbering.xml') ? readNumbering(archive.text('word/numbering.xml')) : new Map();
+        const body = find(parseXml(archive.text('word/document.xml')), 'body');
+        if (!body) throw new DocumentFormatError('The Word document has no body');
+
+        const blocks = readBody(body, styles, numbering);
+        const firstHeading = blocks.find(block => block.type === 'heading');
+        return {
+            format: 'docx',
+            title: coreTitle(archive) || (firstHeading ? firstHeading.text : null),
+            blocks
+        };
+    } catch (error) {
+        if (error instanceof DocumentFormatError) throw error;
+        throw new DocumentFormatError('The Word document could not be read');
+    }
+}
+
+module.exports = { extractDocx };
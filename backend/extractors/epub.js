@@ -0,0 +1,72 @@
+const { openArchive, resolvePart } = require('./archive');
+const { parseXml, childrenNamed, find, findAll, attr, textContent } = require('./xml');
+const { readHtml } = require('./html');
+const { DocumentFormatError, cleanText, heading } = require('./document');
+
+// ==========================================
+// E-BOOKS (.epub)
+// ==========================================
+//
+// META-INF/container.xml points at the package document (.opf), whose
+// spine lists the chapters in reading order. Chapters are XHTML and are
+// read like web pages. Books with DRM can't be read.
+
+const CONTAINER = 'META-INF/container.xml';
+const HTML_TYPES = new Set(['application/xhtml+xml', 'text/html']);
+
+// Font obfuscation is listed in encryption.xml too, but only hides fonts
+const FONT_OBFUSCATION = new Set(['http://www.idpf.org/2008/embedding', 'http://ns.adobe.com/pdf/enc#RC']);
+
+function checkEncryption(archive) {
+    if (!archive.has('META-INF/encryption.xml')) return;
+    const methods = findAll(parseXml(archive.text('META-INF/encryption.xml')), 'encryptionmethod')
+        .map(method => attr(method, 'algorithm'));
+    if (methods.some(method => !FONT_OBFUSCATION.has(method))) {
+        throw new DocumentFormatError('This e-book is DRM protected and can\'t be read');
+    }
+}
+
+function extractEpub(buffer) {
+    const archive = openArchive(buffer, 'EPUB e-book');
+    if (!archive.has(CONTAINER)) throw new DocumentFormatError('The file is not a valid EPUB e-book');
+    checkEncryption(archive);
+
+    try {
+        const rootfile = find(parseXml(archive.text(CONTAINER)), 'rootfile');
+        const opfPath = rootfile && resolvePart('', attr(rootfile, 'full-path'));
+        if (!opfPath || !archive.has(opfPath)) throw new DocumentFormatError('The EPUB e-book has no package document');
+
+        const opf = parseXml(archive.text(opfPath));
+        const manifest = new Map();
+        childrenNamed(find(opf, 'manifest'), 'item').forEach(item => {
+            manifest.set(attr(item, 'id'), { href: resolvePart(opfPath, attr(item, 'href')), type: attr(item, 'media-type') });
+        });
+
+        const chapters = childrenNamed(find(opf, 'spine'), 'itemref')
+            .map(itemref => manifest.get(attr(itemref, 'idref')))
+            .filter(item => item && HTML_TYPES.has(item.type) && archive.has(item.href));
+
+        const blocks = [];
+        chapters.forEach(chapter => {
+            const page = readHtml(archive.text(chapter.href));
+            // Chapters without a heading of their own get their <title>
+            if (page.title && !page.blocks.some(block => block.type === 'heading') && page.blocks.length > 0) {
+                blocks.push(heading(1, page.title));
+            }
+            blocks.push(...page.blocks);
+        });
+
+        const title = find(find(opf, 'metadata'), 'title');
+        return {
+            format: 'epub',
+            title: title ? cleanText(textContent(title)) || null : null,
+            blocks,
+            chapterCount: chapters.length
+        };
+    } catch (error) {
+        if (error instanceof DocumentFormatError) throw error;
+        throw new DocumentFormatError('The EPUB e-book could not be read');
+    }
+}
+
+module.exports = { extractEpub };
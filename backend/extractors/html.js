@@ -0,0 +1,120 @@
+const { parseXml, find, textContent } = require('./xml');
+const { cleanText, heading, paragraph, list, table, code, quote, hasContent } = require('./document');
+
+// ==========================================
+// HTML
+// ==========================================
+//
+// Web pages and EPUB chapters. Headings, lists, tables, preformatted text
+// and quotes keep their structure; everything else becomes paragraphs.
+// Scripts, styles, forms and page chrome (navigation, footers) are left out.
+
+const SKIPPED = new Set([
+    'head', 'script', 'style', 'noscript', 'template', 'svg', 'math', 'iframe', 'object',
+    'nav', 'footer', 'form', 'button', 'select', 'textarea', 'input'
+]);
+
+// Elements that start a new paragraph
+const BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'body', 'dd', 'details', 'div', 'dl', 'dt', 'fieldset', 'figcaption',
+    'figure', 'hr', 'html', 'li', 'main', 'p', 'section', 'summary'
+]);
+
+const HEADING_PATTERN = /^h([1-6])$/;
+
+// Visible text of an inline run: source whitespace collapses to spaces,
+// <br> is a line break and block children go on their own lines
+function inlineText(node) {
+    if (typeof node === 'string') return node.replace(/\s+/g, ' ');
+    if (node.name === 'br') return '\n';
+    if (SKIPPED.has(node.name)) return '';
+    if (node.name === 'ul' || node.name === 'ol') {
+        // A list nested in a list item or cell keeps its markers
+        const items = listItems(node).map((item, i) => `${node.name === 'ol' ? `${i + 1}.` : '-'} ${cleanText(item)}`);
+        return `\n${items.join('\n')}\n`;
+    }
+    const text = node.children.map(inlineText).join('');
+    return BLOCK_ELEMENTS.has(node.name) || HEADING_PATTERN.test(node.name) ? `\n${text}\n` : text;
+}
+
+const listItems = listNode => listNode.children.filter(entry => entry.name === 'li').map(inlineText);
+
+const rowsOf = tableNode => {
+    const rows = [];
+    const walk = node => node.children.forEach(item => {
+        if (typeof item === 'string' || item.name === 'table') return;
+        if (item.name === 'tr') rows.push(item.children.filter(cell => cell.name === 'td' || cell.name === 'th').map(inlineText));
+        else walk(item);
+    });
+    walk(tableNode);
+    return rows;
+};
+
+// The blocks of an element's content, in order
+function htmlBlocks(root) {
+    const blocks = [];
+    let inline = '';
+
+    const flush = () => {
+        if (cleanText(inline)) blocks.push(paragraph(inline));
+        inline = '';
+    };
+    const push = block => {
+        flush();
+        blocks.push(block);
+    };
+
+    const walk = node => node.children.forEach(item => {
+        if (typeof item === 'string') {
+            inline += item.replace(/\s+/g, ' ');
+            return;
+        }
+        if (SKIPPED.has(item.name)) return;
+
+        const headingMatch = item.name.match(HEADING_PATTERN);
+        if (headingMatch) {
+            push(heading(Number(headingMatch[1]), inlineText(item)));
+        } else if (item.name === 'ul' || item.name === 'ol') {
+            push(list(listItems(item), item.name === 'ol'));
+        } else if (item.name === 'table') {
+            push(table(rowsOf(item)));
+        } else if (item.name === 'pre') {
+            push(code(textContent(item)));
+        } else if (item.name === 'blockquote') {
+            push(quote(inlineText(item)));
+        } else if (item.name === 'br') {
+            inline += '\n';
+        } else if (item.name === 'img') {
+            if (item.attrs.alt) inline += ` ${item.attrs.alt} `;
+        } else if (BLOCK_ELEMENTS.has(item.name)) {
+            flush();
+            walk(item);
+            flush();
+        } else {
+            walk(item);
+        }
+    });
+
+    walk(root);
+    flush();
+    return blocks.filter(hasContent);
+}
+
+// { title, blocks } for an HTML or XHTML page
+function readHtml(text) {
+    const tree = parseXml(text, { html: true });
+    const titleNode = find(tree, 'title');
+    const body = find(tree, 'body') || tree;
+    const blocks = htmlBlocks(body);
+
+    const firstHeading = blocks.find(block => block.type === 'heading');
+    const title = cleanText(titleNode ? textContent(titleNode) : '') || (firstHeading ? firstHeading.text : null);
+    return { title, blocks };
+}
+
+function extractHtml(buffer) {
+    const { title, blocks } = readHtml(buffer.toString('utf8'));
+    return { format: 'html', title, blocks };
+}
+
+module.exports = { extractHtml, readHtml, htmlBlocks };
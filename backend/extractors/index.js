@@ -0,0 +1,119 @@
+const path = require('path');
+const { extractPdf } = require('./pdf');
+const { extractDocx } = require('./docx');
+const { extractPptx } = require('./pptx');
+const { extractHtml } = require('./html');
+const { extractEpub } = require('./epub');
+const { extractMarkdown } = require('./markdown');
+const { DocumentFormatError, heading, paragraph, hasContent, documentToMarkdown, textDocument } = require('./document');
+
+// ==========================================
+// UPLOADED DOCUMENTS
+// ==========================================
+//
+// Turns an uploaded file into the common document model (document.js) and
+// the Markdown the notes pipeline reads. The format is chosen by file
+// extension; files with no known extension are read as plain text when
+// they look like text.
+
+// A PDF's text layer (pdf.js) as a document: "[Page N]" markers where
+// pages start, and the headings pdf.js found from font sizes
+async function readPdf(buffer) {
+    let extracted;
+    try {
+        extracted = await extractPdf(buffer);
+    } catch (error) {
+        throw new DocumentFormatError('The uploaded file could not be read as a PDF');
+    }
+    if (!extracted.hasTextLayer) {
+        throw new DocumentFormatError('This PDF has no text layer (it looks like a scanned document). Please upload a PDF with selectable text.', 422);
+    }
+
+    const blocks = [];
+    extracted.pages.filter(page => page.text).forEach(page => {
+        blocks.push(paragraph(`[Page ${page.number}]`));
+        let lines = [];
+        const flush = () => {
+            blocks.push(paragraph(lines.join('\n')));
+            lines = [];
+        };
+        page.text.split('\n').forEach(line => {
+            const match = line.match(/^(#{2,3}) (.+)$/);
+            if (match) {
+                flush();
+                blocks.push(heading(match[1].length, match[2]));
+            } else {
+                lines.push(line);
+            }
+        });
+        flush();
+    });
+
+    return { format: 'pdf', title: null, blocks: blocks.filter(hasContent), pageCount: extracted.pageCount };
+}
+
+// Extension -> notes.source value and reader
+const DOCUMENT_FORMATS = {
+    '.pdf': { source: 'pdf', extract: readPdf },
+    '.docx': { source: 'docx', extract: extractDocx },
+    '.pptx': { source: 'pptx', extract: extractPptx },
+    '.html': { source: 'html', extract: extractHtml },
+    '.htm': { source: 'html', extract: extractHtml },
+    '.xhtml': { source: 'html', extract: extractHtml },
+    '.epub': { source: 'epub', extract: extractEpub },
+    '.md': { source: 'markdown', extract: extractMarkdown },
+    '.markdown': { source: 'markdown', extract: extractMarkdown }
+};
+
+// Plain text files keep the original source name
+const TEXT_SOURCE = 'local_file';
+
+const UNSUPPORTED_MESSAGE = 'This file type is not supported. Upload a PDF, Word (.docx), PowerPoint (.pptx), HTML, EPUB, Markdown or plain text file.';
+
+// Binary files have NUL bytes early on; text files don't
+const looksLikeText = buffer => !buffer.subarray(0, 8192).includes(0);
+
+// A sentence for the notes prompt saying what kind of source this is
+function describeSource(doc, fileName) {
+    switch (doc.format) {
+        case 'pdf':
+            return `The source was extracted from a ${doc.pageCount} page PDF; "[Page N]" markers show where each page starts, so cite page numbers in the notes where helpful. `;
+        case 'pptx':
+            return `The source is the ${doc.slideCount} slide presentation "${doc.title || fileName}"; each "Slide N" heading starts a slide, and speaker notes follow the slide they belong to. `;
+        case 'epub':
+            return `The source is the e-book "${doc.title || fileName}" (${doc.chapterCount} chapters). `;
+        case 'docx':
+            return `The source is the Word document "${doc.title || fileName}". `;
+        case 'html':
+            return `The source is the web page "${doc.title || fileName}". `;
+        default:
+            return `The source is the uploaded file "${fileName}". `;
+    }
+}
+
+// Read an uploaded file. Throws a DocumentFormatError with a message for
+// the user when the file can't be read or holds no text.
+// -> { source, document, text, sourceHint }
+async function extractDocument({ fileName, buffer }) {
+    const format = DOCUMENT_FORMATS[path.extname(String(fileName || '')).toLowerCase()];
+    if (!format && !looksLikeText(buffer)) throw new DocumentFormatError(UNSUPPORTED_MESSAGE);
+
+    const document = format
+        ? await format.extract(buffer)
+        : textDocument(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    const text = documentToMarkdown(document);
+    if (!text.trim()) throw new DocumentFormatError('No text was found in the file');
+
+    return {
+        source: format ? format.source : TEXT_SOURCE,
+        document,
+        text,
+        sourceHint: describeSource(document, fileName)
+    };
+}
+
+module.exports = {
+    DOCUMENT_FORMATS,
+    DocumentFormatError,
+    extractDocument
+};
@@ -0,0 +1,55 @@
+const { marked } = require('marked');
+const { parseXml } = require('./xml');
+const { htmlBlocks } = require('./html');
+const { heading, paragraph, list, table, code, quote, hasContent } = require('./document');
+
+// ==========================================
+// MARKDOWN
+// ==========================================
+//
+// Read with marked's lexer so headings inside code blocks aren't taken for
+// sections. A YAML front matter block is dropped, keeping its title.
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)\s*(?:\r?\n|$)/;
+
+function tokenBlocks(tokens) {
+    return tokens.flatMap(token => {
+        switch (token.type) {
+            case 'heading':
+                return [heading(token.depth, token.text)];
+            case 'paragraph':
+            case 'text':
+                return [paragraph(token.text)];
+            case 'list':
+                return [list(token.items.map(item => item.text), token.ordered)];
+            case 'table':
+                return [table([token.header, ...token.rows].map(row => row.map(cell => cell.text)))];
+            case 'code':
+                return [code(token.text)];
+            case 'blockquote':
+                return [quote(token.text)];
+            case 'html':
+                return htmlBlocks(parseXml(token.raw, { html: true }));
+            default:
+                return [];
+        }
+    });
+}
+
+function extractMarkdown(buffer) {
+    let text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    let title = null;
+
+    const frontMatter = text.match(FRONT_MATTER);
+    if (frontMatter) {
+        const titleLine = frontMatter[1].match(/^title:\s*(.+)$/m);
+        if (titleLine) title = titleLine[1].trim().replace(/^(["'])(.*)\1$/, '$2') || null;
+        text = text.slice(frontMatter[0].length);
+    }
+
+    const blocks = tokenBlocks(marked.lexer(text)).filter(hasContent);
+    const firstHeading = blocks.find(block => block.type === 'heading');
+    return { format: 'markdown', title: title || (firstHeading ? firstHeading.text : null), blocks };
+}
+
+module.exports = { extractMarkdown };
@@ -0,0 +1,121 @@
+const path = require('path');
+const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+
+const STANDARD_FONTS_DIR = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+// A page with fewer extracted characters than this is treated as image-only
+const MIN_CHARS_PER_PAGE = 20;
+
+// Lines whose font is this much larger than the body text become headings
+const HEADING_RATIO = 1.15;
+const MAJOR_HEADING_RATIO = 1.5;
+
+// Group the positioned text items of one page into lines, top to bottom
+function groupIntoLines(items) {
+    const lines = [];
+    let current = null;
+
+    for (const item of items) {
+        if (!item.str || !item.str.trim()) {
+            if (item.hasEOL && current) current = null;
+            continue;
+        }
+
+        const y = Math.round(item.transform[5]);
+        const size = Math.round(Math.abs(item.transform[3]) || item.height || 0);
+
+        if (current && Math.abs(current.y - y) <= 2) {
+            current.text += (current.text.endsWith(' ') || item.str.startsWith(' ') ? '' : ' ') + item.str;
+            current.size = Math.max(current.size, size);
+        } else {
+            current = { y, size, text: item.str };
+            lines.push(current);
+        }
+
+        if (item.hasEOL) current = null;
+    }
+
+    return lines.map(line => ({ ...line, text: line.text.replace(/\s+/g, ' ').trim() }));
+}
+
+// The most common font size, weighted by characters, is taken as body text
+function detectBodySize(pages) {
+    const weights = new Map();
+    for (const page of pages) {
+        for (const line of page.lines) {
+            weights.set(line.size, (weights.get(line.size) || 0) + line.text.length);
+        }
+    }
+
+    let bodySize = 0;
+    let bestWeight = -1;
+    for (const [size, weight] of weights) {
+        if (weight > bestWeight) {
+            bodySize = size;
+            bestWeight = weight;
+        }
+    }
+    return bodySize;
+}
+
+function formatLine(line, bodySize) {
+    const isShort = line.text.length <= 120 && !/[.,;:]$/.test(line.text);
+    if (bodySize > 0 && isShort) {
+        if (line.size >= bodySize * MAJOR_HEADING_RATIO) return `## ${line.text}`;
+        if (line.size >= bodySize * HEADING_RATIO) return `### ${line.text}`;
+    }
+    return line.text;
+}
+
+// Extract the text layer of a PDF page by page, marking headings and page numbers
+async function extractPdf(buffer) {
+    const doc = await pdfjsLib.getDocument({
+        data: new Uint8Array(buffer),
+        standardFontDataUrl: STANDARD_FONTS_DIR,
+        isEvalSupported: false,
+        verbosity: pdfjsLib.VerbosityLevel.ERRORS
+    }).promise;
+
+    try {
+        const pages = [];
+        for (let number = 1; number <= doc.numPages; number++) {
+            const page = await doc.getPage(number);
+            const textContent = await page.getTextContent();
+            pages.push({ number, lines: groupIntoLines(textContent.items) });
+            page.cleanup();
+        }
+
+        const bodySize = detectBodySize(pages);
+        const charCount = pages.reduce(
+            (sum, page) => sum + page.lines.reduce((n, line) => n + line.text.length, 0),
+            0
+        );
+
+        const formattedPages = pages.map(page => ({
+            number: page.number,
+            text: page.lines.map(line => formatLine(line, bodySize)).join('\n')
+        }));
+
+        const text = formattedPages
+            .filter(page => page.text)
+            .map(page => `[Page ${page.number}]\n${page.text}`)
+            .join('\n\n');
+
+        return {
+            pageCount: doc.numPages,
+            pages: formattedPages,
+            text,
+            hasTextLayer: charCount >= MIN_CHARS_PER_PAGE * Math.max(1, Math.ceil(doc.numPages / 2))
+        };
+    } finally {
+        await doc.destroy();
+    }
+}
+
+// Accepts a base64 string or a data URL as sent by the browser's FileReader
+function decodeFileContent(fileContent) {
+    const base64 = String(fileContent).replace(/^data:[^;,]*(;base64)?,/, '');
+    return Buffer.from(base64, 'base64');
+}
+
+module.exports = { extractPdf, decodeFileContent };
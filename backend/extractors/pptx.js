@@ -0,0 +1,141 @@
+const { openArchive, resolvePart, coreTitle } = require('./archive');
+const { parseXml, child, childrenNamed, find, findAll, attr, textContent } = require('./xml');
+const { DocumentFormatError, cleanText, heading, paragraph, list, table, speakerNotes } = require('./document');
+
+// ==========================================
+// POWERPOINT PRESENTATIONS (.pptx)
+// ==========================================
+//
+// Slides are listed in ppt/presentation.xml and linked to their parts
+// through relationship files. Each slide becomes a "Slide N: title"
+// heading followed by its text boxes as bullet lists, its tables and, last,
+// the speaker notes from the slide's notes page.
+
+const PRESENTATION = 'ppt/presentation.xml';
+
+const TITLE_PLACEHOLDERS = new Set(['title', 'ctrtitle']);
+// Slide numbers, headers, footers and dates repeat on every page
+const CHROME_PLACEHOLDERS = new Set(['sldnum', 'hdr', 'ftr', 'dt']);
+
+// "ppt/slides/slide1.xml" -> "ppt/slides/_rels/slide1.xml.rels"
+const relsPath = part => part.replace(/([^/]+)$/, '_rels/$1.rels');
+
+// The r:id that links a slide list entry to its part (the entry also has
+// a plain numeric id)
+const relationshipId = node => {
+    const key = Object.keys(node.attrs).find(name => /:id$/i.test(name));
+    return key ? node.attrs[key] : undefined;
+};
+
+// Relationship id -> { type, target part }
+function readRels(archive, part) {
+    const rels = new Map();
+    if (!archive.has(relsPath(part))) return rels;
+    findAll(parseXml(archive.text(relsPath(part))), 'relationship').forEach(rel => {
+        if (attr(rel, 'targetmode') === 'External') return;
+        rels.set(attr(rel, 'id'), { type: String(attr(rel, 'type') || ''), target: resolvePart(part, attr(rel, 'target')) });
+    });
+    return rels;
+}
+
+// Text of a paragraph's runs, with its line breaks
+function runText(node) {
+    if (typeof node === 'string') return '';
+    if (node.name === 't') return textContent(node);
+    if (node.name === 'br') return '\n';
+    if (node.name === 'ppr' || node.name === 'rpr') return '';
+    return node.children.map(runText).join('');
+}
+
+// Non-empty paragraphs (a:p) of a text body
+const textParagraphs = txBody => childrenNamed(txBody, 'p').map(runText).map(cleanText).filter(Boolean);
+
+const placeholderType = shape => {
+    const ph = find(child(shape, 'nvsppr'), 'ph');
+    return ph ? String(attr(ph, 'type') || 'body').toLowerCase() : null;
+};
+
+// Title text and content blocks of one slide's shape tree, in reading order
+function readShapes(tree) {
+    let title = null;
+    const blocks = [];
+
+    const walk = node => node.children.forEach(item => {
+        if (typeof item === 'string') return;
+        if (item.name === 'sp') {
+            const texts = textParagraphs(child(item, 'txbody'));
+            const type = placeholderType(item);
+            if (texts.length === 0 || CHROME_PLACEHOLDERS.has(type)) return;
+            if (TITLE_PLACEHOLDERS.has(type) && title === null) {
+                title = texts.join(' ');
+            } else if (texts.length === 1) {
+                blocks.push(paragraph(texts[0]));
+            } else {
+                blocks.push(list(texts));
+            }
+        } else if (item.name === 'graphicframe') {
+            const tbl = find(item, 'tbl');
+            if (tbl) {
+                blocks.push(table(childrenNamed(tbl, 'tr').map(row => childrenNamed(row, 'tc')
+                    .map(cell => textParagraphs(child(cell, 'txbody')).join('\n')))));
+            }
+        } else if (item.name === 'grpsp') {
+            walk(item);
+        } else if (item.name === 'alternatecontent') {
+            const choice = child(item, 'choice');
+            if (choice) walk(choice);
+        }
+    });
+
+    walk(tree);
+    return { title, blocks };
+}
+
+// The speaker notes on a slide's notes page, if it has one
+function readNotes(archive, slideRels) {
+    const notesRel = [...slideRels.values()].find(rel => rel.type.endsWith('/notesSlide'));
+    if (!notesRel || !archive.has(notesRel.target)) return null;
+
+    const spTree = find(parseXml(archive.text(notesRel.target)), 'sptree');
+    const texts = findAll(spTree, 'sp')
+        .filter(shape => placeholderType(shape) !== 'sldimg' && !CHROME_PLACEHOLDERS.has(placeholderType(shape)))
+        .flatMap(shape => textParagraphs(child(shape, 'txbody')));
+    return texts.length > 0 ? texts.join('\n') : null;
+}
+
+function extractPptx(buffer) {
+    const archive = openArchive(buffer, 'PowerPoint presentation');
+    if (!archive.has(PRESENTATION)) throw new DocumentFormatError('The file is not a valid PowerPoint presentation');
+
+    try {
+        const presentationRels = readRels(archive, PRESENTATION);
+        const slideParts = findAll(find(parseXml(archive.text(PRESENTATION)), 'sldidlst'), 'sldid')
+            .map(slideId => presentationRels.get(relationshipId(slideId)))
+            .filter(rel => rel && archive.has(rel.target))
+            .map(rel => rel.target);
+
+        const blocks = [];
+        let firstTitle = null;
+        slideParts.forEach((part, i) => {
+            const slide = readShapes(find(parseXml(archive.text(part)), 'sptree') || { children: [] });
+            const notes = readNotes(archive, readRels(archive, part));
+            if (firstTitle === null) firstTitle = slide.title;
+
+            blocks.push(heading(2, slide.title ? `Slide ${i + 1}: ${slide.title}` : `Slide ${i + 1}`));
+            blocks.push(...slide.blocks);
+            if (notes) blocks.push(speakerNotes(notes));
+        });
+
+        return {
+            format: 'pptx',
+            title: coreTitle(archive) || firstTitle,
+            blocks,
+            slideCount: slideParts.length
+        };
+    } catch (error) {
+        if (error instanceof DocumentFormatError) throw error;
+        throw new DocumentFormatError('The PowerPoint presentation could not be read');
+    }
+}
+
+module.exports = { extractPptx };
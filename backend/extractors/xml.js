@@ -0,0 +1,121 @@
+const sax = require('sax');
+
+// ==========================================
+// XML / HTML TREES
+// ==========================================
+//
+// Office files, EPUB chapters and web pages are all parsed into the same
+// small tree: elements are { name, attrs, children } with namespace prefixes
+// dropped from element names ("w:p" -> "p"), and text nodes are strings.
+
+// HTML elements that never have content; sax would otherwise nest the rest
+// of the page inside them
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// HTML's optional end tags: opening one of these elements closes an open
+// element of the listed kinds, unless one of the `within` elements comes
+// first ("<li>a<li>b" is two items, a nested list's items are not)
+const PARAGRAPH_END = { closes: ['p'], within: ['div', 'li', 'td', 'th', 'blockquote', 'section', 'article', 'main', 'aside', 'body'] };
+const IMPLIED_END = {
+    li: { closes: ['li'], within: ['ul', 'ol'] },
+    dt: { closes: ['dt', 'dd'], within: ['dl'] },
+    dd: { closes: ['dt', 'dd'], within: ['dl'] },
+    tr: { closes: ['tr', 'td', 'th'], within: ['table', 'thead', 'tbody', 'tfoot'] },
+    td: { closes: ['td', 'th'], within: ['tr'] },
+    th: { closes: ['td', 'th'], within: ['tr'] },
+    thead: { closes: ['thead', 'tbody', 'tr', 'td', 'th'], within: ['table'] },
+    tbody: { closes: ['thead', 'tbody', 'tr', 'td', 'th'], within: ['table'] },
+    tfoot: { closes: ['thead', 'tbody', 'tr', 'td', 'th'], within: ['table'] }
+};
+['p', 'div', 'ul', 'ol', 'dl', 'table', 'pre', 'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'section', 'article', 'aside', 'hr']
+    .forEach(name => {
+        IMPLIED_END[name] = IMPLIED_END[name] || PARAGRAPH_END;
+    });
+
+const localName = name => String(name).split(':').pop().toLowerCase();
+
+// Parse XML, or HTML leniently (unclosed tags, HTML entities, stray
+// markup) when `html` is set. Throws on malformed XML.
+function parseXml(text, { html = false } = {}) {
+    const parser = sax.parser(!html, { lowercase: true });
+    const root = { name: '#document', attrs: {}, children: [] };
+    const stack = [root];
+    const top = () => stack[stack.length - 1];
+    // sax's own tag objects -> our elements, so a close event finds the
+    // element it belongs to even after an implied end tag closed it
+    const open = new Map();
+
+    const closeImplied = name => {
+        const rule = IMPLIED_END[name];
+        if (!rule) return;
+        for (let i = stack.length - 1; i > 0 && !rule.within.includes(stack[i].name); i--) {
+            if (rule.closes.includes(stack[i].name)) {
+                stack.length = i;
+                return;
+            }
+        }
+    };
+
+    parser.onopentag = node => {
+        const element = { name: localName(node.name), attrs: node.attributes, children: [] };
+        if (html) closeImplied(element.name);
+        top().children.push(element);
+        if (!(html && VOID_ELEMENTS.has(element.name))) {
+            stack.push(element);
+            open.set(node, element);
+        }
+    };
+    parser.onclosetag = () => {
+        const element = open.get(parser.tag);
+        open.delete(parser.tag);
+        // Lenient HTML: closing a tag closes everything opened inside it
+        const index = stack.lastIndexOf(element);
+        if (index > 0) stack.length = index;
+    };
+    parser.ontext = value => top().children.push(value);
+    parser.oncdata = value => top().children.push(value);
+    parser.onerror = error => {
+        if (!html) throw error;
+        parser.error = null;
+        parser.resume();
+    };
+
+    parser.write(String(text).replace(/^\uFEFF/, '')).close();
+    return root;
+}
+
+const elementsOf = node => (node && node.children ? node.children.filter(item => typeof item !== 'string') : []);
+
+// Direct children named `name`
+const childrenNamed = (node, name) => elementsOf(node).filter(element => element.name === name);
+
+const child = (node, name) => childrenNamed(node, name)[0] || null;
+
+// All descendants named `name`, in document order, without looking inside matches
+function findAll(node, name) {
+    const found = [];
+    elementsOf(node).forEach(element => {
+        if (element.name === name) found.push(element);
+        else found.push(...findAll(element, name));
+    });
+    return found;
+}
+
+const find = (node, name) => findAll(node, name)[0] || null;
+
+// An attribute by local name, whatever its prefix ("r:id" -> attr(el, 'id'))
+function attr(node, name) {
+    if (!node) return undefined;
+    const key = Object.keys(node.attrs).find(attribute => localName(attribute) === name);
+    return key === undefined ? undefined : node.attrs[key];
+}
+
+// All text under a node, as written
+function textContent(node) {
+    if (typeof node === 'string') return node;
+    return (node.children || []).map(textContent).join('');
+}
+
+module.exports = { parseXml, childrenNamed, child, findAll, find, attr, textContent };
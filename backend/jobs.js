@@ -0,0 +1,326 @@
+const os = require('os');
+const { pool } = require('./db');
+
+// ==========================================
+// BACKGROUND JOBS
+// ==========================================
+//
+// Long AI generations run as jobs instead of holding the request open. A
+// route checks the request, stores a queued row in the jobs table and
+// answers with it at once. Workers in every server process claim queued
+// rows (SELECT ... FOR UPDATE SKIP LOCKED), run the handler defined for the
+// job's type and store its result or error on the row. Clients read it with
+// GET /jobs/:id, so a reload or a server restart loses nothing.
+//
+// A job whose process dies is run again, so handlers save what they make
+// with complete(): it is written in the same transaction that marks the job
+// succeeded, and an interrupted run leaves nothing behind to duplicate.
+// SKIP LOCKED needs MySQL 8.0 or later.
+//
+//   JOBS_CONCURRENCY      jobs one server process runs at once (default 2; 0 runs none)
+//   JOBS_POLL_MS          how often workers look for queued jobs (default 1000)
+//   JOBS_STALE_SECONDS    a running job without a heartbeat for this long died
+//                         with its process and is queued again (default 120)
+//   JOBS_MAX_ATTEMPTS     runs a job gets before it fails for good (default 2)
+//   JOBS_RETENTION_DAYS   finished jobs are deleted after this many days (default 7)
+//
+// Statuses: queued -> running -> succeeded | failed, and cancelled from
+// queued or running.
+
+const CONCURRENCY = Math.max(0, parseInt(process.env.JOBS_CONCURRENCY ?? 2) || 0);
+const POLL_MS = parseInt(process.env.JOBS_POLL_MS) || 1000;
+const STALE_SECONDS = parseInt(process.env.JOBS_STALE_SECONDS) || 120;
+const MAX_ATTEMPTS = parseInt(process.env.JOBS_MAX_ATTEMPTS) || 2;
+const RETENTION_DAYS = parseInt(process.env.JOBS_RETENTION_DAYS) || 7;
+const HOUSEKEEPING_MS = 60 * 1000;
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+const JOB_STATUSES = [...ACTIVE_STATUSES, 'succeeded', 'failed', 'cancelled'];
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// A failure whose message is meant for the user. Anything else a handler
+// throws is logged and stored as the job type's generic failure message.
+class JobError extends Error {
+    constructor(message, status = 400, extra = {}) {
+        super(message);
+        this.name = 'JobError';
+        this.status = status;
+        this.extra = extra;
+    }
+}
+
+// type -> { run(payload, context), failureMessage }
+const handlers = new Map();
+
+// Register the handler for a job type. run(payload, { jobId, userId,
+// signal, onProgress, complete }) resolves with the job's result (plain
+// JSON); `signal` aborts when the job is cancelled. A handler that writes
+// to the database does so in complete(async connection => result), which
+// commits its writes together with the job's success.
+function defineJob(type, run, { failureMessage = 'The job failed' } = {}) {
+    handlers.set(type, { run, failureMessage });
+}
+
+const parseJson = text => (text === null || text === undefined ? null : JSON.parse(text));
+
+const JOB_COLUMNS = `id, type, title, status, progress, result, error, attempts,
+    created_at as createdAt, started_at as startedAt, finished_at as finishedAt`;
+
+// What the client sees of a job
+const toJob = row => ({
+    id: row.id,
+    type: row.type,
+    title: row.title,
+    status: row.status,
+    progress: parseJson(row.progress),
+    result: parseJson(row.result),
+    error: parseJson(row.error),
+    attempts: row.attempts,
+    createdAt: row.createdAt,
+    startedAt: row.startedAt,
+    finishedAt: row.finishedAt
+});
+
+async function getJob(jobId, userId) {
+    const [rows] = await pool.execute(
+        `SELECT ${JOB_COLUMNS} FROM jobs WHERE id = ? AND user_id = ?`,
+        [jobId, userId]
+    );
+    return rows[0] ? toJob(rows[0]) : null;
+}
+
+// The user's newest jobs, optionally only some statuses and one type
+async function listJobs(userId, { statuses = JOB_STATUSES, type = null, limit = 50 } = {}) {
+    const [rows] = await pool.query(
+        `SELECT ${JOB_COLUMNS} FROM jobs
+         WHERE user_id = ? AND status IN (?)${type ? ' AND type = ?' : ''}
+         ORDER BY id DESC LIMIT ?`,
+        type ? [userId, statuses, type, limit] : [userId, statuses, limit]
+    );
+    return rows.map(toJob);
+}
+
+// Queue a job and return it. title names what it makes, for the user.
+async function enqueueJob(userId, type, payload, { title = '' } = {}) {
+    if (!handlers.has(type)) throw new Error(`Unknown job type "${type}"`);
+
+    const [result] = await pool.execute(
+        `INSERT INTO jobs (user_id, type, title, payload) VALUES (?, ?, ?, ?)`,
+        [userId, type, String(title).slice(0, 255), JSON.stringify(payload)]
+    );
+    wake();
+    return getJob(result.insertId, userId);
+}
+
+// Cancel a queued or running job. A running job's handler is aborted; one
+// running in another server process stops at that worker's next heartbeat.
+// Returns the job, or null when the user has no such job.
+async function cancelJob(jobId, userId) {
+    await pool.execute(
+        `UPDATE jobs SET status = 'cancelled', progress = NULL, finished_at = NOW()
+         WHERE id = ? AND user_id = ? AND status IN ('queued', 'running')`,
+        [jobId, userId]
+    );
+    if (running.has(jobId)) running.get(jobId).abort(new Error('The job was cancelled'));
+    return getJob(jobId, userId);
+}
+
+// ==========================================
+// WORKERS
+// ==========================================
+
+// Jobs this process is running: id -> AbortController
+const running = new Map();
+let timer = null;
+let polling = false;
+let started = false;
+let lastHousekeeping = 0;
+
+// Take the oldest queued job this process can run, or null
+async function claimJob() {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [rows] = await connection.query(
+            `SELECT id, user_id as userId, type, payload FROM jobs
+             WHERE status = 'queued' AND type IN (?)
+             ORDER BY id ASC LIMIT 1 FOR UPDATE SKIP LOCKED`,
+            [[...handlers.keys()]]
+        );
+        if (rows.length > 0) {
+            await connection.execute(
+                `UPDATE jobs SET status = 'running', attempts = attempts + 1, worker_id = ?,
+                 started_at = NOW(), heartbeat_at = NOW() WHERE id = ?`,
+                [WORKER_ID, rows[0].id]
+            );
+        }
+        await connection.commit();
+        return rows[0] ? { ...rows[0], payload: JSON.parse(rows[0].payload) } : null;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+// Store how a job ended, unless it was cancelled meanwhile
+async function finishJob(jobId, status, { result = null, error = null }) {
+    await pool.execute(
+        `UPDATE jobs SET status = ?, result = ?, error = ?, progress = NULL, finished_at = NOW()
+         WHERE id = ? AND status = 'running' AND worker_id = ?`,
+        [status, result === null ? null : JSON.stringify(result), error === null ? null : JSON.stringify(error), jobId, WORKER_ID]
+    );
+}
+
+// Run work(connection) and mark the job succeeded with its result in one
+// transaction. A job that was cancelled, or queued again for another worker,
+// meanwhile is aborted instead and nothing is written.
+async function completeJob(jobId, controller, work) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [rows] = await connection.execute(
+            `SELECT id FROM jobs WHERE id = ? AND status = 'running' AND worker_id = ? FOR UPDATE`,
+            [jobId, WORKER_ID]
+        );
+        if (rows.length === 0) controller.abort(new Error('The job is no longer running here'));
+        controller.signal.throwIfAborted();
+
+        const result = (await work(connection)) ?? {};
+        await connection.execute(
+            `UPDATE jobs SET status = 'succeeded', result = ?, progress = NULL, finished_at = NOW() WHERE id = ?`,
+            [JSON.stringify(result), jobId]
+        );
+        await connection.commit();
+        return result;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+async function runJob(job) {
+    const controller = new AbortController();
+    const { run, failureMessage } = handlers.get(job.type);
+    running.set(job.id, controller);
+    let completed = false;
+
+    const onProgress = progress => {
+        pool.execute(
+            `UPDATE jobs SET progress = ? WHERE id = ? AND status = 'running'`,
+            [JSON.stringify(progress), job.id]
+        ).catch(error => console.error('Error saving job progress:', error));
+    };
+
+    const complete = async work => {
+        const result = await completeJob(job.id, controller, work);
+        completed = true;
+        return result;
+    };
+
+    try {
+        const result = await run(job.payload, { jobId: job.id, userId: job.userId, signal: controller.signal, onProgress, complete });
+        if (!completed && !controller.signal.aborted) await finishJob(job.id, 'succeeded', { result: result ?? {} });
+    } catch (error) {
+        if (controller.signal.aborted) return;
+        if (!(error instanceof JobError)) console.error(`Error running ${job.type} job ${job.id}:`, error);
+        const failure = error instanceof JobError
+            ? { message: error.message, status: error.status, ...error.extra }
+            : { message: failureMessage, status: 500 };
+        await finishJob(job.id, 'failed', { error: failure })
+            .catch(saveError => console.error('Error saving job failure:', saveError));
+    } finally {
+        running.delete(job.id);
+        wake();
+    }
+}
+
+// Keep this process's running jobs marked alive, and stop any that were
+// cancelled from another process
+async function heartbeat() {
+    if (running.size === 0) return;
+    const ids = [...running.keys()];
+    await pool.query(`UPDATE jobs SET heartbeat_at = NOW() WHERE id IN (?) AND status = 'running'`, [ids]);
+    const [cancelled] = await pool.query(`SELECT id FROM jobs WHERE id IN (?) AND status = 'cancelled'`, [ids]);
+    cancelled.forEach(({ id }) => {
+        if (running.has(id)) running.get(id).abort(new Error('The job was cancelled'));
+    });
+}
+
+// Queue again jobs whose process died, or fail them once out of attempts,
+// and delete old finished jobs
+async function housekeeping() {
+    await pool.execute(
+        `UPDATE jobs SET
+             status = IF(attempts >= ?, 'failed', 'queued'),
+             error = IF(attempts >= ?, ?, NULL),
+             finished_at = IF(attempts >= ?, NOW(), NULL),
+             progress = NULL, worker_id = NULL
+         WHERE status = 'running' AND heartbeat_at < NOW() - INTERVAL ? SECOND`,
+        [MAX_ATTEMPTS, MAX_ATTEMPTS, JSON.stringify({ message: 'The job was interrupted. Please try again.', status: 500 }),
+            MAX_ATTEMPTS, STALE_SECONDS]
+    );
+    await pool.execute(
+        `DELETE FROM jobs WHERE status IN ('succeeded', 'failed', 'cancelled') AND finished_at < NOW() - INTERVAL ? DAY`,
+        [RETENTION_DAYS]
+    );
+}
+
+async function poll() {
+    clearTimeout(timer);
+    timer = null;
+    polling = true;
+    try {
+        if (Date.now() - lastHousekeeping >= HOUSEKEEPING_MS) {
+            lastHousekeeping = Date.now();
+            await housekeeping();
+        }
+        await heartbeat();
+        while (running.size < CONCURRENCY) {
+            const job = await claimJob();
+            if (!job) break;
+            runJob(job);
+        }
+    } catch (error) {
+        console.error('Error polling jobs:', error);
+    } finally {
+        polling = false;
+        if (started) timer = setTimeout(poll, POLL_MS);
+    }
+}
+
+// Look for work now rather than at the next poll
+function wake() {
+    if (started && !polling) poll();
+}
+
+// Start this process's workers; call once the schema is migrated
+function startJobWorkers() {
+    if (started || CONCURRENCY === 0) return;
+    started = true;
+    poll();
+}
+
+// Stop looking for new jobs. Jobs already running finish on their own.
+function stopJobWorkers() {
+    started = false;
+    clearTimeout(timer);
+    timer = null;
+}
+
+module.exports = {
+    ACTIVE_STATUSES,
+    JOB_STATUSES,
+    JobError,
+    defineJob,
+    enqueueJob,
+    getJob,
+    listJobs,
+    cancelJob,
+    startJobWorkers,
+    stopJobWorkers
+};
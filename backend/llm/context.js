@@ -0,0 +1,95 @@
+const { getLLM } = require('./index');
+const { estimateTokens, estimateMessageTokens } = require('./tokens');
+
+// Chat context building. The most recent turns of a thread go to the model
+// verbatim while they fit in CHAT_CONTEXT_TOKENS; older turns are folded into
+// a running summary stored on the thread, so each turn is summarised once.
+//
+//   CHAT_CONTEXT_TOKENS   token budget for summary + verbatim history (default 6000)
+//   CHAT_SUMMARY_TOKENS   length the summary is asked to stay within (default 600)
+
+const CONTEXT_TOKENS = parseInt(process.env.CHAT_CONTEXT_TOKENS) || 6000;
+const SUMMARY_TOKENS = parseInt(process.env.CHAT_SUMMARY_TOKENS) || 600;
+
+// When the window overflows, trim it down to this share of the budget so the
+// summary is refreshed every few turns rather than on every message
+const REFILL_RATIO = 0.75;
+
+const toTurn = row => ({ role: row.role === 'user' ? 'user' : 'assistant', content: row.content });
+
+async function summarize(previousSummary, turns, userId) {
+    const transcript = turns
+        .map(turn => `${turn.role === 'user' ? 'Student' : 'Assistant'}: ${turn.content}`)
+        .join('\n\n');
+
+    const prompt = `You maintain a running summary of a tutoring conversation between a student and an AI study assistant.
+Update the summary with the new part of the conversation below. Keep the topics covered, facts and explanations the student was given, open questions and anything the student said about their goals or difficulties. Write plain prose in at most ${Math.round(SUMMARY_TOKENS * 0.75)} words and reply with the summary only.
+
+Current summary:
+${previousSummary || '(none yet)'}
+
+New part of the conversation:
+${transcript}`;
+
+    const { text } = await getLLM('summary', { userId }).generateText({ prompt });
+    return text.trim();
+}
+
+// Split messages (oldest first) into the ones to keep verbatim, newest last,
+// and the older ones that no longer fit
+function splitWindow(messages, budget) {
+    const keep = [];
+    let used = 0;
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const cost = estimateMessageTokens(messages[i]);
+        // Always keep the latest exchange, even if it alone is over budget
+        if (used + cost > budget && keep.length >= 2) break;
+        keep.unshift(messages[i]);
+        used += cost;
+    }
+
+    // Providers expect the history to open with a user turn
+    while (keep.length > 0 && keep[0].role !== 'user') keep.shift();
+
+    return { older: messages.slice(0, messages.length - keep.length), recent: keep };
+}
+
+// thread: { summary, summarizedThroughId }
+// messages: the thread's stored messages newer than summarizedThroughId, oldest first
+// message: the new user message
+// userId: who the summary call is metered to
+// Returns the provider history plus the thread's summary state, with
+// `summaryChanged` set when the caller should store the new summary.
+async function buildChatContext({ thread, messages, message, userId = null, budget = CONTEXT_TOKENS }) {
+    let summary = thread.summary || '';
+    let summarizedThroughId = thread.summarizedThroughId || null;
+    let summaryChanged = false;
+
+    const available = Math.max(budget - estimateTokens(message) - estimateTokens(summary), 0);
+    const totalTokens = messages.reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+
+    let recent = messages;
+    if (totalTokens > available) {
+        const split = splitWindow(messages, Math.floor(available * REFILL_RATIO));
+        recent = split.recent;
+
+        if (split.older.length > 0) {
+            summary = await summarize(summary, split.older.map(toTurn), userId);
+            summarizedThroughId = split.older[split.older.length - 1].id;
+            summaryChanged = true;
+        }
+    }
+
+    const history = [];
+    if (summary) {
+        history.push(
+            { role: 'user', content: `Here is a summary of our conversation so far:\n\n${summary}` },
+            { role: 'assistant', content: 'Thanks, I have the earlier context. Let\'s continue.' }
+        );
+    }
+    history.push(...recent.map(toTurn));
+
+    return { history, summary, summarizedThroughId, summaryChanged };
+}
+
+module.exports = { buildChatContext, CONTEXT_TOKENS };
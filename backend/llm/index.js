@@ -0,0 +1,123 @@
+const { createGeminiProvider } = require('./providers/gemini');
+const { createOpenAIProvider } = require('./providers/openai');
+const { createFakeProvider } = require('./providers/fake');
+const { estimateTokens } = require('./tokens');
+const { recordUsage, checkQuota } = require('../usage');
+
+// Every AI feature in the app resolves its provider and model through here.
+//
+//   LLM_PROVIDER / LLM_MODEL                  defaults for every feature
+//   LLM_PROVIDER_<FEATURE> / LLM_MODEL_<FEATURE>  per-feature overrides, e.g. LLM_MODEL_CHAT
+//
+// Providers: gemini (GEMINI_API_KEY), openai (OPENAI_BASE_URL, OPENAI_API_KEY),
+// fake (LLM_FIXTURES_DIR, answers from local fixtures without any network).
+const FEATURES = ['study_plan', 'notes', 'flashcards', 'quiz', 'chat', 'title', 'summary'];
+
+const DEFAULT_MODELS = {
+    gemini: 'gemini-2.5-flash',
+    openai: 'gpt-4o-mini',
+    fake: 'fake-fixtures'
+};
+
+const providerFactories = {
+    gemini: () => createGeminiProvider({ apiKey: process.env.GEMINI_API_KEY }),
+    openai: () => createOpenAIProvider({
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_API_KEY
+    }),
+    fake: () => createFakeProvider({ fixturesDir: process.env.LLM_FIXTURES_DIR })
+};
+
+const providers = new Map();
+
+function getProvider(name) {
+    if (!providerFactories[name]) {
+        throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(providerFactories).join(', ')}`);
+    }
+    if (!providers.has(name)) providers.set(name, providerFactories[name]());
+    return providers.get(name);
+}
+
+function resolveConfig(feature) {
+    const suffix = feature.toUpperCase();
+    const featureProvider = process.env[`LLM_PROVIDER_${suffix}`];
+    const providerName = featureProvider || process.env.LLM_PROVIDER || 'gemini';
+    // The global LLM_MODEL only applies to features using the global provider
+    const model = process.env[`LLM_MODEL_${suffix}`]
+        || (!featureProvider && process.env.LLM_MODEL)
+        || DEFAULT_MODELS[providerName];
+    return { provider: providerName, model };
+}
+
+// Returns a client bound to the configured provider and model for one
+// feature. Calls made for userId have their token usage recorded, and are
+// refused with a UsageLimitError when their estimated input would go over
+// the user's daily quota (usage.js).
+function getLLM(feature, { userId = null } = {}) {
+    if (!FEATURES.includes(feature)) {
+        throw new Error(`Unknown LLM feature "${feature}"`);
+    }
+
+    const config = resolveConfig(feature);
+    const provider = getProvider(config.provider);
+
+    // Check before each call, so a request making many calls stops once
+    // the quota is spent
+    const checkLimits = async input => {
+        if (userId) await checkQuota(userId, feature, { pendingTokens: estimateTokens(input) });
+    };
+    const historyText = history => history.map(turn => turn.content).join('\n');
+
+    // Metering never fails the call it measures
+    const meter = result => {
+        recordUsage({ userId, feature, provider: config.provider, model: config.model, usage: result.usage })
+            .catch(error => console.error('Error recording AI usage:', error));
+        return result;
+    };
+
+    return {
+        feature,
+        provider: config.provider,
+        model: config.model,
+
+        // { prompt, json, schema, signal } -> { text, usage: { inputTokens, outputTokens } }
+        // A JSON Schema (llm/schemas.js) constrains the output where the provider
+        // supports it. Aborting `signal` abandons the call.
+        async generateText({ prompt, json = false, schema = null, signal }) {
+            await checkLimits(prompt);
+            return provider.generateText({ feature, model: config.model, prompt, json: json || !!schema, schema, signal }).then(meter);
+        },
+
+        // history is [{ role: 'user' | 'assistant', content }], oldest first
+        async chat({ history = [], message }) {
+            await checkLimits(`${historyText(history)}\n${message}`);
+            return provider.chat({ feature, model: config.model, history, message }).then(meter);
+        },
+
+        // Like chat(), but calls onDelta(text) as the reply streams in. Aborting
+        // `signal` stops generation and resolves with what arrived so far,
+        // flagged `aborted: true`, with usage estimated locally.
+        async streamChat({ history = [], message, signal, onDelta = () => {} }) {
+            await checkLimits(`${historyText(history)}\n${message}`);
+            let text = '';
+            const collect = delta => {
+                text += delta;
+                onDelta(delta);
+            };
+
+            try {
+                const result = await provider.streamChat({ feature, model: config.model, history, message, signal, onDelta: collect });
+                return meter({ ...result, aborted: false });
+            } catch (error) {
+                if (!signal?.aborted) throw error;
+                return meter({
+                    text,
+                    usage: { inputTokens: estimateTokens(historyText(history) + message), outputTokens: estimateTokens(text) },
+                    aborted: true
+                });
+            }
+        }
+    };
+}
+
+module.exports = { getLLM, resolveConfig, FEATURES };
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const { estimateTokens } = require('../tokens');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const STREAM_DELAY_MS = 30;
+
+// Deterministic provider that answers from JSON fixtures, for offline runs and tests.
+// Each fixture file is named after a feature and holds { "text": ... } or { "json": ... };
+// "{{input}}" in a text fixture is replaced with the prompt or chat message.
+function createFakeProvider({ fixturesDir } = {}) {
+    const dir = fixturesDir || DEFAULT_FIXTURES_DIR;
+    const cache = new Map();
+
+    function loadFixture(feature) {
+        if (!cache.has(feature)) {
+            const file = path.join(dir, `${feature}.json`);
+            const fallback = path.join(dir, 'default.json');
+            const source = fs.existsSync(file) ? file : fallback;
+            cache.set(feature, JSON.parse(fs.readFileSync(source, 'utf8')));
+        }
+        return cache.get(feature);
+    }
+
+    function respond(feature, input) {
+        const fixture = loadFixture(feature);
+        const text = fixture.json !== undefined
+            ? JSON.stringify(fixture.json)
+            : String(fixture.text).replace(/\{\{input\}\}/g, input.trim());
+
+        return {
+            text,
+            usage: { inputTokens: estimateTokens(input), outputTokens: estimateTokens(text) }
+        };
+    }
+
+    return {
+        name: 'fake',
+
+        async generateText({ feature, prompt, signal }) {
+            if (signal?.aborted) throw signal.reason;
+            return respond(feature, prompt);
+        },
+
+        async chat({ feature, history, message }) {
+            const result = respond(feature, message);
+            const context = history.map(turn => turn.content).join('\n');
+            result.usage.inputTokens += estimateTokens(context);
+            return result;
+        },
+
+        // Replays the fixture reply word by word, like a real token stream
+        async streamChat({ feature, history, message, signal, onDelta }) {
+            const result = await this.chat({ feature, history, message });
+            for (const word of result.text.match(/\S+\s*/g) || []) {
+                await new Promise(resolve => setTimeout(resolve, STREAM_DELAY_MS));
+                if (signal?.aborted) throw signal.reason;
+                onDelta(word);
+            }
+            return result;
+        }
+    };
+}
+
+module.exports = { createFakeProvider };
@@ -0,0 +1,81 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Gemini's responseSchema accepts an OpenAPI subset; drop the keywords it rejects
+const GEMINI_SCHEMA_KEYS = ['type', 'description', 'enum', 'nullable', 'properties', 'required', 'items', 'minItems', 'maxItems'];
+
+function toGeminiSchema(schema) {
+    const result = {};
+    for (const key of GEMINI_SCHEMA_KEYS) {
+        if (schema[key] === undefined) continue;
+        if (key === 'properties') {
+            result.properties = Object.fromEntries(
+                Object.entries(schema.properties).map(([name, value]) => [name, toGeminiSchema(value)])
+            );
+        } else if (key === 'items') {
+            result.items = toGeminiSchema(schema.items);
+        } else {
+            result[key] = schema[key];
+        }
+    }
+    return result;
+}
+
+// Gemini adapter built on the Google Generative AI SDK
+function createGeminiProvider({ apiKey }) {
+    const genAI = new GoogleGenerativeAI(apiKey || '');
+
+    function getModel(model, json, schema) {
+        let generationConfig;
+        if (json) {
+            generationConfig = { responseMimeType: 'application/json' };
+            if (schema) generationConfig.responseSchema = toGeminiSchema(schema);
+        }
+        return genAI.getGenerativeModel({ model, generationConfig });
+    }
+
+    // Gemini expects 'model' for the assistant role
+    function startChat(model, history) {
+        return getModel(model, false).startChat({
+            history: history.map(turn => ({
+                role: turn.role === 'user' ? 'user' : 'model',
+                parts: [{ text: turn.content }]
+            }))
+        });
+    }
+
+    function toResult(response) {
+        const usage = response.usageMetadata || {};
+        return {
+            text: response.text(),
+            usage: {
+                inputTokens: usage.promptTokenCount || 0,
+                outputTokens: usage.candidatesTokenCount || 0
+            }
+        };
+    }
+
+    return {
+        name: 'gemini',
+
+        async generateText({ model, prompt, json, schema, signal }) {
+            const aiResult = await getModel(model, json, schema).generateContent(prompt, { signal });
+            return toResult(await aiResult.response);
+        },
+
+        async chat({ model, history, message }) {
+            const chatResult = await startChat(model, history).sendMessage(message);
+            return toResult(await chatResult.response);
+        },
+
+        async streamChat({ model, history, message, signal, onDelta }) {
+            const streamResult = await startChat(model, history).sendMessageStream(message, { signal });
+            for await (const chunk of streamResult.stream) {
+                const delta = chunk.text();
+                if (delta) onDelta(delta);
+            }
+            return toResult(await streamResult.response);
+        }
+    };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,130 @@
+// Adapter for any server speaking the OpenAI chat completions API
+// (OpenAI itself, or a local server such as llama.cpp, vLLM or Ollama)
+function createOpenAIProvider({ baseUrl, apiKey }) {
+    const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    async function post(body, signal) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal
+        });
+
+        if (!response.ok) {
+            const detail = await response.text();
+            throw new Error(`OpenAI-compatible request failed (${response.status}): ${detail.slice(0, 500)}`);
+        }
+        return response;
+    }
+
+    const toUsage = (usage = {}) => ({
+        inputTokens: usage.prompt_tokens || 0,
+        outputTokens: usage.completion_tokens || 0
+    });
+
+    function toMessages(history, message) {
+        const messages = history.map(turn => ({
+            role: turn.role === 'user' ? 'user' : 'assistant',
+            content: turn.content
+        }));
+        messages.push({ role: 'user', content: message });
+        return messages;
+    }
+
+    // json_schema only accepts an object at the root, so any other schema is
+    // sent wrapped as { items: <schema> } and the reply unwrapped again
+    const wrapsRoot = schema => schema.type !== 'object';
+
+    function unwrap(text) {
+        try {
+            const value = JSON.parse(text);
+            if (value && typeof value === 'object' && !Array.isArray(value) && 'items' in value) {
+                return JSON.stringify(value.items);
+            }
+        } catch {
+            // Left as is for the caller's validation to reject
+        }
+        return text;
+    }
+
+    async function complete(model, messages, json, schema, signal) {
+        const body = { model, messages };
+        if (schema) {
+            const rootSchema = wrapsRoot(schema)
+                ? { type: 'object', properties: { items: schema }, required: ['items'] }
+                : schema;
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: { name: 'response', schema: rootSchema, strict: false }
+            };
+        } else if (json) {
+            body.response_format = { type: 'json_object' };
+        }
+
+        const data = await (await post(body, signal)).json();
+        const text = data.choices?.[0]?.message?.content || '';
+        return {
+            text: schema && wrapsRoot(schema) ? unwrap(text) : text,
+            usage: toUsage(data.usage)
+        };
+    }
+
+    // Read the server-sent event stream of a `stream: true` completion
+    async function completeStream(model, messages, signal, onDelta) {
+        const response = await post({ model, messages, stream: true, stream_options: { include_usage: true } }, signal);
+
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+        let usage;
+
+        for await (const chunk of response.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const payload = line.replace(/^data:\s*/, '').trim();
+                if (!line.startsWith('data:') || !payload || payload === '[DONE]') continue;
+
+                let data;
+                try {
+                    data = JSON.parse(payload);
+                } catch {
+                    // Skip a malformed event rather than lose the rest of the reply
+                    continue;
+                }
+                const delta = data.choices?.[0]?.delta?.content;
+                if (delta) {
+                    text += delta;
+                    onDelta(delta);
+                }
+                if (data.usage) usage = data.usage;
+            }
+        }
+
+        return { text, usage: toUsage(usage) };
+    }
+
+    return {
+        name: 'openai',
+
+        async generateText({ model, prompt, json, schema, signal }) {
+            return complete(model, [{ role: 'user', content: prompt }], json, schema, signal);
+        },
+
+        async chat({ model, history, message }) {
+            return complete(model, toMessages(history, message), false);
+        },
+
+        async streamChat({ model, history, message, signal, onDelta }) {
+            return completeStream(model, toMessages(history, message), signal, onDelta);
+        }
+    };
+}
+
+module.exports = { createOpenAIProvider };
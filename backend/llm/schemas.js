@@ -0,0 +1,69 @@
+// JSON Schemas for structured AI output. They are sent to the provider as
+// output constraints and used to validate what comes back (see structured.js).
+// Keep to the subset both understand: type, properties, required, items,
+// enum, minItems/maxItems, minLength, minimum/maximum, description.
+
+const STUDY_PLAN_SCHEMA = {
+    type: 'array',
+    minItems: 1,
+    items: {
+        type: 'object',
+        properties: {
+            week: { type: 'integer', minimum: 1, description: 'Week number, starting at 1' },
+            topic: { type: 'string', minLength: 1, description: 'Theme of the week' },
+            hours: { type: 'number', minimum: 0, description: 'Estimated study hours for the week' },
+            tasks: {
+                type: 'array',
+                minItems: 1,
+                items: { type: 'string', minLength: 1 },
+                description: 'Concrete study tasks for the week'
+            }
+        },
+        required: ['week', 'topic', 'hours', 'tasks']
+    }
+};
+
+const FLASHCARDS_SCHEMA = {
+    type: 'array',
+    minItems: 1,
+    items: {
+        type: 'object',
+        properties: {
+            question: { type: 'string', minLength: 1, description: 'The flashcard question' },
+            answer: { type: 'string', minLength: 1, description: 'The detailed answer to the question' }
+        },
+        required: ['question', 'answer']
+    }
+};
+
+// Options are required for every type (empty for short answers) so the
+// schema stays within the supported subset; quiz.js checks the rest
+const QUIZ_SCHEMA = {
+    type: 'array',
+    minItems: 1,
+    items: {
+        type: 'object',
+        properties: {
+            type: {
+                type: 'string',
+                enum: ['multiple_choice', 'true_false', 'short_answer'],
+                description: 'Kind of question'
+            },
+            question: { type: 'string', minLength: 1, description: 'The question text' },
+            options: {
+                type: 'array',
+                items: { type: 'string', minLength: 1 },
+                description: 'Answer choices: 4 for multiple_choice, ["True", "False"] for true_false, [] for short_answer'
+            },
+            answer: {
+                type: 'string',
+                minLength: 1,
+                description: 'The correct option exactly as written in options, or a short answer of a few words'
+            },
+            explanation: { type: 'string', minLength: 1, description: 'Why the answer is correct' }
+        },
+        required: ['type', 'question', 'options', 'answer', 'explanation']
+    }
+};
+
+module.exports = { STUDY_PLAN_SCHEMA, FLASHCARDS_SCHEMA, QUIZ_SCHEMA };
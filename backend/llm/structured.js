@@ -0,0 +1,126 @@
+// Structured (JSON) generation: the schema is passed to the provider as an
+// output constraint, and the reply is parsed, validated and retried with the
+// validation errors until it conforms or the attempts run out.
+
+const MAX_ATTEMPTS = parseInt(process.env.LLM_JSON_MAX_ATTEMPTS) || 3;
+
+// Raised when the model never produced valid output; routes answer 502
+class AIOutputError extends Error {
+    constructor(message, errors) {
+        super(message);
+        this.name = 'AIOutputError';
+        this.status = 502;
+        this.type = 'invalid_ai_output';
+        this.errors = errors;
+    }
+}
+
+// Strip markdown fences and any chatter around the JSON value
+function parseModelJson(text) {
+    let body = String(text || '').trim();
+
+    const fenced = body.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) body = fenced[1].trim();
+
+    if (!/^[[{]/.test(body)) {
+        const start = body.search(/[[{]/);
+        const end = Math.max(body.lastIndexOf(']'), body.lastIndexOf('}'));
+        if (start !== -1 && end > start) body = body.slice(start, end + 1);
+    }
+
+    return JSON.parse(body);
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+// Validate value against the supported JSON Schema subset; returns a list of messages
+function validateSchema(schema, value, path = '$') {
+    const errors = [];
+    const actual = typeOf(value);
+
+    const typeMatches = schema.type === 'number'
+        ? actual === 'number' || actual === 'integer'
+        : actual === schema.type;
+    if (schema.type && !typeMatches) {
+        errors.push(`${path}: expected ${schema.type}, got ${actual}`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+    if (actual === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${path}: must not be empty`);
+    }
+    if ((actual === 'number' || actual === 'integer') && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: must be at least ${schema.minimum}`);
+    }
+    if ((actual === 'number' || actual === 'integer') && schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path}: must be at most ${schema.maximum}`);
+    }
+
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path}: must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path}: must have at most ${schema.maxItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+        }
+    }
+
+    if (actual === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null) errors.push(`${path}.${key}: is required`);
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined && value[key] !== null) {
+                errors.push(...validateSchema(propertySchema, value[key], `${path}.${key}`));
+            }
+        });
+    }
+
+    return errors;
+}
+
+// Generate JSON matching schema with an LLM client from getLLM(); returns the parsed value.
+// `validate(value)` can add checks the schema subset can't express, returning
+// more error messages; they are retried like schema errors. Aborting `signal`
+// stops the current call and any retries.
+async function generateStructured(llm, { prompt, schema, validate = null, maxAttempts = MAX_ATTEMPTS, signal }) {
+    let attemptPrompt = prompt;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const { text } = await llm.generateText({ prompt: attemptPrompt, json: true, schema, signal });
+
+        try {
+            const value = parseModelJson(text);
+            errors = validateSchema(schema, value);
+            if (errors.length === 0 && validate) errors = validate(value);
+            if (errors.length === 0) return value;
+        } catch (parseError) {
+            errors = [`Response is not valid JSON: ${parseError.message}`];
+        }
+
+        console.warn(`AI ${llm.feature} output failed validation (attempt ${attempt}/${maxAttempts}):`, errors.slice(0, 5));
+
+        attemptPrompt = `${prompt}
+
+Your previous response was rejected because it did not match the required JSON structure:
+${errors.slice(0, 20).map(error => `- ${error}`).join('\n')}
+
+Respond again with only the corrected JSON, no markdown fences or commentary.`;
+    }
+
+    throw new AIOutputError(`AI ${llm.feature} output did not match the expected structure after ${maxAttempts} attempts`, errors);
+}
+
+module.exports = { AIOutputError, generateStructured, parseModelJson, validateSchema };
@@ -0,0 +1,13 @@
+// Token estimates used for budgeting and offline usage reports. Roughly four
+// characters per token holds well enough for English text with both Gemini
+// and OpenAI tokenizers, and needs no extra round trip to the provider.
+const CHARS_PER_TOKEN = 4;
+
+// Role markers and separators the providers wrap around every chat turn
+const TOKENS_PER_MESSAGE = 4;
+
+const estimateTokens = text => Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+
+const estimateMessageTokens = message => estimateTokens(message.content) + TOKENS_PER_MESSAGE;
+
+module.exports = { estimateTokens, estimateMessageTokens };
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+
+// ==========================================
+// SCHEMA MIGRATIONS
+// ==========================================
+//
+// Migrations live in ./migrations as NNN_description.js and export
+// async up(db) and down(db), where db is a single MySQL connection.
+// Applied versions are recorded in the schema_migrations table.
+//
+//   npm run migrate:up        apply every pending migration
+//   npm run migrate:down      roll back the latest migration (pass a count to roll back more)
+//   npm run migrate:status    list applied and pending migrations
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const LOCK_NAME = 'study_management_migrations';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+        .sort()
+        .map(file => {
+            const [version, ...rest] = path.basename(file, '.js').split('_');
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down()`);
+            }
+            return { version, name: rest.join('_'), file, ...migration };
+        });
+}
+
+async function ensureMigrationsTable(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(32) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+}
+
+async function getAppliedVersions(db) {
+    const [rows] = await db.query(`SELECT version FROM schema_migrations ORDER BY version ASC`);
+    return new Set(rows.map(row => row.version));
+}
+
+// Run fn on one connection holding a named lock, so two servers starting
+// at once never apply the same migration twice
+async function withMigrationLock(pool, fn) {
+    const db = await pool.getConnection();
+    try {
+        const [[{ acquired }]] = await db.query(`SELECT GET_LOCK(?, ?) AS acquired`, [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+        if (acquired !== 1) {
+            throw new Error('Timed out waiting for another process to finish migrating');
+        }
+        try {
+            await ensureMigrationsTable(db);
+            return await fn(db);
+        } finally {
+            await db.query(`SELECT RELEASE_LOCK(?)`, [LOCK_NAME]);
+        }
+    } finally {
+        db.release();
+    }
+}
+
+// Apply every pending migration in order; returns the versions applied
+async function migrateUp(pool, { log = console.log } = {}) {
+    return withMigrationLock(pool, async (db) => {
+        const applied = await getAppliedVersions(db);
+        const pending = loadMigrations().filter(m => !applied.has(m.version));
+
+        for (const migration of pending) {
+            log(`↑ Applying migration ${migration.file}`);
+            await migration.up(db);
+            await db.query(
+                `INSERT INTO schema_migrations (version, name) VALUES (?, ?)`,
+                [migration.version, migration.name]
+            );
+        }
+
+        return pending.map(m => m.version);
+    });
+}
+
+// Roll back the most recent `steps` applied migrations; returns the versions reverted
+async function migrateDown(pool, { steps = 1, log = console.log } = {}) {
+    return withMigrationLock(pool, async (db) => {
+        const applied = await getAppliedVersions(db);
+        const toRevert = loadMigrations()
+            .filter(m => applied.has(m.version))
+            .reverse()
+            .slice(0, steps);
+
+        for (const migration of toRevert) {
+            log(`↓ Reverting migration ${migration.file}`);
+            await migration.down(db);
+            await db.query(`DELETE FROM schema_migrations WHERE version = ?`, [migration.version]);
+        }
+
+        return toRevert.map(m => m.version);
+    });
+}
+
+async function migrationStatus(pool) {
+    return withMigrationLock(pool, async (db) => {
+        const [rows] = await db.query(`SELECT version, applied_at as appliedAt FROM schema_migrations`);
+        const appliedAt = new Map(rows.map(row => [row.version, row.appliedAt]));
+
+        return loadMigrations().map(m => ({
+            version: m.version,
+            name: m.name,
+            applied: appliedAt.has(m.version),
+            appliedAt: appliedAt.get(m.version) || null
+        }));
+    });
+}
+
+module.exports = { migrateUp, migrateDown, migrationStatus };
+
+// CLI: node migrate.js <up|down|status> [steps]
+if (require.main === module) {
+    const { pool } = require('./db');
+    const [command = 'status', stepsArg] = process.argv.slice(2);
+
+    (async () => {
+        switch (command) {
+            case 'up': {
+                const applied = await migrateUp(pool);
+                console.log(applied.length ? `✓ Applied ${applied.length} migration(s)` : '✓ Database is up to date');
+                break;
+            }
+            case 'down': {
+                const steps = stepsArg ? parseInt(stepsArg) : 1;
+                if (!Number.isInteger(steps) || steps < 1) {
+                    throw new Error('Steps must be a positive integer');
+                }
+                const reverted = await migrateDown(pool, { steps });
+                console.log(reverted.length ? `✓ Reverted ${reverted.length} migration(s)` : '✓ Nothing to revert');
+                break;
+            }
+            case 'status': {
+                const migrations = await migrationStatus(pool);
+                migrations.forEach(m => {
+                    const state = m.applied ? `applied ${new Date(m.appliedAt).toLocaleString()}` : 'pending';
+                    console.log(`${m.applied ? '✓' : '·'} ${m.version}_${m.name}  (${state})`);
+                });
+                break;
+            }
+            default:
+                throw new Error(`Unknown command "${command}". Use up, down or status.`);
+        }
+    })()
+        .catch(err => {
+            console.error('✗ Migration failed:', err.message);
+            process.exitCode = 1;
+        })
+        .finally(() => pool.end());
+}
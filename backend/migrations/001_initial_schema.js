@@ -0,0 +1,80 @@
+// Tables the app has always used. IF NOT EXISTS lets databases that were
+// created by hand before migrations existed adopt this migration as-is.
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS study_plans (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NULL,
+            course_name VARCHAR(255) NOT NULL,
+            deadline DATE NOT NULL,
+            hours_per_day INT NOT NULL,
+            days_until INT NOT NULL,
+            total_hours INT NOT NULL,
+            plan_json LONGTEXT NOT NULL,
+            progress INT NOT NULL DEFAULT 0,
+            completed BOOLEAN NOT NULL DEFAULT FALSE,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_study_plans_user (user_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS notes (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NULL,
+            title VARCHAR(255) NOT NULL,
+            content LONGTEXT NOT NULL,
+            source VARCHAR(50) NOT NULL,
+            file_name VARCHAR(255) NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_notes_user (user_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS flashcard_sets (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NULL,
+            topic VARCHAR(255) NOT NULL,
+            total_count INT NOT NULL DEFAULT 0,
+            known_count INT NOT NULL DEFAULT 0,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_flashcard_sets_user (user_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS flashcards (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            set_id INT NOT NULL,
+            question TEXT NOT NULL,
+            answer TEXT NOT NULL,
+            known BOOLEAN NOT NULL DEFAULT FALSE,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            CONSTRAINT fk_flashcards_set FOREIGN KEY (set_id)
+                REFERENCES flashcard_sets (id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS chat_history (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NULL,
+            role VARCHAR(20) NOT NULL,
+            content LONGTEXT NOT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_chat_history_user (user_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+}
+
+async function down(db) {
+    await db.query(`DROP TABLE IF EXISTS chat_history`);
+    await db.query(`DROP TABLE IF EXISTS flashcards`);
+    await db.query(`DROP TABLE IF EXISTS flashcard_sets`);
+    await db.query(`DROP TABLE IF EXISTS notes`);
+    await db.query(`DROP TABLE IF EXISTS study_plans`);
+}
+
+module.exports = { up, down };
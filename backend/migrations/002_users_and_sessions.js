@@ -0,0 +1,37 @@
+// Accounts and login sessions. Rows created before accounts existed keep
+// user_id = NULL and are not visible to any user.
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE users (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            email VARCHAR(255) NOT NULL,
+            name VARCHAR(100) NOT NULL,
+            password_hash VARCHAR(255) NOT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_users_email (email)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    // Only a SHA-256 of each bearer token is stored, never the token itself
+    await db.query(`
+        CREATE TABLE sessions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            token_hash CHAR(64) NOT NULL,
+            expires_at DATETIME NOT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_sessions_token (token_hash),
+            INDEX idx_sessions_user (user_id),
+            CONSTRAINT fk_sessions_user FOREIGN KEY (user_id)
+                REFERENCES users (id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+}
+
+async function down(db) {
+    await db.query(`DROP TABLE IF EXISTS sessions`);
+    await db.query(`DROP TABLE IF EXISTS users`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,38 @@
+// Dated daily sessions expanded from each study plan by scheduler.js, plus
+// the rest days and blackout dates the schedule was built with.
+
+async function up(db) {
+    await db.query(`
+        ALTER TABLE study_plans
+            ADD COLUMN rest_days VARCHAR(32) NOT NULL DEFAULT '[]' AFTER hours_per_day,
+            ADD COLUMN blackout_dates TEXT NULL AFTER rest_days
+    `);
+
+    await db.query(`
+        CREATE TABLE study_sessions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            plan_id INT NOT NULL,
+            session_date DATE NOT NULL,
+            week INT NOT NULL,
+            task_index INT NOT NULL,
+            task TEXT NOT NULL,
+            hours DECIMAL(5,2) NOT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_study_sessions_plan_date (plan_id, session_date),
+            INDEX idx_study_sessions_date (session_date),
+            CONSTRAINT fk_study_sessions_plan FOREIGN KEY (plan_id)
+                REFERENCES study_plans (id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+}
+
+async function down(db) {
+    await db.query(`DROP TABLE IF EXISTS study_sessions`);
+    await db.query(`
+        ALTER TABLE study_plans
+            DROP COLUMN blackout_dates,
+            DROP COLUMN rest_days
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,66 @@
+// One row per task in each plan week, so tasks have stable IDs and their own
+// completion time. Existing plans are backfilled from plan_json; their old
+// slider progress is carried over by completing that share of tasks in order.
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE study_tasks (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            plan_id INT NOT NULL,
+            week INT NOT NULL,
+            position INT NOT NULL,
+            title TEXT NOT NULL,
+            completed_at DATETIME NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_study_tasks_position (plan_id, week, position),
+            CONSTRAINT fk_study_tasks_plan FOREIGN KEY (plan_id)
+                REFERENCES study_plans (id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+        ALTER TABLE study_sessions
+            ADD COLUMN task_id INT NULL AFTER plan_id,
+            ADD CONSTRAINT fk_study_sessions_task FOREIGN KEY (task_id)
+                REFERENCES study_tasks (id) ON DELETE SET NULL
+    `);
+
+    const [plans] = await db.query(`SELECT id, plan_json, progress, completed FROM study_plans`);
+    for (const plan of plans) {
+        let weeks;
+        try {
+            weeks = JSON.parse(plan.plan_json);
+        } catch {
+            continue;
+        }
+        if (!Array.isArray(weeks)) continue;
+
+        const tasks = weeks.flatMap(week =>
+            (Array.isArray(week.tasks) ? week.tasks : []).map((title, position) => ({ week: week.week, position, title }))
+        );
+        const completedCount = plan.completed
+            ? tasks.length
+            : Math.floor((Number(plan.progress) / 100) * tasks.length);
+
+        if (tasks.length > 0) {
+            await db.query(
+                `INSERT INTO study_tasks (plan_id, week, position, title, completed_at) VALUES ?`,
+                [tasks.map((task, i) => [plan.id, task.week, task.position, String(task.title), i < completedCount ? new Date() : null])]
+            );
+        }
+    }
+
+    await db.query(`
+        UPDATE study_sessions s
+        JOIN study_tasks t ON t.plan_id = s.plan_id AND t.week = s.week AND t.position = s.task_index
+        SET s.task_id = t.id
+    `);
+}
+
+async function down(db) {
+    await db.query(`ALTER TABLE study_sessions DROP FOREIGN KEY fk_study_sessions_task`);
+    await db.query(`ALTER TABLE study_sessions DROP COLUMN task_id`);
+    await db.query(`DROP TABLE IF EXISTS study_tasks`);
+}
+
+module.exports = { up, down };
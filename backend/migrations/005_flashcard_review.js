@@ -0,0 +1,48 @@
+// Spaced-repetition state for every flashcard (see srs.js). A card with no
+// due_date is new and due straight away. The old known flag is dropped:
+// cards marked known are treated as reviewed once and due again today, and
+// the set's known_count gives way to a mature-card count computed from intervals.
+
+async function up(db) {
+    await db.query(`
+        ALTER TABLE flashcards
+            ADD COLUMN ease DECIMAL(4,2) NOT NULL DEFAULT 2.50,
+            ADD COLUMN interval_days INT NOT NULL DEFAULT 0,
+            ADD COLUMN repetitions INT NOT NULL DEFAULT 0,
+            ADD COLUMN due_date DATE NULL,
+            ADD COLUMN last_reviewed_at DATETIME NULL,
+            ADD INDEX idx_flashcards_due (due_date)
+    `);
+
+    await db.query(`
+        UPDATE flashcards
+        SET repetitions = 1, interval_days = 1, due_date = CURDATE(), last_reviewed_at = NOW()
+        WHERE known = TRUE
+    `);
+
+    await db.query(`ALTER TABLE flashcards DROP COLUMN known`);
+    await db.query(`ALTER TABLE flashcard_sets DROP COLUMN known_count`);
+}
+
+async function down(db) {
+    await db.query(`ALTER TABLE flashcard_sets ADD COLUMN known_count INT NOT NULL DEFAULT 0 AFTER total_count`);
+    await db.query(`ALTER TABLE flashcards ADD COLUMN known BOOLEAN NOT NULL DEFAULT FALSE AFTER answer`);
+
+    await db.query(`UPDATE flashcards SET known = TRUE WHERE repetitions > 0`);
+    await db.query(`
+        UPDATE flashcard_sets s
+        SET known_count = (SELECT COUNT(*) FROM flashcards f WHERE f.set_id = s.id AND f.known = TRUE)
+    `);
+
+    await db.query(`
+        ALTER TABLE flashcards
+            DROP INDEX idx_flashcards_due,
+            DROP COLUMN last_reviewed_at,
+            DROP COLUMN due_date,
+            DROP COLUMN repetitions,
+            DROP COLUMN interval_days,
+            DROP COLUMN ease
+    `);
+}
+
+module.exports = { up, down };
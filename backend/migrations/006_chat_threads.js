@@ -0,0 +1,44 @@
+// Named chat conversations. Each user's existing chat_history becomes one
+// "Earlier conversation" thread. A NULL title means the thread is still
+// waiting for its auto-generated title.
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE chat_threads (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NULL,
+            title VARCHAR(255) NULL,
+            archived_at DATETIME NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_chat_threads_user (user_id, updated_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`ALTER TABLE chat_history ADD COLUMN thread_id INT NULL AFTER user_id`);
+
+    await db.query(`
+        INSERT INTO chat_threads (user_id, title, created_at, updated_at)
+        SELECT user_id, 'Earlier conversation', MIN(created_at), MAX(created_at)
+        FROM chat_history GROUP BY user_id
+    `);
+    await db.query(`
+        UPDATE chat_history h JOIN chat_threads t ON t.user_id <=> h.user_id
+        SET h.thread_id = t.id
+    `);
+
+    await db.query(`
+        ALTER TABLE chat_history
+            MODIFY thread_id INT NOT NULL,
+            ADD CONSTRAINT fk_chat_history_thread FOREIGN KEY (thread_id)
+                REFERENCES chat_threads (id) ON DELETE CASCADE
+    `);
+}
+
+async function down(db) {
+    await db.query(`ALTER TABLE chat_history DROP FOREIGN KEY fk_chat_history_thread`);
+    await db.query(`ALTER TABLE chat_history DROP COLUMN thread_id`);
+    await db.query(`DROP TABLE IF EXISTS chat_threads`);
+}
+
+module.exports = { up, down };
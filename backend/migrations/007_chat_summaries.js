@@ -0,0 +1,20 @@
+// Rolling summary of the older part of each chat thread (see llm/context.js).
+// summarized_through_id is the last chat_history row folded into the summary.
+
+async function up(db) {
+    await db.query(`
+        ALTER TABLE chat_threads
+            ADD COLUMN summary TEXT NULL AFTER title,
+            ADD COLUMN summarized_through_id INT NULL AFTER summary
+    `);
+}
+
+async function down(db) {
+    await db.query(`
+        ALTER TABLE chat_threads
+            DROP COLUMN summarized_through_id,
+            DROP COLUMN summary
+    `);
+}
+
+module.exports = { up, down };
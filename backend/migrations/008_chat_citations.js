@@ -0,0 +1,12 @@
+// Sources an assistant reply cited from the user's notes and flashcards,
+// stored as a JSON array of { n, type, title, section, url }.
+
+async function up(db) {
+    await db.query(`ALTER TABLE chat_history ADD COLUMN citations TEXT NULL AFTER content`);
+}
+
+async function down(db) {
+    await db.query(`ALTER TABLE chat_history DROP COLUMN citations`);
+}
+
+module.exports = { up, down };
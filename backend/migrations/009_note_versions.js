@@ -0,0 +1,33 @@
+// Every saved revision of a note. Versions are numbered per note and never
+// rewritten: editing or restoring a note appends a new one. Existing notes
+// start with their current text as version 1.
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE note_versions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            note_id INT NOT NULL,
+            version INT NOT NULL,
+            title VARCHAR(255) NOT NULL,
+            content LONGTEXT NOT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uniq_note_versions (note_id, version),
+            CONSTRAINT fk_note_versions_note FOREIGN KEY (note_id)
+                REFERENCES notes (id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await db.query(`
+        INSERT INTO note_versions (note_id, version, title, content, created_at)
+        SELECT id, 1, title, content, created_at FROM notes
+    `);
+
+    await db.query(`ALTER TABLE notes ADD COLUMN updated_at TIMESTAMP NULL AFTER created_at`);
+}
+
+async function down(db) {
+    await db.query(`ALTER TABLE notes DROP COLUMN updated_at`);
+    await db.query(`DROP TABLE IF EXISTS note_versions`);
+}
+
+module.exports = { up, down };
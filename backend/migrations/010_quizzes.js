@@ -0,0 +1,57 @@
+// Quizzes generated from a note or a flashcard set, their questions and the
+// user's graded attempts. source_id is not a foreign key: it points at either
+// table, and a quiz outlives the note or set it was made from.
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE quizzes (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NULL,
+            title VARCHAR(255) NOT NULL,
+            source_type VARCHAR(20) NOT NULL,
+            source_id INT NOT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_quizzes_user (user_id, created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    // options is a JSON array of choices, empty for short answers
+    await db.query(`
+        CREATE TABLE quiz_questions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            quiz_id INT NOT NULL,
+            position INT NOT NULL,
+            type VARCHAR(20) NOT NULL,
+            question TEXT NOT NULL,
+            options TEXT NOT NULL,
+            answer TEXT NOT NULL,
+            explanation TEXT NOT NULL,
+            UNIQUE KEY uniq_quiz_questions (quiz_id, position),
+            CONSTRAINT fk_quiz_questions_quiz FOREIGN KEY (quiz_id)
+                REFERENCES quizzes (id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    // answers is a JSON array of { questionId, response, correct }
+    await db.query(`
+        CREATE TABLE quiz_attempts (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            quiz_id INT NOT NULL,
+            score INT NOT NULL,
+            total INT NOT NULL,
+            answers TEXT NOT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_quiz_attempts_quiz (quiz_id, created_at),
+            CONSTRAINT fk_quiz_attempts_quiz FOREIGN KEY (quiz_id)
+                REFERENCES quizzes (id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+}
+
+async function down(db) {
+    await db.query(`DROP TABLE IF EXISTS quiz_attempts`);
+    await db.query(`DROP TABLE IF EXISTS quiz_questions`);
+    await db.query(`DROP TABLE IF EXISTS quizzes`);
+}
+
+module.exports = { up, down };
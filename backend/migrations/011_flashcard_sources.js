@@ -0,0 +1,35 @@
+// Flashcards generated from a stored note remember where they came from: the
+// set records the note, and each card the note section it tests, so the card
+// can link back to it. Deleting the note keeps the cards and clears the link.
+
+async function up(db) {
+    await db.query(`
+        ALTER TABLE flashcard_sets
+            ADD COLUMN source_note_id INT NULL AFTER topic,
+            ADD CONSTRAINT fk_flashcard_sets_note FOREIGN KEY (source_note_id)
+                REFERENCES notes (id) ON DELETE SET NULL
+    `);
+
+    await db.query(`
+        ALTER TABLE flashcards
+            ADD COLUMN source_note_id INT NULL AFTER answer,
+            ADD COLUMN source_section VARCHAR(255) NULL AFTER source_note_id,
+            ADD COLUMN source_anchor VARCHAR(255) NULL AFTER source_section,
+            ADD CONSTRAINT fk_flashcards_note FOREIGN KEY (source_note_id)
+                REFERENCES notes (id) ON DELETE SET NULL
+    `);
+}
+
+async function down(db) {
+    await db.query(`ALTER TABLE flashcards DROP FOREIGN KEY fk_flashcards_note`);
+    await db.query(`
+        ALTER TABLE flashcards
+            DROP COLUMN source_note_id,
+            DROP COLUMN source_section,
+            DROP COLUMN source_anchor
+    `);
+    await db.query(`ALTER TABLE flashcard_sets DROP FOREIGN KEY fk_flashcard_sets_note`);
+    await db.query(`ALTER TABLE flashcard_sets DROP COLUMN source_note_id`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+// Cards can be added, edited, removed and reordered by hand. Each card gets
+// a position within its set (backfilled in id order), and the set's stored
+// total_count gives way to a count of its cards, so edits can never leave
+// it stale.
+
+async function up(db) {
+    await db.query(`ALTER TABLE flashcards ADD COLUMN position INT NOT NULL DEFAULT 0 AFTER set_id`);
+
+    await db.query(`
+        UPDATE flashcards f
+        JOIN (
+            SELECT a.id, COUNT(b.id) AS position
+            FROM flashcards a LEFT JOIN flashcards b ON b.set_id = a.set_id AND b.id < a.id
+            GROUP BY a.id
+        ) p ON p.id = f.id
+        SET f.position = p.position
+    `);
+
+    await db.query(`ALTER TABLE flashcards ADD INDEX idx_flashcards_position (set_id, position)`);
+    await db.query(`ALTER TABLE flashcard_sets DROP COLUMN total_count`);
+}
+
+async function down(db) {
+    await db.query(`ALTER TABLE flashcard_sets ADD COLUMN total_count INT NOT NULL DEFAULT 0 AFTER source_note_id`);
+    await db.query(`
+        UPDATE flashcard_sets s
+        SET total_count = (SELECT COUNT(*) FROM flashcards f WHERE f.set_id = s.id)
+    `);
+
+    await db.query(`ALTER TABLE flashcards DROP INDEX idx_flashcards_position, DROP COLUMN position`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,32 @@
+// Uploaded files kept as they were sent, each linked to the note generated
+// from it. The bytes live in file storage (storage/) under storage_key;
+// rows go with their note or user.
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE attachments (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            note_id INT NULL,
+            file_name VARCHAR(255) NOT NULL,
+            content_type VARCHAR(255) NOT NULL,
+            size_bytes BIGINT NOT NULL,
+            sha256 CHAR(64) NOT NULL,
+            storage_key VARCHAR(255) NOT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_attachments_storage_key (storage_key),
+            INDEX idx_attachments_user (user_id),
+            INDEX idx_attachments_note (note_id),
+            CONSTRAINT fk_attachments_user FOREIGN KEY (user_id)
+                REFERENCES users (id) ON DELETE CASCADE,
+            CONSTRAINT fk_attachments_note FOREIGN KEY (note_id)
+                REFERENCES notes (id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+}
+
+async function down(db) {
+    await db.query(`DROP TABLE IF EXISTS attachments`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,36 @@
+// Background jobs for long AI generations (see jobs.js). title names what
+// the job makes, for listing it. payload, progress, result and error are
+// JSON text. worker_id and heartbeat_at belong to the server process running
+// the job, so jobs left behind by a crashed process can be queued again.
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE jobs (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            type VARCHAR(40) NOT NULL,
+            title VARCHAR(255) NOT NULL DEFAULT '',
+            status VARCHAR(20) NOT NULL DEFAULT 'queued',
+            payload LONGTEXT NOT NULL,
+            progress TEXT NULL,
+            result MEDIUMTEXT NULL,
+            error TEXT NULL,
+            attempts INT NOT NULL DEFAULT 0,
+            worker_id VARCHAR(255) NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            started_at TIMESTAMP NULL,
+            heartbeat_at TIMESTAMP NULL,
+            finished_at TIMESTAMP NULL,
+            INDEX idx_jobs_status (status, id),
+            INDEX idx_jobs_user (user_id, created_at),
+            CONSTRAINT fk_jobs_user FOREIGN KEY (user_id)
+                REFERENCES users (id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+}
+
+async function down(db) {
+    await db.query(`DROP TABLE IF EXISTS jobs`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,28 @@
+// One row per model call made for a user: the feature it was for, the
+// provider and model, and its input and output token counts (usage.js).
+// Quotas and the usage report sum these rows.
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE ai_usage (
+            id BIGINT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            feature VARCHAR(40) NOT NULL,
+            provider VARCHAR(40) NOT NULL,
+            model VARCHAR(100) NOT NULL,
+            input_tokens INT NOT NULL DEFAULT 0,
+            output_tokens INT NOT NULL DEFAULT 0,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_ai_usage_user (user_id, created_at),
+            INDEX idx_ai_usage_user_feature (user_id, feature, created_at),
+            CONSTRAINT fk_ai_usage_user FOREIGN KEY (user_id)
+                REFERENCES users (id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+}
+
+async function down(db) {
+    await db.query(`DROP TABLE IF EXISTS ai_usage`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,14 @@
+// A counter bumped whenever a user's notes, flashcards, plans or chat
+// messages change. Every server process keeps its own search index per user
+// (search/index.js) and rebuilds it when the counter has moved, so a change
+// made by another process or a job worker is seen on the next search.
+
+async function up(db) {
+    await db.query(`ALTER TABLE users ADD COLUMN content_version INT NOT NULL DEFAULT 0`);
+}
+
+async function down(db) {
+    await db.query(`ALTER TABLE users DROP COLUMN content_version`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+// One row per AI request a route let through, for the per-minute rate
+// limits (usage.js). Rows live in the database so every server process
+// counts against the same limit, and are deleted once out of the window.
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE ai_requests (
+            id BIGINT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            feature VARCHAR(40) NOT NULL,
+            created_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+            INDEX idx_ai_requests_user (user_id, created_at),
+            CONSTRAINT fk_ai_requests_user FOREIGN KEY (user_id)
+                REFERENCES users (id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+}
+
+async function down(db) {
+    await db.query(`DROP TABLE IF EXISTS ai_requests`);
+}
+
+module.exports = { up, down };
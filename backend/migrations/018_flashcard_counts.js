@@ -0,0 +1,32 @@
+// Brings back flashcard_sets.total_count, which 012 dropped. The routes keep
+// it up to date in the same transaction as every card added or removed, and
+// it is recounted here once. A database that ran an earlier copy of 012,
+// which kept the column, is only recounted.
+//
+// known_count is not restored: 005 replaced the known flag with review
+// state, and the mature count every set response carries is derived from
+// the cards' intervals, so there is no stored count to keep in step.
+
+async function columnExists(db) {
+    const [rows] = await db.query(`
+        SELECT 1 FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'flashcard_sets' AND COLUMN_NAME = 'total_count'
+    `);
+    return rows.length > 0;
+}
+
+async function up(db) {
+    if (!await columnExists(db)) {
+        await db.query(`ALTER TABLE flashcard_sets ADD COLUMN total_count INT NOT NULL DEFAULT 0 AFTER source_note_id`);
+    }
+    await db.query(`
+        UPDATE flashcard_sets s
+        SET total_count = (SELECT COUNT(*) FROM flashcards f WHERE f.set_id = s.id)
+    `);
+}
+
+async function down(db) {
+    await db.query(`ALTER TABLE flashcard_sets DROP COLUMN total_count`);
+}
+
+module.exports = { up, down };
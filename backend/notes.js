@@ -0,0 +1,253 @@
+const { marked } = require('marked');
+const { getLLM } = require('./llm');
+const { estimateTokens } = require('./llm/tokens');
+const { headingAnchors } = require('./search/chunk');
+
+// ==========================================
+// NOTE GENERATION PIPELINE
+// ==========================================
+//
+// Sources that fit in one prompt get notes from a single model call. Longer
+// ones (textbooks, transcripts) are split along their headings into chunks,
+// each chunk is summarised on its own (map), and the partial notes are
+// merged into one structured set of notes (reduce), in several rounds when
+// the partials themselves are too long for one prompt.
+//
+//   NOTES_CHUNK_TOKENS        source tokens per prompt (default 6000)
+//   NOTES_MERGE_TOKENS        partial-note tokens per merge prompt (default 12000)
+//   NOTES_CONCURRENCY         chunks summarised at once (default 2)
+
+const CHUNK_TOKENS = parseInt(process.env.NOTES_CHUNK_TOKENS) || 6000;
+const MERGE_TOKENS = parseInt(process.env.NOTES_MERGE_TOKENS) || 12000;
+const CONCURRENCY = parseInt(process.env.NOTES_CONCURRENCY) || 2;
+
+const CHARS_PER_TOKEN = 4;
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+// Split the source into sections at Markdown headings (PDF extraction marks
+// its headings the same way), ignoring "#" lines inside code fences.
+// -> [{ path: ['Chapter 2', 'Enzymes'], text }], text including its heading
+function splitSections(text) {
+    const sections = [{ path: [], lines: [] }];
+    const stack = [];
+    let inFence = false;
+
+    for (const line of String(text || '').split(/\r?\n/)) {
+        if (FENCE_PATTERN.test(line)) inFence = !inFence;
+        const match = !inFence && line.match(HEADING_PATTERN);
+        if (match) {
+            const level = match[1].length;
+            while (stack.length > 0 && stack[stack.length - 1].level >= level) stack.pop();
+            stack.push({ level, title: match[2] });
+            sections.push({ path: stack.map(heading => heading.title), lines: [] });
+        }
+        sections[sections.length - 1].lines.push(line);
+    }
+
+    return sections
+        .map(section => ({ path: section.path, text: section.lines.join('\n').trim() }))
+        .filter(section => section.text);
+}
+
+// Cut text that is too long for one chunk at paragraph breaks, then line
+// breaks, then sentence ends, and only as a last resort mid-sentence
+function splitLongText(text, maxChars) {
+    const pieces = [];
+    let rest = text;
+    while (rest.length > maxChars) {
+        const window = rest.slice(0, maxChars);
+        const cut = [window.lastIndexOf('\n\n'), window.lastIndexOf('\n'), window.lastIndexOf('. ') + 1]
+            .find(index => index > maxChars / 2);
+        const end = cut || maxChars;
+        pieces.push(rest.slice(0, end).trim());
+        rest = rest.slice(end).trim();
+    }
+    if (rest) pieces.push(rest);
+    return pieces;
+}
+
+// Pack consecutive sections into chunks of at most maxTokens. A chunk is
+// labelled with the heading path of the section it starts in.
+// -> [{ path, text }]
+function splitSource(text, maxTokens = CHUNK_TOKENS) {
+    const maxChars = maxTokens * CHARS_PER_TOKEN;
+    const chunks = [];
+    let current = null;
+
+    const flush = () => {
+        if (current) chunks.push(current);
+        current = null;
+    };
+
+    for (const section of splitSections(text)) {
+        if (section.text.length > maxChars) {
+            flush();
+            splitLongText(section.text, maxChars).forEach(piece => chunks.push({ path: section.path, text: piece }));
+        } else if (current && current.text.length + section.text.length + 2 > maxChars) {
+            flush();
+            current = { ...section };
+        } else if (current) {
+            current.text += `\n\n${section.text}`;
+        } else {
+            current = { ...section };
+        }
+    }
+    flush();
+    return chunks;
+}
+
+// Run task(item, index) over items, at most `limit` at a time, in order
+async function mapWithLimit(items, limit, task) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await task(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Group partial notes into batches that each fit in one merge prompt
+function batchByTokens(parts, maxTokens) {
+    const batches = [];
+    let batch = [];
+    let used = 0;
+    parts.forEach(part => {
+        const cost = estimateTokens(part.text);
+        if (batch.length > 0 && used + cost > maxTokens) {
+            batches.push(batch);
+            batch = [];
+            used = 0;
+        }
+        batch.push(part);
+        used += cost;
+    });
+    if (batch.length > 0) batches.push(batch);
+    return batches;
+}
+
+const partLabel = part => (part.path.length > 0 ? ` (${part.path.join(' › ')})` : '');
+
+const formatParts = parts => parts
+    .map((part, i) => `--- Part ${i + 1}${partLabel(part)} ---\n${part.text}`)
+    .join('\n\n');
+
+function singlePassPrompt(topic, content, sourceHint) {
+    return `Generate comprehensive study notes for the topic: "${topic}". ${sourceHint}Use the following content as a source, if provided: "${content || 'No specific content provided, use general knowledge.'}".
+
+        The notes should be formatted clearly using Markdown with sections for a Summary, Key Concepts (as a bulleted list), and Practice Questions (as a numbered list).`;
+}
+
+function chunkPrompt(topic, chunk, index, total, sourceHint) {
+    return `You are writing study notes on "${topic}" from a long source, one part at a time. ${sourceHint}
+This is part ${index + 1} of ${total}${chunk.path.length > 0 ? `, from the section "${chunk.path.join(' › ')}"` : ''}.
+
+Write concise Markdown notes for this part only. Use ### headings for its main topics and bullet points for the key facts, definitions, formulas and examples. Keep any [Page N] references next to the facts they support. Do not add an introduction or a conclusion. Reply with the notes only.
+
+Part ${index + 1}:
+"""
+${chunk.text}
+"""`;
+}
+
+function mergePrompt(topic, parts) {
+    return `The partial notes below were written part by part from one long source on "${topic}". Merge them into a shorter set of notes that keeps every topic in the original order, joining repeated topics. Use ### headings and bullet points, keep [Page N] references, and reply with the notes only.
+
+${formatParts(parts)}`;
+}
+
+function finalPrompt(topic, parts) {
+    return `The partial notes below were written part by part from one long source on "${topic}". Combine them into one set of well structured study notes in Markdown, with these top-level sections in this order:
+
+## Summary: a short overview of the whole source
+## Key Concepts: a bulleted list of the most important ideas
+Then one ## section per major topic of the source, in the source's order, with ### subsections where they help. Join repeated topics and drop duplicate points.
+## Practice Questions: a numbered list
+
+Keep [Page N] references next to the facts they support. Reply with the notes only.
+
+${formatParts(parts)}`;
+}
+
+// A linked contents list for the note's sections. Anchors follow
+// search/chunk.js, which the notes page uses for heading ids.
+function tableOfContents(markdown) {
+    const headings = marked.lexer(markdown).filter(token => token.type === 'heading');
+    const anchors = headingAnchors(headings.map(heading => heading.text.trim()));
+    const sections = headings
+        .map((heading, i) => ({ depth: heading.depth, text: heading.text.trim(), anchor: anchors[i] }))
+        .filter(heading => heading.depth === 2);
+    if (sections.length < 3) return '';
+
+    return `**Contents**\n\n${sections.map(section => `- [${section.text}](#${section.anchor})`).join('\n')}\n\n`;
+}
+
+const throwIfAborted = signal => {
+    if (signal && signal.aborted) throw signal.reason || new Error('Note generation was cancelled');
+};
+
+// Study notes (Markdown) for a topic and optional source text.
+// onProgress({ stage, round, completed, total }) reports each step, where
+// stage is 'summarizing' (one step per chunk), 'merging' (one per batch of
+// partial notes in each merge round, the last round being the final notes)
+// or 'done'. Aborting `signal` stops the pipeline and the model call in flight.
+// The model calls are metered to userId.
+async function generateNotes({ topic, content = '', sourceHint = '', userId = null, onProgress = () => {}, signal } = {}) {
+    const llm = getLLM('notes', { userId });
+
+    if (estimateTokens(content) <= CHUNK_TOKENS) {
+        onProgress({ stage: 'summarizing', completed: 0, total: 1 });
+        // **AI CALL for Notes Generation**
+        const { text } = await llm.generateText({ prompt: singlePassPrompt(topic, content, sourceHint), signal });
+        onProgress({ stage: 'done', completed: 1, total: 1 });
+        return text;
+    }
+
+    // Map: notes for each chunk of the source
+    const chunks = splitSource(content);
+    let completed = 0;
+    onProgress({ stage: 'summarizing', completed, total: chunks.length });
+    let parts = await mapWithLimit(chunks, CONCURRENCY, async (chunk, i) => {
+        throwIfAborted(signal);
+        // **AI CALL for Notes Generation**, one part of the source
+        const { text } = await llm.generateText({ prompt: chunkPrompt(topic, chunk, i, chunks.length, sourceHint), signal });
+        onProgress({ stage: 'summarizing', completed: ++completed, total: chunks.length });
+        return { path: chunk.path, text: text.trim() };
+    });
+
+    // Reduce: merge neighbouring parts until they fit in the final prompt
+    let round = 0;
+    while (parts.reduce((sum, part) => sum + estimateTokens(part.text), 0) > MERGE_TOKENS && parts.length > 1) {
+        const batches = batchByTokens(parts, MERGE_TOKENS);
+        // Stop when no batch holds more than one part; the final prompt takes them as they are
+        if (batches.length === parts.length) break;
+        round++;
+        let merged = 0;
+        parts = await mapWithLimit(batches, CONCURRENCY, async batch => {
+            throwIfAborted(signal);
+            let part = batch[0];
+            if (batch.length > 1) {
+                // **AI CALL for Notes Generation**, merging partial notes
+                const { text } = await llm.generateText({ prompt: mergePrompt(topic, batch), signal });
+                part = { path: batch[0].path, text: text.trim() };
+            }
+            onProgress({ stage: 'merging', round, completed: ++merged, total: batches.length });
+            return part;
+        });
+    }
+
+    throwIfAborted(signal);
+    onProgress({ stage: 'merging', round: round + 1, completed: 0, total: 1 });
+    // **AI CALL for Notes Generation**, the final structured notes
+    const { text } = await llm.generateText({ prompt: finalPrompt(topic, parts), signal });
+    onProgress({ stage: 'done', completed: 1, total: 1 });
+
+    const notes = text.trim();
+    return `${tableOfContents(notes)}${notes}`;
+}
+
+module.exports = { generateNotes, splitSource, splitSections, tableOfContents };
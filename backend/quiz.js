@@ -0,0 +1,98 @@
+const { tokenize } = require('./search/bm25');
+
+// ==========================================
+// QUIZZES
+// ==========================================
+//
+// Checks generated quiz questions and grades attempts. Multiple choice and
+// true/false answers are stored as option text and must match exactly;
+// short answers are compared word by word so small differences in wording
+// or plurals still count.
+
+const QUESTION_TYPES = ['multiple_choice', 'true_false', 'short_answer'];
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+// Share of the expected answer's words a short answer must contain
+const SHORT_ANSWER_MATCH = 0.7;
+
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+// Rules QUIZ_SCHEMA can't express, as messages for generateStructured() to retry with
+function checkQuizQuestions(questions) {
+    const errors = [];
+    questions.forEach((q, i) => {
+        const path = `$[${i}]`;
+        if (q.type === 'multiple_choice') {
+            if (q.options.length < 3 || q.options.length > 6) errors.push(`${path}.options: multiple_choice needs 3 to 6 options`);
+            if (!q.options.some(option => sameText(option, q.answer))) errors.push(`${path}.answer: must be one of the options`);
+        } else if (q.type === 'true_false') {
+            if (!TRUE_FALSE_OPTIONS.some(option => sameText(option, q.answer))) errors.push(`${path}.answer: must be "True" or "False"`);
+        } else if (tokenize(q.answer).length === 0) {
+            errors.push(`${path}.answer: short_answer needs an answer with at least one meaningful word`);
+        }
+    });
+    return errors;
+}
+
+// Tidy validated questions for storage: canonical true/false options and
+// answers spelled exactly like their option
+function normalizeQuestions(questions) {
+    return questions.map(q => {
+        const options = q.type === 'true_false' ? TRUE_FALSE_OPTIONS
+            : q.type === 'multiple_choice' ? q.options.map(option => option.trim())
+                : [];
+        const answer = options.find(option => sameText(option, q.answer)) || q.answer.trim();
+        return {
+            type: q.type,
+            question: q.question.trim(),
+            options,
+            answer,
+            explanation: q.explanation.trim()
+        };
+    });
+}
+
+function isCorrect(question, response) {
+    if (response === undefined || response === null || String(response).trim() === '') return false;
+    if (question.type !== 'short_answer') return sameText(response, question.answer);
+
+    const expected = new Set(tokenize(question.answer));
+    const given = new Set(tokenize(response));
+    if (expected.size === 0) return sameText(response, question.answer);
+
+    // Numbers in the answer must all be there
+    const numbers = [...expected].filter(token => /^\d/.test(token));
+    if (numbers.some(number => !given.has(number))) return false;
+
+    const matched = [...expected].filter(token => given.has(token)).length;
+    return matched / expected.size >= SHORT_ANSWER_MATCH;
+}
+
+// answers: { [questionId]: response }. Returns { score, total, percent, results }
+// with one { questionId, response, correct } per question, in order.
+function gradeAttempt(questions, answers) {
+    const results = questions.map(question => {
+        const response = answers[question.id];
+        return {
+            questionId: question.id,
+            response: response === undefined || response === null ? null : String(response),
+            correct: isCorrect(question, response)
+        };
+    });
+    const score = results.filter(result => result.correct).length;
+
+    return {
+        score,
+        total: questions.length,
+        percent: questions.length > 0 ? Math.round((score / questions.length) * 100) : 0,
+        results
+    };
+}
+
+module.exports = {
+    QUESTION_TYPES,
+    checkQuizQuestions,
+    normalizeQuestions,
+    isCorrect,
+    gradeAttempt
+};
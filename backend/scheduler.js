@@ -0,0 +1,149 @@
+// ==========================================
+// STUDY SCHEDULER
+// ==========================================
+//
+// Expands a weekly study plan into dated daily sessions. Dates are plain
+// 'YYYY-MM-DD' strings handled in UTC so the server's timezone never shifts a day.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Schedules reach at most this far past their first day
+const MAX_SCHEDULE_DAYS = 3 * 366;
+
+// Sessions are planned in quarter hours
+const roundHours = hours => Math.round(hours * 4) / 4;
+
+function toDateString(value) {
+    if (typeof value === 'string' && DATE_PATTERN.test(value)) return value;
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) throw new Error(`Invalid date: ${value}`);
+    return date.toISOString().slice(0, 10);
+}
+
+const parseDate = dateString => new Date(`${dateString}T00:00:00Z`);
+const addDays = (dateString, days) => toDateString(new Date(parseDate(dateString).getTime() + days * DAY_MS));
+
+// Why the rest days / blackout dates sent by a client can't be used, or
+// null when they can. Either may be left out.
+function scheduleConstraintsError({ restDays, blackoutDates }) {
+    if (restDays !== undefined && restDays !== null && !Array.isArray(restDays)) {
+        return 'restDays must be an array of weekday numbers (0 = Sunday to 6 = Saturday)';
+    }
+    if (blackoutDates !== undefined && blackoutDates !== null && !Array.isArray(blackoutDates)) {
+        return "blackoutDates must be an array of 'YYYY-MM-DD' dates";
+    }
+    return null;
+}
+
+// Normalise user input: weekday numbers 0 (Sunday) to 6, and valid unique dates
+function normalizeRestDays(restDays) {
+    const days = Array.isArray(restDays) ? restDays : [];
+    return [...new Set(days.map(Number).filter(day => Number.isInteger(day) && day >= 0 && day <= 6))].sort();
+}
+
+function normalizeBlackoutDates(blackoutDates) {
+    const dates = Array.isArray(blackoutDates) ? blackoutDates : [];
+    return [...new Set(dates.filter(date => typeof date === 'string' && DATE_PATTERN.test(date) && !Number.isNaN(parseDate(date).getTime())))].sort();
+}
+
+// Days from startDate up to (not including) the deadline that are neither
+// rest days nor blacked out, for at most MAX_SCHEDULE_DAYS
+function availableStudyDays({ startDate, deadline, restDays = [], blackoutDates = [] }) {
+    const rest = new Set(normalizeRestDays(restDays));
+    const blackout = new Set(normalizeBlackoutDates(blackoutDates));
+    const start = toDateString(startDate);
+    const limit = addDays(start, MAX_SCHEDULE_DAYS);
+    const end = toDateString(deadline) < limit ? toDateString(deadline) : limit;
+
+    const days = [];
+    for (let date = start; date < end; date = addDays(date, 1)) {
+        if (!rest.has(parseDate(date).getUTCDay()) && !blackout.has(date)) days.push(date);
+    }
+    return days;
+}
+
+// Give each week a run of consecutive study days in proportion to its hours
+function allocateDaysToWeeks(weeks, days) {
+    const weights = weeks.map(week => Math.max(Number(week.hours) || 0, 0.01));
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+    const counts = weights.map(w => Math.floor((w / totalWeight) * days.length));
+    // Hand out the days lost to rounding, earliest weeks first, and make sure
+    // every week gets a day while there are days to give
+    let remaining = days.length - counts.reduce((sum, n) => sum + n, 0);
+    for (let i = 0; remaining > 0 && i < counts.length; i++) {
+        if (counts[i] === 0) {
+            counts[i]++;
+            remaining--;
+        }
+    }
+    for (let i = 0; remaining > 0; i = (i + 1) % counts.length) {
+        counts[i]++;
+        remaining--;
+    }
+    // Too few days for every week: take days back from the largest weeks
+    while (counts.reduce((sum, n) => sum + n, 0) > days.length) {
+        counts[counts.indexOf(Math.max(...counts))]--;
+    }
+
+    let cursor = 0;
+    return counts.map(count => {
+        const slice = days.slice(cursor, cursor + count);
+        cursor += count;
+        return slice;
+    });
+}
+
+// Spread one week's tasks over its days, each day getting an even share of the week's hours
+function scheduleWeek(week, days, hoursPerDay) {
+    const tasks = week.tasks && week.tasks.length > 0 ? week.tasks : [week.topic];
+    if (days.length === 0) return [];
+
+    const capacity = days.length * hoursPerDay;
+    const weekHours = Math.min(Number(week.hours) > 0 ? Number(week.hours) : capacity, capacity);
+    const queue = tasks.map((task, taskIndex) => ({ task, taskIndex, remaining: weekHours / tasks.length }));
+
+    const sessions = [];
+    let hoursLeft = weekHours;
+
+    days.forEach((date, dayIndex) => {
+        const isLastDay = dayIndex === days.length - 1;
+        let dayBudget = isLastDay ? hoursLeft : Math.min(hoursPerDay, hoursLeft / (days.length - dayIndex));
+
+        while (dayBudget > 0.01 && queue.length > 0) {
+            const current = queue[0];
+            const hours = Math.min(current.remaining, dayBudget);
+            sessions.push({ date, week: week.week, taskIndex: current.taskIndex, task: current.task, hours });
+            current.remaining -= hours;
+            dayBudget -= hours;
+            hoursLeft -= hours;
+            if (current.remaining <= 0.01) queue.shift();
+        }
+    });
+
+    // Merge rounding leftovers into quarter hours, dropping empty slivers
+    return sessions
+        .map(session => ({ ...session, hours: roundHours(session.hours) }))
+        .filter(session => session.hours > 0);
+}
+
+// Expand a plan into [{ date, week, taskIndex, task, hours }], ordered by date
+function buildSchedule({ weeks, startDate, deadline, hoursPerDay, restDays = [], blackoutDates = [] }) {
+    const days = availableStudyDays({ startDate, deadline, restDays, blackoutDates });
+    if (days.length === 0 || weeks.length === 0) return [];
+
+    const weekDays = allocateDaysToWeeks(weeks, days);
+    return weeks.flatMap((week, i) => scheduleWeek(week, weekDays[i], Number(hoursPerDay)));
+}
+
+module.exports = {
+    MAX_SCHEDULE_DAYS,
+    buildSchedule,
+    availableStudyDays,
+    addDays,
+    normalizeRestDays,
+    normalizeBlackoutDates,
+    scheduleConstraintsError,
+    toDateString
+};
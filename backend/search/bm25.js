@@ -0,0 +1,79 @@
+// Okapi BM25 ranking over an in-memory document set. Documents are
+// { id, text, ... } and anything besides text is passed back with the results.
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set(`a about above after again all also am an and any are as at be because been
+before being below between both but by can could did do does doing down during each few for from
+further had has have having he her here hers him his how i if in into is it its itself just me more
+most my no nor not now of off on once only or other our ours out over own same she should so some
+such than that the their theirs them then there these they this those through to too under until
+up very was we were what when where which while who whom why will with would you your yours`.split(/\s+/));
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// The index term for one word, or null for stopwords. A trailing plural "s"
+// is dropped so "equation" also matches "equations".
+function normalizeToken(word) {
+    const token = word.toLowerCase();
+    if (STOPWORDS.has(token)) return null;
+    return token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token;
+}
+
+function tokenize(text) {
+    return (String(text || '').match(WORD_PATTERN) || []).map(normalizeToken).filter(Boolean);
+}
+
+function createBM25Index() {
+    const docs = [];
+    const docFreq = new Map();
+    let totalLength = 0;
+
+    function add(doc) {
+        const terms = new Map();
+        const tokens = tokenize(doc.text);
+        tokens.forEach(token => terms.set(token, (terms.get(token) || 0) + 1));
+        terms.forEach((_, term) => docFreq.set(term, (docFreq.get(term) || 0) + 1));
+
+        docs.push({ doc, terms, length: tokens.length });
+        totalLength += tokens.length;
+    }
+
+    // Returns [{ doc, score }] best first. `filter(doc)` narrows the candidates.
+    function search(query, { limit = 10, filter = null } = {}) {
+        const queryTerms = [...new Set(tokenize(query))];
+        if (queryTerms.length === 0 || docs.length === 0) return [];
+
+        const averageLength = totalLength / docs.length || 1;
+        const idf = term => {
+            const n = docFreq.get(term) || 0;
+            return Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+        };
+
+        const results = [];
+        for (const entry of docs) {
+            if (filter && !filter(entry.doc)) continue;
+
+            let score = 0;
+            for (const term of queryTerms) {
+                const tf = entry.terms.get(term);
+                if (!tf) continue;
+                score += idf(term) * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * (entry.length / averageLength)));
+            }
+            if (score > 0) results.push({ doc: entry.doc, score });
+        }
+
+        return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    return {
+        add,
+        search,
+        get size() {
+            return docs.length;
+        }
+    };
+}
+
+module.exports = { createBM25Index, tokenize, normalizeToken, WORD_PATTERN };
@@ -0,0 +1,67 @@
+const { marked } = require('marked');
+
+// Splits a Markdown note into searchable passages, one or more per section.
+// Sections start at top-level headings as marked parses them, and anchors
+// follow the same rules as renderMarkdown() in frontend/script.js so a
+// citation can link straight to the heading in notes.html.
+
+const MAX_CHUNK_CHARS = 1200;
+
+function slugify(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[*_`]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'section';
+}
+
+// Anchor for every heading in order, numbering repeats: "summary", "summary-2"
+function headingAnchors(headings) {
+    const seen = new Map();
+    return headings.map(heading => {
+        const slug = slugify(heading);
+        const count = (seen.get(slug) || 0) + 1;
+        seen.set(slug, count);
+        return count === 1 ? slug : `${slug}-${count}`;
+    });
+}
+
+// Split long section text on paragraph breaks, hard-wrapping huge paragraphs
+function splitText(text) {
+    const chunks = [];
+    let current = '';
+    for (const paragraph of text.split(/\n\s*\n/)) {
+        for (let i = 0; i < paragraph.length; i += MAX_CHUNK_CHARS) {
+            const piece = paragraph.slice(i, i + MAX_CHUNK_CHARS);
+            if (current && current.length + piece.length > MAX_CHUNK_CHARS) {
+                chunks.push(current);
+                current = '';
+            }
+            current = current ? `${current}\n\n${piece}` : piece;
+        }
+    }
+    if (current.trim()) chunks.push(current);
+    return chunks;
+}
+
+// -> [{ section, anchor, text }]; text before the first heading has no anchor
+function chunkNote(content) {
+    const sections = [{ heading: null, body: '' }];
+    for (const token of marked.lexer(String(content || ''))) {
+        if (token.type === 'heading') sections.push({ heading: token.text.trim(), body: '' });
+        else sections[sections.length - 1].body += token.raw;
+    }
+
+    const anchors = headingAnchors(sections.slice(1).map(section => section.heading));
+
+    return sections.flatMap((section, i) => {
+        const anchor = i === 0 ? null : anchors[i - 1];
+        return splitText(section.body.trim()).map(text => ({
+            section: section.heading,
+            anchor,
+            text: section.heading ? `${section.heading}\n${text}` : text
+        }));
+    });
+}
+
+module.exports = { chunkNote, slugify, headingAnchors };
@@ -0,0 +1,310 @@
+const { pool } = require('../db');
+const { createBM25Index } = require('./bm25');
+const { chunkNote } = require('./chunk');
+const { highlightSnippet } = require('./snippet');
+const { toDateString } = require('../scheduler');
+
+// ==========================================
+// LOCAL RETRIEVAL
+// ==========================================
+//
+// Each user gets an in-process BM25 index over their note passages,
+// flashcards, study plans and chat messages, so nothing leaves the server.
+// Chat retrieval only looks at notes and flashcards; search covers
+// everything.
+//
+// Indexes are built on first use. Every server process (and every job
+// worker) keeps its own, so a change is recorded by bumping the user's
+// content_version in the database; each lookup reads it (one small query)
+// and rebuilds when it has moved. Each process still holds a copy of the
+// index in memory, and a search racing a change in another process may
+// see the content from just before it.
+
+const MAX_CACHED_INDEXES = 100;
+// userId -> { version, building: Promise<index> }
+const indexes = new Map();
+
+async function buildUserIndex(userId) {
+    const index = createBM25Index();
+
+    const [notes] = await pool.execute(
+        `SELECT id, title, content, source, created_at as createdAt FROM notes WHERE user_id = ?`,
+        [userId]
+    );
+    notes.forEach(note => {
+        chunkNote(note.content).forEach((chunk, i) => {
+            index.add({
+                type: 'note',
+                id: `note:${note.id}:${i}`,
+                noteId: note.id,
+                title: note.title,
+                source: note.source,
+                section: chunk.section,
+                anchor: chunk.anchor,
+                createdAt: note.createdAt,
+                body: chunk.text,
+                text: `${note.title}\n${chunk.text}`
+            });
+        });
+    });
+
+    const [cards] = await pool.execute(
+        `SELECT f.id, f.set_id as setId, f.question, f.answer, s.topic, s.created_at as createdAt
+         FROM flashcards f JOIN flashcard_sets s ON s.id = f.set_id
+         WHERE s.user_id = ?`,
+        [userId]
+    );
+    cards.forEach(card => {
+        index.add({
+            type: 'flashcard',
+            id: `flashcard:${card.id}`,
+            cardId: card.id,
+            setId: card.setId,
+            title: card.topic,
+            createdAt: card.createdAt,
+            body: `Q: ${card.question}\nA: ${card.answer}`,
+            text: `${card.topic}\n${card.question}\n${card.answer}`
+        });
+    });
+
+    const [plans] = await pool.execute(
+        `SELECT id, course_name as courseName, plan_json as plan, created_at as createdAt FROM study_plans WHERE user_id = ?`,
+        [userId]
+    );
+    plans.forEach(plan => {
+        const weeks = JSON.parse(plan.plan || '[]');
+        const body = weeks.map(week => `Week ${week.week}: ${week.topic}. ${(week.tasks || []).join('. ')}`).join('\n');
+        index.add({
+            type: 'plan',
+            id: `plan:${plan.id}`,
+            planId: plan.id,
+            title: plan.courseName,
+            createdAt: plan.createdAt,
+            body,
+            text: `${plan.courseName}\n${body}`
+        });
+    });
+
+    const [messages] = await pool.execute(
+        `SELECT id, thread_id as threadId, role, content, created_at as createdAt FROM chat_history WHERE user_id = ?`,
+        [userId]
+    );
+    messages.forEach(message => index.add(chatDocument(message)));
+
+    return index;
+}
+
+// Thread titles change after indexing, so search looks them up when it runs
+const chatDocument = message => ({
+    type: 'chat',
+    id: `chat:${message.id}`,
+    messageId: message.id,
+    threadId: message.threadId,
+    role: message.role,
+    createdAt: message.createdAt,
+    body: message.content,
+    text: message.content
+});
+
+async function contentVersion(userId) {
+    const [rows] = await pool.execute(`SELECT content_version as version FROM users WHERE id = ?`, [userId]);
+    return rows[0] ? rows[0].version : 0;
+}
+
+// Record a change to the user's content for every process; resolves with
+// the new version
+async function bumpContentVersion(userId) {
+    const [result] = await pool.execute(
+        `UPDATE users SET content_version = LAST_INSERT_ID(content_version + 1) WHERE id = ?`,
+        [userId]
+    );
+    return result.insertId;
+}
+
+// The promise is cached so concurrent requests share one build. The version
+// is read before building, so a change made during the build triggers
+// another one on the next lookup.
+async function getUserIndex(userId) {
+    const version = await contentVersion(userId);
+    const cached = indexes.get(userId);
+    if (cached && cached.version === version) return cached.building;
+
+    const building = buildUserIndex(userId);
+    const entry = { version, building };
+    building.catch(() => {
+        if (indexes.get(userId) === entry) indexes.delete(userId);
+    });
+    indexes.delete(userId);
+    indexes.set(userId, entry);
+
+    // Keep memory bounded: forget the least recently built index
+    if (indexes.size > MAX_CACHED_INDEXES) indexes.delete(indexes.keys().next().value);
+    return building;
+}
+
+// Call after any change to a user's notes, flashcards, plans or threads
+function invalidateUserIndex(userId) {
+    indexes.delete(userId);
+    bumpContentVersion(userId).catch(error => console.error('Error recording content change:', error));
+}
+
+// New chat messages are added to an already built index instead of
+// rebuilding it on every turn, unless another change came in meanwhile
+async function indexChatMessage(userId, message) {
+    const version = await bumpContentVersion(userId);
+    const cached = indexes.get(userId);
+    if (!cached) return;
+    if (cached.version !== version - 1) {
+        indexes.delete(userId);
+        return;
+    }
+    cached.version = version;
+    (await cached.building).add(chatDocument(message));
+}
+
+// Where a citation of this passage should link to in the frontend
+function sourceUrl(doc) {
+    if (doc.type === 'note') return `notes.html?note=${doc.noteId}${doc.anchor ? `#${doc.anchor}` : ''}`;
+    if (doc.type === 'flashcard') return `notes.html?set=${doc.setId}`;
+    if (doc.type === 'plan') return `study.html?plan=${doc.planId}`;
+    if (doc.type === 'chat') return `chat.html?thread=${doc.threadId}`;
+    return null;
+}
+
+const SEARCH_TYPES = ['note', 'flashcard', 'plan', 'chat'];
+const NOTE_SOURCES = ['ai', 'pdf', 'local_file', 'docx', 'pptx', 'html', 'epub', 'markdown'];
+const MAX_SEARCH_RESULTS = 50;
+
+// One result per note, flashcard set, plan and chat thread: the best
+// matching passage stands in for the rest
+const resultKey = doc => {
+    if (doc.type === 'note') return `note:${doc.noteId}`;
+    if (doc.type === 'flashcard') return `set:${doc.setId}`;
+    if (doc.type === 'plan') return `plan:${doc.planId}`;
+    return `thread:${doc.threadId}`;
+};
+
+// Ranked search across everything the user has saved. Filters:
+//   types   ['note', 'flashcard', 'plan', 'chat'] (all when empty)
+//   source  note source; other types have none, so only notes match
+//   from/to 'YYYY-MM-DD' creation dates, inclusive
+// Returns [{ type, id, title, section, snippet, url, source, createdAt, score }]
+// where id is the note, set, plan or thread id. Chat results have no title
+// yet; the caller fills in the thread's.
+async function searchUserContent(userId, query, { types = [], source = null, from = null, to = null, limit = 20 } = {}) {
+    const index = await getUserIndex(userId);
+    const wanted = new Set(types.length > 0 ? types : SEARCH_TYPES);
+
+    const matches = index.search(query, {
+        limit: index.size,
+        filter: doc => {
+            if (!wanted.has(doc.type)) return false;
+            if (source && doc.source !== source) return false;
+            if (from || to) {
+                const created = toDateString(doc.createdAt);
+                if ((from && created < from) || (to && created > to)) return false;
+            }
+            return true;
+        }
+    });
+
+    const seen = new Set();
+    const results = [];
+    for (const { doc, score } of matches) {
+        const key = resultKey(doc);
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        results.push({
+            type: doc.type,
+            id: doc.noteId || doc.setId || doc.planId || doc.threadId,
+            title: doc.title || null,
+            section: doc.section || null,
+            snippet: highlightSnippet(doc.body, query),
+            url: sourceUrl(doc),
+            source: doc.source || null,
+            createdAt: doc.createdAt,
+            score: Math.round(score * 1000) / 1000
+        });
+        if (results.length >= Math.min(limit, MAX_SEARCH_RESULTS)) break;
+    }
+    return results;
+}
+
+// Best matching note passages and cards for a chat message. Weak matches
+// (under a quarter of the best score) are dropped.
+async function retrievePassages(userId, query, { limit = 4 } = {}) {
+    const index = await getUserIndex(userId);
+    const results = index.search(query, {
+        limit,
+        filter: doc => doc.type === 'note' || doc.type === 'flashcard'
+    });
+    if (results.length === 0) return [];
+
+    const cutoff = results[0].score * 0.25;
+    return results.filter(result => result.score >= cutoff).map(result => result.doc);
+}
+
+// The note section each card was most likely drawn from, as
+// [{ section, anchor }] in card order (nulls when nothing matches)
+function matchNoteSections(content, cards) {
+    const index = createBM25Index();
+    chunkNote(content).forEach(chunk => index.add(chunk));
+
+    return cards.map(card => {
+        const [best] = index.search(`${card.question} ${card.answer}`, { limit: 1 });
+        return best ? { section: best.doc.section, anchor: best.doc.anchor } : { section: null, anchor: null };
+    });
+}
+
+// Wrap the user's message with numbered excerpts and return the matching
+// citations: [{ n, type, title, section, url }]
+function groundMessage(message, passages) {
+    if (passages.length === 0) return { message, citations: [] };
+
+    const citations = passages.map((doc, i) => ({
+        n: i + 1,
+        type: doc.type,
+        title: doc.title,
+        section: doc.section || null,
+        url: sourceUrl(doc)
+    }));
+
+    const excerpts = passages.map((doc, i) => {
+        const label = doc.type === 'note'
+            ? `Note "${doc.title}"${doc.section ? ` › ${doc.section}` : ''}`
+            : `Flashcard from "${doc.title}"`;
+        return `[${i + 1}] ${label}\n${doc.body}`;
+    }).join('\n\n');
+
+    return {
+        message: `Here are excerpts from my own study notes and flashcards that may be relevant:
+
+${excerpts}
+
+Use them where they help and cite the excerpt number in square brackets, like [1], right after the sentence that relies on it. If they are not relevant, answer normally without citations.
+
+My question: ${message}`,
+        citations
+    };
+}
+
+// Keep only the citations the reply actually refers to
+function citedIn(text, citations) {
+    const used = new Set([...String(text).matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+    return citations.filter(citation => used.has(citation.n));
+}
+
+module.exports = {
+    getUserIndex,
+    invalidateUserIndex,
+    indexChatMessage,
+    retrievePassages,
+    searchUserContent,
+    matchNoteSections,
+    SEARCH_TYPES,
+    NOTE_SOURCES,
+    groundMessage,
+    citedIn,
+    sourceUrl
+};
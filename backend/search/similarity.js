@@ -0,0 +1,42 @@
+const { tokenize } = require('./bm25');
+
+// Near-duplicate detection for generated flashcards. Cards are compared on
+// the meaningful words of question and answer together, so a reworded
+// question with the same answer ("What is X?" / "Define X") still counts as
+// a repeat, while different questions about the same topic do not.
+
+const DUPLICATE_SIMILARITY = 0.7;
+
+const cardTerms = card => new Set(tokenize(`${card.question} ${card.answer}`));
+
+// Dice coefficient of two term sets, 0 to 1
+function similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(term => {
+        if (b.has(term)) shared++;
+    });
+    return (2 * shared) / (a.size + b.size);
+}
+
+// Split cards into the ones to keep and the ones that repeat an existing
+// card or an earlier card in the same batch: { kept, duplicates }
+function dedupeCards(cards, existingCards = []) {
+    const seen = existingCards.map(cardTerms);
+    const kept = [];
+    const duplicates = [];
+
+    cards.forEach(card => {
+        const terms = cardTerms(card);
+        if (seen.some(other => similarity(terms, other) >= DUPLICATE_SIMILARITY)) {
+            duplicates.push(card);
+        } else {
+            kept.push(card);
+            seen.push(terms);
+        }
+    });
+
+    return { kept, duplicates };
+}
+
+module.exports = { dedupeCards, similarity };
@@ -0,0 +1,42 @@
+const { tokenize, normalizeToken, WORD_PATTERN } = require('./bm25');
+
+// Builds a short, HTML-escaped excerpt around the first query match with every
+// matching word wrapped in <mark>, for search result lists.
+
+const SNIPPET_LENGTH = 220;
+const LEAD_IN = 60;
+
+const escapeHtml = text => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+function highlightSnippet(text, query, length = SNIPPET_LENGTH) {
+    const source = String(text || '').replace(/\s+/g, ' ').trim();
+    const terms = new Set(tokenize(query));
+
+    const matches = [...source.matchAll(WORD_PATTERN)]
+        .filter(match => terms.has(normalizeToken(match[0])))
+        .map(match => ({ start: match.index, end: match.index + match[0].length }));
+
+    // Start a little before the first match, on a word boundary
+    let start = matches.length > 0 ? Math.max(matches[0].start - LEAD_IN, 0) : 0;
+    if (start > 0) start = source.indexOf(' ', start) + 1 || start;
+    let end = Math.min(start + length, source.length);
+    if (end < source.length) end = source.lastIndexOf(' ', end) > start ? source.lastIndexOf(' ', end) : end;
+
+    let html = '';
+    let cursor = start;
+    for (const match of matches) {
+        if (match.start < start || match.end > end) continue;
+        html += escapeHtml(source.slice(cursor, match.start)) + `<mark>${escapeHtml(source.slice(match.start, match.end))}</mark>`;
+        cursor = match.end;
+    }
+    html += escapeHtml(source.slice(cursor, end));
+
+    return `${start > 0 ? '… ' : ''}${html}${end < source.length ? ' …' : ''}`;
+}
+
+module.exports = { highlightSnippet, escapeHtml };
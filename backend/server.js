@@ -1,27 +1,79 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const mysql = require('mysql2/promise');
+const { pipeline } = require('stream/promises');
 require('dotenv').config();
-
-// NEW: Import the Google GenAI SDK
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { pool } = require('./db');
+const { migrateUp } = require('./migrate');
+const { getLLM, resolveConfig, FEATURES } = require('./llm');
+const { generateStructured, AIOutputError } = require('./llm/structured');
+const { buildChatContext } = require('./llm/context');
+const {
+    invalidateUserIndex,
+    indexChatMessage,
+    retrievePassages,
+    searchUserContent,
+    matchNoteSections,
+    groundMessage,
+    citedIn,
+    SEARCH_TYPES,
+    NOTE_SOURCES
+} = require('./search');
+const { STUDY_PLAN_SCHEMA, FLASHCARDS_SCHEMA, QUIZ_SCHEMA } = require('./llm/schemas');
+const {
+    MAX_SCHEDULE_DAYS,
+    buildSchedule,
+    availableStudyDays,
+    addDays,
+    normalizeRestDays,
+    normalizeBlackoutDates,
+    scheduleConstraintsError,
+    toDateString
+} = require('./scheduler');
+const { isValidGrade, isDue, isMature, reviewCard } = require('./srs');
+const { diffLines, diffStats } = require('./diff');
+const { QUESTION_TYPES, checkQuizQuestions, normalizeQuestions, gradeAttempt } = require('./quiz');
+const { dedupeCards } = require('./search/similarity');
+const { generateNotes } = require('./notes');
+const { hashPassword, verifyPassword, createSession, destroySession, requireAuth } = require('./auth');
+const {
+    ACTIVE_STATUSES,
+    JOB_STATUSES,
+    JobError,
+    defineJob,
+    enqueueJob,
+    getJob,
+    listJobs,
+    cancelJob,
+    startJobWorkers
+} = require('./jobs');
+const { UsageLimitError, checkQuota, aiLimit, usageLimitBody, sendUsageLimitError, usageReport } = require('./usage');
+const { decodeFileContent } = require('./extractors/pdf');
+const { DocumentFormatError, extractDocument } = require('./extractors');
+const { getStorage } = require('./storage');
+const { UploadError, receiveUpload, receiveJsonUpload } = require('./storage/upload');
+const { DeckFormatError, previewDeckFile, readDeckFile } = require('./decks');
+const {
+    EXPORT_FORMATS,
+    DECK_FORMATS,
+    contentDisposition,
+    sendExport,
+    studyPlanDocument,
+    notesDocument,
+    chatDocument,
+    flashcardsDocument
+} = require('./export');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// NEW: Initialize the Gemini client
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || '');
-
-// === FIX 1: CHANGED MODEL NAME TO 'gemini-2.5-flash' TO AVOID 404 ERROR ===
-const MODEL = "gemini-2.5-flash"; // A fast and capable model for these tasks
-
 // Middleware - CORS Configuration for Render deployment
 const corsOptions = {
     origin: '*', // Allow all origins for now
     credentials: false,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: ['Content-Disposition', 'Retry-After'],
     optionsSuccessStatus: 200
 };
 
@@ -32,56 +84,350 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 // Serve static files from frontend directory
 app.use(express.static(path.join(__dirname, '../frontend')));
 
+// Typed 502 for AI output that never matched its schema, listing what was wrong
+function sendAIOutputError(res, error, what) {
+    res.status(error.status).json({
+        error: `The AI returned ${what} in an unexpected format. Please try again.`,
+        type: error.type,
+        details: error.errors
+    });
+}
+
+// Structured generation inside a background job: output that never matched
+// its schema fails the job with the same message and details
+async function generateForJob(llm, what, options) {
+    try {
+        return await generateStructured(llm, options);
+    } catch (error) {
+        if (error instanceof AIOutputError) {
+            throw new JobError(`The AI returned ${what} in an unexpected format. Please try again.`, error.status,
+                { type: error.type, details: error.errors });
+        }
+        throw error;
+    }
+}
+
+// A job type that calls the AI for its user. It checks the daily token
+// quota again when it starts, as the user may have used it up while it
+// waited, and a usage limit met at any point fails it with the same 429
+// error a route answers.
+function defineAIJob(type, feature, run, options) {
+    defineJob(type, async (payload, context) => {
+        try {
+            await checkQuota(context.userId, feature);
+            return await run(payload, context);
+        } catch (error) {
+            if (error instanceof UsageLimitError) {
+                throw new JobError(error.message, error.status, { type: error.type, retryAfter: error.retryAfter });
+            }
+            throw error;
+        }
+    }, options);
+}
+
+// A usage limit met partway through a progressReply route, answered like
+// aiLimit does while the reply can still carry headers
+function replyUsageLimitError(res, reply, error) {
+    if (!res.headersSent) res.setHeader('Retry-After', String(error.retryAfter));
+    reply.send(error.status, usageLimitBody(error));
+}
+
+// A record id sent by the client (number or digit string) as a positive
+// integer, or null when it isn't one
+const parseId = value => (/^\d+$/.test(String(value ?? '')) && Number(value) > 0 ? Number(value) : null);
+
+// Run work(connection) in a transaction and resolve with what it returns
+async function withTransaction(work) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const result = await work(connection);
+        await connection.commit();
+        return result;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
 // ==========================================
-// DATABASE CONNECTION
+// AUTH ROUTES
 // ==========================================
 
-const pool = mysql.createPool({
-    host: process.env.DB_HOST || 'localhost',
-    user: process.env.DB_USER || 'root',
-    password: process.env.DB_PASSWORD || '',
-    database: process.env.DB_NAME || 'study_management',
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Register a new account and log it in
+app.post('/auth/register', async (req, res) => {
+    try {
+        const { name, email, password } = req.body;
+        const normalizedEmail = String(email || '').trim().toLowerCase();
+
+        if (!name || !normalizedEmail || !password) {
+            return res.status(400).json({ error: 'Name, email and password are required' });
+        }
+        if (!EMAIL_PATTERN.test(normalizedEmail)) {
+            return res.status(400).json({ error: 'Please enter a valid email address' });
+        }
+        if (String(password).length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+
+        const passwordHash = await hashPassword(String(password));
+
+        let result;
+        try {
+            [result] = await pool.execute(
+                `INSERT INTO users (email, name, password_hash) VALUES (?, ?, ?)`,
+                [normalizedEmail, String(name).trim(), passwordHash]
+            );
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({ error: 'An account with this email already exists' });
+            }
+            throw error;
+        }
+
+        const user = { id: result.insertId, email: normalizedEmail, name: String(name).trim() };
+        const { token, expiresAt } = await createSession(user.id);
+
+        res.status(201).json({ success: true, token, expiresAt, user });
+    } catch (error) {
+        console.error('Error registering user:', error);
+        res.status(500).json({ error: 'Failed to register' });
+    }
 });
 
-// Test database connection
-pool.getConnection()
-    .then(connection => {
-        console.log('✓ Database connected successfully');
-        connection.release();
-    })
-    .catch(err => {
-        console.error('✗ Database connection failed:', err.message);
-        console.error('Please ensure MySQL is running and credentials in .env are correct');
-    });
+// Log in with email and password
+app.post('/auth/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        const normalizedEmail = String(email || '').trim().toLowerCase();
+
+        if (!normalizedEmail || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+
+        const [rows] = await pool.execute(
+            `SELECT id, email, name, password_hash FROM users WHERE email = ?`,
+            [normalizedEmail]
+        );
+
+        if (rows.length === 0 || !(await verifyPassword(String(password), rows[0].password_hash))) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        const user = { id: rows[0].id, email: rows[0].email, name: rows[0].name };
+        const { token, expiresAt } = await createSession(user.id);
+
+        res.json({ success: true, token, expiresAt, user });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+// Log out the current session
+app.post('/auth/logout', requireAuth, async (req, res) => {
+    try {
+        await destroySession(req.authToken);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
+
+// Get the logged-in user
+app.get('/auth/me', requireAuth, (req, res) => {
+    res.json({ success: true, user: req.user });
+});
+
+// Every route below this line requires a logged-in user (req.user)
+app.use(requireAuth);
 
 // ==========================================
 // STUDY PLAN ROUTES
 // ==========================================
 
-// Generate Study Plan
-app.post('/generate-study-plan', async (req, res) => {
+// The client sends its local date so "today" matches the user's calendar.
+// Timezones put it at most a day either side of the server's date; any other
+// value is ignored.
+function clientToday(value) {
+    const today = toDateString(new Date());
+    return [addDays(today, -1), today, addDays(today, 1)].includes(value) ? value : today;
+}
+
+// Load what the scheduler needs for one of the user's plans
+async function getPlanForScheduling(planId, userId) {
+    const [rows] = await pool.execute(
+        `SELECT id, plan_json, hours_per_day, rest_days, blackout_dates,
+         DATE_FORMAT(deadline, '%Y-%m-%d') as deadline, DATE_FORMAT(created_at, '%Y-%m-%d') as createdDate
+         FROM study_plans WHERE id = ? AND user_id = ?`,
+        [planId, userId]
+    );
+    if (rows.length === 0) return null;
+
+    const row = rows[0];
+    return {
+        id: row.id,
+        weeks: JSON.parse(row.plan_json),
+        hoursPerDay: Number(row.hours_per_day),
+        deadline: row.deadline,
+        createdDate: row.createdDate,
+        restDays: JSON.parse(row.rest_days || '[]'),
+        blackoutDates: JSON.parse(row.blackout_dates || '[]')
+    };
+}
+
+// Give every task in every week its own row, so tasks keep a stable ID.
+// db may be a connection in a transaction, as in the functions below.
+async function createTasks(planId, weeks, db = pool) {
+    const rows = weeks.flatMap(week =>
+        week.tasks.map((title, position) => [planId, week.week, position, title])
+    );
+    if (rows.length > 0) {
+        await db.query(`INSERT INTO study_tasks (plan_id, week, position, title) VALUES ?`, [rows]);
+    }
+}
+
+// Tasks for several plans at once, keyed by plan ID
+async function getTasksByPlan(planIds, db = pool) {
+    const tasksByPlan = new Map(planIds.map(id => [id, []]));
+    if (planIds.length === 0) return tasksByPlan;
+
+    const [rows] = await db.query(
+        `SELECT id, plan_id as planId, week, position, title, completed_at as completedAt
+         FROM study_tasks WHERE plan_id IN (?) ORDER BY week ASC, position ASC`,
+        [planIds]
+    );
+    rows.forEach(({ planId, ...task }) => {
+        tasksByPlan.get(planId).push({ ...task, completed: task.completedAt !== null });
+    });
+    return tasksByPlan;
+}
+
+// Plan progress is the share of its tasks that are done
+async function refreshPlanProgress(planId) {
+    const [rows] = await pool.execute(
+        `SELECT COUNT(*) as total, COUNT(completed_at) as done FROM study_tasks WHERE plan_id = ?`,
+        [planId]
+    );
+    const { total, done } = rows[0];
+    const progress = total > 0 ? Math.round((done / total) * 100) : 0;
+    const completed = total > 0 && done === total;
+
+    await pool.execute(`UPDATE study_plans SET progress = ?, completed = ? WHERE id = ?`, [progress, completed, planId]);
+    return { progress, completed, totalTasks: total, completedTasks: done };
+}
+
+// Rebuild a plan's daily sessions from fromDate onwards; earlier sessions are kept
+async function saveSchedule(plan, fromDate) {
+    await withTransaction(connection => writeSchedule(connection, plan, fromDate));
+}
+
+// saveSchedule's writes, inside the caller's transaction
+async function writeSchedule(connection, plan, fromDate) {
+    const sessions = buildSchedule({
+        weeks: plan.weeks,
+        startDate: fromDate,
+        deadline: plan.deadline,
+        hoursPerDay: plan.hoursPerDay,
+        restDays: plan.restDays,
+        blackoutDates: plan.blackoutDates
+    });
+
+    await connection.execute(
+        `DELETE FROM study_sessions WHERE plan_id = ? AND session_date >= ?`,
+        [plan.id, fromDate]
+    );
+    if (sessions.length > 0) {
+        const [tasks] = await connection.execute(
+            `SELECT id, week, position FROM study_tasks WHERE plan_id = ?`,
+            [plan.id]
+        );
+        const taskIds = new Map(tasks.map(t => [`${t.week}:${t.position}`, t.id]));
+
+        await connection.query(
+            `INSERT INTO study_sessions (plan_id, task_id, session_date, week, task_index, task, hours) VALUES ?`,
+            [sessions.map(s => [plan.id, taskIds.get(`${s.week}:${s.taskIndex}`) || null, s.date, s.week, s.taskIndex, s.task, s.hours])]
+        );
+    }
+}
+
+async function getSessions(planId, db = pool) {
+    const [rows] = await db.execute(
+        `SELECT s.id, DATE_FORMAT(s.session_date, '%Y-%m-%d') as date, s.week, s.task_index as taskIndex,
+         s.task_id as taskId, s.task, s.hours, t.completed_at IS NOT NULL as completed
+         FROM study_sessions s LEFT JOIN study_tasks t ON t.id = s.task_id
+         WHERE s.plan_id = ? ORDER BY s.session_date ASC, s.id ASC`,
+        [planId]
+    );
+    return rows.map(row => ({ ...row, hours: Number(row.hours), completed: !!row.completed }));
+}
+
+// Generate Study Plan. The request is checked here and the plan generated
+// by a background job; the client follows it with GET /jobs/:id.
+app.post('/generate-study-plan', aiLimit('study_plan'), async (req, res) => {
     try {
-        const { courseName, deadline, hoursPerDay } = req.body;
+        const { courseName, deadline, startDate } = req.body;
 
-        if (!courseName || !deadline || !hoursPerDay) {
+        if (!courseName || !deadline || !req.body.hoursPerDay) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
 
+        const hoursPerDay = Number(req.body.hoursPerDay);
+        if (!Number.isFinite(hoursPerDay) || hoursPerDay <= 0 || hoursPerDay > 24) {
+            return res.status(400).json({ error: 'Hours per day must be a number above 0 and at most 24' });
+        }
+
+        // Optional scheduling constraints: weekday numbers (0 = Sunday) and 'YYYY-MM-DD' dates
+        const constraintsError = scheduleConstraintsError(req.body);
+        if (constraintsError) {
+            return res.status(400).json({ error: constraintsError });
+        }
+        const restDays = normalizeRestDays(req.body.restDays);
+        const blackoutDates = normalizeBlackoutDates(req.body.blackoutDates);
+        const firstDay = clientToday(startDate);
+
         // Calculate days until deadline
         const deadlineDate = new Date(deadline);
         const today = new Date();
         const daysUntil = Math.ceil((deadlineDate - today) / (1000 * 60 * 60 * 24));
         const totalHours = daysUntil * hoursPerDay;
 
+        if (Number.isNaN(daysUntil)) {
+            return res.status(400).json({ error: 'Deadline must be a valid date' });
+        }
         if (daysUntil <= 0) {
             return res.status(400).json({ error: 'Deadline must be in the future' });
         }
+        if (toDateString(deadline) > addDays(firstDay, MAX_SCHEDULE_DAYS)) {
+            return res.status(400).json({ error: `Deadline must be at most ${MAX_SCHEDULE_DAYS} days away` });
+        }
+
+        if (availableStudyDays({ startDate: firstDay, deadline, restDays, blackoutDates }).length === 0) {
+            return res.status(400).json({ error: 'No study days left before the deadline with these rest days and blackout dates' });
+        }
+
+        const job = await enqueueJob(req.user.id, 'study_plan', {
+            courseName, deadline, hoursPerDay, restDays, blackoutDates, firstDay, daysUntil, totalHours
+        }, { title: courseName });
 
-        // **GEMINI API CALL for Study Plan**
-        const prompt = `Generate a comprehensive ${daysUntil} day study plan for the course "${courseName}". The plan should be broken down into approximately ${Math.ceil(daysUntil / 7)} weekly phases. The total available study time is ${totalHours} hours, with an average of ${hoursPerDay} hours per day.
+        res.status(202).json({ success: true, job });
+    } catch (error) {
+        console.error('Error queueing study plan:', error);
+        res.status(500).json({ error: 'Failed to start generating the study plan' });
+    }
+});
+
+defineAIJob('study_plan', 'study_plan', async (payload, { userId, signal, complete }) => {
+    const { courseName, deadline, hoursPerDay, restDays, blackoutDates, firstDay, daysUntil, totalHours } = payload;
+
+    // **AI CALL for Study Plan**
+    const prompt = `Generate a comprehensive ${daysUntil} day study plan for the course "${courseName}". The plan should be broken down into approximately ${Math.ceil(daysUntil / 7)} weekly phases. The total available study time is ${totalHours} hours, with an average of ${hoursPerDay} hours per day.
         
         The output MUST be a JSON array of objects.
         Each object in the array MUST have the following structure:
@@ -94,56 +440,75 @@ app.post('/generate-study-plan', async (req, res) => {
         
         Do not include any other text, explanation, or markdown formatting outside of the JSON array.`;
 
-        const model = genAI.getGenerativeModel({ model: MODEL });
-        const aiResult = await model.generateContent(prompt);
-        const response = await aiResult.response;
-        const text = response.text();
-        
-        // The response text is a JSON string, so we parse it
-        const planData = JSON.parse(text);
+    // Parsed and validated against STUDY_PLAN_SCHEMA, with retries
+    const planData = await generateForJob(getLLM('study_plan', { userId }), 'a study plan', { prompt, schema: STUDY_PLAN_SCHEMA, signal });
+    signal.throwIfAborted();
 
-        // Insert into database
-        const [result] = await pool.execute(
+    // Save the plan, its tasks and its dated daily sessions with the job's result
+    const result = await complete(async connection => {
+        const [inserted] = await connection.execute(
             `INSERT INTO study_plans 
-             (user_id, course_name, deadline, hours_per_day, days_until, total_hours, plan_json, progress, completed) 
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [null, courseName, deadline, hoursPerDay, daysUntil, totalHours, JSON.stringify(planData), 0, false]
+             (user_id, course_name, deadline, hours_per_day, rest_days, blackout_dates, days_until, total_hours, plan_json, progress, completed) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [userId, courseName, deadline, hoursPerDay, JSON.stringify(restDays), JSON.stringify(blackoutDates),
+                daysUntil, totalHours, JSON.stringify(planData), 0, false]
         );
+        const planId = inserted.insertId;
+
+        await createTasks(planId, planData, connection);
+        await writeSchedule(connection, {
+            id: planId,
+            weeks: planData,
+            hoursPerDay: Number(hoursPerDay),
+            deadline: toDateString(deadline),
+            restDays,
+            blackoutDates
+        }, firstDay);
 
         const studyPlan = {
-            id: result.insertId,
+            id: planId,
             courseName,
             deadline,
             hoursPerDay,
             daysUntil,
             totalHours,
+            restDays,
+            blackoutDates,
             plan: planData,
+            tasks: (await getTasksByPlan([planId], connection)).get(planId),
+            sessions: await getSessions(planId, connection),
             progress: 0,
             completed: false,
             createdAt: new Date().toISOString()
         };
+        return { studyPlan };
+    });
+    invalidateUserIndex(userId);
 
-        res.json({ success: true, studyPlan });
-    } catch (error) {
-        console.error('Error generating study plan:', error);
-        res.status(500).json({ error: 'Failed to generate study plan from AI. Check API key/model.' });
-    }
-});
+    return result;
+}, { failureMessage: 'Failed to generate study plan from AI. Check API key/model.' });
 
 // Get all study plans
 app.get('/studyplans', async (req, res) => {
     try {
         const [rows] = await pool.execute(
             `SELECT id, course_name as courseName, deadline, hours_per_day as hoursPerDay, 
+             rest_days as restDays, blackout_dates as blackoutDates,
              days_until as daysUntil, total_hours as totalHours, plan_json as plan, 
              progress, completed, created_at as createdAt 
              FROM study_plans 
-             ORDER BY created_at DESC`
+             WHERE user_id = ?
+             ORDER BY created_at DESC`,
+            [req.user.id]
         );
 
+        const tasksByPlan = await getTasksByPlan(rows.map(row => row.id));
         const studyPlans = rows.map(row => ({
             ...row,
-            plan: JSON.parse(row.plan)
+            restDays: JSON.parse(row.restDays || '[]'),
+            blackoutDates: JSON.parse(row.blackoutDates || '[]'),
+            plan: JSON.parse(row.plan),
+            tasks: tasksByPlan.get(row.id)
         }));
 
         res.json({ success: true, studyPlans });
@@ -153,432 +518,1956 @@ app.get('/studyplans', async (req, res) => {
     }
 });
 
-// Update study plan progress
-app.post('/update-study-progress', async (req, res) => {
+// Tick a task off (or un-tick it) and recompute the plan's progress
+app.put('/studyplan/:id/tasks/:taskId', async (req, res) => {
+    try {
+        const planId = parseInt(req.params.id);
+        const taskId = parseInt(req.params.taskId);
+        const completed = !!req.body.completed;
+
+        const [owned] = await pool.execute(
+            `SELECT t.id FROM study_tasks t JOIN study_plans p ON p.id = t.plan_id
+             WHERE t.id = ? AND t.plan_id = ? AND p.user_id = ?`,
+            [taskId, planId, req.user.id]
+        );
+        if (owned.length === 0) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        // Re-ticking a done task keeps its original completion time
+        await pool.execute(
+            `UPDATE study_tasks SET completed_at = IF(?, COALESCE(completed_at, NOW()), NULL) WHERE id = ?`,
+            [completed, taskId]
+        );
+
+        const [tasks] = await pool.execute(
+            `SELECT id, week, position, title, completed_at as completedAt FROM study_tasks WHERE id = ?`,
+            [taskId]
+        );
+        const progress = await refreshPlanProgress(planId);
+
+        res.json({
+            success: true,
+            task: { ...tasks[0], completed: tasks[0].completedAt !== null },
+            ...progress
+        });
+    } catch (error) {
+        console.error('Error updating study task:', error);
+        res.status(500).json({ error: 'Failed to update task' });
+    }
+});
+
+// Delete study plan
+app.delete('/studyplan/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const [result] = await pool.execute(
+            `DELETE FROM study_plans WHERE id = ? AND user_id = ?`,
+            [id, req.user.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Study plan not found' });
+        }
+        invalidateUserIndex(req.user.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting study plan:', error);
+        res.status(500).json({ error: 'Failed to delete study plan' });
+    }
+});
+
+// Get a plan's day-by-day calendar. Plans created before scheduling
+// existed get their schedule built on first view.
+app.get('/studyplan/:id/calendar', async (req, res) => {
+    try {
+        const plan = await getPlanForScheduling(parseInt(req.params.id), req.user.id);
+        if (!plan) {
+            return res.status(404).json({ error: 'Study plan not found' });
+        }
+
+        let sessions = await getSessions(plan.id);
+        if (sessions.length === 0) {
+            await saveSchedule(plan, plan.createdDate);
+            sessions = await getSessions(plan.id);
+        }
+
+        res.json({
+            success: true,
+            calendar: {
+                planId: plan.id,
+                deadline: plan.deadline,
+                hoursPerDay: plan.hoursPerDay,
+                restDays: plan.restDays,
+                blackoutDates: plan.blackoutDates,
+                sessions
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching study calendar:', error);
+        res.status(500).json({ error: 'Failed to fetch study calendar' });
+    }
+});
+
+// Change rest days / blackout dates and reschedule from today onwards
+app.put('/studyplan/:id/schedule', async (req, res) => {
+    try {
+        const plan = await getPlanForScheduling(parseInt(req.params.id), req.user.id);
+        if (!plan) {
+            return res.status(404).json({ error: 'Study plan not found' });
+        }
+
+        const constraintsError = scheduleConstraintsError(req.body);
+        if (constraintsError) {
+            return res.status(400).json({ error: constraintsError });
+        }
+
+        plan.restDays = normalizeRestDays(req.body.restDays);
+        plan.blackoutDates = normalizeBlackoutDates(req.body.blackoutDates);
+        const fromDate = clientToday(req.body.today);
+
+        const { deadline, restDays, blackoutDates } = plan;
+        if (availableStudyDays({ startDate: fromDate, deadline, restDays, blackoutDates }).length === 0) {
+            return res.status(400).json({ error: 'No study days left before the deadline with these rest days and blackout dates' });
+        }
+
+        await pool.execute(
+            `UPDATE study_plans SET rest_days = ?, blackout_dates = ? WHERE id = ? AND user_id = ?`,
+            [JSON.stringify(plan.restDays), JSON.stringify(plan.blackoutDates), plan.id, req.user.id]
+        );
+        await saveSchedule(plan, fromDate);
+
+        res.json({
+            success: true,
+            calendar: {
+                planId: plan.id,
+                deadline: plan.deadline,
+                hoursPerDay: plan.hoursPerDay,
+                restDays: plan.restDays,
+                blackoutDates: plan.blackoutDates,
+                sessions: await getSessions(plan.id)
+            }
+        });
+    } catch (error) {
+        console.error('Error rescheduling study plan:', error);
+        res.status(500).json({ error: 'Failed to reschedule study plan' });
+    }
+});
+
+// Get the sessions scheduled on one day (default today) across all of the user's plans
+app.get('/agenda', async (req, res) => {
+    try {
+        const date = clientToday(req.query.date);
+        const [rows] = await pool.execute(
+            `SELECT s.id, s.plan_id as planId, p.course_name as courseName, s.week,
+             s.task_index as taskIndex, s.task_id as taskId, s.task, s.hours,
+             t.completed_at IS NOT NULL as completed
+             FROM study_sessions s JOIN study_plans p ON p.id = s.plan_id
+             LEFT JOIN study_tasks t ON t.id = s.task_id
+             WHERE p.user_id = ? AND s.session_date = ?
+             ORDER BY p.deadline ASC, s.id ASC`,
+            [req.user.id, date]
+        );
+
+        res.json({
+            success: true,
+            agenda: {
+                date,
+                sessions: rows.map(row => ({ ...row, hours: Number(row.hours), completed: !!row.completed }))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching agenda:', error);
+        res.status(500).json({ error: 'Failed to fetch agenda' });
+    }
+});
+
+// ==========================================
+// NOTES ROUTES
+// ==========================================
+
+// Shared AI note generation used by the AI, PDF and file routes. Long
+// sources are summarised chunk by chunk and merged (see notes.js).
+async function generateNotesContent(topic, content, sourceHint = '', { userId, onProgress, signal } = {}) {
+    const text = await generateNotes({ topic, content, sourceHint, userId, onProgress, signal });
+
+    return text + `\n\n---\n*Generated by AI on ${new Date().toLocaleString()}*`;
+}
+
+// Note generation can take many model calls, so clients that ask for
+// server-sent events (Accept: text/event-stream) get 'progress' events while
+// it runs and then 'done' with the usual JSON body, or 'error'. Other
+// clients get plain JSON. Closing the stream cancels the generation.
+function progressReply(req, res) {
+    const controller = new AbortController();
+    const streaming = (req.get('Accept') || '').includes('text/event-stream');
+    let started = false;
+
+    const write = (event, data) => {
+        if (!res.writableEnded && !res.destroyed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    if (streaming) {
+        res.on('close', () => {
+            if (!res.writableEnded) controller.abort();
+        });
+    }
+
+    return {
+        signal: controller.signal,
+        onProgress(progress) {
+            if (!streaming) return;
+            if (!started) {
+                started = true;
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    Connection: 'keep-alive',
+                    'X-Accel-Buffering': 'no'
+                });
+            }
+            write('progress', progress);
+        },
+        // Finish with a status and body, as an event once the stream is open
+        send(status, body) {
+            if (!started) return res.status(status).json(body);
+            write(status < 400 ? 'done' : 'error', body);
+            res.end();
+        }
+    };
+}
+
+// ==========================================
+// FILE UPLOADS
+// ==========================================
+
+// Uploaded originals are kept in storage (storage/) with an attachments row
+// linking each one to the note made from it, so it can be downloaded again
+// or have its notes regenerated later
+
+const ATTACHMENT_COLUMNS = `id, note_id as noteId, file_name as fileName, content_type as contentType,
+    size_bytes as size, sha256, storage_key as storageKey, created_at as createdAt`;
+
+async function getAttachment(attachmentId, userId) {
+    const [rows] = await pool.execute(
+        `SELECT ${ATTACHMENT_COLUMNS} FROM attachments WHERE id = ? AND user_id = ?`,
+        [attachmentId, userId]
+    );
+    return rows[0] || null;
+}
+
+// What the client sees of an attachment
+const attachmentInfo = attachment => ({
+    id: attachment.id,
+    noteId: attachment.noteId,
+    fileName: attachment.fileName,
+    contentType: attachment.contentType,
+    size: attachment.size,
+    createdAt: attachment.createdAt
+});
+
+// Notes from a file's bytes: read into the document model (extractors/),
+// then generated for userId. Throws a DocumentFormatError for unreadable files.
+async function notesFromFile(fileName, buffer, userId, reply) {
+    const extracted = await extractDocument({ fileName, buffer });
+    const content = await generateNotesContent(`Notes from ${fileName}`, extracted.text, extracted.sourceHint,
+        { userId, onProgress: reply.onProgress, signal: reply.signal });
+    return { content, source: extracted.source };
+}
+
+// Generate notes from an uploaded file and keep the file as the note's
+// attachment. receive(req, options) stores the upload (see storage/upload.js).
+const uploadNotes = receive => async (req, res) => {
+    const reply = progressReply(req, res);
+    const storage = getStorage();
+    let upload = null;
+    let stored = false;
+    try {
+        ({ file: upload } = await receive(req, { storage, keyPrefix: String(req.user.id) }));
+
+        const buffer = await storage.read(upload.key);
+        const { content, source } = await notesFromFile(upload.fileName, buffer, req.user.id, reply);
+        const title = `Notes from ${upload.fileName}`;
+
+        const { noteId, attachmentId } = await withTransaction(async connection => {
+            const [noteResult] = await connection.execute(
+                `INSERT INTO notes (user_id, title, content, source, file_name) VALUES (?, ?, ?, ?, ?)`,
+                [req.user.id, title, content, source, upload.fileName]
+            );
+            const [attachmentResult] = await connection.execute(
+                `INSERT INTO attachments (user_id, note_id, file_name, content_type, size_bytes, sha256, storage_key)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [req.user.id, noteResult.insertId, upload.fileName, upload.contentType, upload.size, upload.sha256, upload.key]
+            );
+            await recordNoteVersion(noteResult.insertId, connection);
+            return { noteId: noteResult.insertId, attachmentId: attachmentResult.insertId };
+        });
+        stored = true;
+        invalidateUserIndex(req.user.id);
+
+        const note = {
+            id: noteId,
+            title,
+            content,
+            source,
+            attachmentId,
+            createdAt: new Date().toISOString()
+        };
+
+        reply.send(200, { success: true, note });
+    } catch (error) {
+        if (error instanceof UploadError || error instanceof DocumentFormatError) {
+            return reply.send(error.status, { error: error.message });
+        }
+        if (error instanceof UsageLimitError) {
+            return replyUsageLimitError(res, reply, error);
+        }
+        console.error('Error uploading file:', error);
+        reply.send(500, { error: 'Failed to generate notes from the file. Check API key/model.' });
+    } finally {
+        // A file that never got its note is not kept
+        if (upload && !stored) {
+            storage.remove(upload.key).catch(error => console.error('Error removing upload:', error));
+        }
+    }
+};
+
+// Upload a PDF, Word, PowerPoint, HTML, EPUB, Markdown or text file as
+// multipart/form-data (field "file") and generate notes from it. The note's
+// source records the original format; the file itself is kept.
+app.post('/upload-file', aiLimit('notes'), uploadNotes(receiveUpload));
+
+// The upload routes from before /upload-file, kept for older clients. They
+// take the old JSON body ({ fileName, fileContent }) or a form like
+// /upload-file, and work the same way.
+app.post(['/upload-pdf', '/upload-local-file'], aiLimit('notes'), uploadNotes((req, options) => (
+    req.is('multipart/form-data') ? receiveUpload(req, options) : receiveJsonUpload(req.body, options)
+)));
+
+// Download an uploaded original as it was sent
+app.get('/attachments/:id/download', async (req, res) => {
+    try {
+        const attachment = await getAttachment(parseInt(req.params.id), req.user.id);
+        if (!attachment) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+
+        res.setHeader('Content-Type', attachment.contentType);
+        res.setHeader('Content-Disposition', contentDisposition(attachment.fileName));
+        await pipeline(getStorage().createReadStream(attachment.storageKey), res);
+    } catch (error) {
+        console.error('Error downloading attachment:', error);
+        if (res.headersSent) return res.destroy();
+        res.removeHeader('Content-Disposition');
+        res.status(500).json({ error: 'Failed to download the original file' });
+    }
+});
+
+// Generate a note again from its stored original, saved as a new version
+app.post('/note/:id/regenerate', aiLimit('notes'), async (req, res) => {
+    const reply = progressReply(req, res);
+    try {
+        const note = await getNote(parseInt(req.params.id), req.user.id);
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+        const attachment = note.attachmentId && await getAttachment(note.attachmentId, req.user.id);
+        if (!attachment) {
+            return res.status(404).json({ error: 'This note has no uploaded original to regenerate from' });
+        }
+
+        const buffer = await getStorage().read(attachment.storageKey);
+        const { content } = await notesFromFile(attachment.fileName, buffer, req.user.id, reply);
+
+        reply.send(200, { success: true, note: await saveNoteRevision(note, req.user.id, { content }) });
+    } catch (error) {
+        if (error instanceof DocumentFormatError) {
+            return reply.send(error.status, { error: error.message });
+        }
+        if (error instanceof UsageLimitError) {
+            return replyUsageLimitError(res, reply, error);
+        }
+        console.error('Error regenerating notes:', error);
+        reply.send(500, { error: 'Failed to regenerate notes. Check API key/model.' });
+    }
+});
+
+// Generate AI notes from text input, as a background job
+app.post('/generate-ai-notes', aiLimit('notes'), async (req, res) => {
+    try {
+        const { topic, content } = req.body;
+
+        if (!topic && !content) {
+            return res.status(400).json({ error: 'Missing topic or content' });
+        }
+
+        const job = await enqueueJob(req.user.id, 'notes', { topic: topic || '', content: content || '' },
+            { title: topic || 'AI Generated Notes' });
+
+        res.status(202).json({ success: true, job });
+    } catch (error) {
+        console.error('Error queueing AI notes:', error);
+        res.status(500).json({ error: 'Failed to start generating notes' });
+    }
+});
+
+// The job's progress is the notes pipeline's (stage, completed, total)
+defineAIJob('notes', 'notes', async ({ topic, content }, { userId, signal, onProgress, complete }) => {
+    const noteContent = await generateNotesContent(topic, content, '', { userId, onProgress, signal });
+    signal.throwIfAborted();
+
+    const result = await complete(async connection => {
+        const [inserted] = await connection.execute(
+            `INSERT INTO notes (user_id, title, content, source) VALUES (?, ?, ?, ?)`,
+            [userId, topic || 'AI Generated Notes', noteContent, 'ai']
+        );
+        await recordNoteVersion(inserted.insertId, connection);
+
+        const note = {
+            id: inserted.insertId,
+            title: topic || 'AI Generated Notes',
+            content: noteContent,
+            source: 'ai',
+            createdAt: new Date().toISOString()
+        };
+        return { note };
+    });
+    invalidateUserIndex(userId);
+
+    return result;
+}, { failureMessage: 'Failed to generate AI notes from AI. Check API key/model.' });
+
+// Append the note's current title and content as its next version
+async function recordNoteVersion(noteId, db = pool) {
+    await db.execute(
+        `INSERT INTO note_versions (note_id, version, title, content)
+         SELECT n.id, COALESCE(MAX(v.version), 0) + 1, n.title, n.content
+         FROM notes n LEFT JOIN note_versions v ON v.note_id = n.id
+         WHERE n.id = ?
+         GROUP BY n.id`,
+        [noteId]
+    );
+}
+
+// The uploaded original a note was made from, if any
+const NOTE_ATTACHMENT_ID = `(SELECT MAX(a.id) FROM attachments a WHERE a.note_id = notes.id) as attachmentId`;
+
+async function getNote(noteId, userId) {
+    const [rows] = await pool.execute(
+        `SELECT id, title, content, source, created_at as createdAt, updated_at as updatedAt, ${NOTE_ATTACHMENT_ID}
+         FROM notes WHERE id = ? AND user_id = ?`,
+        [noteId, userId]
+    );
+    return rows[0] || null;
+}
+
+async function getNoteVersion(noteId, version) {
+    const [rows] = await pool.execute(
+        `SELECT version, title, content, created_at as createdAt FROM note_versions WHERE note_id = ? AND version = ?`,
+        [noteId, version]
+    );
+    return rows[0] || null;
+}
+
+// Save new title and/or content as the note's next version. Returns the
+// updated note, unchanged when nothing differs.
+async function saveNoteRevision(note, userId, { title, content }) {
+    const nextTitle = title !== undefined ? String(title).trim().slice(0, 255) : note.title;
+    const nextContent = content !== undefined ? String(content) : note.content;
+    if (nextTitle === note.title && nextContent === note.content) return note;
+
+    // The note row stays locked until the version is written, so two saves
+    // can't both take the same next version number
+    await withTransaction(async connection => {
+        await connection.execute(`SELECT id FROM notes WHERE id = ? FOR UPDATE`, [note.id]);
+        await connection.execute(
+            `UPDATE notes SET title = ?, content = ?, updated_at = NOW() WHERE id = ?`,
+            [nextTitle, nextContent, note.id]
+        );
+        await recordNoteVersion(note.id, connection);
+    });
+    invalidateUserIndex(userId);
+    return getNote(note.id, userId);
+}
+
+// Get notes history
+app.get('/notes-history', async (req, res) => {
+    try {
+        const [rows] = await pool.execute(
+            `SELECT id, title, content, source, created_at as createdAt, updated_at as updatedAt, ${NOTE_ATTACHMENT_ID}
+             FROM notes 
+             WHERE user_id = ?
+             ORDER BY created_at DESC`,
+            [req.user.id]
+        );
+
+        res.json({ success: true, notes: rows });
+    } catch (error) {
+        console.error('Error fetching notes history:', error);
+        res.status(500).json({ error: 'Failed to fetch notes history' });
+    }
+});
+
+// Edit a note's title and/or content; every change is kept as a version
+app.put('/note/:id', async (req, res) => {
+    try {
+        const note = await getNote(parseInt(req.params.id), req.user.id);
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        const { title, content } = req.body;
+        if (title === undefined && content === undefined) {
+            return res.status(400).json({ error: 'Title or content is required' });
+        }
+        if (title !== undefined && !String(title).trim()) {
+            return res.status(400).json({ error: 'Title cannot be empty' });
+        }
+        if (content !== undefined && !String(content).trim()) {
+            return res.status(400).json({ error: 'Content cannot be empty' });
+        }
+
+        res.json({ success: true, note: await saveNoteRevision(note, req.user.id, { title, content }) });
+    } catch (error) {
+        console.error('Error updating note:', error);
+        res.status(500).json({ error: 'Failed to update note' });
+    }
+});
+
+// List a note's versions, newest first (without their content)
+app.get('/note/:id/versions', async (req, res) => {
+    try {
+        const note = await getNote(parseInt(req.params.id), req.user.id);
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        const [versions] = await pool.execute(
+            `SELECT version, title, CHAR_LENGTH(content) as length, created_at as createdAt
+             FROM note_versions WHERE note_id = ? ORDER BY version DESC`,
+            [note.id]
+        );
+
+        res.json({
+            success: true,
+            versions: versions.map((version, i) => ({ ...version, current: i === 0 }))
+        });
+    } catch (error) {
+        console.error('Error fetching note versions:', error);
+        res.status(500).json({ error: 'Failed to fetch note versions' });
+    }
+});
+
+// One version with its content
+app.get('/note/:id/versions/:version', async (req, res) => {
+    try {
+        const note = await getNote(parseInt(req.params.id), req.user.id);
+        const version = note && await getNoteVersion(note.id, parseInt(req.params.version));
+        if (!version) {
+            return res.status(404).json({ error: 'Note version not found' });
+        }
+
+        res.json({ success: true, version });
+    } catch (error) {
+        console.error('Error fetching note version:', error);
+        res.status(500).json({ error: 'Failed to fetch note version' });
+    }
+});
+
+// Line diff between two versions: ?from=N&to=M (to defaults to the latest)
+app.get('/note/:id/diff', async (req, res) => {
+    try {
+        const note = await getNote(parseInt(req.params.id), req.user.id);
+        if (!note) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+
+        const [latest] = await pool.execute(`SELECT MAX(version) as version FROM note_versions WHERE note_id = ?`, [note.id]);
+        const from = await getNoteVersion(note.id, parseInt(req.query.from));
+        const to = await getNoteVersion(note.id, parseInt(req.query.to) || latest[0].version);
+        if (!from || !to) {
+            return res.status(404).json({ error: 'Note version not found' });
+        }
+
+        const lines = diffLines(from.content, to.content);
+        res.json({
+            success: true,
+            diff: {
+                from: from.version,
+                to: to.version,
+                titleChanged: from.title !== to.title ? { from: from.title, to: to.title } : null,
+                ...diffStats(lines),
+                lines
+            }
+        });
+    } catch (error) {
+        console.error('Error diffing note versions:', error);
+        res.status(500).json({ error: 'Failed to compare note versions' });
+    }
+});
+
+// Restore an old version by saving its text as a new version
+app.post('/note/:id/versions/:version/restore', async (req, res) => {
+    try {
+        const note = await getNote(parseInt(req.params.id), req.user.id);
+        const version = note && await getNoteVersion(note.id, parseInt(req.params.version));
+        if (!version) {
+            return res.status(404).json({ error: 'Note version not found' });
+        }
+
+        res.json({
+            success: true,
+            note: await saveNoteRevision(note, req.user.id, { title: version.title, content: version.content })
+        });
+    } catch (error) {
+        console.error('Error restoring note version:', error);
+        res.status(500).json({ error: 'Failed to restore note version' });
+    }
+});
+
+// Delete note
+app.delete('/note/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const [attachments] = await pool.execute(
+            `SELECT storage_key as storageKey FROM attachments WHERE note_id = ? AND user_id = ?`,
+            [id, req.user.id]
+        );
+        const [result] = await pool.execute(
+            `DELETE FROM notes WHERE id = ? AND user_id = ?`,
+            [id, req.user.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+        invalidateUserIndex(req.user.id);
+
+        // The attachment rows went with the note; their files go too
+        const storage = getStorage();
+        await Promise.all(attachments.map(attachment => storage.remove(attachment.storageKey)
+            .catch(error => console.error('Error removing attachment file:', error))));
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting note:', error);
+        res.status(500).json({ error: 'Failed to delete note' });
+    }
+});
+
+// ==========================================
+// FLASHCARDS ROUTES
+// ==========================================
+
+// Card columns shared by the flashcard queries below
+const FLASHCARD_COLUMNS = `f.id, f.set_id as setId, f.position, f.question, f.answer, f.ease, f.interval_days as intervalDays,
+    f.repetitions, DATE_FORMAT(f.due_date, '%Y-%m-%d') as dueDate, f.last_reviewed_at as lastReviewedAt,
+    f.source_note_id as sourceNoteId, f.source_section as sourceSection, f.source_anchor as sourceAnchor`;
+
+const toFlashcard = row => ({ ...row, ease: Number(row.ease), mature: isMature(row) });
+
+// The user's flashcard sets with their cards in set order: all of them when
+// setId is null, otherwise only that set (none for an id that isn't valid).
+// totalCount, matureCount and dueCount are counted from the cards returned.
+async function getFlashcardSets(userId, today, setId = null, db = pool) {
+    const filtered = setId !== null;
+    if (filtered && !parseId(setId)) return [];
+
+    const [sets] = await db.execute(
+        `SELECT id, topic, source_note_id as sourceNoteId, created_at as createdAt
+         FROM flashcard_sets
+         WHERE user_id = ?${filtered ? ' AND id = ?' : ''}
+         ORDER BY created_at DESC`,
+        filtered ? [userId, parseId(setId)] : [userId]
+    );
+    if (sets.length === 0) return [];
+
+    const [rows] = await db.query(
+        `SELECT ${FLASHCARD_COLUMNS} FROM flashcards f WHERE f.set_id IN (?) ORDER BY f.position ASC, f.id ASC`,
+        [sets.map(set => set.id)]
+    );
+    const cards = rows.map(toFlashcard);
+
+    return sets.map(set => {
+        const setCards = cards.filter(card => card.setId === set.id);
+        return {
+            ...set,
+            totalCount: setCards.length,
+            matureCount: setCards.filter(card => card.mature).length,
+            dueCount: setCards.filter(card => isDue(card, today)).length,
+            cards: setCards
+        };
+    });
+}
+
+// Existing cards already drawn from a note, to de-duplicate new ones against
+async function getNoteCards(noteId) {
+    const [rows] = await pool.execute(
+        `SELECT f.question, f.answer FROM flashcards f JOIN flashcard_sets s ON s.id = f.set_id
+         WHERE f.source_note_id = ? OR s.source_note_id = ?`,
+        [noteId, noteId]
+    );
+    return rows;
+}
+
+// Source material beyond this is left out of the flashcards prompt
+const MAX_FLASHCARD_SOURCE_CHARS = 12000;
+const MAX_GENERATED_FLASHCARDS = 20;
+
+// Generate flashcards about a topic, or from one of the user's notes
+// (noteId), optionally only from a selection of its text. The cards are
+// generated by a background job.
+app.post('/generate-flashcards', aiLimit('flashcards'), async (req, res) => {
+    try {
+        const { topic, noteId, selection } = req.body;
+
+        const cardCount = req.body.count === undefined || req.body.count === null ? 5 : Number(req.body.count);
+        if (!Number.isInteger(cardCount) || cardCount < 1 || cardCount > MAX_GENERATED_FLASHCARDS) {
+            return res.status(400).json({ error: `Count must be a whole number from 1 to ${MAX_GENERATED_FLASHCARDS}` });
+        }
+
+        let note = null;
+        if (noteId) {
+            note = await getNote(parseInt(noteId), req.user.id);
+            if (!note) {
+                return res.status(404).json({ error: 'Note not found' });
+            }
+        } else if (!topic) {
+            return res.status(400).json({ error: 'Missing topic or note' });
+        }
+
+        const job = await enqueueJob(req.user.id, 'flashcards', {
+            topic: topic || '',
+            cardCount,
+            noteId: note ? note.id : null,
+            selection: selection ? String(selection) : null,
+            today: clientToday(req.body.today)
+        }, { title: topic || (note ? note.title : 'General Study') });
+
+        res.status(202).json({ success: true, job });
+    } catch (error) {
+        console.error('Error queueing flashcards:', error);
+        res.status(500).json({ error: 'Failed to start generating flashcards' });
+    }
+});
+
+defineAIJob('flashcards', 'flashcards', async ({ topic, cardCount, noteId, selection, today }, { userId, signal, complete }) => {
+    let note = null;
+    let existingCards = [];
+    if (noteId) {
+        // The note may have been deleted while the job waited
+        note = await getNote(noteId, userId);
+        if (!note) {
+            throw new JobError('Note not found', 404);
+        }
+        existingCards = await getNoteCards(note.id);
+    }
+
+    const cardFormat = `The output MUST be a JSON array of objects.
+        Each object in the array MUST have the following structure:
+        {
+          "question": [string, The flashcard question],
+          "answer": [string, The detailed answer to the question]
+        }
+        
+        Do not include any other text, explanation, or markdown formatting outside of the JSON array.`;
+
+    // **AI CALL for Flashcards Generation**
+    let prompt;
+    if (note) {
+        const material = (selection && selection.trim()) || note.content;
+        const avoid = existingCards.length > 0
+            ? `\n\nThese cards already exist for this note; do not repeat them:\n${existingCards.map(card => `- ${card.question}`).join('\n')}`
+            : '';
+        prompt = `Generate a set of ${cardCount} flashcards that test the study material below. Use only facts from the material.
+        
+        ${cardFormat}${avoid}
+
+        Study material (from the note "${note.title}"):
+        ${material.slice(0, MAX_FLASHCARD_SOURCE_CHARS)}`;
+    } else {
+        prompt = `Generate a set of ${cardCount} flashcards for the topic: "${topic}".
+        
+        ${cardFormat}`;
+    }
+
+    // Parsed and validated against FLASHCARDS_SCHEMA, with retries
+    const generated = await generateForJob(getLLM('flashcards', { userId }), 'flashcards', { prompt, schema: FLASHCARDS_SCHEMA, signal });
+    signal.throwIfAborted();
+
+    // Cards from a note skip repeats of the note's existing cards and
+    // remember the section they test
+    const { kept: generatedCards, duplicates } = dedupeCards(generated, existingCards);
+    if (generatedCards.length === 0) {
+        throw new JobError('Every generated card repeats one this note already has', 409, { duplicates: duplicates.length });
+    }
+    const sections = note ? matchNoteSections(note.content, generatedCards) : [];
+
+    // Create the flashcard set and its cards with the job's result; new
+    // cards are due straight away
+    const result = await complete(async connection => {
+        const [setResult] = await connection.execute(
+            `INSERT INTO flashcard_sets (user_id, topic, source_note_id, total_count) VALUES (?, ?, ?, ?)`,
+            [userId, (note ? topic || note.title : topic || 'General Study').slice(0, 255), note ? note.id : null, generatedCards.length]
+        );
+        for (const [i, card] of generatedCards.entries()) {
+            await connection.execute(
+                `INSERT INTO flashcards (set_id, position, question, answer, source_note_id, source_section, source_anchor) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [setResult.insertId, i, card.question, card.answer, note ? note.id : null, sections[i]?.section?.slice(0, 255) || null, sections[i]?.anchor?.slice(0, 255) || null]
+            );
+        }
+
+        const [flashcardSet] = await getFlashcardSets(userId, today, setResult.insertId, connection);
+        return { flashcardSet, duplicatesSkipped: duplicates.length };
+    });
+    invalidateUserIndex(userId);
+
+    return result;
+}, { failureMessage: 'Failed to generate flashcards from AI. Check API key/model.' });
+
+// Get flashcards history
+app.get('/flashcards-history', async (req, res) => {
+    try {
+        const flashcards = await getFlashcardSets(req.user.id, clientToday(req.query.date));
+        res.json({ success: true, flashcards });
+    } catch (error) {
+        console.error('Error fetching flashcards:', error);
+        res.status(500).json({ error: 'Failed to fetch flashcards' });
+    }
+});
+
+// Get the cards due for review today across all of the user's sets,
+// overdue reviews first, then new cards
+app.get('/flashcards/due', async (req, res) => {
+    try {
+        const date = clientToday(req.query.date);
+        const [rows] = await pool.execute(
+            `SELECT ${FLASHCARD_COLUMNS}, s.topic
+             FROM flashcards f JOIN flashcard_sets s ON s.id = f.set_id
+             WHERE s.user_id = ? AND (f.due_date IS NULL OR f.due_date <= ?)
+             ORDER BY f.due_date IS NULL, f.due_date ASC, f.id ASC`,
+            [req.user.id, date]
+        );
+
+        res.json({ success: true, due: { date, cards: rows.map(toFlashcard) } });
+    } catch (error) {
+        console.error('Error fetching due flashcards:', error);
+        res.status(500).json({ error: 'Failed to fetch due flashcards' });
+    }
+});
+
+// Grade a review (again / hard / good / easy) and schedule the card's next one
+app.post('/flashcard/:setId/cards/:cardId/review', async (req, res) => {
+    try {
+        const setId = parseInt(req.params.setId);
+        const cardId = parseInt(req.params.cardId);
+        const { grade } = req.body;
+        const today = clientToday(req.body.today);
+
+        if (!isValidGrade(grade)) {
+            return res.status(400).json({ error: 'Grade must be one of: again, hard, good, easy' });
+        }
+
+        // Only touch cards in a set owned by the current user
+        const [rows] = await pool.execute(
+            `SELECT ${FLASHCARD_COLUMNS}
+             FROM flashcards f JOIN flashcard_sets s ON s.id = f.set_id
+             WHERE f.id = ? AND f.set_id = ? AND s.user_id = ?`,
+            [cardId, setId, req.user.id]
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({ error: 'Flashcard not found' });
+        }
+
+        const next = reviewCard(toFlashcard(rows[0]), grade, today);
+        await pool.execute(
+            `UPDATE flashcards
+             SET ease = ?, interval_days = ?, repetitions = ?, due_date = ?, last_reviewed_at = NOW()
+             WHERE id = ?`,
+            [next.ease, next.intervalDays, next.repetitions, next.dueDate, cardId]
+        );
+
+        const [flashcardSet] = await getFlashcardSets(req.user.id, today, setId);
+        res.json({
+            success: true,
+            card: flashcardSet.cards.find(card => card.id === cardId),
+            flashcardSet
+        });
+    } catch (error) {
+        console.error('Error saving flashcard review:', error);
+        res.status(500).json({ error: 'Failed to save flashcard review' });
+    }
+});
+
+const MAX_CARD_TEXT_CHARS = 20000;
+
+// Trimmed question and answer for a hand-written card, or { error }
+function readCardText(card) {
+    const question = String(card.question ?? '').trim();
+    const answer = String(card.answer ?? '').trim();
+    if (!question || !answer) {
+        return { error: 'A card needs both a question and an answer' };
+    }
+    if (question.length > MAX_CARD_TEXT_CHARS || answer.length > MAX_CARD_TEXT_CHARS) {
+        return { error: `Questions and answers are limited to ${MAX_CARD_TEXT_CHARS} characters` };
+    }
+    return { question, answer };
+}
+
+// Store a set's card count; call in the transaction that added or removed cards
+async function recountSetCards(connection, setId) {
+    await connection.execute(
+        `UPDATE flashcard_sets SET total_count = (SELECT COUNT(*) FROM flashcards WHERE set_id = ?) WHERE id = ?`,
+        [setId, setId]
+    );
+}
+
+async function getOwnedSetId(setId, userId) {
+    const [rows] = await pool.execute(
+        `SELECT id FROM flashcard_sets WHERE id = ? AND user_id = ?`,
+        [setId, userId]
+    );
+    return rows.length > 0 ? rows[0].id : null;
+}
+
+// Create a set by hand. It may start empty or with { question, answer } cards.
+app.post('/flashcard', async (req, res) => {
+    try {
+        const topic = String(req.body.topic || '').trim();
+        if (!topic) {
+            return res.status(400).json({ error: 'Missing topic' });
+        }
+
+        const cards = (Array.isArray(req.body.cards) ? req.body.cards : []).map(readCardText);
+        const invalid = cards.find(card => card.error);
+        if (invalid) {
+            return res.status(400).json({ error: invalid.error });
+        }
+
+        const setId = await withTransaction(async connection => {
+            const [setResult] = await connection.execute(
+                `INSERT INTO flashcard_sets (user_id, topic, total_count) VALUES (?, ?, ?)`,
+                [req.user.id, topic.slice(0, 255), cards.length]
+            );
+            if (cards.length > 0) {
+                await connection.query(
+                    `INSERT INTO flashcards (set_id, position, question, answer) VALUES ?`,
+                    [cards.map((card, position) => [setResult.insertId, position, card.question, card.answer])]
+                );
+            }
+            return setResult.insertId;
+        });
+        invalidateUserIndex(req.user.id);
+
+        const [flashcardSet] = await getFlashcardSets(req.user.id, clientToday(req.body.today), setId);
+        res.json({ success: true, flashcardSet });
+    } catch (error) {
+        console.error('Error creating flashcard set:', error);
+        res.status(500).json({ error: 'Failed to create flashcard set' });
+    }
+});
+
+// Rename a set
+app.put('/flashcard/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const topic = String(req.body.topic || '').trim();
+        if (!topic) {
+            return res.status(400).json({ error: 'Missing topic' });
+        }
+
+        const [result] = await pool.execute(
+            `UPDATE flashcard_sets SET topic = ? WHERE id = ? AND user_id = ?`,
+            [topic.slice(0, 255), id, req.user.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Flashcard set not found' });
+        }
+        invalidateUserIndex(req.user.id);
+
+        const [flashcardSet] = await getFlashcardSets(req.user.id, clientToday(req.body.today), id);
+        res.json({ success: true, flashcardSet });
+    } catch (error) {
+        console.error('Error renaming flashcard set:', error);
+        res.status(500).json({ error: 'Failed to rename flashcard set' });
+    }
+});
+
+// Add a new card to the end of a set
+app.post('/flashcard/:setId/cards', async (req, res) => {
+    try {
+        const setId = await getOwnedSetId(parseInt(req.params.setId), req.user.id);
+        if (!setId) {
+            return res.status(404).json({ error: 'Flashcard set not found' });
+        }
+
+        const card = readCardText(req.body);
+        if (card.error) {
+            return res.status(400).json({ error: card.error });
+        }
+
+        const result = await withTransaction(async connection => {
+            const [inserted] = await connection.execute(
+                `INSERT INTO flashcards (set_id, position, question, answer)
+                 SELECT ?, COALESCE(MAX(position), -1) + 1, ?, ? FROM flashcards WHERE set_id = ?`,
+                [setId, card.question, card.answer, setId]
+            );
+            await recountSetCards(connection, setId);
+            return inserted;
+        });
+        invalidateUserIndex(req.user.id);
+
+        const [flashcardSet] = await getFlashcardSets(req.user.id, clientToday(req.body.today), setId);
+        res.json({
+            success: true,
+            card: flashcardSet.cards.find(c => c.id === result.insertId),
+            flashcardSet
+        });
+    } catch (error) {
+        console.error('Error adding flashcard:', error);
+        res.status(500).json({ error: 'Failed to add flashcard' });
+    }
+});
+
+// Put a set's cards in a new order. cardIds must list every card in the set.
+app.put('/flashcard/:setId/cards/order', async (req, res) => {
+    try {
+        const setId = await getOwnedSetId(parseInt(req.params.setId), req.user.id);
+        if (!setId) {
+            return res.status(404).json({ error: 'Flashcard set not found' });
+        }
+
+        const cardIds = Array.isArray(req.body.cardIds) ? req.body.cardIds.map(Number) : [];
+        const [rows] = await pool.execute(`SELECT id FROM flashcards WHERE set_id = ?`, [setId]);
+        const current = new Set(rows.map(row => row.id));
+        if (cardIds.length !== current.size || new Set(cardIds).size !== cardIds.length || !cardIds.every(id => current.has(id))) {
+            return res.status(400).json({ error: 'cardIds must list every card in the set exactly once' });
+        }
+
+        await withTransaction(async connection => {
+            for (const [position, cardId] of cardIds.entries()) {
+                await connection.execute(
+                    `UPDATE flashcards SET position = ? WHERE id = ? AND set_id = ?`,
+                    [position, cardId, setId]
+                );
+            }
+        });
+
+        const [flashcardSet] = await getFlashcardSets(req.user.id, clientToday(req.body.today), setId);
+        res.json({ success: true, flashcardSet });
+    } catch (error) {
+        console.error('Error reordering flashcards:', error);
+        res.status(500).json({ error: 'Failed to reorder flashcards' });
+    }
+});
+
+// Fix a card's question or answer. Its review schedule is kept.
+app.put('/flashcard/:setId/cards/:cardId', async (req, res) => {
+    try {
+        const setId = await getOwnedSetId(parseInt(req.params.setId), req.user.id);
+        if (!setId) {
+            return res.status(404).json({ error: 'Flashcard set not found' });
+        }
+
+        const card = readCardText(req.body);
+        if (card.error) {
+            return res.status(400).json({ error: card.error });
+        }
+
+        const cardId = parseInt(req.params.cardId);
+        const [result] = await pool.execute(
+            `UPDATE flashcards SET question = ?, answer = ? WHERE id = ? AND set_id = ?`,
+            [card.question, card.answer, cardId, setId]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Flashcard not found' });
+        }
+        invalidateUserIndex(req.user.id);
+
+        const [flashcardSet] = await getFlashcardSets(req.user.id, clientToday(req.body.today), setId);
+        res.json({
+            success: true,
+            card: flashcardSet.cards.find(c => c.id === cardId),
+            flashcardSet
+        });
+    } catch (error) {
+        console.error('Error updating flashcard:', error);
+        res.status(500).json({ error: 'Failed to update flashcard' });
+    }
+});
+
+// Remove one card; the set stays, even when it ends up empty
+app.delete('/flashcard/:setId/cards/:cardId', async (req, res) => {
+    try {
+        const setId = await getOwnedSetId(parseInt(req.params.setId), req.user.id);
+        if (!setId) {
+            return res.status(404).json({ error: 'Flashcard set not found' });
+        }
+
+        const result = await withTransaction(async connection => {
+            const [deleted] = await connection.execute(
+                `DELETE FROM flashcards WHERE id = ? AND set_id = ?`,
+                [parseInt(req.params.cardId), setId]
+            );
+            await recountSetCards(connection, setId);
+            return deleted;
+        });
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Flashcard not found' });
+        }
+        invalidateUserIndex(req.user.id);
+
+        const [flashcardSet] = await getFlashcardSets(req.user.id, clientToday(req.query.date), setId);
+        res.json({ success: true, flashcardSet });
+    } catch (error) {
+        console.error('Error deleting flashcard:', error);
+        res.status(500).json({ error: 'Failed to delete flashcard' });
+    }
+});
+
+// Delete flashcard set
+app.delete('/flashcard/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const [result] = await pool.execute(
+            `DELETE FROM flashcard_sets WHERE id = ? AND user_id = ?`,
+            [id, req.user.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Flashcard set not found' });
+        }
+        invalidateUserIndex(req.user.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting flashcard set:', error);
+        res.status(500).json({ error: 'Failed to delete flashcard set' });
+    }
+});
+
+// Options shared by the import preview and the import itself. The file
+// arrives as base64 or a data URL; mapping holds column indexes.
+function deckImportOptions(body) {
+    const mapping = body.mapping && typeof body.mapping === 'object'
+        ? Object.fromEntries(Object.entries(body.mapping)
+            .filter(([, column]) => column !== '' && column !== null && column !== undefined)
+            .map(([field, column]) => [field, Number(column)]))
+        : null;
+    return {
+        fileName: body.fileName,
+        buffer: decodeFileContent(body.fileContent),
+        mapping,
+        delimiter: body.delimiter || null,
+        hasHeader: typeof body.hasHeader === 'boolean' ? body.hasHeader : null,
+        today: clientToday(body.today)
+    };
+}
+
+// Look inside a CSV/TSV or Anki file before importing it: the detected
+// columns and a few rows, or the decks and their card counts
+app.post('/flashcards/import/preview', async (req, res) => {
+    try {
+        if (!req.body.fileName || !req.body.fileContent) {
+            return res.status(400).json({ error: 'Missing file data' });
+        }
+
+        const preview = await previewDeckFile(deckImportOptions(req.body));
+        res.json({ success: true, preview });
+    } catch (error) {
+        if (error instanceof DeckFormatError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error previewing flashcard import:', error);
+        res.status(500).json({ error: 'Failed to read the import file' });
+    }
+});
+
+// Import a CSV/TSV file (one set, named by `topic` or the file) or an Anki
+// package (one set per deck), keeping whatever review state the file has
+app.post('/flashcards/import', async (req, res) => {
+    try {
+        if (!req.body.fileName || !req.body.fileContent) {
+            return res.status(400).json({ error: 'Missing file data' });
+        }
+
+        const options = deckImportOptions(req.body);
+        const { decks: readDecks, skipped } = await readDeckFile(options);
+        // A bulk insert needs at least one row, so empty decks are left out
+        const decks = readDecks.filter(deck => deck.cards.length > 0);
+        if (decks.length === 0) {
+            return res.status(400).json({ error: 'The file has no cards to import' });
+        }
+        const topic = String(req.body.topic || '').trim();
+
+        const setIds = await withTransaction(async connection => {
+            const ids = [];
+            for (const deck of decks) {
+                const [setResult] = await connection.execute(
+                    `INSERT INTO flashcard_sets (user_id, topic, total_count) VALUES (?, ?, ?)`,
+                    [req.user.id, (decks.length === 1 && topic ? topic : deck.name).slice(0, 255), deck.cards.length]
+                );
+                await connection.query(
+                    `INSERT INTO flashcards (set_id, position, question, answer, ease, interval_days, repetitions, due_date, last_reviewed_at) VALUES ?`,
+                    [deck.cards.map((card, position) => [
+                        setResult.insertId,
+                        position,
+                        card.question,
+                        card.answer,
+                        card.ease,
+                        card.intervalDays,
+                        card.repetitions,
+                        card.dueDate,
+                        card.lastReviewedAt
+                    ])]
+                );
+                ids.push(setResult.insertId);
+            }
+            return ids;
+        });
+        invalidateUserIndex(req.user.id);
+
+        const sets = await getFlashcardSets(req.user.id, options.today);
+        res.json({
+            success: true,
+            flashcardSets: sets.filter(set => setIds.includes(set.id)),
+            imported: decks.reduce((sum, deck) => sum + deck.cards.length, 0),
+            skipped
+        });
+    } catch (error) {
+        if (error instanceof DeckFormatError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error importing flashcards:', error);
+        res.status(500).json({ error: 'Failed to import flashcards' });
+    }
+});
+
+// ==========================================
+// QUIZ ROUTES
+// ==========================================
+
+// Source text beyond this is left out of the quiz prompt
+const MAX_QUIZ_SOURCE_CHARS = 12000;
+const MAX_QUIZ_QUESTIONS = 20;
+
+// The note or flashcard set a quiz is generated from, as { title, text }
+async function getQuizSource(userId, { noteId, setId }) {
+    if (noteId) {
+        const note = await getNote(noteId, userId);
+        return note && { type: 'note', id: note.id, title: note.title, text: note.content };
+    }
+    const [flashcardSet] = await getFlashcardSets(userId, toDateString(new Date()), setId);
+    return flashcardSet && {
+        type: 'flashcards',
+        id: flashcardSet.id,
+        title: flashcardSet.topic,
+        text: flashcardSet.cards.map(card => `Q: ${card.question}\nA: ${card.answer}`).join('\n\n')
+    };
+}
+
+// Questions as the quiz taker sees them: answers and explanations stay on
+// the server until an attempt is graded
+const toQuizQuestion = row => ({
+    id: row.id,
+    position: row.position,
+    type: row.type,
+    question: row.question,
+    options: JSON.parse(row.options)
+});
+
+async function getQuizQuestions(quizId) {
+    const [rows] = await pool.execute(
+        `SELECT id, position, type, question, options, answer, explanation
+         FROM quiz_questions WHERE quiz_id = ? ORDER BY position ASC`,
+        [quizId]
+    );
+    return rows;
+}
+
+async function getQuiz(quizId, userId) {
+    const [rows] = await pool.execute(
+        `SELECT id, title, source_type as sourceType, source_id as sourceId, created_at as createdAt
+         FROM quizzes WHERE id = ? AND user_id = ?`,
+        [quizId, userId]
+    );
+    return rows[0] || null;
+}
+
+const toAttempt = row => ({
+    id: row.id,
+    quizId: row.quizId,
+    score: row.score,
+    total: row.total,
+    percent: row.total > 0 ? Math.round((row.score / row.total) * 100) : 0,
+    createdAt: row.createdAt
+});
+
+// A graded attempt with each question's answer and explanation
+function attemptReview(attempt, questions, results) {
+    const byQuestion = new Map(results.map(result => [result.questionId, result]));
+    return {
+        ...toAttempt(attempt),
+        results: questions.map(question => ({
+            ...toQuizQuestion(question),
+            response: byQuestion.get(question.id)?.response ?? null,
+            correct: byQuestion.get(question.id)?.correct ?? false,
+            answer: question.answer,
+            explanation: question.explanation
+        }))
+    };
+}
+
+// Generate a quiz from one of the user's notes (noteId) or flashcard sets (setId)
+app.post('/generate-quiz', aiLimit('quiz'), async (req, res) => {
+    try {
+        const noteId = parseId(req.body.noteId);
+        const setId = parseId(req.body.setId);
+        const count = req.body.count === undefined || req.body.count === null ? 5 : Number(req.body.count);
+        const types = (Array.isArray(req.body.types) ? req.body.types : QUESTION_TYPES).filter(type => QUESTION_TYPES.includes(type));
+
+        if (!Number.isInteger(count) || count < 1 || count > MAX_QUIZ_QUESTIONS) {
+            return res.status(400).json({ error: `Count must be a whole number from 1 to ${MAX_QUIZ_QUESTIONS}` });
+        }
+        if ((req.body.noteId != null && !noteId) || (req.body.setId != null && !setId)) {
+            return res.status(400).json({ error: 'Note and flashcard set ids must be positive integers' });
+        }
+        if (!noteId && !setId) {
+            return res.status(400).json({ error: 'A note or flashcard set is required' });
+        }
+        if (types.length === 0) {
+            return res.status(400).json({ error: `Types must include one of: ${QUESTION_TYPES.join(', ')}` });
+        }
+
+        const source = await getQuizSource(req.user.id, { noteId, setId });
+        if (!source) {
+            return res.status(404).json({ error: noteId ? 'Note not found' : 'Flashcard set not found' });
+        }
+        if (!source.text.trim()) {
+            return res.status(400).json({ error: 'There is nothing in this source to quiz on yet' });
+        }
+
+        // **AI CALL for Quiz Generation**
+        const prompt = `Write a quiz of ${count} questions that tests understanding of the study material below.
+        Use only these question types: ${types.join(', ')}. Mix them where more than one is allowed.
+
+        The output MUST be a JSON array of objects.
+        Each object in the array MUST have the following structure:
+        {
+          "type": ["multiple_choice", "true_false" or "short_answer"],
+          "question": [string, The question],
+          "options": [array of strings, 4 choices for multiple_choice, ["True", "False"] for true_false, [] for short_answer],
+          "answer": [string, The correct option exactly as written in options, or for short_answer a short answer of a few words],
+          "explanation": [string, One or two sentences on why the answer is correct]
+        }
+
+        Do not include any other text, explanation, or markdown formatting outside of the JSON array.
+
+        Study material ("${source.title}"):
+        ${source.text.slice(0, MAX_QUIZ_SOURCE_CHARS)}`;
+
+        // Parsed and validated against QUIZ_SCHEMA and the per-type rules, with retries
+        const generated = await generateStructured(getLLM('quiz', { userId: req.user.id }), {
+            prompt,
+            schema: QUIZ_SCHEMA,
+            validate: checkQuizQuestions
+        });
+        const questions = normalizeQuestions(generated.filter(q => types.includes(q.type))).slice(0, count);
+        if (questions.length === 0) {
+            throw new AIOutputError('AI quiz output had no questions of the requested types', ['$: no questions of the requested types']);
+        }
+
+        const quizId = await withTransaction(async connection => {
+            const [result] = await connection.execute(
+                `INSERT INTO quizzes (user_id, title, source_type, source_id) VALUES (?, ?, ?, ?)`,
+                [req.user.id, `Quiz: ${source.title}`.slice(0, 255), source.type, source.id]
+            );
+            await connection.query(
+                `INSERT INTO quiz_questions (quiz_id, position, type, question, options, answer, explanation) VALUES ?`,
+                [questions.map((q, i) => [result.insertId, i, q.type, q.question, JSON.stringify(q.options), q.answer, q.explanation])]
+            );
+            return result.insertId;
+        });
+
+        const quiz = await getQuiz(quizId, req.user.id);
+        res.json({
+            success: true,
+            quiz: { ...quiz, questions: (await getQuizQuestions(quiz.id)).map(toQuizQuestion), attempts: [] }
+        });
+    } catch (error) {
+        if (error instanceof UsageLimitError) {
+            return sendUsageLimitError(res, error);
+        }
+        console.error('Error generating quiz:', error);
+        if (error instanceof AIOutputError) {
+            return sendAIOutputError(res, error, 'a quiz');
+        }
+        res.status(500).json({ error: 'Failed to generate quiz from AI. Check API key/model.' });
+    }
+});
+
+// All quizzes with their attempt counts and scores, plus recent attempts
+// across quizzes for the score history
+app.get('/quizzes', async (req, res) => {
     try {
-        const { id, progress, completed } = req.body;
-
-        await pool.execute(
-            `UPDATE study_plans SET progress = ?, completed = ? WHERE id = ?`,
-            [progress, completed, id]
+        const [quizzes] = await pool.execute(
+            `SELECT q.id, q.title, q.source_type as sourceType, q.source_id as sourceId, q.created_at as createdAt,
+                    (SELECT COUNT(*) FROM quiz_questions qq WHERE qq.quiz_id = q.id) as questionCount,
+                    COUNT(a.id) as attemptCount,
+                    MAX(a.score / a.total) as bestRatio
+             FROM quizzes q LEFT JOIN quiz_attempts a ON a.quiz_id = q.id
+             WHERE q.user_id = ?
+             GROUP BY q.id
+             ORDER BY q.created_at DESC`,
+            [req.user.id]
         );
-
-        const [rows] = await pool.execute(
-            `SELECT id, course_name as courseName, deadline, hours_per_day as hoursPerDay, 
-             days_until as daysUntil, total_hours as totalHours, plan_json as plan, 
-             progress, completed, created_at as createdAt 
-             FROM study_plans WHERE id = ?`,
-            [id]
+        const [attempts] = await pool.execute(
+            `SELECT a.id, a.quiz_id as quizId, q.title, a.score, a.total, a.created_at as createdAt
+             FROM quiz_attempts a JOIN quizzes q ON q.id = a.quiz_id
+             WHERE q.user_id = ?
+             ORDER BY a.created_at DESC, a.id DESC
+             LIMIT 20`,
+            [req.user.id]
         );
 
-        if (rows.length > 0) {
-            const plan = {
-                ...rows[0],
-                plan: JSON.parse(rows[0].plan)
-            };
-            res.json({ success: true, plan });
-        } else {
-            res.status(404).json({ error: 'Study plan not found' });
-        }
+        res.json({
+            success: true,
+            quizzes: quizzes.map(({ bestRatio, ...quiz }) => ({
+                ...quiz,
+                bestPercent: bestRatio === null ? null : Math.round(Number(bestRatio) * 100)
+            })),
+            recentAttempts: attempts.map(attempt => ({ ...toAttempt(attempt), title: attempt.title }))
+        });
     } catch (error) {
-        console.error('Error updating study progress:', error);
-        res.status(500).json({ error: 'Failed to update progress' });
+        console.error('Error fetching quizzes:', error);
+        res.status(500).json({ error: 'Failed to fetch quizzes' });
     }
 });
 
-// Delete study plan
-app.delete('/studyplan/:id', async (req, res) => {
+// One quiz to take, with its past attempts (newest first)
+app.get('/quiz/:id', async (req, res) => {
     try {
-        const id = parseInt(req.params.id);
-        await pool.execute(`DELETE FROM study_plans WHERE id = ?`, [id]);
-        res.json({ success: true });
+        const quiz = await getQuiz(parseInt(req.params.id), req.user.id);
+        if (!quiz) {
+            return res.status(404).json({ error: 'Quiz not found' });
+        }
+
+        const [attempts] = await pool.execute(
+            `SELECT id, quiz_id as quizId, score, total, created_at as createdAt
+             FROM quiz_attempts WHERE quiz_id = ? ORDER BY created_at DESC, id DESC`,
+            [quiz.id]
+        );
+
+        res.json({
+            success: true,
+            quiz: {
+                ...quiz,
+                questions: (await getQuizQuestions(quiz.id)).map(toQuizQuestion),
+                attempts: attempts.map(toAttempt)
+            }
+        });
     } catch (error) {
-        console.error('Error deleting study plan:', error);
-        res.status(500).json({ error: 'Failed to delete study plan' });
+        console.error('Error fetching quiz:', error);
+        res.status(500).json({ error: 'Failed to fetch quiz' });
     }
 });
 
-// ==========================================
-// NOTES ROUTES
-// ==========================================
-
-// Upload PDF (mock)
-app.post('/upload-pdf', async (req, res) => {
+// Grade and store an attempt. answers: { [questionId]: response }
+app.post('/quiz/:id/attempts', async (req, res) => {
     try {
-        const { fileName, fileContent } = req.body;
-        const content = `# Notes from ${fileName}\n\n## Summary\nThis is a mock extraction from the uploaded PDF file.\n\n## Key Points\n- Point 1: Important concept from the document\n- Point 2: Critical information extracted\n- Point 3: Summary of main ideas\n\n## Detailed Notes\nThe document contains valuable information that has been processed and summarized for easy review.`;
+        const quiz = await getQuiz(parseInt(req.params.id), req.user.id);
+        if (!quiz) {
+            return res.status(404).json({ error: 'Quiz not found' });
+        }
+
+        const answers = req.body.answers;
+        if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+            return res.status(400).json({ error: 'Answers are required' });
+        }
+
+        const questions = await getQuizQuestions(quiz.id);
+        const graded = gradeAttempt(questions, answers);
 
         const [result] = await pool.execute(
-            `INSERT INTO notes (user_id, title, content, source, file_name) VALUES (?, ?, ?, ?, ?)`,
-            [null, `Notes from ${fileName}`, content, 'pdf', fileName]
+            `INSERT INTO quiz_attempts (quiz_id, score, total, answers) VALUES (?, ?, ?, ?)`,
+            [quiz.id, graded.score, graded.total, JSON.stringify(graded.results)]
         );
 
-        const note = {
-            id: result.insertId,
-            title: `Notes from ${fileName}`,
-            content,
-            source: 'pdf',
-            createdAt: new Date().toISOString()
-        };
-
-        res.json({ success: true, note });
+        const attempt = { id: result.insertId, quizId: quiz.id, score: graded.score, total: graded.total, createdAt: new Date().toISOString() };
+        res.json({ success: true, attempt: attemptReview(attempt, questions, graded.results) });
     } catch (error) {
-        console.error('Error uploading PDF:', error);
-        res.status(500).json({ error: 'Failed to upload PDF' });
+        console.error('Error grading quiz attempt:', error);
+        res.status(500).json({ error: 'Failed to grade quiz attempt' });
     }
 });
 
-// Upload local file
-app.post('/upload-local-file', async (req, res) => {
+// Review a past attempt with answers and explanations
+app.get('/quiz/:id/attempts/:attemptId', async (req, res) => {
     try {
-        const { fileName, fileContent } = req.body;
-
-        if (!fileName || !fileContent) {
-            return res.status(400).json({ error: 'Missing file data' });
+        const quiz = await getQuiz(parseInt(req.params.id), req.user.id);
+        const [rows] = quiz ? await pool.execute(
+            `SELECT id, quiz_id as quizId, score, total, answers, created_at as createdAt
+             FROM quiz_attempts WHERE id = ? AND quiz_id = ?`,
+            [parseInt(req.params.attemptId), quiz.id]
+        ) : [[]];
+        if (rows.length === 0) {
+            return res.status(404).json({ error: 'Quiz attempt not found' });
         }
 
-        const content = `# ${fileName}\n\n${fileContent}\n\n---\n*Processed on ${new Date().toLocaleString()}*`;
+        const questions = await getQuizQuestions(quiz.id);
+        res.json({ success: true, attempt: attemptReview(rows[0], questions, JSON.parse(rows[0].answers)) });
+    } catch (error) {
+        console.error('Error fetching quiz attempt:', error);
+        res.status(500).json({ error: 'Failed to fetch quiz attempt' });
+    }
+});
 
+// Delete a quiz with its questions and attempts
+app.delete('/quiz/:id', async (req, res) => {
+    try {
         const [result] = await pool.execute(
-            `INSERT INTO notes (user_id, title, content, source, file_name) VALUES (?, ?, ?, ?, ?)`,
-            [null, `Notes from ${fileName}`, content, 'local_file', fileName]
+            `DELETE FROM quizzes WHERE id = ? AND user_id = ?`,
+            [parseInt(req.params.id), req.user.id]
         );
-
-        const note = {
-            id: result.insertId,
-            title: `Notes from ${fileName}`,
-            content,
-            source: 'local_file',
-            createdAt: new Date().toISOString()
-        };
-
-        res.json({ success: true, note });
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Quiz not found' });
+        }
+        res.json({ success: true });
     } catch (error) {
-        console.error('Error uploading local file:', error);
-        res.status(500).json({ error: 'Failed to upload local file' });
+        console.error('Error deleting quiz:', error);
+        res.status(500).json({ error: 'Failed to delete quiz' });
     }
 });
 
-// Generate AI notes from text input
-app.post('/generate-ai-notes', async (req, res) => {
-    try {
-        const { topic, content } = req.body;
+// ==========================================
+// CHAT ROUTES
+// ==========================================
 
-        if (!topic && !content) {
-            return res.status(400).json({ error: 'Missing topic or content' });
-        }
+const THREAD_COLUMNS = `t.id, t.title, t.archived_at IS NOT NULL as archived,
+    t.created_at as createdAt, t.updated_at as updatedAt`;
 
-        const prompt = `Generate comprehensive study notes for the topic: "${topic}". Use the following content as a source, if provided: "${content || 'No specific content provided, use general knowledge.'}". 
-        
-        The notes should be formatted clearly using Markdown with sections for a Summary, Key Concepts (as a bulleted list), and Practice Questions (as a numbered list).`;
+const toThread = row => ({ ...row, archived: !!row.archived });
 
-        // **GEMINI API CALL for Notes Generation**
-        const model = genAI.getGenerativeModel({ model: MODEL });
-        const aiResult = await model.generateContent(prompt);
-        const response = await aiResult.response;
-        const text = response.text();
+async function getThread(threadId, userId) {
+    const [rows] = await pool.execute(
+        `SELECT ${THREAD_COLUMNS} FROM chat_threads t WHERE t.id = ? AND t.user_id = ?`,
+        [threadId, userId]
+    );
+    return rows.length > 0 ? toThread(rows[0]) : null;
+}
 
-        const noteContent = text + `\n\n---\n*Generated by AI on ${new Date().toLocaleString()}*`;
+async function getThreadMessages(threadId) {
+    const [rows] = await pool.execute(
+        `SELECT id, role, content, citations, created_at as timestamp
+         FROM chat_history WHERE thread_id = ? ORDER BY created_at ASC, id ASC`,
+        [threadId]
+    );
+    return rows.map(row => ({ ...row, citations: JSON.parse(row.citations || '[]') }));
+}
 
-        const [result] = await pool.execute(
-            `INSERT INTO notes (user_id, title, content, source) VALUES (?, ?, ?, ?)`,
-            [null, topic || 'AI Generated Notes', noteContent, 'ai']
-        );
+const cleanTitle = title => String(title || '').trim().slice(0, 255);
 
-        const note = {
-            id: result.insertId,
-            title: topic || 'AI Generated Notes',
-            content: noteContent,
-            source: 'ai',
-            createdAt: new Date().toISOString()
-        };
+// Name a thread from its first exchange. Failing to get a title is not
+// worth failing the chat request over; the thread just stays untitled.
+async function autoTitleThread(userId, threadId, message, reply) {
+    try {
+        const prompt = `Write a short title of at most six words for a study conversation that starts like this. Reply with the title only, without quotes or a trailing full stop.
+
+User: ${message.slice(0, 1000)}
+
+Assistant: ${reply.slice(0, 1000)}`;
 
-        res.json({ success: true, note });
+        const { text } = await getLLM('title', { userId }).generateText({ prompt });
+        const title = cleanTitle(text.split('\n')[0].replace(/^[\s"'#*]+|[\s"'*.]+$/g, '')).slice(0, 100);
+        if (!title) return null;
+
+        await pool.execute(`UPDATE chat_threads SET title = ? WHERE id = ? AND title IS NULL`, [title, threadId]);
+        return title;
     } catch (error) {
-        console.error('Error generating AI notes:', error);
-        res.status(500).json({ error: 'Failed to generate AI notes from AI. Check API key/model.' });
+        console.error('Error titling chat thread:', error);
+        return null;
     }
-});
+}
 
-// Get notes history
-app.get('/notes-history', async (req, res) => {
+// List chat threads, most recently active first. ?archived=true lists the archived ones.
+app.get('/chat-threads', async (req, res) => {
     try {
+        const archived = req.query.archived === 'true';
         const [rows] = await pool.execute(
-            `SELECT id, title, content, source, created_at as createdAt 
-             FROM notes 
-             ORDER BY created_at DESC`
+            `SELECT ${THREAD_COLUMNS}, COUNT(h.id) as messageCount
+             FROM chat_threads t LEFT JOIN chat_history h ON h.thread_id = t.id
+             WHERE t.user_id = ? AND t.archived_at IS ${archived ? 'NOT ' : ''}NULL
+             GROUP BY t.id
+             ORDER BY t.updated_at DESC, t.id DESC`,
+            [req.user.id]
         );
 
-        res.json({ success: true, notes: rows });
+        res.json({ success: true, threads: rows.map(toThread) });
     } catch (error) {
-        console.error('Error fetching notes history:', error);
-        res.status(500).json({ error: 'Failed to fetch notes history' });
+        console.error('Error fetching chat threads:', error);
+        res.status(500).json({ error: 'Failed to fetch chat threads' });
     }
 });
 
-// Delete note
-app.delete('/note/:id', async (req, res) => {
+// Start a new conversation; without a title it is named after the first exchange
+app.post('/chat-threads', async (req, res) => {
     try {
-        const id = parseInt(req.params.id);
-        await pool.execute(`DELETE FROM notes WHERE id = ?`, [id]);
-        res.json({ success: true });
+        const title = cleanTitle(req.body.title) || null;
+        const [result] = await pool.execute(
+            `INSERT INTO chat_threads (user_id, title) VALUES (?, ?)`,
+            [req.user.id, title]
+        );
+
+        res.json({ success: true, thread: await getThread(result.insertId, req.user.id) });
     } catch (error) {
-        console.error('Error deleting note:', error);
-        res.status(500).json({ error: 'Failed to delete note' });
+        console.error('Error creating chat thread:', error);
+        res.status(500).json({ error: 'Failed to create chat thread' });
     }
 });
 
-// ==========================================
-// FLASHCARDS ROUTES
-// ==========================================
-
-// Generate flashcards
-app.post('/generate-flashcards', async (req, res) => {
+// Rename and/or archive (archived: true) or restore (archived: false) a thread
+app.put('/chat-threads/:id', async (req, res) => {
     try {
-        const { topic, count } = req.body;
-        const cardCount = count || 5;
-
-        // **GEMINI API CALL for Flashcards Generation**
-        const prompt = `Generate a set of ${cardCount} flashcards for the topic: "${topic}".
-        
-        The output MUST be a JSON array of objects.
-        Each object in the array MUST have the following structure:
-        {
-          "question": [string, The flashcard question],
-          "answer": [string, The detailed answer to the question]
+        const thread = await getThread(parseInt(req.params.id), req.user.id);
+        if (!thread) {
+            return res.status(404).json({ error: 'Chat thread not found' });
         }
-        
-        Do not include any other text, explanation, or markdown formatting outside of the JSON array.`;
 
-        const model = genAI.getGenerativeModel({ 
-            model: MODEL,
-            generationConfig: { responseMimeType: "application/json" }
-        });
-        const aiResult = await model.generateContent(prompt);
-        const response = await aiResult.response;
-        const text = response.text();
-
-        // The response text is a JSON string, so we parse it
-        const generatedCards = JSON.parse(text);
-
-        // Create flashcard set
-        const [setResult] = await pool.execute(
-            `INSERT INTO flashcard_sets (user_id, topic, total_count, known_count) VALUES (?, ?, ?, ?)`,
-            [null, topic || 'General Study', generatedCards.length, 0]
-        );
-
-        const setId = setResult.insertId;
-        const cards = [];
-
-        // Insert each card into the database
-        for (const card of generatedCards) {
-            const [cardResult] = await pool.execute(
-                `INSERT INTO flashcards (set_id, question, answer, known) VALUES (?, ?, ?, ?)`,
-                [
-                    setId,
-                    card.question,
-                    card.answer,
-                    false
-                ]
+        const { title, archived } = req.body;
+        if (title !== undefined) {
+            if (!cleanTitle(title)) {
+                return res.status(400).json({ error: 'Title cannot be empty' });
+            }
+            await pool.execute(`UPDATE chat_threads SET title = ? WHERE id = ?`, [cleanTitle(title), thread.id]);
+        }
+        if (archived !== undefined) {
+            await pool.execute(
+                `UPDATE chat_threads SET archived_at = ${archived ? 'COALESCE(archived_at, NOW())' : 'NULL'} WHERE id = ?`,
+                [thread.id]
             );
-
-            cards.push({
-                id: cardResult.insertId,
-                question: card.question,
-                answer: card.answer,
-                known: false
-            });
         }
 
-        const flashcardSet = {
-            id: setId,
-            topic: topic || 'General Study',
-            cards,
-            createdAt: new Date().toISOString(),
-            knownCount: 0,
-            totalCount: cards.length
-        };
-
-        res.json({ success: true, flashcardSet });
+        res.json({ success: true, thread: await getThread(thread.id, req.user.id) });
     } catch (error) {
-        console.error('Error generating flashcards:', error);
-        res.status(500).json({ error: 'Failed to generate flashcards from AI. Check API key/model.' });
+        console.error('Error updating chat thread:', error);
+        res.status(500).json({ error: 'Failed to update chat thread' });
     }
 });
 
-// Get flashcards history
-app.get('/flashcards-history', async (req, res) => {
+// Delete a thread and all of its messages
+app.delete('/chat-threads/:id', async (req, res) => {
     try {
-        const [sets] = await pool.execute(
-            `SELECT id, topic, total_count as totalCount, known_count as knownCount, created_at as createdAt 
-             FROM flashcard_sets 
-             ORDER BY created_at DESC`
+        const [result] = await pool.execute(
+            `DELETE FROM chat_threads WHERE id = ? AND user_id = ?`,
+            [parseInt(req.params.id), req.user.id]
         );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Chat thread not found' });
+        }
+        invalidateUserIndex(req.user.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting chat thread:', error);
+        res.status(500).json({ error: 'Failed to delete chat thread' });
+    }
+});
 
-        const flashcards = [];
-        for (const set of sets) {
-            const [cards] = await pool.execute(
-                `SELECT id, question, answer, known FROM flashcards WHERE set_id = ?`,
-                [set.id]
-            );
-            flashcards.push({
-                ...set,
-                cards
-            });
+// Get one thread's messages
+app.get('/chat-threads/:id/messages', async (req, res) => {
+    try {
+        const thread = await getThread(parseInt(req.params.id), req.user.id);
+        if (!thread) {
+            return res.status(404).json({ error: 'Chat thread not found' });
         }
 
-        res.json({ success: true, flashcards });
+        res.json({ success: true, thread, chatHistory: await getThreadMessages(thread.id) });
     } catch (error) {
-        console.error('Error fetching flashcards:', error);
-        res.status(500).json({ error: 'Failed to fetch flashcards' });
+        console.error('Error fetching chat history:', error);
+        res.status(500).json({ error: 'Failed to fetch chat history' });
     }
 });
 
-// Save flashcard status
-app.post('/save-flashcard-status', async (req, res) => {
-    try {
-        const { setId, cardId, known } = req.body;
+// Resolve the thread a message goes to (a new one when threadId is empty),
+// ground the message in the user's notes and flashcards and build the model
+// context. The message itself is stored by finishChatTurn, with the reply.
+// Returns null when threadId is not one of the user's threads.
+async function startChatTurn(userId, threadId, message) {
+    let thread;
+    if (threadId) {
+        thread = await getThread(parseInt(threadId), userId);
+        if (!thread) return null;
+    } else {
+        const [created] = await pool.execute(`INSERT INTO chat_threads (user_id) VALUES (?)`, [userId]);
+        thread = await getThread(created.insertId, userId);
+    }
 
+    // The new message isn't stored yet, so the context has it only once
+    const [summaryRows] = await pool.execute(
+        `SELECT summary, summarized_through_id as summarizedThroughId FROM chat_threads WHERE id = ?`,
+        [thread.id]
+    );
+    const [pendingRows] = await pool.execute(
+        `SELECT id, role, content FROM chat_history
+         WHERE thread_id = ? AND id > ?
+         ORDER BY created_at ASC, id ASC`,
+        [thread.id, summaryRows[0].summarizedThroughId || 0]
+    );
+
+    // The model sees the message with retrieved excerpts; history keeps the plain message
+    const grounded = groundMessage(message, await retrievePassages(userId, message));
+
+    const context = await buildChatContext({ thread: summaryRows[0], messages: pendingRows, message: grounded.message, userId });
+    if (context.summaryChanged) {
         await pool.execute(
-            `UPDATE flashcards SET known = ? WHERE id = ? AND set_id = ?`,
-            [known, cardId, setId]
+            `UPDATE chat_threads SET summary = ?, summarized_through_id = ? WHERE id = ?`,
+            [context.summary, context.summarizedThroughId, thread.id]
         );
+    }
+
+    return { thread, history: context.history, message: grounded.message, citations: grounded.citations };
+}
 
-        // Get updated flashcard set
-        const [sets] = await pool.execute(
-            `SELECT id, topic, total_count as totalCount, known_count as knownCount, created_at as createdAt 
-             FROM flashcard_sets WHERE id = ?`,
-            [setId]
+// Store the user's message and the assistant's reply, with the sources it
+// cited, and name the thread after its first exchange. Both are saved in one
+// transaction, so a failed or empty reply leaves no unanswered message behind.
+async function finishChatTurn(userId, thread, message, aiContent, citations = []) {
+    const cited = citedIn(aiContent, citations);
+    const { userMessageId, result } = await withTransaction(async connection => {
+        const [saved] = await connection.execute(
+            `INSERT INTO chat_history (user_id, thread_id, role, content) VALUES (?, ?, ?, ?)`,
+            [userId, thread.id, 'user', message]
         );
+        const [inserted] = await connection.execute(
+            `INSERT INTO chat_history (user_id, thread_id, role, content, citations) VALUES (?, ?, ?, ?, ?)`,
+            [userId, thread.id, 'assistant', aiContent, cited.length > 0 ? JSON.stringify(cited) : null] // Store as 'assistant' in DB for consistency
+        );
+        await connection.execute(`UPDATE chat_threads SET updated_at = NOW() WHERE id = ?`, [thread.id]);
+        return { userMessageId: saved.insertId, result: inserted };
+    });
+    await indexChatMessage(userId, { id: userMessageId, threadId: thread.id, role: 'user', content: message, createdAt: new Date() });
+    await indexChatMessage(userId, { id: result.insertId, threadId: thread.id, role: 'assistant', content: aiContent, createdAt: new Date() });
 
-        if (sets.length > 0) {
-            const [cards] = await pool.execute(
-                `SELECT id, question, answer, known FROM flashcards WHERE set_id = ?`,
-                [setId]
-            );
+    if (!thread.title) {
+        await autoTitleThread(userId, thread.id, message, aiContent);
+    }
 
-            // Re-calculate knownCount and update the set table
-            const newKnownCount = cards.filter(c => c.known).length;
-            await pool.execute(
-                `UPDATE flashcard_sets SET known_count = ? WHERE id = ?`,
-                [newKnownCount, setId]
-            );
+    return {
+        response: {
+            id: result.insertId,
+            role: 'assistant',
+            content: aiContent,
+            citations: cited,
+            timestamp: new Date().toISOString()
+        },
+        thread: await getThread(thread.id, userId)
+    };
+}
+
+// Chat endpoint: posts into threadId, or starts a new thread when none is given
+app.post('/chat', aiLimit('chat'), async (req, res) => {
+    try {
+        const { message, threadId } = req.body;
 
-            const flashcardSet = {
-                ...sets[0],
-                knownCount: newKnownCount, // Use the fresh count
-                cards
-            };
+        if (!message) {
+            return res.status(400).json({ error: 'Message is required' });
+        }
 
-            res.json({ success: true, flashcardSet });
-        } else {
-            res.status(404).json({ error: 'Flashcard set not found' });
+        const turn = await startChatTurn(req.user.id, threadId, message);
+        if (!turn) {
+            return res.status(404).json({ error: 'Chat thread not found' });
         }
+
+        // **AI CALL for Chat** - recent turns verbatim, older ones as a summary
+        const { text: aiContent } = await getLLM('chat', { userId: req.user.id }).chat({
+            history: turn.history,
+            message: turn.message
+        });
+
+        const { response, thread } = await finishChatTurn(req.user.id, turn.thread, message, aiContent, turn.citations);
+        res.json({ success: true, response, thread });
     } catch (error) {
-        console.error('Error saving flashcard status:', error);
-        res.status(500).json({ error: 'Failed to save flashcard status' });
+        if (error instanceof UsageLimitError) {
+            return sendUsageLimitError(res, error);
+        }
+        console.error('Error processing chat:', error);
+        res.status(500).json({ error: 'Failed to process chat message from AI. Check API key/model.' });
     }
 });
 
-// Delete flashcard set
-app.delete('/flashcard/:id', async (req, res) => {
+// Streaming chat over Server-Sent Events. Events:
+//   thread  { thread }               the thread the message went to
+//   sources { citations }            notes and cards the reply may cite as [n]
+//   delta   { text }                 the next piece of the reply
+//   done    { response, thread, aborted }
+//   error   { error }
+// Closing the connection stops generation; whatever arrived is still saved,
+// and the message is not saved at all when nothing did.
+app.post('/chat/stream', aiLimit('chat'), async (req, res) => {
+    const { message, threadId } = req.body;
+
+    if (!message) {
+        return res.status(400).json({ error: 'Message is required' });
+    }
+
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    const send = (event, data) => {
+        if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
     try {
-        const id = parseInt(req.params.id);
-        await pool.execute(`DELETE FROM flashcard_sets WHERE id = ?`, [id]);
-        res.json({ success: true });
+        const turn = await startChatTurn(req.user.id, threadId, message);
+        if (!turn) {
+            return res.status(404).json({ error: 'Chat thread not found' });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        send('thread', { thread: turn.thread });
+        send('sources', { citations: turn.citations });
+
+        // **AI CALL for Chat**, streamed
+        const { text: aiContent, aborted } = await getLLM('chat', { userId: req.user.id }).streamChat({
+            history: turn.history,
+            message: turn.message,
+            signal: controller.signal,
+            onDelta: text => send('delta', { text })
+        });
+
+        if (!aiContent) {
+            send('done', { response: null, thread: turn.thread, aborted });
+            return res.end();
+        }
+
+        const { response, thread } = await finishChatTurn(req.user.id, turn.thread, message, aiContent, turn.citations);
+        send('done', { response, thread, aborted });
+        res.end();
     } catch (error) {
-        console.error('Error deleting flashcard set:', error);
-        res.status(500).json({ error: 'Failed to delete flashcard set' });
+        if (error instanceof UsageLimitError) {
+            if (!res.headersSent) return sendUsageLimitError(res, error);
+            send('error', usageLimitBody(error));
+            return res.end();
+        }
+        console.error('Error streaming chat:', error);
+        if (!res.headersSent) {
+            return res.status(500).json({ error: 'Failed to process chat message from AI. Check API key/model.' });
+        }
+        send('error', { error: 'Failed to process chat message from AI. Check API key/model.' });
+        res.end();
     }
 });
 
 // ==========================================
-// CHAT ROUTES
+// SEARCH ROUTES
 // ==========================================
 
-// Chat endpoint
-app.post('/chat', async (req, res) => {
-    try {
-        const { message } = req.body;
+const SEARCH_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
-        if (!message) {
-            return res.status(400).json({ error: 'Message is required' });
+// Search notes, flashcards, study plans and chat messages.
+// Query: q, type (comma separated), source (note source), from/to (YYYY-MM-DD), limit
+app.get('/search', async (req, res) => {
+    try {
+        const query = String(req.query.q || '').trim();
+        if (!query) {
+            return res.status(400).json({ error: 'Search query is required' });
         }
 
-        // Save user message
-        await pool.execute(
-            `INSERT INTO chat_history (user_id, role, content) VALUES (?, ?, ?)`,
-            [null, 'user', message]
-        );
-
-        // Fetch past chat history for context
-        const [historyRows] = await pool.execute(
-            `SELECT role, content FROM chat_history ORDER BY created_at ASC`
-        );
-
-        const chatHistory = historyRows.map(row => ({
-            role: row.role === 'user' ? 'user' : 'model', // Gemini expects 'model' for the assistant role
-            parts: [{ text: row.content }]
-        }));
+        const types = String(req.query.type || '').split(',').map(type => type.trim()).filter(Boolean);
+        if (types.some(type => !SEARCH_TYPES.includes(type))) {
+            return res.status(400).json({ error: `Type must be one of: ${SEARCH_TYPES.join(', ')}` });
+        }
+        const source = req.query.source || null;
+        if (source && !NOTE_SOURCES.includes(source)) {
+            return res.status(400).json({ error: `Source must be one of: ${NOTE_SOURCES.join(', ')}` });
+        }
+        const { from, to } = req.query;
+        if ((from && !SEARCH_DATE_PATTERN.test(from)) || (to && !SEARCH_DATE_PATTERN.test(to))) {
+            return res.status(400).json({ error: 'Dates must be YYYY-MM-DD' });
+        }
 
-        // **GEMINI API CALL for Chat**
-        const model = genAI.getGenerativeModel({ model: MODEL });
-        
-        // Create a new chat session to maintain conversation history
-        const chat = model.startChat({
-            history: chatHistory,
+        const results = await searchUserContent(req.user.id, query, {
+            types,
+            source,
+            from: from || null,
+            to: to || null,
+            limit: parseInt(req.query.limit) || 20
         });
 
-        const chatResult = await chat.sendMessage(message);
-        const response = await chatResult.response;
-        const aiContent = response.text();
+        // Chat results are titled after their thread as it is named now
+        const threadIds = [...new Set(results.filter(r => r.type === 'chat').map(r => r.id))];
+        if (threadIds.length > 0) {
+            const [threads] = await pool.query(
+                `SELECT id, title FROM chat_threads WHERE id IN (?) AND user_id = ?`,
+                [threadIds, req.user.id]
+            );
+            const titles = new Map(threads.map(thread => [thread.id, thread.title]));
+            results.forEach(result => {
+                if (result.type === 'chat') result.title = titles.get(result.id) || 'New chat';
+            });
+        }
 
-        // Save AI response
-        const [result] = await pool.execute(
-            `INSERT INTO chat_history (user_id, role, content) VALUES (?, ?, ?)`,
-            [null, 'assistant', aiContent] // Store as 'assistant' in DB for consistency
-        );
+        res.json({ success: true, query, total: results.length, results });
+    } catch (error) {
+        console.error('Error searching:', error);
+        res.status(500).json({ error: 'Failed to search' });
+    }
+});
 
-        const aiResponse = {
-            id: result.insertId,
-            role: 'assistant',
-            content: aiContent,
-            timestamp: new Date().toISOString()
-        };
+// ==========================================
+// BACKGROUND JOB ROUTES
+// ==========================================
 
-        res.json({ success: true, response: aiResponse });
+// The user's jobs, newest first. ?status=active (queued or running) or one
+// status, and ?type= to narrow them down.
+app.get('/jobs', async (req, res) => {
+    try {
+        const { status, type } = req.query;
+        let statuses = JOB_STATUSES;
+        if (status === 'active') {
+            statuses = ACTIVE_STATUSES;
+        } else if (status) {
+            if (!JOB_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `Invalid status. Use active or one of: ${JOB_STATUSES.join(', ')}` });
+            }
+            statuses = [status];
+        }
+
+        const jobs = await listJobs(req.user.id, { statuses, type: type ? String(type) : null });
+        res.json({ success: true, jobs });
     } catch (error) {
-        console.error('Error processing chat:', error);
-        res.status(500).json({ error: 'Failed to process chat message from AI. Check API key/model.' });
+        console.error('Error fetching jobs:', error);
+        res.status(500).json({ error: 'Failed to fetch jobs' });
     }
 });
 
-// Get chat history
-app.get('/chat-history', async (req, res) => {
+// A job's status and progress, then its result or error
+app.get('/jobs/:id', async (req, res) => {
     try {
-        // === FIX 2: CLEANED UP SQL QUERY TO AVOID ER_PARSE_ERROR ===
-        const [rows] = await pool.execute(
-            `SELECT id, role, content, created_at as timestamp 
-FROM chat_history 
-ORDER BY created_at ASC`
-        );
-        // ==========================================================
-
-        res.json({ success: true, chatHistory: rows });
+        const job = await getJob(parseInt(req.params.id), req.user.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json({ success: true, job });
     } catch (error) {
-        console.error('Error fetching chat history:', error);
-        res.status(500).json({ error: 'Failed to fetch chat history' });
+        console.error('Error fetching job:', error);
+        res.status(500).json({ error: 'Failed to fetch job' });
     }
 });
 
-// Clear chat history
-app.delete('/chat-history', async (req, res) => {
+// Cancel a queued or running job; finished jobs are left as they are
+app.post('/jobs/:id/cancel', async (req, res) => {
     try {
-        await pool.execute(`DELETE FROM chat_history`);
-        res.json({ success: true });
+        const job = await cancelJob(parseInt(req.params.id), req.user.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json({ success: true, job });
     } catch (error) {
-        console.error('Error clearing chat history:', error);
-        res.status(500).json({ error: 'Failed to clear chat history' });
+        console.error('Error cancelling job:', error);
+        res.status(500).json({ error: 'Failed to cancel job' });
     }
 });
 
@@ -589,16 +2478,16 @@ app.delete('/chat-history', async (req, res) => {
 // Get dashboard statistics
 app.get('/dashboard-stats', async (req, res) => {
     try {
-        const [notesCount] = await pool.execute(`SELECT COUNT(*) as count FROM notes`);
-        const [plansCount] = await pool.execute(`SELECT COUNT(*) as count FROM study_plans`);
-        const [flashcardsCount] = await pool.execute(`SELECT SUM(total_count) as count FROM flashcard_sets`);
+        const userId = req.user.id;
+        const [notesCount] = await pool.execute(`SELECT COUNT(*) as count FROM notes WHERE user_id = ?`, [userId]);
+        const [plansCount] = await pool.execute(`SELECT COUNT(*) as count FROM study_plans WHERE user_id = ?`, [userId]);
+        const [flashcardsCount] = await pool.execute(`SELECT COUNT(f.id) as count FROM flashcards f JOIN flashcard_sets s ON s.id = f.set_id WHERE s.user_id = ?`, [userId]);
         
         const [taskStats] = await pool.execute(
-            `SELECT 
-                SUM(JSON_LENGTH(plan_json)) as total,
-                SUM(FLOOR((progress / 100) * JSON_LENGTH(plan_json))) as completed
-             FROM study_plans 
-             WHERE plan_json IS NOT NULL`
+            `SELECT COUNT(t.id) as total, COUNT(t.completed_at) as completed
+             FROM study_tasks t JOIN study_plans p ON p.id = t.plan_id
+             WHERE p.user_id = ?`,
+            [userId]
         );
 
         const dashboardStats = {
@@ -616,115 +2505,193 @@ app.get('/dashboard-stats', async (req, res) => {
     }
 });
 
+const MAX_USAGE_DAYS = 90;
+
+// AI token usage over the last ?days= days (default 30), by feature and
+// by day, and how much of today's quota is left
+app.get('/usage', async (req, res) => {
+    try {
+        const days = req.query.days === undefined ? 30 : parseInt(req.query.days);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_USAGE_DAYS) {
+            return res.status(400).json({ error: `Days must be between 1 and ${MAX_USAGE_DAYS}` });
+        }
+
+        const usage = await usageReport(req.user.id, { days, features: FEATURES });
+        res.json({ success: true, usage });
+    } catch (error) {
+        console.error('Error fetching AI usage:', error);
+        res.status(500).json({ error: 'Failed to fetch AI usage' });
+    }
+});
+
 // ==========================================
 // DOWNLOAD/EXPORT ROUTES
 // ==========================================
 
-// Download/Export data
+// Download/Export data as a PDF, Word, Markdown or JSON file
 app.post('/download-export', async (req, res) => {
     try {
-        const { type, id, format } = req.body;
+        const { type, format } = req.body;
+        const id = parseId(req.body.id);
+
+        // Flashcard sets can also be exported as decks
+        const formats = type === 'flashcards' ? { ...EXPORT_FORMATS, ...DECK_FORMATS } : EXPORT_FORMATS;
+        if (!formats[format]) {
+            return res.status(400).json({ error: `Invalid export format. Use one of: ${Object.keys(formats).join(', ')}` });
+        }
+        if (!id) {
+            return res.status(400).json({ error: 'Missing or invalid id' });
+        }
 
-        let content = '';
-        let filename = '';
+        let exportFile = null;
 
         switch (type) {
-            case 'study':
+            case 'study': {
                 const [plans] = await pool.execute(
-                    `SELECT * FROM study_plans WHERE id = ?`,
-                    [id]
+                    `SELECT * FROM study_plans WHERE id = ? AND user_id = ?`,
+                    [id, req.user.id]
                 );
                 if (plans.length > 0) {
                     const plan = {
                         ...plans[0],
-                        plan: JSON.parse(plans[0].plan_json)
+                        plan: JSON.parse(plans[0].plan_json),
+                        tasks: (await getTasksByPlan([plans[0].id])).get(plans[0].id)
+                    };
+                    exportFile = {
+                        baseName: `study-plan-${plan.course_name}`,
+                        document: studyPlanDocument(plan),
+                        data: {
+                            id: plan.id,
+                            courseName: plan.course_name,
+                            deadline: plan.deadline,
+                            hoursPerDay: plan.hours_per_day,
+                            daysUntil: plan.days_until,
+                            totalHours: plan.total_hours,
+                            progress: plan.progress,
+                            completed: !!plan.completed,
+                            plan: plan.plan,
+                            tasks: plan.tasks,
+                            createdAt: plan.created_at
+                        }
                     };
-                    content = formatStudyPlanForExport(plan);
-                    filename = `study-plan-${plan.course_name.replace(/\s+/g, '-')}-${Date.now()}.${format}`;
                 }
                 break;
-            case 'notes':
+            }
+            case 'notes': {
                 const [notes] = await pool.execute(
-                    `SELECT * FROM notes WHERE id = ?`,
-                    [id]
+                    `SELECT * FROM notes WHERE id = ? AND user_id = ?`,
+                    [id, req.user.id]
                 );
                 if (notes.length > 0) {
-                    content = notes[0].content;
-                    filename = `note-${notes[0].title.replace(/\s+/g, '-')}-${Date.now()}.${format}`;
+                    const note = notes[0];
+                    exportFile = {
+                        baseName: `note-${note.title}`,
+                        document: notesDocument(note),
+                        data: {
+                            id: note.id,
+                            title: note.title,
+                            content: note.content,
+                            source: note.source,
+                            fileName: note.file_name,
+                            createdAt: note.created_at
+                        }
+                    };
                 }
                 break;
-            case 'chat':
-                const [chatRows] = await pool.execute(
-                    `SELECT role, content, created_at as timestamp FROM chat_history ORDER BY created_at ASC`
-                );
-                content = formatChatHistoryForExport(chatRows);
-                filename = `chat-history-${Date.now()}.${format}`;
+            }
+            case 'chat': {
+                const thread = await getThread(id, req.user.id);
+                const messages = thread ? await getThreadMessages(thread.id) : [];
+                if (messages.length > 0) {
+                    const title = thread.title || 'Chat History';
+                    exportFile = {
+                        baseName: `chat-${title}`,
+                        document: chatDocument(messages, title),
+                        data: { id: thread.id, title, messages }
+                    };
+                }
                 break;
-            case 'flashcards':
-                const [sets] = await pool.execute(
-                    `SELECT * FROM flashcard_sets WHERE id = ?`,
-                    [id]
-                );
-                if (sets.length > 0) {
-                    const [cards] = await pool.execute(
-                        `SELECT * FROM flashcards WHERE set_id = ?`,
-                        [id]
-                    );
-                    const flashcardSet = {
-                        ...sets[0],
-                        cards
+            }
+            case 'flashcards': {
+                const [flashcardSet] = await getFlashcardSets(req.user.id, toDateString(new Date()), id);
+                if (flashcardSet) {
+                    exportFile = {
+                        baseName: `flashcards-${flashcardSet.topic}`,
+                        document: flashcardsDocument(flashcardSet),
+                        deck: flashcardSet,
+                        data: {
+                            id: flashcardSet.id,
+                            topic: flashcardSet.topic,
+                            totalCount: flashcardSet.totalCount,
+                            matureCount: flashcardSet.matureCount,
+                            createdAt: flashcardSet.createdAt,
+                            cards: flashcardSet.cards.map(card => ({
+                                id: card.id,
+                                question: card.question,
+                                answer: card.answer,
+                                ease: card.ease,
+                                intervalDays: card.intervalDays,
+                                repetitions: card.repetitions,
+                                dueDate: card.dueDate,
+                                lastReviewedAt: card.lastReviewedAt
+                            }))
+                        }
                     };
-                    content = formatFlashcardsForExport(flashcardSet);
-                    filename = `flashcards-${sets[0].topic.replace(/\s+/g, '-')}-${Date.now()}.${format}`;
                 }
                 break;
+            }
             default:
                 return res.status(400).json({ error: 'Invalid export type' });
         }
 
-        if (!content) {
+        if (!exportFile) {
             return res.status(404).json({ error: 'Content not found' });
         }
 
-        res.json({ success: true, content, filename });
+        await sendExport(res, { format, ...exportFile });
     } catch (error) {
         console.error('Error exporting data:', error);
-        res.status(500).json({ error: 'Failed to export data' });
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to export data' });
+        }
     }
 });
 
-// Helper functions for formatting exports
-function formatStudyPlanForExport(plan) {
-    const header = `STUDY PLAN: ${plan.course_name}\n${'='.repeat(50)}\n\n`;
-    const details = `Deadline: ${new Date(plan.deadline).toLocaleDateString()}\nHours per day: ${plan.hours_per_day}\nTotal hours: ${plan.total_hours}\nProgress: ${plan.progress}%\n\n`;
-    const weeks = plan.plan.map(w => 
-        `Week ${w.week}: ${w.topic}\nHours: ${w.hours}\nTasks:\n${w.tasks.map(t => `  - ${t}`).join('\n')}\n`
-    ).join('\n');
-    return header + details + weeks + `\nCreated: ${new Date(plan.created_at).toLocaleString()}\n`;
-}
+// ==========================================
+// START SERVER
+// ==========================================
 
-function formatChatHistoryForExport(history) {
-    const header = `CHAT HISTORY\n${'='.repeat(50)}\n\n`;
-    const messages = history.map(msg => 
-        `[${new Date(msg.timestamp).toLocaleString()}] ${msg.role.toUpperCase()}:\n${msg.content}\n`
-    ).join('\n');
-    return header + messages;
-}
+// Bring the schema up to date before accepting requests.
+// Set DB_AUTO_MIGRATE=false to manage migrations by hand with `npm run migrate:up`.
+async function startServer() {
+    try {
+        if (process.env.DB_AUTO_MIGRATE !== 'false') {
+            const applied = await migrateUp(pool);
+            console.log(`✓ Database connected successfully (${applied.length} migration(s) applied)`);
+        }
+    } catch (err) {
+        console.error('✗ Database migration failed:', err.message);
+        console.error('Please ensure MySQL is running and credentials in .env are correct');
+        process.exit(1);
+    }
+
+    // Background jobs only start once the jobs table exists
+    startJobWorkers();
 
-function formatFlashcardsForExport(flashcardSet) {
-    const header = `FLASHCARDS: ${flashcardSet.topic}\n${'='.repeat(50)}\n\nTotal Cards: ${flashcardSet.total_count}\nKnown: ${flashcardSet.known_count}\n\n`;
-    const cards = flashcardSet.cards.map((card, i) => 
-        `Card ${i + 1}:\nQ: ${card.question}\nA: ${card.answer}\nStatus: ${card.known ? 'Known' : 'Unknown'}\n`
-    ).join('\n');
-    return header + cards + `Created: ${new Date(flashcardSet.created_at).toLocaleString()}\n`;
+    app.listen(PORT, () => {
+        console.log(`✓ Frontend: http://localhost:${PORT}`);
+        console.log(`✓ Database: ${process.env.DB_NAME || 'study_management'}`);
+        console.log(`✓ Server running on port : http://localhost:${PORT}`);
+        FEATURES.forEach(feature => {
+            const { provider, model } = resolveConfig(feature);
+            console.log(`✓ AI ${feature}: ${provider} (${model})`);
+        });
+    });
 }
 
-// ==========================================
-// START SERVER
-// ==========================================
+// Tests load the app without starting it
+if (require.main === module) {
+    startServer();
+}
 
-app.listen(PORT, () => {
-    console.log(`✓ Frontend: http://localhost:${PORT}`);
-    console.log(`✓ Database: ${process.env.DB_NAME || 'study_management'}`);
-    console.log(`✓ Server running on port : http://localhost:${PORT}`);
-});
\ No newline at end of file
+module.exports = { app };
@@ -0,0 +1,70 @@
+// ==========================================
+// SPACED REPETITION (SM-2)
+// ==========================================
+//
+// Schedules flashcard reviews with the SM-2 algorithm, using the four
+// Anki-style grades. Dates are 'YYYY-MM-DD' strings, like in scheduler.js.
+
+const { addDays } = require('./scheduler');
+
+// SM-2 answer quality for each grade (0-5 scale)
+const GRADES = { again: 2, hard: 3, good: 4, easy: 5 };
+
+const MIN_EASE = 1.3;
+const HARD_FACTOR = 1.2;
+const EASY_BONUS = 1.3;
+
+// Cards reviewed at intervals of three weeks or more count as mature
+const MATURE_INTERVAL_DAYS = 21;
+
+const isValidGrade = grade => Object.prototype.hasOwnProperty.call(GRADES, grade);
+
+// A card with no due date has never been reviewed and is due straight away
+const isDue = (card, today) => !card.dueDate || card.dueDate <= today;
+
+const isMature = card => card.intervalDays >= MATURE_INTERVAL_DAYS;
+
+// Apply one review to { ease, intervalDays, repetitions } and return the new
+// state plus the date the card is next due
+function reviewCard(card, grade, today) {
+    const quality = GRADES[grade];
+    const ease = Number(card.ease) || 2.5;
+    const previousInterval = Number(card.intervalDays) || 0;
+    let repetitions = Number(card.repetitions) || 0;
+    let intervalDays;
+
+    if (grade === 'again') {
+        // Lapse: start the card over tomorrow
+        repetitions = 0;
+        intervalDays = 1;
+    } else {
+        repetitions += 1;
+        if (repetitions === 1) {
+            intervalDays = grade === 'easy' ? 4 : 1;
+        } else if (repetitions === 2) {
+            intervalDays = grade === 'hard' ? 3 : 6;
+        } else {
+            const factor = grade === 'hard' ? HARD_FACTOR : ease * (grade === 'easy' ? EASY_BONUS : 1);
+            // A passed review always pushes the card out by at least a day more
+            intervalDays = Math.max(Math.round(previousInterval * factor), previousInterval + 1);
+        }
+    }
+
+    const newEase = Math.max(MIN_EASE, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+    return {
+        ease: Math.round(newEase * 100) / 100,
+        intervalDays,
+        repetitions,
+        dueDate: addDays(today, intervalDays)
+    };
+}
+
+module.exports = {
+    GRADES,
+    MATURE_INTERVAL_DAYS,
+    isValidGrade,
+    isDue,
+    isMature,
+    reviewCard
+};
@@ -0,0 +1,36 @@
+const path = require('path');
+const { createLocalStorage } = require('./local');
+
+// ==========================================
+// FILE STORAGE
+// ==========================================
+//
+// Uploaded originals are kept behind one small interface so they can move
+// off the app server later without touching the routes:
+//
+//   save(key, readableStream)   write a file, replacing nothing on failure
+//   createReadStream(key)       stream a file back
+//   read(key)                   the whole file as a Buffer
+//   remove(key)                 delete a file; missing files are ignored
+//
+//   STORAGE_DRIVER   only "local" for now (default)
+//   STORAGE_DIR      directory for the local driver (default backend/uploads)
+
+const drivers = {
+    local: () => createLocalStorage({ root: process.env.STORAGE_DIR || path.join(__dirname, '..', 'uploads') })
+};
+
+let storage = null;
+
+function getStorage() {
+    if (!storage) {
+        const driver = process.env.STORAGE_DRIVER || 'local';
+        if (!drivers[driver]) {
+            throw new Error(`Unknown storage driver "${driver}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+        }
+        storage = drivers[driver]();
+    }
+    return storage;
+}
+
+module.exports = { getStorage };
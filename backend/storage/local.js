@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// Files under one directory on this server's disk. Keys are relative paths
+// ("12/3f0c....pdf"). Writes go to a temporary file that is renamed into
+// place, so a failed upload never leaves a partial file under its key.
+function createLocalStorage({ root }) {
+    const base = path.resolve(root);
+
+    const filePath = key => {
+        const resolved = path.resolve(base, String(key));
+        if (!resolved.startsWith(base + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+        return resolved;
+    };
+
+    return {
+        name: 'local',
+
+        // Write a readable stream under `key`
+        async save(key, stream) {
+            const target = filePath(key);
+            const temp = `${target}.${crypto.randomBytes(6).toString('hex')}.part`;
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            try {
+                await pipeline(stream, fs.createWriteStream(temp, { flags: 'wx' }));
+                await fs.promises.rename(temp, target);
+            } catch (error) {
+                await fs.promises.rm(temp, { force: true });
+                throw error;
+            }
+        },
+
+        createReadStream(key) {
+            return fs.createReadStream(filePath(key));
+        },
+
+        read(key) {
+            return fs.promises.readFile(filePath(key));
+        },
+
+        // Missing files are not an error
+        async remove(key) {
+            await fs.promises.rm(filePath(key), { force: true });
+        }
+    };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,200 @@
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const busboy = require('busboy');
+
+// ==========================================
+// MULTIPART UPLOADS
+// ==========================================
+//
+// One file per request, streamed straight into storage while its size is
+// counted and its SHA-256 taken; nothing is buffered in memory.
+//
+//   UPLOAD_MAX_BYTES   largest accepted file (default 25 MB)
+//
+// Only the types below are accepted, by extension, and binary formats must
+// also start with their format's signature so a renamed file is caught
+// before it is stored.
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES) || 25 * 1024 * 1024;
+
+const ZIP_SIGNATURE = Buffer.from('PK\x03\x04', 'latin1');
+const PDF_SIGNATURE = Buffer.from('%PDF-', 'latin1');
+
+const startsWith = signature => chunk => chunk.subarray(0, signature.length).equals(signature);
+const isText = chunk => !chunk.includes(0);
+
+// Extension -> stored content type and a check of the file's first bytes
+const UPLOAD_TYPES = {
+    '.pdf': { contentType: 'application/pdf', check: startsWith(PDF_SIGNATURE) },
+    '.docx': { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', check: startsWith(ZIP_SIGNATURE) },
+    '.pptx': { contentType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', check: startsWith(ZIP_SIGNATURE) },
+    '.epub': { contentType: 'application/epub+zip', check: startsWith(ZIP_SIGNATURE) },
+    '.html': { contentType: 'text/html; charset=utf-8', check: isText },
+    '.htm': { contentType: 'text/html; charset=utf-8', check: isText },
+    '.xhtml': { contentType: 'application/xhtml+xml', check: isText },
+    '.md': { contentType: 'text/markdown; charset=utf-8', check: isText },
+    '.markdown': { contentType: 'text/markdown; charset=utf-8', check: isText },
+    '.txt': { contentType: 'text/plain; charset=utf-8', check: isText }
+};
+
+// An upload we refuse; status and message go back to the client
+class UploadError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'UploadError';
+        this.status = status;
+    }
+}
+
+const formatSize = bytes => (bytes >= 1024 * 1024 ? `${Math.round(bytes / (1024 * 1024))} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+// Keep the name the user sees, without any directory part browsers or
+// other clients may send
+const cleanFileName = name => path.basename(String(name || '').replace(/\\/g, '/')).trim().slice(0, 255);
+
+const unsupportedType = () => new UploadError(`This file type is not supported. Upload one of: ${Object.keys(UPLOAD_TYPES).join(', ')}`, 415);
+const mismatchedType = fileName => new UploadError(`The file's contents don't match its ${path.extname(fileName)} extension`, 415);
+const tooLarge = () => new UploadError(`Files can be at most ${formatSize(MAX_UPLOAD_BYTES)}`, 413);
+
+// Receive a multipart/form-data request with one file in the field "file"
+// and store it under `${keyPrefix}/<random id><ext>`. Other form fields come
+// back as strings.
+// -> { file: { key, fileName, contentType, size, sha256 }, fields }
+// Rejects with an UploadError for a missing, oversized or disallowed file.
+function receiveUpload(req, { storage, keyPrefix }) {
+    return new Promise((resolve, reject) => {
+        let parser;
+        try {
+            parser = busboy({
+                headers: req.headers,
+                limits: { files: 1, fileSize: MAX_UPLOAD_BYTES, fields: 20, fieldSize: 64 * 1024 }
+            });
+        } catch (error) {
+            return reject(new UploadError('Send the file as multipart/form-data'));
+        }
+
+        const fields = {};
+        let saving = null;
+        let refused = null;
+        let settled = false;
+
+        // Don't keep a stored file for a request that failed after all
+        const fail = error => {
+            if (settled) return;
+            settled = true;
+            if (saving) saving.then(file => storage.remove(file.key)).catch(() => {});
+            req.unpipe(parser);
+            req.resume();
+            reject(error);
+        };
+
+        parser.on('field', (name, value) => {
+            fields[name] = value;
+        });
+
+        parser.on('file', (name, stream, info) => {
+            const fileName = cleanFileName(info.filename);
+            const type = UPLOAD_TYPES[path.extname(fileName).toLowerCase()];
+            if (name !== 'file' || saving || !fileName) {
+                stream.resume();
+                return;
+            }
+            if (!type) {
+                refused = unsupportedType();
+                stream.resume();
+                return;
+            }
+
+            const key = `${keyPrefix}/${crypto.randomUUID()}${path.extname(fileName).toLowerCase()}`;
+            const hash = crypto.createHash('sha256');
+            let size = 0;
+
+            const counter = new Transform({
+                transform(chunk, encoding, callback) {
+                    if (size === 0 && !type.check(chunk)) {
+                        return callback(mismatchedType(fileName));
+                    }
+                    size += chunk.length;
+                    hash.update(chunk);
+                    callback(null, chunk);
+                }
+            });
+
+            // Stop storing at the size limit; the rest of the request is drained
+            stream.on('limit', () => counter.destroy(tooLarge()));
+            stream.on('error', error => counter.destroy(error));
+            counter.on('error', () => {
+                stream.unpipe(counter);
+                stream.resume();
+            });
+
+            saving = storage.save(key, stream.pipe(counter))
+                .then(() => ({ key, fileName, contentType: type.contentType, size, sha256: hash.digest('hex') }));
+            // Failures are reported when the form has been read
+            saving.catch(() => {});
+        });
+
+        parser.on('error', () => fail(new UploadError('The upload could not be read')));
+
+        parser.on('close', async () => {
+            if (refused) return fail(refused);
+            if (!saving) return fail(new UploadError('No file was uploaded'));
+            try {
+                const file = await saving;
+                if (file.size === 0) {
+                    await storage.remove(file.key);
+                    return fail(new UploadError('The uploaded file is empty'));
+                }
+                settled = true;
+                resolve({ file, fields });
+            } catch (error) {
+                settled = true;
+                if (error instanceof UploadError) return reject(error);
+                console.error('Error storing upload:', error);
+                reject(new UploadError('The upload could not be stored', 500));
+            }
+        });
+
+        req.pipe(parser);
+    });
+}
+
+// The JSON body older clients send instead of a form: { fileName,
+// fileContent } with the file as a base64 data URL, or as the text itself.
+// Checked and stored like receiveUpload, with the same result.
+async function receiveJsonUpload(body, { storage, keyPrefix }) {
+    const fileName = cleanFileName(body && body.fileName);
+    if (!fileName || !body.fileContent) throw new UploadError('Missing file data');
+
+    const type = UPLOAD_TYPES[path.extname(fileName).toLowerCase()];
+    if (!type) throw unsupportedType();
+
+    const content = String(body.fileContent);
+    const buffer = /^data:[^,]*;base64,/.test(content)
+        ? Buffer.from(content.replace(/^data:[^,]*;base64,/, ''), 'base64')
+        : Buffer.from(content, 'utf8');
+    if (buffer.length === 0) throw new UploadError('The uploaded file is empty');
+    if (buffer.length > MAX_UPLOAD_BYTES) throw tooLarge();
+    if (!type.check(buffer)) throw mismatchedType(fileName);
+
+    const key = `${keyPrefix}/${crypto.randomUUID()}${path.extname(fileName).toLowerCase()}`;
+    try {
+        await storage.save(key, Readable.from([buffer]));
+    } catch (error) {
+        console.error('Error storing upload:', error);
+        throw new UploadError('The upload could not be stored', 500);
+    }
+    return {
+        file: {
+            key,
+            fileName,
+            contentType: type.contentType,
+            size: buffer.length,
+            sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+        },
+        fields: {}
+    };
+}
+
+module.exports = { UPLOAD_TYPES, MAX_UPLOAD_BYTES, UploadError, receiveUpload, receiveJsonUpload };
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DeckFormatError, previewDeckFile, readDeckFile, writeDeck } = require('../decks');
+
+const TODAY = '2024-05-06';
+
+const CARDS = [
+    {
+        question: 'What does the mitochondrion make?',
+        answer: 'ATP, the cell\'s "energy currency"',
+        ease: 2.36,
+        intervalDays: 12,
+        repetitions: 4,
+        dueDate: '2024-05-10',
+        lastReviewedAt: new Date('2024-04-28T09:15:00.000Z')
+    },
+    {
+        question: 'Name the stages, in order',
+        answer: 'Glycolysis\nKrebs cycle\nElectron transport; oxidative phosphorylation',
+        ease: 2.5,
+        intervalDays: 0,
+        repetitions: 0,
+        dueDate: null,
+        lastReviewedAt: null
+    },
+    {
+        question: '  Leading, trailing and\ttabbed  ',
+        answer: 'Kept as written',
+        ease: 1.3,
+        intervalDays: 1,
+        repetitions: 0,
+        dueDate: '2024-05-07',
+        lastReviewedAt: new Date('2024-05-06T20:00:00.000Z')
+    }
+];
+
+const DECK = { topic: 'Cell Biology', cards: CARDS };
+
+// Cards come back trimmed, like any imported spreadsheet cell
+const trimmed = cards => cards.map(card => ({ ...card, question: card.question.trim(), answer: card.answer.trim() }));
+
+for (const format of ['csv', 'tsv']) {
+    test(`a set survives a ${format.toUpperCase()} round trip with its review state`, async () => {
+        const body = await writeDeck(format, DECK, TODAY);
+        const { decks, skipped } = await readDeckFile({ fileName: `cell-biology.${format}`, buffer: Buffer.from(body), today: TODAY });
+
+        assert.equal(skipped, 0);
+        assert.equal(decks.length, 1);
+        assert.equal(decks[0].name, 'cell-biology');
+        assert.deepEqual(decks[0].cards, trimmed(CARDS));
+    });
+}
+
+test('CSV exports start with a BOM and quote awkward fields', async () => {
+    const body = await writeDeck('csv', DECK, TODAY);
+    const lines = body.split('\r\n');
+
+    assert.equal(lines[0], '\uFEFFquestion,answer,ease,interval_days,repetitions,due_date,last_reviewed_at');
+    assert.equal(lines[1], 'What does the mitochondrion make?,"ATP, the cell\'s ""energy currency""",2.36,12,4,2024-05-10,2024-04-28T09:15:00.000Z');
+});
+
+test('a set survives an Anki package round trip', async () => {
+    const body = await writeDeck('apkg', DECK, TODAY);
+    assert.ok(Buffer.isBuffer(body));
+
+    const preview = await previewDeckFile({ fileName: 'cells.apkg', buffer: body, today: TODAY });
+    assert.deepEqual(preview, { format: 'apkg', decks: [{ name: 'Cell Biology', count: 3 }] });
+
+    const { decks } = await readDeckFile({ fileName: 'cells.apkg', buffer: body, today: TODAY });
+    assert.equal(decks.length, 1);
+    assert.equal(decks[0].name, 'Cell Biology');
+
+    const [reviewed, fresh, learning] = decks[0].cards;
+    assert.deepEqual(reviewed, {
+        ...CARDS[0],
+        // Anki counts graduated cards as at least three repetitions
+        repetitions: 4
+    });
+    assert.equal(fresh.question, CARDS[1].question);
+    assert.equal(fresh.answer, CARDS[1].answer);
+    assert.equal(fresh.dueDate, null);
+    assert.equal(fresh.intervalDays, 0);
+    assert.equal(learning.question, CARDS[2].question.trim());
+    assert.equal(learning.dueDate, '2024-05-07');
+    assert.equal(learning.intervalDays, 1);
+    assert.equal(learning.ease, 1.3);
+    assert.deepEqual(learning.lastReviewedAt, CARDS[2].lastReviewedAt);
+});
+
+test('spreadsheet previews guess the column mapping from the header', async () => {
+    const preview = await previewDeckFile({
+        fileName: 'deck.csv',
+        buffer: Buffer.from('Front;Back;Tags\nH2O;Water;chem\nNaCl;Salt;chem\n'),
+        today: TODAY
+    });
+    assert.equal(preview.format, 'table');
+    assert.equal(preview.delimiter, ';');
+    assert.deepEqual(preview.header, ['Front', 'Back', 'Tags']);
+    assert.equal(preview.rowCount, 2);
+    assert.equal(preview.mapping.question, 0);
+    assert.equal(preview.mapping.answer, 1);
+});
+
+test('imports skip incomplete rows and clean up review state', async () => {
+    const csv = [
+        'question,answer,ease,interval_days,repetitions,due_date',
+        'Q1,A1,0.5,3,2,2024-02-30',
+        ',no question,,,,',
+        'Q2,A2,12,-4,1.6,2024-05-09'
+    ].join('\n');
+    const { decks, skipped } = await readDeckFile({ fileName: 'deck.csv', buffer: Buffer.from(csv), today: TODAY });
+
+    assert.equal(skipped, 1);
+    assert.deepEqual(decks[0].cards, [
+        // An impossible due date makes the card new again
+        { question: 'Q1', answer: 'A1', ease: 1.3, intervalDays: 0, repetitions: 0, dueDate: null, lastReviewedAt: null },
+        { question: 'Q2', answer: 'A2', ease: 9.99, intervalDays: 0, repetitions: 2, dueDate: '2024-05-09', lastReviewedAt: null }
+    ]);
+});
+
+test('imports need two different question and answer columns', async () => {
+    await assert.rejects(
+        readDeckFile({ fileName: 'deck.csv', buffer: Buffer.from('a,b\n1,2\n'), mapping: { question: 0, answer: 0 }, today: TODAY }),
+        DeckFormatError
+    );
+});
+
+test('unreadable Anki packages are rejected with a DeckFormatError', async () => {
+    await assert.rejects(
+        readDeckFile({ fileName: 'broken.apkg', buffer: Buffer.from('not a zip'), today: TODAY }),
+        error => error instanceof DeckFormatError && error.status === 400
+    );
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLines, diffStats } = require('../diff');
+
+// Apply a diff to get both texts back
+const before = lines => lines.filter(line => line.type !== 'added').map(line => line.text).join('\n');
+const after = lines => lines.filter(line => line.type !== 'removed').map(line => line.text).join('\n');
+
+test('identical texts are all unchanged lines', () => {
+    const lines = diffLines('a\nb', 'a\nb');
+    assert.deepEqual(lines, [{ type: 'same', text: 'a' }, { type: 'same', text: 'b' }]);
+    assert.deepEqual(diffStats(lines), { added: 0, removed: 0 });
+});
+
+test('a changed line shows as removed then added', () => {
+    const lines = diffLines('# Cells\nOld line\nEnd', '# Cells\nNew line\nEnd');
+    assert.deepEqual(lines, [
+        { type: 'same', text: '# Cells' },
+        { type: 'removed', text: 'Old line' },
+        { type: 'added', text: 'New line' },
+        { type: 'same', text: 'End' }
+    ]);
+});
+
+test('insertions and deletions keep the lines around them', () => {
+    const lines = diffLines('a\nb\nc\nd', 'a\nx\nc\nd\ne');
+    assert.deepEqual(diffStats(lines), { added: 2, removed: 1 });
+    assert.deepEqual(lines.filter(line => line.type === 'same').map(line => line.text), ['a', 'c', 'd']);
+});
+
+test('the diff is a shortest edit script', () => {
+    // Moving one line costs one removal and one addition
+    const lines = diffLines('one\ntwo\nthree\nfour', 'two\nthree\nfour\none');
+    assert.deepEqual(diffStats(lines), { added: 1, removed: 1 });
+});
+
+test('empty texts diff to pure additions or removals', () => {
+    assert.deepEqual(diffLines('', 'a\nb'), [{ type: 'added', text: 'a' }, { type: 'added', text: 'b' }]);
+    assert.deepEqual(diffLines('a', null), [{ type: 'removed', text: 'a' }]);
+    assert.deepEqual(diffLines('', ''), []);
+});
+
+test('every diff rebuilds both texts', () => {
+    const pairs = [
+        ['a\nb\nc\na\nb\nb\na', 'c\nb\na\nb\na\nc'],
+        ['x\ny\nz', 'z\ny\nx'],
+        ['same\n\nblank\n\nlines', '\nsame\nblank\n\n\nlines\n']
+    ];
+    pairs.forEach(([a, b]) => {
+        const lines = diffLines(a, b);
+        assert.equal(before(lines), a);
+        assert.equal(after(lines), b);
+    });
+});
+
+test('unrelated long texts are shown as replaced wholesale', () => {
+    const a = Array.from({ length: 1500 }, (_, i) => `old ${i}`).join('\n');
+    const b = Array.from({ length: 1500 }, (_, i) => `new ${i}`).join('\n');
+    const lines = diffLines(`Title\n${a}\nFooter`, `Title\n${b}\nFooter`);
+
+    assert.deepEqual(diffStats(lines), { added: 1500, removed: 1500 });
+    assert.deepEqual(lines[0], { type: 'same', text: 'Title' });
+    assert.deepEqual(lines[1], { type: 'removed', text: 'old 0' });
+    assert.deepEqual(lines[lines.length - 1], { type: 'same', text: 'Footer' });
+});
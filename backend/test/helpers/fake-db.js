@@ -0,0 +1,69 @@
+const path = require('path');
+
+// ==========================================
+// FAKE DATABASE POOL
+// ==========================================
+//
+// db.js needs a running MySQL server, so tests that load modules using it
+// install a fake pool first. The test answers each statement itself:
+//
+//   const pool = createFakePool((sql, params, transaction) => rows or result);
+//   installFakePool(pool);
+//   const usage = require('../usage');
+//
+// sql has its whitespace collapsed to single spaces. transaction is null for
+// statements run on the pool and otherwise the connection's current
+// transaction, { statements, committed, rolledBack }; every transaction
+// started is kept in pool.transactions.
+
+function installFakePool(pool) {
+    const filename = path.join(__dirname, '..', '..', 'db.js');
+    require.cache[filename] = { id: filename, filename, loaded: true, exports: { pool } };
+}
+
+function createFakePool(answer) {
+    const run = async (sql, params = [], transaction = null) => {
+        const statement = sql.replace(/\s+/g, ' ').trim();
+        if (transaction) transaction.statements.push({ sql: statement, params });
+        return [await answer(statement, params, transaction)];
+    };
+
+    const pool = {
+        transactions: [],
+        execute: (sql, params) => run(sql, params),
+        query: (sql, params) => run(sql, params),
+
+        async getConnection() {
+            let transaction = null;
+            return {
+                async beginTransaction() {
+                    transaction = { statements: [], committed: false, rolledBack: false };
+                    pool.transactions.push(transaction);
+                },
+                async commit() {
+                    transaction.committed = true;
+                    transaction = null;
+                },
+                async rollback() {
+                    if (transaction) transaction.rolledBack = true;
+                    transaction = null;
+                },
+                release() {},
+                execute: (sql, params) => run(sql, params, transaction),
+                query: (sql, params) => run(sql, params, transaction)
+            };
+        }
+    };
+    return pool;
+}
+
+// Resolve once check() is true, polling every few milliseconds
+async function waitFor(check, { timeoutMs = 2000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (!check()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the condition');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+module.exports = { createFakePool, installFakePool, waitFor };
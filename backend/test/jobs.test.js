@@ -0,0 +1,235 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const { createFakePool, installFakePool, waitFor } = require('./helpers/fake-db');
+
+process.env.JOBS_CONCURRENCY = '1';
+process.env.JOBS_POLL_MS = '20';
+process.env.JOBS_STALE_SECONDS = '120';
+process.env.JOBS_MAX_ATTEMPTS = '2';
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// ==========================================
+// In-memory jobs table
+// ==========================================
+
+const jobs = new Map();
+let nextJobId = 1;
+let nextNoteId = 1;
+
+function insertJob(fields) {
+    const job = {
+        id: nextJobId++,
+        userId: 1,
+        type: 'notes',
+        title: '',
+        payload: '{}',
+        status: 'queued',
+        progress: null,
+        result: null,
+        error: null,
+        attempts: 0,
+        workerId: null,
+        heartbeatAt: null,
+        ...fields
+    };
+    jobs.set(job.id, job);
+    return job;
+}
+
+const pool = createFakePool((sql, params) => {
+    if (sql.startsWith('INSERT INTO jobs')) {
+        const [userId, type, title, payload] = params;
+        return { insertId: insertJob({ userId, type, title, payload }).id };
+    }
+    if (sql.startsWith('SELECT id, type, title, status') && sql.endsWith('WHERE id = ? AND user_id = ?')) {
+        const job = jobs.get(params[0]);
+        return job && job.userId === params[1] ? [{ ...job, createdAt: null, startedAt: null, finishedAt: null }] : [];
+    }
+    if (sql.startsWith("UPDATE jobs SET status = 'cancelled'")) {
+        const job = jobs.get(params[0]);
+        if (job && job.userId === params[1] && ['queued', 'running'].includes(job.status)) Object.assign(job, { status: 'cancelled', progress: null });
+        return { affectedRows: 1 };
+    }
+    if (sql.startsWith('SELECT id, user_id as userId, type, payload FROM jobs')) {
+        const job = [...jobs.values()].find(row => row.status === 'queued' && params[0].includes(row.type));
+        return job ? [{ id: job.id, userId: job.userId, type: job.type, payload: job.payload }] : [];
+    }
+    if (sql.startsWith("UPDATE jobs SET status = 'running'")) {
+        const job = jobs.get(params[1]);
+        Object.assign(job, { status: 'running', attempts: job.attempts + 1, workerId: params[0], heartbeatAt: Date.now() });
+        return { affectedRows: 1 };
+    }
+    if (sql.startsWith('UPDATE jobs SET status = ?, result = ?, error = ?')) {
+        const [status, result, error, id, workerId] = params;
+        const job = jobs.get(id);
+        if (job.status === 'running' && job.workerId === workerId) Object.assign(job, { status, result, error, progress: null });
+        return { affectedRows: 1 };
+    }
+    if (sql.startsWith("SELECT id FROM jobs WHERE id = ? AND status = 'running' AND worker_id = ? FOR UPDATE")) {
+        const job = jobs.get(params[0]);
+        return job.status === 'running' && job.workerId === params[1] ? [{ id: job.id }] : [];
+    }
+    if (sql.startsWith("UPDATE jobs SET status = 'succeeded'")) {
+        Object.assign(jobs.get(params[1]), { status: 'succeeded', result: params[0], progress: null });
+        return { affectedRows: 1 };
+    }
+    if (sql.startsWith('UPDATE jobs SET progress = ?')) {
+        const job = jobs.get(params[1]);
+        if (job.status === 'running') job.progress = params[0];
+        return { affectedRows: 1 };
+    }
+    if (sql.startsWith('UPDATE jobs SET heartbeat_at = NOW()')) {
+        params[0].forEach(id => {
+            if (jobs.get(id).status === 'running') jobs.get(id).heartbeatAt = Date.now();
+        });
+        return { affectedRows: params[0].length };
+    }
+    if (sql.startsWith("SELECT id FROM jobs WHERE id IN (?) AND status = 'cancelled'")) {
+        return params[0].filter(id => jobs.get(id).status === 'cancelled').map(id => ({ id }));
+    }
+    if (sql.startsWith('UPDATE jobs SET status = IF(attempts >= ?')) {
+        const [maxAttempts, , error, , staleSeconds] = params;
+        jobs.forEach(job => {
+            if (job.status !== 'running' || job.heartbeatAt >= Date.now() - staleSeconds * 1000) return;
+            const failed = job.attempts >= maxAttempts;
+            Object.assign(job, { status: failed ? 'failed' : 'queued', error: failed ? error : null, progress: null, workerId: null });
+        });
+        return { affectedRows: 0 };
+    }
+    if (sql.startsWith('DELETE FROM jobs WHERE status IN')) return { affectedRows: 0 };
+    if (sql.startsWith('INSERT INTO notes')) return { insertId: nextNoteId++ };
+    throw new Error(`Unexpected statement: ${sql}`);
+});
+installFakePool(pool);
+
+const { JobError, defineJob, enqueueJob, getJob, cancelJob, startJobWorkers, stopJobWorkers } = require('../jobs');
+
+// ==========================================
+// A job type whose payload says what the handler does
+// ==========================================
+
+const saveNote = async (connection, userId, content) => {
+    const [result] = await connection.execute(`INSERT INTO notes (user_id, content) VALUES (?, ?)`, [userId, content]);
+    return { note: { id: result.insertId } };
+};
+
+defineJob('notes', async (payload, { jobId, userId, signal, onProgress, complete }) => {
+    switch (payload.mode) {
+        case 'save':
+            return complete(connection => saveNote(connection, userId, payload.content));
+        case 'plain':
+            return { value: payload.value };
+        case 'reject':
+            throw new JobError('The source has no text', 422, { type: 'empty_source' });
+        case 'crash':
+            throw new Error('Connection reset');
+        case 'wait':
+            onProgress({ stage: 'summarizing', completed: 0, total: 3 });
+            return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+        case 'handover':
+            // Another worker queued the job again and took it meanwhile
+            jobs.get(jobId).workerId = 'other-host:1';
+            return complete(connection => saveNote(connection, userId, payload.content));
+        default:
+            throw new Error(`Unknown mode ${payload.mode}`);
+    }
+}, { failureMessage: 'Failed to generate notes' });
+
+const isFinished = jobId => () => !['queued', 'running'].includes(jobs.get(jobId).status);
+
+// Every statement that ran in a transaction that was committed
+const committed = () => pool.transactions.filter(transaction => transaction.committed).flatMap(transaction => transaction.statements);
+
+test.after(() => stopJobWorkers());
+
+test('interrupted jobs are queued again, or failed once out of attempts', async () => {
+    const longAgo = Date.now() - 10 * 60 * 1000;
+    const retried = insertJob({ payload: JSON.stringify({ mode: 'save', content: 'Retried' }), status: 'running', attempts: 1, workerId: 'gone:1', heartbeatAt: longAgo });
+    const exhausted = insertJob({ payload: JSON.stringify({ mode: 'save' }), status: 'running', attempts: 2, workerId: 'gone:1', heartbeatAt: longAgo });
+
+    startJobWorkers();
+    await waitFor(isFinished(retried.id));
+
+    assert.equal(retried.status, 'succeeded');
+    assert.equal(retried.attempts, 2);
+    assert.equal(retried.workerId, WORKER_ID);
+    assert.equal(exhausted.status, 'failed');
+    assert.deepEqual(JSON.parse(exhausted.error), { message: 'The job was interrupted. Please try again.', status: 500 });
+});
+
+test('a job saves its output in the transaction that marks it succeeded', async () => {
+    const job = await enqueueJob(1, 'notes', { mode: 'save', content: 'Cells' }, { title: 'Notes on cells' });
+    assert.equal(job.title, 'Notes on cells');
+
+    await waitFor(isFinished(job.id));
+    const finished = await getJob(job.id, 1);
+    assert.equal(finished.status, 'succeeded');
+    assert.equal(finished.attempts, 1);
+    assert.ok(finished.result.note.id > 0);
+
+    const transaction = pool.transactions.find(candidate => candidate.statements.some(statement => statement.params.includes('Cells')));
+    assert.ok(transaction.committed);
+    assert.deepEqual(transaction.statements.map(statement => statement.sql.split(' ').slice(0, 3).join(' ')), [
+        'SELECT id FROM',
+        'INSERT INTO notes',
+        'UPDATE jobs SET'
+    ]);
+});
+
+test('a handler without database writes has its result stored', async () => {
+    const job = await enqueueJob(1, 'notes', { mode: 'plain', value: 42 });
+    await waitFor(isFinished(job.id));
+    assert.deepEqual((await getJob(job.id, 1)).result, { value: 42 });
+});
+
+test('a JobError is stored with its status and details', async () => {
+    const job = await enqueueJob(1, 'notes', { mode: 'reject' });
+    await waitFor(isFinished(job.id));
+
+    const failed = await getJob(job.id, 1);
+    assert.equal(failed.status, 'failed');
+    assert.deepEqual(failed.error, { message: 'The source has no text', status: 422, type: 'empty_source' });
+});
+
+test('other errors are stored as the job type\'s failure message', async t => {
+    t.mock.method(console, 'error', () => {});
+    const job = await enqueueJob(1, 'notes', { mode: 'crash' });
+    await waitFor(isFinished(job.id));
+
+    assert.deepEqual((await getJob(job.id, 1)).error, { message: 'Failed to generate notes', status: 500 });
+});
+
+test('cancelling a running job aborts its handler', async () => {
+    const job = await enqueueJob(1, 'notes', { mode: 'wait' });
+    await waitFor(() => jobs.get(job.id).progress !== null);
+    assert.deepEqual((await getJob(job.id, 1)).progress, { stage: 'summarizing', completed: 0, total: 3 });
+
+    const cancelled = await cancelJob(job.id, 1);
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.progress, null);
+
+    // The worker is free for the next job, and the cancelled one stays cancelled
+    const next = await enqueueJob(1, 'notes', { mode: 'plain', value: 1 });
+    await waitFor(isFinished(next.id));
+    assert.equal(jobs.get(job.id).status, 'cancelled');
+    assert.equal(jobs.get(job.id).result, null);
+});
+
+test('a job that was handed to another worker saves nothing', async () => {
+    const job = await enqueueJob(1, 'notes', { mode: 'handover', content: 'Duplicate' });
+    await waitFor(() => pool.transactions.some(transaction => transaction.rolledBack
+        && transaction.statements.some(statement => statement.params.includes(job.id))));
+
+    assert.ok(!committed().some(statement => statement.sql.startsWith('INSERT INTO notes') && statement.params.includes('Duplicate')));
+    // The row is left to the worker that has it
+    assert.equal(jobs.get(job.id).status, 'running');
+    assert.equal(jobs.get(job.id).workerId, 'other-host:1');
+});
+
+test('jobs are only visible to their owner, and unknown types are refused', async () => {
+    const job = await enqueueJob(1, 'notes', { mode: 'plain', value: 1 });
+    assert.equal(await getJob(job.id, 2), null);
+    await assert.rejects(enqueueJob(1, 'podcast', {}), /Unknown job type "podcast"/);
+});
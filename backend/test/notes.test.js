@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePool, installFakePool } = require('./helpers/fake-db');
+
+// Small chunks and merge prompts so a short source takes the long path
+process.env.NOTES_CHUNK_TOKENS = '50';
+process.env.NOTES_MERGE_TOKENS = '130';
+process.env.LLM_PROVIDER = 'fake';
+delete process.env.LLM_FIXTURES_DIR;
+installFakePool(createFakePool(() => {
+    throw new Error('Notes are generated without the database');
+}));
+
+const { generateNotes, splitSource, splitSections, tableOfContents } = require('../notes');
+
+const paragraph = (words, word = 'cell') => Array.from({ length: words }, () => word).join(' ');
+
+test('splitSections follows the heading hierarchy', () => {
+    const sections = splitSections([
+        'Preface text',
+        '# Chapter 1',
+        'Intro',
+        '## Enzymes',
+        'Catalysts',
+        '### Kinetics',
+        'Rates',
+        '## Membranes',
+        'Lipids',
+        '# Chapter 2',
+        'More'
+    ].join('\n'));
+
+    assert.deepEqual(sections.map(section => section.path), [
+        [],
+        ['Chapter 1'],
+        ['Chapter 1', 'Enzymes'],
+        ['Chapter 1', 'Enzymes', 'Kinetics'],
+        ['Chapter 1', 'Membranes'],
+        ['Chapter 2']
+    ]);
+    assert.equal(sections[2].text, '## Enzymes\nCatalysts');
+});
+
+test('splitSections ignores "#" lines inside code fences', () => {
+    const sections = splitSections('# Shell\n```bash\n# not a heading\nls\n```\nAfter');
+    assert.equal(sections.length, 1);
+    assert.deepEqual(sections[0].path, ['Shell']);
+});
+
+test('splitSource keeps a short source in one chunk', () => {
+    const text = '# One\nFirst\n\n# Two\nSecond';
+    assert.deepEqual(splitSource(text, 100), [{ path: ['One'], text: '# One\nFirst\n\n# Two\nSecond' }]);
+});
+
+test('splitSource packs sections into chunks labelled with their first heading', () => {
+    const sections = ['A', 'B', 'C', 'D'].map(title => `# ${title}\n${paragraph(10)}`);
+    // Each section is 53 characters and a chunk holds 120
+    const chunks = splitSource(sections.join('\n\n'), 30);
+
+    assert.deepEqual(chunks.map(chunk => chunk.path), [['A'], ['C']]);
+    assert.equal(chunks[0].text, `${sections[0]}\n\n${sections[1]}`);
+    chunks.forEach(chunk => assert.ok(chunk.text.length <= 120));
+});
+
+test('splitSource cuts an oversized section at paragraph breaks', () => {
+    const text = `# Long\n${[1, 2, 3, 4].map(n => paragraph(12, `p${n}`)).join('\n\n')}`;
+    const chunks = splitSource(text, 20);
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => {
+        assert.deepEqual(chunk.path, ['Long']);
+        assert.ok(chunk.text.length <= 80);
+        // No paragraph is cut in half
+        chunk.text.replace('# Long\n', '').split('\n\n').forEach(piece => assert.match(piece, /^(p\d)( \1){11}$/));
+    });
+    assert.equal(chunks.map(chunk => chunk.text).join('\n\n'), text);
+});
+
+test('splitSource cuts a single huge paragraph at sentence ends', () => {
+    const text = Array.from({ length: 20 }, (_, i) => `Sentence number ${i} ends here.`).join(' ');
+    const chunks = splitSource(text, 25);
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => {
+        assert.ok(chunk.text.length <= 100);
+        assert.match(chunk.text, /\.$/);
+    });
+});
+
+test('tableOfContents links the level 2 sections', () => {
+    const markdown = '## Summary\nx\n\n## Key Concepts\ny\n\n### Detail\nz\n\n## Practice Questions\n1. q';
+    assert.equal(tableOfContents(markdown), [
+        '**Contents**',
+        '',
+        '- [Summary](#summary)',
+        '- [Key Concepts](#key-concepts)',
+        '- [Practice Questions](#practice-questions)',
+        '',
+        ''
+    ].join('\n'));
+});
+
+test('tableOfContents is empty for notes with fewer than three sections', () => {
+    assert.equal(tableOfContents('## Summary\nx\n\n## Questions\ny'), '');
+});
+
+test('generateNotes makes a short source in one call', async () => {
+    const events = [];
+    const notes = await generateNotes({ topic: 'Cells', content: 'A short source', onProgress: event => events.push(event) });
+
+    assert.match(notes, /^## Summary/);
+    assert.deepEqual(events, [
+        { stage: 'summarizing', completed: 0, total: 1 },
+        { stage: 'done', completed: 1, total: 1 }
+    ]);
+});
+
+test('generateNotes summarises each chunk, merges the parts and adds contents', async () => {
+    const content = ['A', 'B', 'C', 'D'].map(title => `# ${title}\n${paragraph(30)}`).join('\n\n');
+    const events = [];
+    const notes = await generateNotes({ topic: 'Cells', content, onProgress: event => events.push(event) });
+
+    assert.match(notes, /^\*\*Contents\*\*\n\n- \[Summary\]\(#summary\)/);
+    assert.match(notes, /## Practice Questions/);
+
+    const summarizing = events.filter(event => event.stage === 'summarizing');
+    assert.deepEqual(summarizing.map(event => event.completed), [0, 1, 2, 3, 4]);
+    summarizing.forEach(event => assert.equal(event.total, 4));
+
+    // Four parts merged two at a time, then the final notes
+    assert.deepEqual(events.filter(event => event.stage === 'merging'), [
+        { stage: 'merging', round: 1, completed: 1, total: 2 },
+        { stage: 'merging', round: 1, completed: 2, total: 2 },
+        { stage: 'merging', round: 2, completed: 0, total: 1 }
+    ]);
+    assert.deepEqual(events[events.length - 1], { stage: 'done', completed: 1, total: 1 });
+});
+
+test('generateNotes stops when its signal is aborted', async () => {
+    const controller = new AbortController();
+    controller.abort(new Error('Stopped by the user'));
+    const content = ['A', 'B', 'C'].map(title => `# ${title}\n${paragraph(30)}`).join('\n\n');
+
+    await assert.rejects(generateNotes({ topic: 'Cells', content, signal: controller.signal }), /Stopped by the user/);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkQuizQuestions, normalizeQuestions, isCorrect, gradeAttempt } = require('../quiz');
+
+const question = (type, answer, options = []) => ({ type, question: 'Q?', options, answer, explanation: 'Because.' });
+
+test('checkQuizQuestions accepts well formed questions', () => {
+    const errors = checkQuizQuestions([
+        question('multiple_choice', 'Mitochondria', ['Nucleus', 'Mitochondria', 'Ribosome']),
+        question('true_false', 'false', []),
+        question('short_answer', 'Photosynthesis')
+    ]);
+    assert.deepEqual(errors, []);
+});
+
+test('checkQuizQuestions reports the rules the schema cannot express', () => {
+    const errors = checkQuizQuestions([
+        question('multiple_choice', 'Golgi', ['Nucleus', 'Ribosome']),
+        question('true_false', 'Maybe'),
+        question('short_answer', 'the')
+    ]);
+    assert.deepEqual(errors, [
+        '$[0].options: multiple_choice needs 3 to 6 options',
+        '$[0].answer: must be one of the options',
+        '$[1].answer: must be "True" or "False"',
+        '$[2].answer: short_answer needs an answer with at least one meaningful word'
+    ]);
+});
+
+test('normalizeQuestions spells answers like their options', () => {
+    const [choice, trueFalse, short] = normalizeQuestions([
+        { ...question('multiple_choice', ' mitochondria ', [' Nucleus', 'Mitochondria ', 'Ribosome']), question: ' Which? ' },
+        question('true_false', 'TRUE', ['yes', 'no']),
+        question('short_answer', ' Osmosis ', ['ignored'])
+    ]);
+    assert.deepEqual(choice, {
+        type: 'multiple_choice',
+        question: 'Which?',
+        options: ['Nucleus', 'Mitochondria', 'Ribosome'],
+        answer: 'Mitochondria',
+        explanation: 'Because.'
+    });
+    assert.deepEqual(trueFalse.options, ['True', 'False']);
+    assert.equal(trueFalse.answer, 'True');
+    assert.deepEqual(short.options, []);
+    assert.equal(short.answer, 'Osmosis');
+});
+
+test('multiple choice and true/false answers must match, ignoring case and spaces', () => {
+    const choice = question('multiple_choice', 'Mitochondria', ['Nucleus', 'Mitochondria', 'Ribosome']);
+    assert.ok(isCorrect(choice, ' mitochondria '));
+    assert.ok(!isCorrect(choice, 'Mitochondrion'));
+    assert.ok(isCorrect(question('true_false', 'False'), 'false'));
+    assert.ok(!isCorrect(question('true_false', 'False'), 'True'));
+});
+
+test('short answers need most of the expected words', () => {
+    const short = question('short_answer', 'the powerhouse of the cell produces energy');
+    assert.ok(isCorrect(short, 'Powerhouse of cells, produces energy'));
+    assert.ok(isCorrect(short, 'the cell powerhouse, produces energy and heat'));
+    assert.ok(!isCorrect(short, 'the cell'));
+});
+
+test('short answers must contain every number in the expected answer', () => {
+    const short = question('short_answer', 'World War II ended in 1945');
+    assert.ok(isCorrect(short, 'world war ii ended 1945'));
+    assert.ok(!isCorrect(short, 'world war ii ended 1944'));
+});
+
+test('blank responses are wrong', () => {
+    const short = question('short_answer', 'Osmosis');
+    [undefined, null, '', '   '].forEach(response => assert.ok(!isCorrect(short, response)));
+});
+
+test('gradeAttempt scores every question in order', () => {
+    const questions = [
+        { id: 1, ...question('true_false', 'True') },
+        { id: 2, ...question('multiple_choice', 'B', ['A', 'B', 'C']) },
+        { id: 3, ...question('short_answer', 'Osmosis') }
+    ];
+    const graded = gradeAttempt(questions, { 1: 'true', 2: 'C' });
+
+    assert.equal(graded.score, 1);
+    assert.equal(graded.total, 3);
+    assert.equal(graded.percent, 33);
+    assert.deepEqual(graded.results, [
+        { questionId: 1, response: 'true', correct: true },
+        { questionId: 2, response: 'C', correct: false },
+        { questionId: 3, response: null, correct: false }
+    ]);
+});
+
+test('gradeAttempt of an empty quiz scores zero percent', () => {
+    assert.deepEqual(gradeAttempt([], {}), { score: 0, total: 0, percent: 0, results: [] });
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    MAX_SCHEDULE_DAYS,
+    buildSchedule,
+    availableStudyDays,
+    addDays,
+    normalizeRestDays,
+    normalizeBlackoutDates,
+    scheduleConstraintsError,
+    toDateString
+} = require('../scheduler');
+
+const totalHours = sessions => sessions.reduce((sum, session) => sum + session.hours, 0);
+
+test('addDays crosses month, year and leap day boundaries', () => {
+    assert.equal(addDays('2024-01-31', 1), '2024-02-01');
+    assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+    assert.equal(addDays('2023-02-28', 1), '2023-03-01');
+    assert.equal(addDays('2024-12-31', 1), '2025-01-01');
+    assert.equal(addDays('2024-03-01', -1), '2024-02-29');
+});
+
+test('addDays is not shifted by daylight saving time', () => {
+    // Europe and the US change their clocks on these weekends
+    assert.equal(addDays('2024-03-30', 1), '2024-03-31');
+    assert.equal(addDays('2024-03-31', 1), '2024-04-01');
+    assert.equal(addDays('2024-11-02', 2), '2024-11-04');
+});
+
+test('toDateString keeps date strings and reads dates in UTC', () => {
+    assert.equal(toDateString('2024-05-06'), '2024-05-06');
+    assert.equal(toDateString(new Date('2024-05-06T23:30:00Z')), '2024-05-06');
+    assert.equal(toDateString('2024-05-06T12:00:00Z'), '2024-05-06');
+    assert.throws(() => toDateString('not a date'), /Invalid date/);
+});
+
+test('normalizeRestDays keeps unique weekday numbers', () => {
+    assert.deepEqual(normalizeRestDays([6, '0', 6, 7, -1, 2.5, 'x']), [0, 6]);
+    assert.deepEqual(normalizeRestDays(undefined), []);
+    assert.deepEqual(normalizeRestDays('0,6'), []);
+});
+
+test('normalizeBlackoutDates keeps unique valid dates in order', () => {
+    assert.deepEqual(
+        normalizeBlackoutDates(['2024-05-08', '2024-05-06', '2024-05-08', '2024-5-7', 'soon', 20240509]),
+        ['2024-05-06', '2024-05-08']
+    );
+    assert.deepEqual(normalizeBlackoutDates({ 0: '2024-05-06' }), []);
+});
+
+test('scheduleConstraintsError rejects values that are not arrays', () => {
+    assert.equal(scheduleConstraintsError({}), null);
+    assert.equal(scheduleConstraintsError({ restDays: null, blackoutDates: null }), null);
+    assert.equal(scheduleConstraintsError({ restDays: [0, 6], blackoutDates: ['2024-05-06'] }), null);
+    assert.match(scheduleConstraintsError({ restDays: '0,6' }), /restDays must be an array/);
+    assert.match(scheduleConstraintsError({ blackoutDates: '2024-05-06' }), /blackoutDates must be an array/);
+});
+
+test('availableStudyDays skips rest days and blackout dates and stops before the deadline', () => {
+    // 2024-05-06 is a Monday
+    const days = availableStudyDays({
+        startDate: '2024-05-06',
+        deadline: '2024-05-16',
+        restDays: [0, 6],
+        blackoutDates: ['2024-05-08']
+    });
+    assert.deepEqual(days, ['2024-05-06', '2024-05-07', '2024-05-09', '2024-05-10', '2024-05-13', '2024-05-14', '2024-05-15']);
+});
+
+test('availableStudyDays is empty when the deadline is not after the start', () => {
+    assert.deepEqual(availableStudyDays({ startDate: '2024-05-06', deadline: '2024-05-06' }), []);
+    assert.deepEqual(availableStudyDays({ startDate: '2024-05-06', deadline: '2024-05-01' }), []);
+});
+
+test('availableStudyDays stops MAX_SCHEDULE_DAYS after the start', () => {
+    const days = availableStudyDays({ startDate: '2024-05-06', deadline: '9999-12-31' });
+    assert.equal(days.length, MAX_SCHEDULE_DAYS);
+    assert.equal(days[days.length - 1], addDays('2024-05-06', MAX_SCHEDULE_DAYS - 1));
+});
+
+test('buildSchedule spreads each week over its share of the study days', () => {
+    const weeks = [
+        { week: 1, topic: 'Cells', hours: 4, tasks: ['Read chapter 1', 'Flashcards'] },
+        { week: 2, topic: 'Genetics', hours: 4, tasks: ['Read chapter 2'] }
+    ];
+    const sessions = buildSchedule({ weeks, startDate: '2024-05-06', deadline: '2024-05-10', hoursPerDay: 2 });
+
+    assert.deepEqual(sessions.map(session => [session.date, session.week, session.task, session.hours]), [
+        ['2024-05-06', 1, 'Read chapter 1', 2],
+        ['2024-05-07', 1, 'Flashcards', 2],
+        ['2024-05-08', 2, 'Read chapter 2', 2],
+        ['2024-05-09', 2, 'Read chapter 2', 2]
+    ]);
+});
+
+test('buildSchedule never plans a session on a rest day, blackout date or the deadline', () => {
+    const weeks = [1, 2, 3].map(week => ({ week, topic: `Topic ${week}`, hours: 5, tasks: ['Study', 'Review'] }));
+    const sessions = buildSchedule({
+        weeks,
+        startDate: '2024-02-26',
+        deadline: '2024-03-18',
+        hoursPerDay: 1.5,
+        restDays: [0],
+        blackoutDates: ['2024-02-29', '2024-03-04']
+    });
+
+    assert.ok(sessions.length > 0);
+    sessions.forEach(session => {
+        assert.ok(session.date >= '2024-02-26' && session.date < '2024-03-18', session.date);
+        assert.notEqual(new Date(`${session.date}T00:00:00Z`).getUTCDay(), 0);
+        assert.ok(!['2024-02-29', '2024-03-04'].includes(session.date), session.date);
+        assert.equal(session.hours * 4, Math.round(session.hours * 4), 'planned in quarter hours');
+    });
+    assert.deepEqual([...new Set(sessions.map(session => session.week))], [1, 2, 3]);
+    assert.deepEqual(sessions.map(session => session.date), [...sessions.map(session => session.date)].sort());
+});
+
+test('buildSchedule caps a week at the hours its days can hold', () => {
+    const sessions = buildSchedule({
+        weeks: [{ week: 1, topic: 'Everything', hours: 40, tasks: ['Cram'] }],
+        startDate: '2024-05-06',
+        deadline: '2024-05-08',
+        hoursPerDay: 3
+    });
+    assert.equal(totalHours(sessions), 6);
+});
+
+test('buildSchedule falls back to the topic for weeks without tasks', () => {
+    const sessions = buildSchedule({
+        weeks: [{ week: 1, topic: 'Revision', hours: 1, tasks: [] }],
+        startDate: '2024-05-06',
+        deadline: '2024-05-07',
+        hoursPerDay: 2
+    });
+    assert.deepEqual(sessions, [{ date: '2024-05-06', week: 1, taskIndex: 0, task: 'Revision', hours: 1 }]);
+});
+
+test('buildSchedule returns nothing when there are no study days', () => {
+    const sessions = buildSchedule({
+        weeks: [{ week: 1, topic: 'Cells', hours: 2, tasks: ['Read'] }],
+        startDate: '2024-05-11',
+        deadline: '2024-05-13',
+        hoursPerDay: 2,
+        restDays: [0, 6]
+    });
+    assert.deepEqual(sessions, []);
+});
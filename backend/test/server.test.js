@@ -0,0 +1,213 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createFakePool, installFakePool } = require('./helpers/fake-db');
+
+process.env.LLM_PROVIDER = 'fake';
+process.env.JOBS_CONCURRENCY = '1';
+process.env.JOBS_POLL_MS = '20';
+delete process.env.LLM_FIXTURES_DIR;
+// Usage limits have their own tests (usage.test.js)
+process.env.AI_RATE_LIMIT_PER_MINUTE = '0';
+process.env.AI_DAILY_TOKEN_QUOTA = '0';
+
+// ==========================================
+// In-memory tables for two users, each with a note and a flashcard set
+// ==========================================
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+const USERS = [
+    { id: 1, email: 'ada@example.com', name: 'Ada', token: 'token-ada' },
+    { id: 2, email: 'ben@example.com', name: 'Ben', token: 'token-ben' }
+];
+
+const db = {
+    notes: [
+        { id: 1, userId: 1, title: 'Cells', content: 'Mitochondria make ATP' },
+        { id: 2, userId: 2, title: 'Rivers', content: 'Rivers erode valleys' }
+    ],
+    noteVersions: [{ noteId: 1, version: 1 }, { noteId: 2, version: 1 }],
+    sets: [{ id: 1, userId: 1 }, { id: 2, userId: 2 }],
+    jobs: new Map(),
+    nextId: 100
+};
+
+const ownedBy = (rows, id, userId) => rows.find(row => row.id === id && row.userId === userId);
+
+const pool = createFakePool((sql, params) => {
+    if (sql.startsWith('SELECT u.id, u.email, u.name FROM sessions s')) {
+        return USERS.filter(user => hashToken(user.token) === params[0]).map(({ id, email, name }) => ({ id, email, name }));
+    }
+    if (sql.startsWith('UPDATE users SET content_version')) return { insertId: db.nextId++ };
+    if (sql.startsWith('INSERT INTO ai_usage')) return { insertId: db.nextId++ };
+
+    // Notes
+    if (sql.startsWith('SELECT id, title, content, source') && sql.endsWith('FROM notes WHERE user_id = ? ORDER BY created_at DESC')) {
+        return db.notes.filter(note => note.userId === params[0]);
+    }
+    if (sql.startsWith('SELECT id, title, content, source') && sql.endsWith('FROM notes WHERE id = ? AND user_id = ?')) {
+        const note = ownedBy(db.notes, params[0], params[1]);
+        return note ? [note] : [];
+    }
+    if (sql.startsWith('SELECT version, title, CHAR_LENGTH(content) as length')) {
+        return db.noteVersions.filter(version => version.noteId === params[0]);
+    }
+    if (sql.startsWith('SELECT storage_key as storageKey FROM attachments')) return [];
+    if (sql.startsWith('DELETE FROM notes WHERE id = ? AND user_id = ?')) {
+        const before = db.notes.length;
+        db.notes = db.notes.filter(note => !(note.id === params[0] && note.userId === params[1]));
+        return { affectedRows: before - db.notes.length };
+    }
+    if (sql.startsWith('INSERT INTO notes')) {
+        const [userId, title, content] = params;
+        const id = db.nextId++;
+        db.notes.push({ id, userId, title, content });
+        return { insertId: id };
+    }
+    if (sql.startsWith('INSERT INTO note_versions')) {
+        db.noteVersions.push({ noteId: params[0], version: 1 });
+        return { affectedRows: 1 };
+    }
+
+    // Flashcard sets
+    if (sql.startsWith('SELECT id FROM flashcard_sets WHERE id = ? AND user_id = ?')) {
+        const set = ownedBy(db.sets, params[0], params[1]);
+        return set ? [{ id: set.id }] : [];
+    }
+
+    // Jobs
+    if (sql.startsWith('INSERT INTO jobs')) {
+        const [userId, type, title, payload] = params;
+        const job = { id: db.nextId++, userId, type, title, payload, status: 'queued', progress: null, result: null, error: null, attempts: 0 };
+        db.jobs.set(job.id, job);
+        return { insertId: job.id };
+    }
+    if (sql.startsWith('SELECT id, type, title, status') && sql.endsWith('WHERE id = ? AND user_id = ?')) {
+        const job = db.jobs.get(params[0]);
+        return job && job.userId === params[1] ? [{ ...job, createdAt: null, startedAt: null, finishedAt: null }] : [];
+    }
+    if (sql.startsWith("UPDATE jobs SET status = 'cancelled'")) {
+        const job = db.jobs.get(params[0]);
+        if (job && job.userId === params[1] && ['queued', 'running'].includes(job.status)) job.status = 'cancelled';
+        return { affectedRows: 1 };
+    }
+    if (sql.startsWith('SELECT id, user_id as userId, type, payload FROM jobs')) {
+        const job = [...db.jobs.values()].find(row => row.status === 'queued' && params[0].includes(row.type));
+        return job ? [{ id: job.id, userId: job.userId, type: job.type, payload: job.payload }] : [];
+    }
+    if (sql.startsWith("UPDATE jobs SET status = 'running'")) {
+        const job = db.jobs.get(params[1]);
+        Object.assign(job, { status: 'running', attempts: job.attempts + 1, workerId: params[0] });
+        return { affectedRows: 1 };
+    }
+    if (sql.startsWith('UPDATE jobs SET progress = ?')) {
+        db.jobs.get(params[1]).progress = params[0];
+        return { affectedRows: 1 };
+    }
+    if (sql.startsWith("SELECT id FROM jobs WHERE id = ? AND status = 'running' AND worker_id = ? FOR UPDATE")) {
+        const job = db.jobs.get(params[0]);
+        return job.status === 'running' && job.workerId === params[1] ? [{ id: job.id }] : [];
+    }
+    if (sql.startsWith("UPDATE jobs SET status = 'succeeded'")) {
+        Object.assign(db.jobs.get(params[1]), { status: 'succeeded', result: params[0], progress: null });
+        return { affectedRows: 1 };
+    }
+    if (sql.startsWith('UPDATE jobs SET status = ?, result = ?, error = ?')) {
+        const [status, result, error, id] = params;
+        Object.assign(db.jobs.get(id), { status, result, error, progress: null });
+        return { affectedRows: 1 };
+    }
+    if (sql.startsWith('UPDATE jobs SET heartbeat_at = NOW()')) return { affectedRows: 0 };
+    if (sql.startsWith("SELECT id FROM jobs WHERE id IN (?) AND status = 'cancelled'")) return [];
+    if (sql.startsWith('UPDATE jobs SET status = IF(attempts >= ?')) return { affectedRows: 0 };
+    if (sql.startsWith('DELETE FROM jobs WHERE status IN')) return { affectedRows: 0 };
+
+    throw new Error(`Unexpected statement: ${sql}`);
+});
+installFakePool(pool);
+
+const { app } = require('../server');
+const { startJobWorkers, stopJobWorkers } = require('../jobs');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    startJobWorkers();
+});
+
+test.after(() => {
+    stopJobWorkers();
+    server.close();
+});
+
+// Call a route as one of the users and resolve with { status, body }
+async function call(user, method, path, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (user) headers.Authorization = `Bearer ${user.token}`;
+    const response = await fetch(`${baseUrl}${path}`, { method, headers, body: body && JSON.stringify(body) });
+    return { status: response.status, body: await response.json() };
+}
+
+// Poll GET /jobs/:id, as the client does, until the job has finished
+async function pollJob(user, jobId, { timeoutMs = 5000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const { job } = (await call(user, 'GET', `/jobs/${jobId}`)).body;
+        if (!['queued', 'running'].includes(job.status)) return job;
+        if (Date.now() > deadline) throw new Error(`Job ${jobId} is still ${job.status}`);
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+const [ada, ben] = USERS;
+
+test('routes after the auth routes need a session', async () => {
+    assert.equal((await call(null, 'GET', '/notes-history')).status, 401);
+    assert.equal((await call({ token: 'unknown' }, 'GET', '/notes-history')).status, 401);
+});
+
+test('lists only hold the user\'s own records', async () => {
+    const { status, body } = await call(ada, 'GET', '/notes-history');
+    assert.equal(status, 200);
+    assert.deepEqual(body.notes.map(note => note.title), ['Cells']);
+});
+
+test('another user\'s note is not found, and is left as it was', async () => {
+    assert.equal((await call(ada, 'GET', '/note/1/versions')).status, 200);
+
+    const read = await call(ben, 'GET', '/note/1/versions');
+    assert.equal(read.status, 404);
+    assert.deepEqual(read.body, { error: 'Note not found' });
+
+    assert.equal((await call(ben, 'PUT', '/note/1', { content: 'Overwritten' })).status, 404);
+    assert.equal((await call(ben, 'DELETE', '/note/1')).status, 404);
+    assert.deepEqual(db.notes.find(note => note.id === 1), { id: 1, userId: 1, title: 'Cells', content: 'Mitochondria make ATP' });
+});
+
+test('cards can\'t be added to another user\'s flashcard set', async () => {
+    const { status, body } = await call(ben, 'POST', '/flashcard/1/cards', { question: 'Q', answer: 'A' });
+    assert.equal(status, 404);
+    assert.deepEqual(body, { error: 'Flashcard set not found' });
+    assert.ok(!pool.transactions.some(transaction => transaction.statements.some(statement => statement.sql.startsWith('INSERT INTO flashcards'))));
+});
+
+test('a queued job is followed to its result by its owner only', async () => {
+    const queued = await call(ada, 'POST', '/generate-ai-notes', { topic: 'Photosynthesis', content: 'Light reactions' });
+    assert.equal(queued.status, 202);
+    assert.equal(queued.body.job.type, 'notes');
+    assert.equal(queued.body.job.title, 'Photosynthesis');
+
+    const job = await pollJob(ada, queued.body.job.id);
+    assert.equal(job.status, 'succeeded');
+    const note = db.notes.find(row => row.id === job.result.note.id);
+    assert.equal(note.userId, ada.id);
+    assert.equal(note.title, 'Photosynthesis');
+    assert.match(job.result.note.content, /^## Summary/);
+
+    assert.equal((await call(ben, 'GET', `/jobs/${job.id}`)).status, 404);
+    assert.equal((await call(ben, 'POST', `/jobs/${job.id}/cancel`)).status, 404);
+});
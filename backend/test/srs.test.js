@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidGrade, isDue, isMature, reviewCard } = require('../srs');
+
+const NEW_CARD = { ease: 2.5, intervalDays: 0, repetitions: 0 };
+const TODAY = '2024-05-06';
+
+// Review a new card with each grade in turn
+const reviewAll = (grades, card = NEW_CARD) => grades.reduce((state, grade) => reviewCard(state, grade, TODAY), card);
+
+test('a new card answered good is due tomorrow, then in six days', () => {
+    const first = reviewCard(NEW_CARD, 'good', TODAY);
+    assert.deepEqual(first, { ease: 2.5, intervalDays: 1, repetitions: 1, dueDate: '2024-05-07' });
+
+    const second = reviewCard(first, 'good', TODAY);
+    assert.equal(second.intervalDays, 6);
+    assert.equal(second.repetitions, 2);
+    assert.equal(second.dueDate, '2024-05-12');
+});
+
+test('easy starts at four days and raises the ease', () => {
+    const card = reviewCard(NEW_CARD, 'easy', TODAY);
+    assert.equal(card.intervalDays, 4);
+    assert.equal(card.ease, 2.6);
+});
+
+test('hard on the second review gives three days and lowers the ease', () => {
+    const card = reviewAll(['good', 'hard']);
+    assert.equal(card.intervalDays, 3);
+    assert.equal(card.ease, 2.36);
+});
+
+test('later reviews multiply the interval by the ease', () => {
+    const third = reviewAll(['good', 'good', 'good']);
+    assert.equal(third.intervalDays, 15);
+    assert.equal(third.dueDate, '2024-05-21');
+
+    const easy = reviewCard({ ease: 2.5, intervalDays: 10, repetitions: 4 }, 'easy', TODAY);
+    assert.equal(easy.intervalDays, 33);
+
+    const hard = reviewCard({ ease: 2.5, intervalDays: 10, repetitions: 4 }, 'hard', TODAY);
+    assert.equal(hard.intervalDays, 12);
+});
+
+test('a passed review always adds at least one day', () => {
+    const card = reviewCard({ ease: 1.3, intervalDays: 2, repetitions: 5 }, 'hard', TODAY);
+    assert.equal(card.intervalDays, 3);
+});
+
+test('again starts the card over tomorrow', () => {
+    const card = reviewCard({ ease: 2.5, intervalDays: 30, repetitions: 6 }, 'again', TODAY);
+    assert.equal(card.intervalDays, 1);
+    assert.equal(card.repetitions, 0);
+    assert.equal(card.dueDate, '2024-05-07');
+    assert.equal(card.ease, 2.18);
+});
+
+test('ease never drops below 1.3', () => {
+    const card = reviewAll(['again', 'again', 'again', 'again', 'again', 'again']);
+    assert.equal(card.ease, 1.3);
+});
+
+test('missing review state is treated as a new card', () => {
+    assert.deepEqual(reviewCard({}, 'good', TODAY), reviewCard(NEW_CARD, 'good', TODAY));
+});
+
+test('isValidGrade accepts only the four grades', () => {
+    ['again', 'hard', 'good', 'easy'].forEach(grade => assert.ok(isValidGrade(grade)));
+    ['perfect', 'toString', '', undefined].forEach(grade => assert.ok(!isValidGrade(grade)));
+});
+
+test('isDue treats cards without a due date as due', () => {
+    assert.ok(isDue({ dueDate: null }, TODAY));
+    assert.ok(isDue({ dueDate: TODAY }, TODAY));
+    assert.ok(isDue({ dueDate: '2024-05-01' }, TODAY));
+    assert.ok(!isDue({ dueDate: '2024-05-07' }, TODAY));
+});
+
+test('cards with an interval of three weeks or more are mature', () => {
+    assert.ok(!isMature({ intervalDays: 20 }));
+    assert.ok(isMature({ intervalDays: 21 }));
+});
@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AIOutputError, generateStructured, parseModelJson, validateSchema } = require('../llm/structured');
+const { createOpenAIProvider } = require('../llm/providers/openai');
+const { FLASHCARDS_SCHEMA } = require('../llm/schemas');
+
+// An llm client (see getLLM) that replies with the given texts in turn and
+// keeps the prompts it was sent
+function scriptedLLM(replies) {
+    const prompts = [];
+    return {
+        feature: 'flashcards',
+        prompts,
+        async generateText({ prompt }) {
+            prompts.push(prompt);
+            return { text: replies[prompts.length - 1], usage: { inputTokens: 0, outputTokens: 0 } };
+        }
+    };
+}
+
+const quietly = async work => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        return await work();
+    } finally {
+        console.warn = warn;
+    }
+};
+
+test('parseModelJson strips fences and surrounding chatter', () => {
+    assert.deepEqual(parseModelJson('```json\n[{"a": 1}]\n```'), [{ a: 1 }]);
+    assert.deepEqual(parseModelJson('Here you go: {"a": [1, 2]} Enjoy!'), { a: [1, 2] });
+    assert.deepEqual(parseModelJson('  [1, 2]  '), [1, 2]);
+    assert.throws(() => parseModelJson('no json here'), SyntaxError);
+});
+
+test('validateSchema accepts a matching value', () => {
+    assert.deepEqual(validateSchema(FLASHCARDS_SCHEMA, [{ question: 'Q', answer: 'A' }]), []);
+});
+
+test('validateSchema reports every problem with its path', () => {
+    const errors = validateSchema(FLASHCARDS_SCHEMA, [
+        { question: 'Q' },
+        { question: ' ', answer: 42 },
+        'card'
+    ]);
+    assert.deepEqual(errors, [
+        '$[0].answer: is required',
+        '$[1].question: must not be empty',
+        '$[1].answer: expected string, got integer',
+        '$[2]: expected object, got string'
+    ]);
+    assert.deepEqual(validateSchema(FLASHCARDS_SCHEMA, []), ['$: must have at least 1 item(s)']);
+    assert.deepEqual(validateSchema(FLASHCARDS_SCHEMA, { question: 'Q' }), ['$: expected array, got object']);
+});
+
+test('validateSchema checks enums, bounds and integer types', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            kind: { enum: ['a', 'b'] },
+            week: { type: 'integer', minimum: 1 },
+            hours: { type: 'number', maximum: 10 },
+            tags: { type: 'array', maxItems: 1 }
+        }
+    };
+    assert.deepEqual(validateSchema(schema, { kind: 'a', week: 2, hours: 2.5, tags: [] }), []);
+    assert.deepEqual(validateSchema(schema, { kind: 'c', week: 1.5, hours: 11, tags: [1, 2] }), [
+        '$.kind: must be one of "a", "b"',
+        '$.week: expected integer, got number',
+        '$.hours: must be at most 10',
+        '$.tags: must have at most 1 item(s)'
+    ]);
+    assert.deepEqual(validateSchema(schema, { week: 0 }), ['$.week: must be at least 1']);
+});
+
+test('generateStructured returns the first valid reply', async () => {
+    const llm = scriptedLLM(['[{"question": "Q", "answer": "A"}]']);
+    const value = await generateStructured(llm, { prompt: 'Make cards', schema: FLASHCARDS_SCHEMA });
+    assert.deepEqual(value, [{ question: 'Q', answer: 'A' }]);
+    assert.deepEqual(llm.prompts, ['Make cards']);
+});
+
+test('generateStructured retries with the validation errors', async () => {
+    const llm = scriptedLLM(['not json', '[{"question": "Q"}]', '[{"question": "Q", "answer": "A"}]']);
+    const value = await quietly(() => generateStructured(llm, { prompt: 'Make cards', schema: FLASHCARDS_SCHEMA }));
+
+    assert.deepEqual(value, [{ question: 'Q', answer: 'A' }]);
+    assert.equal(llm.prompts.length, 3);
+    assert.match(llm.prompts[1], /^Make cards\n\nYour previous response was rejected/);
+    assert.match(llm.prompts[1], /- Response is not valid JSON/);
+    assert.match(llm.prompts[2], /- \$\[0\]\.answer: is required/);
+});
+
+test('generateStructured retries on errors from validate()', async () => {
+    const llm = scriptedLLM(['[{"question": "Q", "answer": "Q"}]', '[{"question": "Q", "answer": "A"}]']);
+    const validate = cards => cards.filter(card => card.question === card.answer).map((_, i) => `$[${i}]: answer repeats the question`);
+    const value = await quietly(() => generateStructured(llm, { prompt: 'Make cards', schema: FLASHCARDS_SCHEMA, validate }));
+
+    assert.deepEqual(value, [{ question: 'Q', answer: 'A' }]);
+    assert.match(llm.prompts[1], /answer repeats the question/);
+});
+
+test('generateStructured gives up after maxAttempts with the last errors', async () => {
+    const llm = scriptedLLM(['[]', '[]']);
+    const error = await quietly(() => generateStructured(llm, { prompt: 'Make cards', schema: FLASHCARDS_SCHEMA, maxAttempts: 2 })
+        .then(() => null, caught => caught));
+
+    assert.ok(error instanceof AIOutputError);
+    assert.equal(error.status, 502);
+    assert.equal(error.type, 'invalid_ai_output');
+    assert.deepEqual(error.errors, ['$: must have at least 1 item(s)']);
+    assert.equal(llm.prompts.length, 2);
+});
+
+test('the OpenAI provider wraps array schemas in an object and unwraps the reply', async t => {
+    const requests = [];
+    t.mock.method(global, 'fetch', async (url, options) => {
+        requests.push({ url, body: JSON.parse(options.body) });
+        const content = JSON.stringify({ items: [{ question: 'Q', answer: 'A' }] });
+        return new Response(JSON.stringify({
+            choices: [{ message: { content } }],
+            usage: { prompt_tokens: 12, completion_tokens: 5 }
+        }));
+    });
+
+    const provider = createOpenAIProvider({ baseUrl: 'http://localhost:11434/v1/', apiKey: '' });
+    const result = await provider.generateText({ model: 'test', prompt: 'Make cards', json: true, schema: FLASHCARDS_SCHEMA });
+
+    assert.equal(requests[0].url, 'http://localhost:11434/v1/chat/completions');
+    assert.deepEqual(requests[0].body.response_format.json_schema.schema, {
+        type: 'object',
+        properties: { items: FLASHCARDS_SCHEMA },
+        required: ['items']
+    });
+    assert.deepEqual(JSON.parse(result.text), [{ question: 'Q', answer: 'A' }]);
+    assert.deepEqual(result.usage, { inputTokens: 12, outputTokens: 5 });
+});
+
+test('the OpenAI provider sends object schemas as they are', async t => {
+    const schema = { type: 'object', properties: { title: { type: 'string' } }, required: ['title'] };
+    let body;
+    t.mock.method(global, 'fetch', async (url, options) => {
+        body = JSON.parse(options.body);
+        return new Response(JSON.stringify({ choices: [{ message: { content: '{"title": "Cells"}' } }] }));
+    });
+
+    const provider = createOpenAIProvider({ baseUrl: 'http://localhost:11434/v1', apiKey: '' });
+    const result = await provider.generateText({ model: 'test', prompt: 'Name it', json: true, schema });
+
+    assert.deepEqual(body.response_format.json_schema.schema, schema);
+    assert.equal(result.text, '{"title": "Cells"}');
+});
+
+test('the OpenAI provider passes the abort signal to fetch', async t => {
+    let signal;
+    t.mock.method(global, 'fetch', async (url, options) => {
+        signal = options.signal;
+        return new Response(JSON.stringify({ choices: [{ message: { content: 'Notes' } }] }));
+    });
+
+    const controller = new AbortController();
+    const provider = createOpenAIProvider({ baseUrl: 'http://localhost:11434/v1', apiKey: '' });
+    await provider.generateText({ model: 'test', prompt: 'Summarise', signal: controller.signal });
+
+    assert.equal(signal, controller.signal);
+});
+
+test('the OpenAI stream reader skips events that are not valid JSON', async t => {
+    const events = [
+        'data: {"choices":[{"delta":{"content":"Hel"}}]}',
+        'data: {"choices":[{"delta":',
+        ': keep-alive',
+        'data: {"choices":[{"delta":{"content":"lo"}}]}',
+        'data: {"choices":[],"usage":{"prompt_tokens":3,"completion_tokens":2}}',
+        'data: [DONE]'
+    ];
+    t.mock.method(global, 'fetch', async () => new Response(`${events.join('\n\n')}\n\n`));
+
+    const deltas = [];
+    const provider = createOpenAIProvider({ baseUrl: 'http://localhost:11434/v1', apiKey: '' });
+    const result = await provider.streamChat({ model: 'test', history: [], message: 'Hi', onDelta: text => deltas.push(text) });
+
+    assert.deepEqual(deltas, ['Hel', 'lo']);
+    assert.deepEqual(result, { text: 'Hello', usage: { inputTokens: 3, outputTokens: 2 } });
+});
@@ -0,0 +1,220 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createFakePool, installFakePool, waitFor } = require('./helpers/fake-db');
+
+// ==========================================
+// In-memory ai_requests and ai_usage tables with a clock the tests move
+// ==========================================
+
+const db = { now: 0, nextId: 1, requests: [], usage: [], resetSeconds: 3 * 3600 };
+
+function resetDb() {
+    Object.assign(db, { now: 0, nextId: 1, requests: [], usage: [] });
+}
+
+const pool = createFakePool((sql, params) => {
+    if (sql.startsWith('SELECT id FROM users WHERE id = ? FOR UPDATE')) return [{ id: params[0] }];
+    if (sql.startsWith('DELETE FROM ai_requests WHERE user_id = ?')) {
+        const [userId, seconds] = params;
+        db.requests = db.requests.filter(request => request.userId !== userId || request.createdAt > db.now - seconds * 1000);
+        return { affectedRows: 0 };
+    }
+    if (sql.startsWith('SELECT feature, TIMESTAMPDIFF(MICROSECOND, created_at, NOW(3))')) {
+        return db.requests
+            .filter(request => request.userId === params[0])
+            .map(request => ({ feature: request.feature, age: (db.now - request.createdAt) / 1000 }));
+    }
+    if (sql.startsWith('INSERT INTO ai_requests')) {
+        const id = db.nextId++;
+        db.requests.push({ id, userId: params[0], feature: params[1], createdAt: db.now });
+        return { insertId: id };
+    }
+    if (sql.startsWith('DELETE FROM ai_requests WHERE id = ?')) {
+        db.requests = db.requests.filter(request => request.id !== params[0]);
+        return { affectedRows: 1 };
+    }
+    if (sql.startsWith('INSERT INTO ai_usage')) {
+        const [userId, feature, , , inputTokens, outputTokens] = params;
+        db.usage.push({ userId, feature, tokens: inputTokens + outputTokens });
+        return { insertId: db.usage.length };
+    }
+    if (sql.startsWith('SELECT COALESCE(SUM(input_tokens + output_tokens), 0) as total')) {
+        const [feature, userId] = params;
+        const rows = db.usage.filter(row => row.userId === userId);
+        const sum = list => list.reduce((total, row) => total + row.tokens, 0);
+        return [{ total: sum(rows), feature: sum(rows.filter(row => row.feature === feature)), resetSeconds: db.resetSeconds }];
+    }
+    throw new Error(`Unexpected statement: ${sql}`);
+});
+installFakePool(pool);
+
+process.env.LLM_PROVIDER = 'fake';
+const { UsageLimitError, recordUsage, checkQuota, aiLimit } = require('../usage');
+const { getLLM } = require('../llm');
+
+const LIMIT_VARIABLES = ['AI_RATE_LIMIT_PER_MINUTE', 'AI_RATE_LIMIT_PER_MINUTE_CHAT', 'AI_DAILY_TOKEN_QUOTA', 'AI_DAILY_TOKEN_QUOTA_CHAT', 'AI_DAILY_TOKEN_QUOTA_NOTES'];
+
+// Run with only the given limits set
+function withLimits(limits, body) {
+    return async () => {
+        resetDb();
+        LIMIT_VARIABLES.forEach(name => {
+            process.env[name] = '0';
+        });
+        Object.assign(process.env, limits);
+        try {
+            await body();
+        } finally {
+            LIMIT_VARIABLES.forEach(name => delete process.env[name]);
+        }
+    };
+}
+
+// Send a request through aiLimit(feature) and resolve with what happened:
+// { passed, status, headers, body, res } where passed means next() was called
+function request(feature, userId = 1) {
+    return new Promise((resolve, reject) => {
+        const res = new EventEmitter();
+        const headers = {};
+        res.statusCode = 200;
+        res.setHeader = (name, value) => {
+            headers[name] = value;
+        };
+        res.status = code => {
+            res.statusCode = code;
+            return res;
+        };
+        res.json = body => resolve({ passed: false, status: res.statusCode, headers, body, res });
+
+        aiLimit(feature)({ user: { id: userId } }, res, () => resolve({ passed: true, status: res.statusCode, headers, res }))
+            .catch(reject);
+    });
+}
+
+// Finish a request that got through with the given status
+async function finish(result, status) {
+    result.res.statusCode = status;
+    result.res.emit('finish');
+    await new Promise(resolve => setImmediate(resolve));
+}
+
+test('requests over the per-minute limit get 429 with Retry-After', withLimits({ AI_RATE_LIMIT_PER_MINUTE: '2' }, async () => {
+    assert.ok((await request('chat')).passed);
+    db.now = 15000;
+    assert.ok((await request('notes')).passed);
+
+    db.now = 20000;
+    const refused = await request('quiz');
+    assert.equal(refused.passed, false);
+    assert.equal(refused.status, 429);
+    // Free again when the first request is a minute old
+    assert.equal(refused.headers['Retry-After'], '40');
+    assert.deepEqual(refused.body, {
+        error: 'Too many AI requests. Please try again in 40 seconds.',
+        type: 'rate_limited',
+        retryAfter: 40
+    });
+
+    db.now = 60000;
+    assert.ok((await request('quiz')).passed);
+}));
+
+test('limits are counted in the database, so they hold across server processes', withLimits({ AI_RATE_LIMIT_PER_MINUTE: '2' }, async () => {
+    // Two requests made by another server process a moment ago
+    db.requests.push({ id: db.nextId++, userId: 1, feature: 'chat', createdAt: -5000 });
+    db.requests.push({ id: db.nextId++, userId: 1, feature: 'notes', createdAt: -1000 });
+
+    const refused = await request('chat');
+    assert.equal(refused.status, 429);
+    assert.equal(refused.body.retryAfter, 55);
+
+    // Other users have their own allowance
+    assert.ok((await request('chat', 2)).passed);
+}));
+
+test('a feature limit only counts that feature', withLimits({ AI_RATE_LIMIT_PER_MINUTE: '10', AI_RATE_LIMIT_PER_MINUTE_CHAT: '1' }, async () => {
+    assert.ok((await request('chat')).passed);
+    assert.equal((await request('chat')).status, 429);
+    assert.ok((await request('notes')).passed);
+}));
+
+test('a request the route rejects gives its slot back', withLimits({ AI_RATE_LIMIT_PER_MINUTE: '1' }, async () => {
+    const invalid = await request('chat');
+    assert.ok(invalid.passed);
+    assert.equal(db.requests.length, 1);
+    await finish(invalid, 400);
+    assert.equal(db.requests.length, 0);
+
+    const valid = await request('chat');
+    assert.ok(valid.passed);
+    await finish(valid, 200);
+    assert.equal(db.requests.length, 1);
+    assert.equal((await request('chat')).status, 429);
+}));
+
+test('failed requests keep their slot', withLimits({ AI_RATE_LIMIT_PER_MINUTE: '1' }, async () => {
+    const failed = await request('chat');
+    await finish(failed, 502);
+    assert.equal(db.requests.length, 1);
+}));
+
+test('no slot is taken when rate limits are off', withLimits({}, async () => {
+    const result = await request('chat');
+    assert.ok(result.passed);
+    await finish(result, 400);
+    assert.equal(db.requests.length, 0);
+}));
+
+test('requests are refused once the daily quota is spent', withLimits({ AI_DAILY_TOKEN_QUOTA: '1000', AI_RATE_LIMIT_PER_MINUTE: '5' }, async () => {
+    await recordUsage({ userId: 1, feature: 'notes', provider: 'fake', model: 'fake-fixtures', usage: { inputTokens: 700, outputTokens: 300 } });
+
+    const refused = await request('chat');
+    assert.equal(refused.status, 429);
+    assert.equal(refused.headers['Retry-After'], '10800');
+    assert.deepEqual(refused.body, {
+        error: "You have used today's AI allowance of 1,000 tokens. It resets in 3 hours.",
+        type: 'quota_exceeded',
+        retryAfter: 10800
+    });
+    // Refused requests take no rate limit slot
+    assert.equal(db.requests.length, 0);
+}));
+
+test('a feature quota only counts that feature', withLimits({ AI_DAILY_TOKEN_QUOTA_CHAT: '100' }, async () => {
+    await recordUsage({ userId: 1, feature: 'notes', provider: 'fake', model: 'fake-fixtures', usage: { inputTokens: 500 } });
+    await checkQuota(1, 'chat');
+
+    await recordUsage({ userId: 1, feature: 'chat', provider: 'fake', model: 'fake-fixtures', usage: { outputTokens: 100 } });
+    await assert.rejects(checkQuota(1, 'chat'), /today's chat allowance of 100 tokens/);
+    await checkQuota(1, 'notes');
+}));
+
+test('a call whose input would go over the quota is refused before it is made', withLimits({ AI_DAILY_TOKEN_QUOTA: '1000' }, async () => {
+    await recordUsage({ userId: 1, feature: 'notes', provider: 'fake', model: 'fake-fixtures', usage: { inputTokens: 900 } });
+
+    await checkQuota(1, 'notes', { pendingTokens: 100 });
+    await assert.rejects(
+        checkQuota(1, 'notes', { pendingTokens: 101 }),
+        error => error instanceof UsageLimitError && /would go over today's AI allowance/.test(error.message)
+    );
+}));
+
+test('every model call checks the quota, so long requests stop once it is spent', withLimits({ AI_DAILY_TOKEN_QUOTA: '200' }, async () => {
+    const llm = getLLM('notes', { userId: 1 });
+
+    // 150 tokens in, and the fixture notes out, take the user past the quota
+    const first = await llm.generateText({ prompt: 'x'.repeat(600) });
+    await waitFor(() => db.usage.length === 1);
+    assert.equal(db.usage[0].tokens, first.usage.inputTokens + first.usage.outputTokens);
+
+    await assert.rejects(llm.generateText({ prompt: 'Another part' }), UsageLimitError);
+    assert.equal(db.usage.length, 1);
+}));
+
+test('calls made without a user are neither limited nor metered', withLimits({ AI_DAILY_TOKEN_QUOTA: '1' }, async () => {
+    await recordUsage({ userId: 1, feature: 'notes', provider: 'fake', model: 'fake-fixtures', usage: { inputTokens: 10 } });
+    const llm = getLLM('notes');
+    await llm.generateText({ prompt: 'Summarise this' });
+    assert.equal(db.usage.length, 1);
+}));
@@ -0,0 +1,275 @@
+const { pool } = require('./db');
+
+// ==========================================
+// AI USAGE METERING AND LIMITS
+// ==========================================
+//
+// Every model call made for a user is recorded in ai_usage with its input
+// and output token counts (llm/index.js calls recordUsage). AI routes are
+// guarded by aiLimit(feature), which answers 429 with a Retry-After header
+// when the user is over a limit:
+//
+//   AI_RATE_LIMIT_PER_MINUTE             AI requests per user per minute, all features together (default 10)
+//   AI_RATE_LIMIT_PER_MINUTE_<FEATURE>   a tighter limit for one feature, e.g. AI_RATE_LIMIT_PER_MINUTE_CHAT
+//   AI_DAILY_TOKEN_QUOTA                 tokens per user per day, all features together (default 200000)
+//   AI_DAILY_TOKEN_QUOTA_<FEATURE>       a quota for one feature's tokens
+//
+// 0 turns a limit off. Days follow the database clock and reset at its
+// midnight. Rate limits are counted in ai_requests, so they hold across
+// server processes. A request the route rejects as invalid (any 4xx answer)
+// gives its slot back. Quotas are checked again before every model call, so
+// a long request stops once the quota is spent; the call that crosses it
+// still finishes.
+
+const RATE_WINDOW_SECONDS = 60;
+
+// A request refused for being over a limit; routes answer 429
+class UsageLimitError extends Error {
+    constructor(message, { type, retryAfter }) {
+        super(message);
+        this.name = 'UsageLimitError';
+        this.status = 429;
+        this.type = type;
+        this.retryAfter = retryAfter;
+    }
+}
+
+const readLimit = (name, fallback = 0) => {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : Math.max(0, value);
+};
+
+// The limits on all of a user's AI requests together
+const generalLimits = () => ({
+    perMinute: readLimit('AI_RATE_LIMIT_PER_MINUTE', 10),
+    dailyTokens: readLimit('AI_DAILY_TOKEN_QUOTA', 200000)
+});
+
+// The limits that apply to one feature's requests
+function limitsFor(feature) {
+    const suffix = feature.toUpperCase();
+    return {
+        ...generalLimits(),
+        featurePerMinute: readLimit(`AI_RATE_LIMIT_PER_MINUTE_${suffix}`),
+        featureDailyTokens: readLimit(`AI_DAILY_TOKEN_QUOTA_${suffix}`)
+    };
+}
+
+const featureLabel = feature => feature.replace(/_/g, ' ');
+
+// "in 40 seconds", "in 5 minutes", "in 3 hours"
+function formatWait(seconds) {
+    const [amount, unit] = seconds < 90 ? [seconds, 'second']
+        : seconds < 90 * 60 ? [Math.round(seconds / 60), 'minute']
+            : [Math.round(seconds / 3600), 'hour'];
+    return `in ${amount} ${unit}${amount === 1 ? '' : 's'}`;
+}
+
+// ==========================================
+// RECORDING
+// ==========================================
+
+// Store one model call's token counts. Calls made without a user are not
+// metered.
+async function recordUsage({ userId, feature, provider, model, usage = {} }) {
+    if (!userId) return;
+    await pool.execute(
+        `INSERT INTO ai_usage (user_id, feature, provider, model, input_tokens, output_tokens) VALUES (?, ?, ?, ?, ?, ?)`,
+        [userId, feature, provider, String(model).slice(0, 100), usage.inputTokens || 0, usage.outputTokens || 0]
+    );
+}
+
+// ==========================================
+// LIMITS
+// ==========================================
+
+// Count an AI request against the per-minute limits and return its slot
+// (an ai_requests id), or throw when the user is already at one. The
+// user's row is locked meanwhile, so concurrent requests are counted one
+// after another.
+async function takeRateLimit(userId, feature) {
+    const { perMinute, featurePerMinute } = limitsFor(feature);
+    if (!perMinute && !featurePerMinute) return null;
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        await connection.execute(`SELECT id FROM users WHERE id = ? FOR UPDATE`, [userId]);
+        await connection.execute(
+            `DELETE FROM ai_requests WHERE user_id = ? AND created_at <= NOW(3) - INTERVAL ? SECOND`,
+            [userId, RATE_WINDOW_SECONDS]
+        );
+        // Oldest first, with how long ago each was made
+        const [requests] = await connection.execute(
+            `SELECT feature, TIMESTAMPDIFF(MICROSECOND, created_at, NOW(3)) / 1000000 as age
+             FROM ai_requests WHERE user_id = ? ORDER BY created_at ASC, id ASC`,
+            [userId]
+        );
+        const featureRequests = requests.filter(request => request.feature === feature);
+
+        // Over a limit until the request that reached it leaves the window
+        const refuse = (counted, limit) => {
+            const retryAfter = Math.max(1, Math.ceil(RATE_WINDOW_SECONDS - Number(counted[counted.length - limit].age)));
+            throw new UsageLimitError(`Too many AI requests. Please try again ${formatWait(retryAfter)}.`, { type: 'rate_limited', retryAfter });
+        };
+        if (perMinute > 0 && requests.length >= perMinute) refuse(requests, perMinute);
+        if (featurePerMinute > 0 && featureRequests.length >= featurePerMinute) refuse(featureRequests, featurePerMinute);
+
+        const [result] = await connection.execute(
+            `INSERT INTO ai_requests (user_id, feature) VALUES (?, ?)`,
+            [userId, feature]
+        );
+        await connection.commit();
+        return result.insertId;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+// Give back a slot from takeRateLimit
+async function releaseRateLimit(slot) {
+    if (slot === null) return;
+    await pool.execute(`DELETE FROM ai_requests WHERE id = ?`, [slot]);
+}
+
+// Tokens the user has used today, in total and for one feature, and the
+// seconds until the day resets
+async function usedToday(userId, feature) {
+    const [rows] = await pool.execute(
+        `SELECT COALESCE(SUM(input_tokens + output_tokens), 0) as total,
+         COALESCE(SUM(CASE WHEN feature = ? THEN input_tokens + output_tokens ELSE 0 END), 0) as feature,
+         TIMESTAMPDIFF(SECOND, NOW(), CURDATE() + INTERVAL 1 DAY) as resetSeconds
+         FROM ai_usage WHERE user_id = ? AND created_at >= CURDATE()`,
+        [feature, userId]
+    );
+    return {
+        total: Number(rows[0].total),
+        feature: Number(rows[0].feature),
+        resetSeconds: Math.max(1, Number(rows[0].resetSeconds))
+    };
+}
+
+// Throw when the user has used up today's tokens, overall or for the
+// feature, or when pendingTokens (a model call's estimated input) would
+// take them over
+async function checkQuota(userId, feature, { pendingTokens = 0 } = {}) {
+    const { dailyTokens, featureDailyTokens } = limitsFor(feature);
+    if (!dailyTokens && !featureDailyTokens) return;
+
+    const used = await usedToday(userId, feature);
+    const retryAfter = used.resetSeconds;
+    const over = (spent, quota) => quota > 0 && (spent >= quota || spent + pendingTokens > quota);
+    const refuse = (allowance, quota, spent) => {
+        const message = spent >= quota
+            ? `You have used today's ${allowance} of ${quota.toLocaleString('en-US')} tokens.`
+            : `This request would go over today's ${allowance} of ${quota.toLocaleString('en-US')} tokens.`;
+        throw new UsageLimitError(`${message} It resets ${formatWait(retryAfter)}.`, { type: 'quota_exceeded', retryAfter });
+    };
+    if (over(used.total, dailyTokens)) refuse('AI allowance', dailyTokens, used.total);
+    if (over(used.feature, featureDailyTokens)) refuse(`${featureLabel(feature)} allowance`, featureDailyTokens, used.feature);
+}
+
+// The 429 answer for a UsageLimitError
+const usageLimitBody = error => ({ error: error.message, type: error.type, retryAfter: error.retryAfter });
+
+function sendUsageLimitError(res, error) {
+    res.setHeader('Retry-After', String(error.retryAfter));
+    res.status(429).json(usageLimitBody(error));
+}
+
+// Route middleware for an AI feature: the daily quotas, then a slot under
+// the per-minute limits. Needs req.user.
+function aiLimit(feature) {
+    return async (req, res, next) => {
+        let slot;
+        try {
+            await checkQuota(req.user.id, feature);
+            slot = await takeRateLimit(req.user.id, feature);
+        } catch (error) {
+            if (error instanceof UsageLimitError) return sendUsageLimitError(res, error);
+            console.error('Error checking AI usage limits:', error);
+            return res.status(500).json({ error: 'Failed to check AI usage limits' });
+        }
+
+        // The slot is taken up front so concurrent requests can't slip past
+        // the limit, and given back if the route turns the request away
+        res.on('finish', () => {
+            if (res.statusCode >= 400 && res.statusCode < 500) {
+                releaseRateLimit(slot).catch(error => console.error('Error releasing AI rate limit slot:', error));
+            }
+        });
+        next();
+    };
+}
+
+// ==========================================
+// REPORTS
+// ==========================================
+
+// The user's usage over the last `days` days (today included) and where
+// they stand against today's quotas, for each of `features`
+async function usageReport(userId, { days, features }) {
+    const [byFeature] = await pool.execute(
+        `SELECT feature, COUNT(*) as calls, SUM(input_tokens) as inputTokens, SUM(output_tokens) as outputTokens
+         FROM ai_usage WHERE user_id = ? AND created_at >= CURDATE() - INTERVAL ? DAY
+         GROUP BY feature ORDER BY feature ASC`,
+        [userId, days - 1]
+    );
+    const [daily] = await pool.execute(
+        `SELECT DATE_FORMAT(created_at, '%Y-%m-%d') as date, COUNT(*) as calls,
+         SUM(input_tokens) as inputTokens, SUM(output_tokens) as outputTokens
+         FROM ai_usage WHERE user_id = ? AND created_at >= CURDATE() - INTERVAL ? DAY
+         GROUP BY date ORDER BY date ASC`,
+        [userId, days - 1]
+    );
+    const [todayRows] = await pool.execute(
+        `SELECT feature, SUM(input_tokens + output_tokens) as tokens
+         FROM ai_usage WHERE user_id = ? AND created_at >= CURDATE() GROUP BY feature`,
+        [userId]
+    );
+    const [[{ resetSeconds }]] = await pool.query(`SELECT TIMESTAMPDIFF(SECOND, NOW(), CURDATE() + INTERVAL 1 DAY) as resetSeconds`);
+
+    const usedByFeature = new Map(todayRows.map(row => [row.feature, Number(row.tokens)]));
+    const tokensToday = [...usedByFeature.values()].reduce((sum, tokens) => sum + tokens, 0);
+    const { perMinute, dailyTokens } = generalLimits();
+    const toTotals = row => ({
+        calls: row.calls,
+        inputTokens: Number(row.inputTokens),
+        outputTokens: Number(row.outputTokens)
+    });
+
+    return {
+        days,
+        today: {
+            tokens: tokensToday,
+            quota: dailyTokens || null,
+            remaining: dailyTokens ? Math.max(dailyTokens - tokensToday, 0) : null,
+            resetsInSeconds: Number(resetSeconds),
+            features: features.map(feature => {
+                const limits = limitsFor(feature);
+                return {
+                    feature,
+                    tokens: usedByFeature.get(feature) || 0,
+                    quota: limits.featureDailyTokens || null,
+                    perMinute: limits.featurePerMinute || null
+                };
+            })
+        },
+        rateLimit: { perMinute: perMinute || null },
+        byFeature: byFeature.map(row => ({ feature: row.feature, ...toTotals(row) })),
+        daily: daily.map(row => ({ date: row.date, ...toTotals(row) }))
+    };
+}
+
+module.exports = {
+    UsageLimitError,
+    recordUsage,
+    checkQuota,
+    aiLimit,
+    usageLimitBody,
+    sendUsageLimitError,
+    usageReport
+};
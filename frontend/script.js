@@ -20,10 +20,593 @@ document.addEventListener('DOMContentLoaded', () => {
 // Use the backend URL from environment or default to localhost
 const API_BASE_URL = 'https://ai-powered-study-management-system-with-g5ve.onrender.com'
 
-// Set minimum date for date inputs
+// Authentication
+// The session token from /auth/login is kept in localStorage and sent as a bearer token
+const AUTH_TOKEN_KEY = 'authToken';
+const AUTH_USER_KEY = 'authUser';
+
+const isLoginPage = () => !!document.getElementById('loginForm');
+
+function saveAuth(token, user) {
+    localStorage.setItem(AUTH_TOKEN_KEY, token);
+    localStorage.setItem(AUTH_USER_KEY, JSON.stringify(user));
+}
+
+function clearAuth() {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+    localStorage.removeItem(AUTH_USER_KEY);
+}
+
+function redirectToLogin() {
+    clearAuth();
+    window.location.replace('login.html');
+}
+
+// fetch() against the API with the session token attached; an expired session goes back to login
+async function apiFetch(path, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    const token = localStorage.getItem(AUTH_TOKEN_KEY);
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(`${API_BASE_URL}${path}`, { ...options, headers });
+    if (response.status === 401 && !isLoginPage()) redirectToLogin();
+    return response;
+}
+
+// Read a Server-Sent Events response body, calling onEvent(event, data) per event
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        
+        const frames = buffer.split('\n\n');
+        buffer = frames.pop();
+        frames.forEach(frame => {
+            const event = (frame.match(/^event: (.*)$/m) || [])[1] || 'message';
+            const data = frame.split('\n').filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('\n');
+            if (data) onEvent(event, JSON.parse(data));
+        });
+    }
+}
+
+// Exports
+const EXPORT_FORMATS = ['pdf', 'docx', 'md', 'json'];
+// Flashcard sets can also be exported as spreadsheets and Anki packages
+const FLASHCARD_EXPORT_FORMATS = [...EXPORT_FORMATS, 'csv', 'tsv', 'apkg'];
+
+function promptExportFormat(formats = EXPORT_FORMATS) {
+    const format = prompt(`Enter format (${formats.join(', ')}):`, 'pdf');
+    return format && formats.includes(format.trim().toLowerCase()) ? format.trim().toLowerCase() : null;
+}
+
+// Ask the server for an export file and save it under the name it sends
+async function downloadExport(request) {
+    const response = await apiFetch('/download-export', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(request)
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Export failed');
+    }
+
+    await saveDownload(response, `export.${request.format}`);
+}
+
+// Save a file response under the name in its Content-Disposition header
+async function saveDownload(response, fallbackName) {
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename\*=UTF-8''([^;]+)/) || disposition.match(/filename="([^"]+)"/);
+    const filename = match ? decodeURIComponent(match[1]) : fallbackName;
+
+    const blob = await response.blob();
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// Background jobs
+// Study plans, AI notes and flashcards are generated by server-side jobs:
+// the POST answers { job } at once and GET /jobs/:id reports how it went.
+// Unfinished job ids are kept in localStorage, so after a reload their
+// results are still picked up.
+const PENDING_JOBS_KEY = 'pendingJobs';
+const JOB_POLL_INTERVAL_MS = 2000;
+const FINISHED_JOB_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+function readPendingJobs() {
+    try {
+        return JSON.parse(localStorage.getItem(PENDING_JOBS_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function rememberJob(job) {
+    const pending = readPendingJobs().filter(item => item.id !== job.id);
+    localStorage.setItem(PENDING_JOBS_KEY, JSON.stringify([...pending, { id: job.id, type: job.type, title: job.title }]));
+}
+
+function forgetJob(id) {
+    localStorage.setItem(PENDING_JOBS_KEY, JSON.stringify(readPendingJobs().filter(item => item.id !== id)));
+}
+
+// List one type of job in container while they run, with a Cancel button
+// each, polling until they finish. describeProgress(progress) words a
+// running job's progress; onSucceeded(result) and onFailed(job) run once
+// when a job ends. Returns { add(job) } for jobs started on this page.
+function trackJobs(type, container, { describeProgress = null, onSucceeded, onFailed }) {
+    const jobs = new Map();
+    let timer = null;
+    let polling = false;
+
+    function describe(job) {
+        let status = 'Generating…';
+        if (job.status === 'queued') status = 'Waiting to start…';
+        else if (job.progress && describeProgress) status = describeProgress(job.progress);
+        return job.title ? `${job.title}: ${status}` : status;
+    }
+
+    function render() {
+        container.innerHTML = [...jobs.values()].map(job => `
+            <div class="job-item">
+                <span>${escapeHtml(describe(job))}</span>
+                <button type="button" class="btn btn-small btn-secondary" data-cancel-job="${job.id}">Cancel</button>
+            </div>
+        `).join('');
+        container.style.display = jobs.size > 0 ? 'block' : 'none';
+    }
+
+    function settle(job) {
+        if (!jobs.has(job.id)) return;
+        jobs.delete(job.id);
+        forgetJob(job.id);
+        if (job.status === 'succeeded') onSucceeded(job.result);
+        else if (job.status === 'failed') onFailed(job);
+    }
+
+    function schedule() {
+        if (!timer && !polling && jobs.size > 0) timer = setTimeout(poll, JOB_POLL_INTERVAL_MS);
+    }
+
+    async function poll() {
+        timer = null;
+        polling = true;
+        await Promise.all([...jobs.keys()].map(async id => {
+            try {
+                const response = await apiFetch(`/jobs/${id}`);
+                // Gone: deleted with its account, or cleaned up long after it finished
+                if (response.status === 404) {
+                    jobs.delete(id);
+                    forgetJob(id);
+                    return;
+                }
+                const data = await response.json();
+                if (!data.success) return;
+                if (FINISHED_JOB_STATUSES.includes(data.job.status)) settle(data.job);
+                else if (jobs.has(id)) jobs.set(id, data.job);
+            } catch (error) {
+                console.error('Error checking job:', error);
+            }
+        }));
+        polling = false;
+        render();
+        schedule();
+    }
+
+    container.addEventListener('click', async (e) => {
+        const id = parseInt(e.target.dataset.cancelJob);
+        if (!id) return;
+        e.target.disabled = true;
+        try {
+            const response = await apiFetch(`/jobs/${id}/cancel`, { method: 'POST' });
+            const data = await response.json();
+            if (data.success && FINISHED_JOB_STATUSES.includes(data.job.status)) {
+                settle(data.job);
+                render();
+            }
+        } catch (error) {
+            console.error('Error cancelling job:', error);
+            e.target.disabled = false;
+        }
+    });
+
+    // Jobs still running on the server, and ones this browser started but
+    // hasn't seen finish
+    (async () => {
+        try {
+            const response = await apiFetch(`/jobs?status=active&type=${encodeURIComponent(type)}`);
+            const data = await response.json();
+            if (data.success) data.jobs.forEach(job => jobs.set(job.id, job));
+        } catch (error) {
+            console.error('Error loading jobs:', error);
+        }
+        readPendingJobs()
+            .filter(item => item.type === type && !jobs.has(item.id))
+            .forEach(item => jobs.set(item.id, { id: item.id, type, title: item.title, status: 'queued', progress: null }));
+        render();
+        if (jobs.size > 0) poll();
+    })();
+
+    return {
+        add(job) {
+            jobs.set(job.id, job);
+            rememberJob(job);
+            render();
+            schedule();
+        }
+    };
+}
+
+// Start a generation job with a JSON POST. Resolves to the response body:
+// { success, job } or { error }.
+async function startJob(path, body) {
+    const response = await apiFetch(path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return response.json();
+}
+
+// Every page except the login page needs a logged-in user
+if (!isLoginPage() && !localStorage.getItem(AUTH_TOKEN_KEY)) {
+    redirectToLogin();
+}
+
+function initializeUserBar() {
+    const userBar = document.getElementById('userBar');
+    if (!userBar || isLoginPage()) return;
+
+    const user = JSON.parse(localStorage.getItem(AUTH_USER_KEY) || 'null');
+    if (user) document.getElementById('currentUserName').textContent = user.name;
+    userBar.style.display = 'flex';
+
+    document.getElementById('logoutBtn').addEventListener('click', async () => {
+        try {
+            await apiFetch('/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Error logging out:', error);
+        }
+        redirectToLogin();
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initializeUserBar);
+
+// Global search in the user bar: results update as you type and link
+// straight to the note section, flashcard set, study plan or chat thread
+const SEARCH_TYPE_LABELS = { note: 'Note', flashcard: 'Flashcards', plan: 'Study plan', chat: 'Chat' };
+const SEARCH_SOURCE_LABELS = {
+    ai: 'AI',
+    pdf: 'PDF',
+    local_file: 'File',
+    docx: 'Word',
+    pptx: 'PowerPoint',
+    html: 'Web page',
+    epub: 'EPUB',
+    markdown: 'Markdown'
+};
+
+function initializeGlobalSearch() {
+    const form = document.getElementById('globalSearchForm');
+    if (!form || isLoginPage()) return;
+
+    const input = document.getElementById('globalSearchInput');
+    const panel = document.getElementById('searchPanel');
+    const resultsDiv = document.getElementById('searchResults');
+    const filters = ['searchType', 'searchSource', 'searchFrom', 'searchTo'].map(id => document.getElementById(id));
+    let debounceTimer = null;
+    let pending = null;
+
+    function renderResults(data) {
+        if (data.results.length === 0) {
+            resultsDiv.innerHTML = '<p class="search-empty">No matches.</p>';
+            return;
+        }
+        // Snippets come back escaped with <mark> around the matched words
+        resultsDiv.innerHTML = data.results.map(result => `
+            <a class="search-result" href="${escapeHtml(result.url)}">
+                <span class="search-result-meta">
+                    <span class="search-badge">${SEARCH_TYPE_LABELS[result.type]}</span>
+                    ${result.source ? `<span class="search-badge">${SEARCH_SOURCE_LABELS[result.source] || escapeHtml(result.source)}</span>` : ''}
+                    <span>${new Date(result.createdAt).toLocaleDateString()}</span>
+                </span>
+                <span class="search-result-title">${escapeHtml(result.title)}${result.section ? ` › ${escapeHtml(result.section)}` : ''}</span>
+                <span class="search-snippet">${result.snippet}</span>
+            </a>
+        `).join('');
+    }
+
+    async function runSearch() {
+        clearTimeout(debounceTimer);
+        const query = input.value.trim();
+        if (pending) pending.abort();
+        if (!query) {
+            panel.hidden = true;
+            return;
+        }
+
+        const [type, source, from, to] = filters.map(field => field.value);
+        const params = new URLSearchParams({ q: query });
+        if (type) params.set('type', type);
+        if (source) params.set('source', source);
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+
+        panel.hidden = false;
+        pending = new AbortController();
+        try {
+            const response = await apiFetch(`/search?${params}`, { signal: pending.signal });
+            const data = await response.json();
+            if (data.success) renderResults(data);
+            else resultsDiv.innerHTML = `<p class="search-empty">${escapeHtml(data.error)}</p>`;
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error searching:', error);
+            resultsDiv.innerHTML = '<p class="search-empty">Search failed. Please try again.</p>';
+        }
+    }
+
+    input.addEventListener('input', () => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(runSearch, 250);
+    });
+    input.addEventListener('focus', () => {
+        if (input.value.trim()) panel.hidden = false;
+    });
+    filters.forEach(field => field.addEventListener('change', runSearch));
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        runSearch();
+    });
+
+    // Escape or a click elsewhere closes the results
+    form.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            panel.hidden = true;
+            input.blur();
+        }
+    });
+    document.addEventListener('click', (e) => {
+        if (!form.contains(e.target)) panel.hidden = true;
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initializeGlobalSearch);
+
+// Login Page Functionality
+function initializeLoginPage() {
+    const loginForm = document.getElementById('loginForm');
+    const registerForm = document.getElementById('registerForm');
+    if (!loginForm || !registerForm) return;
+
+    // Already logged in
+    if (localStorage.getItem(AUTH_TOKEN_KEY)) {
+        window.location.replace('index.html');
+        return;
+    }
+
+    const authError = document.getElementById('authError');
+
+    function showError(message) {
+        authError.textContent = message;
+        authError.style.display = message ? 'block' : 'none';
+    }
+
+    document.querySelectorAll('[data-auth-tab]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const tab = btn.dataset.authTab;
+            document.querySelectorAll('[data-auth-tab]').forEach(b => b.classList.toggle('active', b === btn));
+            document.getElementById('loginPanel').style.display = tab === 'login' ? 'block' : 'none';
+            document.getElementById('registerPanel').style.display = tab === 'register' ? 'block' : 'none';
+            showError('');
+        });
+    });
+
+    async function submitAuth(endpoint, body) {
+        showError('');
+        try {
+            const response = await apiFetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                saveAuth(data.token, data.user);
+                window.location.replace('index.html');
+            } else {
+                showError(data.error || 'Something went wrong. Please try again.');
+            }
+        } catch (error) {
+            console.error('Error authenticating:', error);
+            showError('Could not connect to the server. Please try again.');
+        }
+    }
+
+    loginForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitAuth('/auth/login', {
+            email: document.getElementById('loginEmail').value,
+            password: document.getElementById('loginPassword').value
+        });
+    });
+
+    registerForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitAuth('/auth/register', {
+            name: document.getElementById('registerName').value,
+            email: document.getElementById('registerEmail').value,
+            password: document.getElementById('registerPassword').value
+        });
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initializeLoginPage);
+
+// Escape text before interpolating it into an HTML template
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Heading anchors for notes; must match slugify() in backend/search/chunk.js
+// so citation links land on the right section
+function slugify(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[*_`]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'section';
+}
+
+// Anchor for every heading in order, numbering repeats: "summary", "summary-2"
+function headingAnchors(headings) {
+    const seen = {};
+    return headings.map(heading => {
+        const slug = slugify(heading);
+        seen[slug] = (seen[slug] || 0) + 1;
+        return seen[slug] === 1 ? slug : `${slug}-${seen[slug]}`;
+    });
+}
+
+// ==========================================
+// MARKDOWN RENDERING
+// ==========================================
+//
+// AI output, notes and chat are Markdown. Everything is rendered through
+// renderMarkdown(): marked for the Markdown, highlight.js for code blocks,
+// KaTeX for $inline$ and $$display$$ math (also \( \) and \[ \]), and
+// DOMPurify over the result so model or file output can't inject markup.
+// The libraries come from a CDN; without them text is shown escaped.
+
+const markdownReady = () => !!(window.marked && window.DOMPurify);
+
+function renderMath(tex, displayMode) {
+    if (!window.katex) return `<code>${escapeHtml(tex)}</code>`;
+    return katex.renderToString(tex, { displayMode, throwOnError: false });
+}
+
+let markdownConfigured = false;
+
+function configureMarkdown() {
+    if (markdownConfigured) return;
+    markdownConfigured = true;
+
+    marked.use({
+        gfm: true,
+        breaks: true,
+        extensions: [
+            {
+                name: 'mathBlock',
+                level: 'block',
+                start: src => src.match(/^(?:\$\$|\\\[)/m)?.index,
+                tokenizer(src) {
+                    const match = /^\$\$([\s\S]+?)\$\$/.exec(src) || /^\\\[([\s\S]+?)\\\]/.exec(src);
+                    if (match) return { type: 'mathBlock', raw: match[0], text: match[1].trim() };
+                },
+                renderer: token => `<div class="math-block">${renderMath(token.text, true)}</div>`
+            },
+            {
+                name: 'mathInline',
+                level: 'inline',
+                start: src => src.match(/\$|\\\(/)?.index,
+                tokenizer(src) {
+                    // "$5 and $10" is money, not math: no space inside the
+                    // dollars and no digit right after the closing one
+                    const match = /^\$(?!\s)([^$\n]+?)(?<!\s)\$(?!\d)/.exec(src) || /^\\\(([\s\S]+?)\\\)/.exec(src);
+                    if (match) return { type: 'mathInline', raw: match[0], text: match[1].trim() };
+                },
+                renderer: token => renderMath(token.text, false)
+            }
+        ],
+        renderer: {
+            code({ text, lang }) {
+                const language = (lang || '').split(/\s/)[0];
+                let html = escapeHtml(text);
+                if (window.hljs) {
+                    html = language && hljs.getLanguage(language)
+                        ? hljs.highlight(text, { language }).value
+                        : hljs.highlightAuto(text).value;
+                }
+                return `<pre><code class="hljs${language ? ` language-${escapeHtml(language)}` : ''}">${html}</code></pre>`;
+            },
+            // Anchors go in data-anchor; applyHeadingAnchors() turns them into ids
+            // after sanitising, which would otherwise drop ids like "title"
+            heading({ tokens, depth, anchor }) {
+                const attr = anchor ? ` data-anchor="${anchor}"` : '';
+                return `<h${depth}${attr}>${this.parser.parseInline(tokens)}</h${depth}>`;
+            },
+            link({ href, title, tokens }) {
+                const text = this.parser.parseInline(tokens);
+                const external = /^https?:/i.test(href || '');
+                return `<a href="${escapeHtml(href)}"${title ? ` title="${escapeHtml(title)}"` : ''}${external ? ' target="_blank" rel="noopener noreferrer"' : ''}>${text}</a>`;
+            }
+        }
+    });
+}
+
+// Sanitised HTML for a Markdown string. `inline` renders a single line
+// without a wrapping paragraph, for titles and task names.
+function renderMarkdown(text, { inline = false } = {}) {
+    const source = String(text ?? '');
+    if (!markdownReady()) return escapeHtml(source).replace(/\n/g, '<br>');
+    configureMarkdown();
+
+    let html;
+    if (inline) {
+        html = marked.parseInline(source);
+    } else {
+        // Top-level headings get the anchors backend/search/chunk.js gives their sections
+        const tokens = marked.lexer(source);
+        const headings = tokens.filter(token => token.type === 'heading');
+        headingAnchors(headings.map(heading => heading.text.trim())).forEach((anchor, i) => {
+            headings[i].anchor = anchor;
+        });
+        html = marked.parser(tokens);
+    }
+    return DOMPurify.sanitize(html, { ADD_ATTR: ['target'] });
+}
+
+function applyHeadingAnchors(element) {
+    element.querySelectorAll('[data-anchor]').forEach(heading => {
+        heading.id = heading.dataset.anchor;
+    });
+}
+
+// Render Markdown into an element, with heading anchors for section links
+function setMarkdown(element, text) {
+    element.innerHTML = renderMarkdown(text);
+    applyHeadingAnchors(element);
+}
+
+// Local 'YYYY-MM-DD' for a date, as the study calendar uses
+function toLocalDateString(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Set minimum date for date inputs (search filters look back in time)
 window.addEventListener('load', () => {
     const today = new Date().toISOString().split('T')[0];
-    document.querySelectorAll('input[type="date"]').forEach(input => {
+    document.querySelectorAll('input[type="date"]:not(.global-search input)').forEach(input => {
         if (!input.hasAttribute('min')) input.setAttribute('min', today);
     });
 });
@@ -37,32 +620,184 @@ function initializeChatPage() {
     // Only run if we're on the chat page
     if (!chatMessages || !chatForm || !chatInput) return;
     
-    async function loadChatHistory() {
+    const CHAT_THREAD_KEY = 'studyai_chat_thread';
+    const WELCOME_HTML = `
+        <div class="welcome-message">
+            <h2>👋 Hello! I'm your AI Study Assistant</h2>
+            <p>Ask me anything about your studies, and I'll help you learn better!</p>
+        </div>
+    `;
+    
+    // The open conversation; null until the first message of a new chat creates one
+    let currentThreadId = parseInt(localStorage.getItem(CHAT_THREAD_KEY)) || null;
+    
+    function setCurrentThread(id) {
+        currentThreadId = id;
+        if (id) localStorage.setItem(CHAT_THREAD_KEY, id);
+        else localStorage.removeItem(CHAT_THREAD_KEY);
+    }
+    
+    async function loadThreads() {
+        const threadList = document.getElementById('threadList');
+        if (!threadList) return;
+        
         try {
-            const response = await fetch(`${API_BASE_URL}/chat-history`);
+            const archived = document.getElementById('showArchived').checked;
+            const response = await apiFetch(`/chat-threads?archived=${archived}`);
             const data = await response.json();
             
-            if (data.success && data.chatHistory.length > 0) {
-                // Clear welcome message
-                chatMessages.innerHTML = '';
-                
-                // Display all messages
-                data.chatHistory.forEach(msg => {
-                    displayMessage(msg.content, msg.role, false);
-                });
-                
-                scrollToBottom();
+            if (data.success && data.threads.length > 0) {
+                threadList.innerHTML = data.threads.map(thread => `
+                    <div class="thread-item ${thread.id === currentThreadId ? 'active' : ''}" data-thread-id="${thread.id}">
+                        <button class="thread-open" data-action="open">
+                            <span class="thread-title">${escapeHtml(thread.title || 'New chat')}</span>
+                            <span class="thread-meta">${new Date(thread.updatedAt).toLocaleDateString()} · ${thread.messageCount} messages</span>
+                        </button>
+                        <div class="thread-actions">
+                            <button data-action="rename" title="Rename" aria-label="Rename">✎</button>
+                            <button data-action="${thread.archived ? 'restore' : 'archive'}" title="${thread.archived ? 'Restore' : 'Archive'}" aria-label="${thread.archived ? 'Restore' : 'Archive'}">${thread.archived ? '↩' : '🗄'}</button>
+                            <button data-action="delete" title="Delete" aria-label="Delete">×</button>
+                        </div>
+                    </div>
+                `).join('');
+            } else {
+                threadList.innerHTML = `<p class="empty-state">${archived ? 'No archived conversations.' : 'No conversations yet.'}</p>`;
             }
+        } catch (error) {
+            console.error('Error loading chat threads:', error);
+        }
+    }
+    
+    async function openThread(id) {
+        try {
+            const response = await apiFetch(`/chat-threads/${id}/messages`);
+            const data = await response.json();
+            
+            if (!data.success) {
+                // The remembered thread is gone; fall back to a new chat
+                startNewChat();
+                return;
+            }
+            
+            setCurrentThread(data.thread.id);
+            chatMessages.innerHTML = WELCOME_HTML;
+            data.chatHistory.forEach(msg => {
+                displayMessage(msg.content, msg.role, false, msg.citations);
+            });
+            scrollToBottom();
+            loadThreads();
         } catch (error) {
             console.error('Error loading chat history:', error);
         }
     }
     
+    function startNewChat() {
+        setCurrentThread(null);
+        chatMessages.innerHTML = WELCOME_HTML;
+        loadThreads();
+        chatInput.focus();
+    }
+    
+    async function updateThread(id, changes) {
+        const response = await apiFetch(`/chat-threads/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(changes)
+        });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error);
+        return data.thread;
+    }
+    
+    async function deleteThread(id) {
+        if (!confirm('Delete this conversation and all of its messages?')) return;
+        
+        try {
+            const response = await apiFetch(`/chat-threads/${id}`, { method: 'DELETE' });
+            const data = await response.json();
+            
+            if (data.success) {
+                if (id === currentThreadId) startNewChat();
+                else loadThreads();
+            }
+        } catch (error) {
+            console.error('Error deleting chat thread:', error);
+            alert('Failed to delete conversation');
+        }
+    }
+    
+    const threadList = document.getElementById('threadList');
+    if (threadList) {
+        threadList.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            
+            const item = button.closest('.thread-item');
+            const id = parseInt(item.dataset.threadId);
+            
+            try {
+                switch (button.dataset.action) {
+                    case 'open':
+                        await openThread(id);
+                        break;
+                    case 'rename': {
+                        const current = item.querySelector('.thread-title').textContent;
+                        const title = prompt('Rename conversation:', current);
+                        if (title && title.trim()) {
+                            await updateThread(id, { title: title.trim() });
+                            loadThreads();
+                        }
+                        break;
+                    }
+                    case 'archive':
+                    case 'restore':
+                        await updateThread(id, { archived: button.dataset.action === 'archive' });
+                        if (id === currentThreadId && button.dataset.action === 'archive') startNewChat();
+                        else loadThreads();
+                        break;
+                    case 'delete':
+                        await deleteThread(id);
+                        break;
+                }
+            } catch (error) {
+                console.error('Error updating chat thread:', error);
+                alert('Failed to update conversation');
+            }
+        });
+    }
+    
+    const newChatBtn = document.getElementById('newChatBtn');
+    if (newChatBtn) {
+        newChatBtn.addEventListener('click', startNewChat);
+    }
+    
+    const showArchived = document.getElementById('showArchived');
+    if (showArchived) {
+        showArchived.addEventListener('change', loadThreads);
+    }
+    
+    const sendChatBtn = chatForm.querySelector('button[type="submit"]');
+    const stopChatBtn = document.getElementById('stopChatBtn');
+    // Aborts the reply currently streaming in, if any
+    let streamController = null;
+    
+    function setStreaming(streaming) {
+        sendChatBtn.style.display = streaming ? 'none' : '';
+        if (stopChatBtn) stopChatBtn.style.display = streaming ? '' : 'none';
+        chatInput.disabled = streaming;
+    }
+    
+    if (stopChatBtn) {
+        stopChatBtn.addEventListener('click', () => {
+            if (streamController) streamController.abort();
+        });
+    }
+    
     chatForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         
         const message = chatInput.value.trim();
-        if (!message) return;
+        if (!message || streamController) return;
 
         // Clear input
         chatInput.value = '';
@@ -70,38 +805,130 @@ function initializeChatPage() {
         // Display user message immediately
         displayMessage(message, 'user', true);
 
-        // Show typing indicator
+        // Show typing indicator until the first words arrive
         const typingIndicator = document.createElement('div');
         typingIndicator.className = 'message assistant typing';
         typingIndicator.innerHTML = '<div class="message-content"><span class="typing-dots"><span>.</span><span>.</span><span>.</span></span></div>';
         chatMessages.appendChild(typingIndicator);
         scrollToBottom();
 
+        streamController = new AbortController();
+        setStreaming(true);
+        
+        let replyContent = null;
+        let replyText = '';
+        let sources = [];
+
         try {
-            const response = await fetch(`${API_BASE_URL}/chat`, {
+            const response = await apiFetch('/chat/stream', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ message })
+                body: JSON.stringify({ message, threadId: currentThreadId }),
+                signal: streamController.signal
             });
 
-            const data = await response.json();
-            
-            // Remove typing indicator
-            typingIndicator.remove();
+            if (!response.ok) {
+                typingIndicator.remove();
+                // Over an AI usage limit: the server says when to try again
+                const data = response.status === 429 ? await response.json().catch(() => ({})) : {};
+                displayMessage(data.error || 'Sorry, I encountered an error. Please try again.', 'assistant', true);
+                return;
+            }
             
-            if (data.success) {
-                displayMessage(data.response.content, 'assistant', true);
+            await readEventStream(response, (event, data) => {
+                switch (event) {
+                    case 'thread':
+                        // A new chat gets its thread as soon as the message is stored
+                        setCurrentThread(data.thread.id);
+                        break;
+                    case 'sources':
+                        sources = data.citations;
+                        break;
+                    case 'delta':
+                        if (!replyContent) {
+                            typingIndicator.remove();
+                            replyContent = displayMessage('', 'assistant', false);
+                        }
+                        replyText += data.text;
+                        renderMessageContent(replyContent, replyText, sources);
+                        scrollToBottom();
+                        break;
+                    case 'error':
+                        throw new Error(data.error);
+                }
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // Stopped by the user: keep what arrived, the server saves it too
+                if (replyContent) replyContent.parentElement.classList.add('stopped');
             } else {
-                displayMessage('Sorry, I encountered an error. Please try again.', 'assistant', true);
+                console.error('Error sending message:', error);
+                displayMessage('Sorry, I could not connect to the server. Please try again.', 'assistant', true);
             }
-        } catch (error) {
-            console.error('Error sending message:', error);
+        } finally {
             typingIndicator.remove();
-            displayMessage('Sorry, I could not connect to the server. Please try again.', 'assistant', true);
+            streamController = null;
+            setStreaming(false);
+            chatInput.focus();
+            loadThreads();
         }
     });
     
-    function displayMessage(content, role, animate = false) {
+    function citationLabel(citation) {
+        if (citation.type === 'flashcard') return `Flashcards: ${citation.title}`;
+        return citation.section ? `${citation.title} › ${citation.section}` : citation.title;
+    }
+    
+    // Replies cite the user's notes and flashcards as [n]; link those markers
+    // (outside code) and list the cited sources under the message
+    function renderMessageContent(contentDiv, text, citations = []) {
+        setMarkdown(contentDiv, text);
+        
+        const byNumber = new Map(citations.map(citation => [citation.n, citation]));
+        const cited = new Map();
+        if (byNumber.size > 0) {
+            const walker = document.createTreeWalker(contentDiv, NodeFilter.SHOW_TEXT);
+            const textNodes = [];
+            while (walker.nextNode()) {
+                if (!walker.currentNode.parentElement.closest('code, pre')) textNodes.push(walker.currentNode);
+            }
+            
+            textNodes.forEach(node => {
+                const parts = node.textContent.split(/(\[\d+\])/);
+                if (parts.length === 1) return;
+                
+                const fragment = document.createDocumentFragment();
+                parts.forEach(part => {
+                    const citation = /^\[\d+\]$/.test(part) && byNumber.get(Number(part.slice(1, -1)));
+                    if (!citation) {
+                        fragment.appendChild(document.createTextNode(part));
+                        return;
+                    }
+                    cited.set(citation.n, citation);
+                    const link = document.createElement('a');
+                    link.className = 'citation';
+                    link.href = citation.url;
+                    link.target = '_blank';
+                    link.title = citationLabel(citation);
+                    link.textContent = part;
+                    fragment.appendChild(link);
+                });
+                node.replaceWith(fragment);
+            });
+        }
+        
+        if (cited.size > 0) {
+            contentDiv.insertAdjacentHTML('beforeend', `
+                <div class="message-sources">
+                    ${[...cited.values()].sort((a, b) => a.n - b.n).map(citation => `
+                        <a href="${escapeHtml(citation.url)}" target="_blank">[${citation.n}] ${escapeHtml(citationLabel(citation))}</a>
+                    `).join('')}
+                </div>
+            `);
+        }
+    }
+    
+    function displayMessage(content, role, animate = false, citations = []) {
         // Remove welcome message if it exists
         const welcomeMsg = chatMessages.querySelector('.welcome-message');
         if (welcomeMsg) {
@@ -113,7 +940,7 @@ function initializeChatPage() {
         
         const contentDiv = document.createElement('div');
         contentDiv.className = 'message-content';
-        contentDiv.textContent = content;
+        renderMessageContent(contentDiv, content, citations);
         
         const timeDiv = document.createElement('div');
         timeDiv.className = 'message-time';
@@ -138,6 +965,7 @@ function initializeChatPage() {
         }
         
         scrollToBottom();
+        return contentDiv;
     }
     
     const scrollToBottom = () => chatMessages.scrollTop = chatMessages.scrollHeight;
@@ -148,65 +976,37 @@ function initializeChatPage() {
             const format = e.target.value;
             if (!format) return;
             
+            if (!currentThreadId) {
+                alert('No chat history to export');
+                e.target.value = '';
+                return;
+            }
+            
             try {
-                const response = await fetch(`${API_BASE_URL}/download-export`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ type: 'chat', format: format })
-                });
-
-                const data = await response.json();
-                
-                if (data.success) {
-                    const mimeType = format === 'pdf' ? 'application/pdf' : 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
-                    const blob = new Blob([data.content], { type: mimeType });
-                    const url = URL.createObjectURL(blob);
-                    const a = document.createElement('a');
-                    a.href = url;
-                    a.download = data.filename;
-                    a.click();
-                    URL.revokeObjectURL(url);
-                } else {
-                    alert('No chat history to export');
-                }
+                await downloadExport({ type: 'chat', id: currentThreadId, format: format });
             } catch (error) {
                 console.error('Error exporting chat:', error);
-                alert('Failed to export chat history');
+                alert(error.message === 'Content not found' ? 'No chat history to export' : 'Failed to export chat history');
             }
             
             e.target.value = '';
         });
     }
     
-    const clearChatBtn = document.getElementById('clearChatBtn');
-    if (clearChatBtn) {
-        clearChatBtn.addEventListener('click', async () => {
-            if (!confirm('Are you sure you want to clear all chat history?')) return;
-            
-            try {
-                const response = await fetch(`${API_BASE_URL}/chat-history`, {
-                    method: 'DELETE'
-                });
-
-                const data = await response.json();
-                
-                if (data.success) {
-                    chatMessages.innerHTML = `
-                        <div class="welcome-message">
-                            <h2>👋 Hello! I'm your AI Study Assistant</h2>
-                            <p>Ask me anything about your studies, and I'll help you learn better!</p>
-                        </div>
-                    `;
-                }
-            } catch (error) {
-                console.error('Error clearing chat:', error);
-                alert('Failed to clear chat history');
-            }
+    const deleteChatBtn = document.getElementById('deleteChatBtn');
+    if (deleteChatBtn) {
+        deleteChatBtn.addEventListener('click', () => {
+            if (currentThreadId) deleteThread(currentThreadId);
+            else startNewChat();
         });
     }
     
-    // Initialize chat page
-    loadChatHistory();
+    // Initialize chat page: a search result link (chat.html?thread=ID) wins
+    // over the remembered thread
+    const linkedThreadId = parseInt(new URLSearchParams(window.location.search).get('thread'));
+    if (linkedThreadId) openThread(linkedThreadId);
+    else if (currentThreadId) openThread(currentThreadId);
+    else loadThreads();
     chatInput.focus();
 }
 
@@ -218,10 +1018,14 @@ function initializeNotesPage() {
     const fileTab = document.getElementById('fileTab');
     if (!fileTab) return;
     
-    // State variables for current note IDs
-    let currentNoteId1 = null;
-    let currentNoteId2 = null;
+    // The note shown on each notes tab (1: from file, 2: AI)
+    const openNotes = { 1: null, 2: null };
     let currentFlashcardSetId = null;
+    // True while working through the cross-set "due today" queue
+    let reviewingDue = false;
+    // The set on screen (null for the due queue) and whether its cards are being edited
+    let shownFlashcardSet = null;
+    let editingCards = false;
     
     document.querySelectorAll('.tab-btn').forEach(btn => {
         btn.addEventListener('click', () => {
@@ -235,6 +1039,54 @@ function initializeNotesPage() {
         });
     });
     
+    // Long sources are summarised part by part; show how far along that is
+    function describeNotesProgress(progress) {
+        if (progress.stage === 'summarizing') {
+            return progress.total > 1
+                ? `Summarizing part ${Math.min(progress.completed + 1, progress.total)} of ${progress.total}…`
+                : 'Generating notes…';
+        }
+        if (progress.stage === 'merging') {
+            return progress.total > 1
+                ? `Merging notes (round ${progress.round}, ${progress.completed} of ${progress.total})…`
+                : 'Putting the notes together…';
+        }
+        return 'Saving notes…';
+    }
+    
+    // POST a notes request (JSON, or FormData for uploads), streaming progress
+    // into statusEl. Resolves to the response body ({ success, note } or { error }).
+    async function requestNotes(path, body, statusEl) {
+        const setStatus = text => {
+            statusEl.textContent = text;
+            statusEl.style.display = text ? 'block' : 'none';
+        };
+        setStatus('Generating notes…');
+        
+        try {
+            const isForm = body instanceof FormData;
+            const response = await apiFetch(path, {
+                method: 'POST',
+                headers: isForm ? { Accept: 'text/event-stream' } : { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+                body: isForm ? body : JSON.stringify(body)
+            });
+            
+            // Validation errors come back as plain JSON before any progress
+            if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+                return await response.json();
+            }
+            
+            let result = { error: 'Note generation stopped before it finished' };
+            await readEventStream(response, (event, data) => {
+                if (event === 'progress') setStatus(describeNotesProgress(data));
+                else if (event === 'done' || event === 'error') result = data;
+            });
+            return result;
+        } finally {
+            setStatus('');
+        }
+    }
+    
     const fileUploadForm = document.getElementById('fileUploadForm');
     if (fileUploadForm) {
         fileUploadForm.addEventListener('submit', async (e) => {
@@ -248,37 +1100,40 @@ function initializeNotesPage() {
                 return;
             }
 
-            const reader = new FileReader();
-            reader.onload = async (e) => {
-                try {
-                    const response = await fetch(`${API_BASE_URL}/upload-local-file`, {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({
-                            fileName: file.name,
-                            fileContent: e.target.result
-                        })
-                    });
+            // The file is streamed as multipart form data; the server reads each format
+            const form = new FormData();
+            form.append('file', file);
 
-                    const data = await response.json();
-                    
-                    if (data.success) {
-                        currentNoteId1 = data.note.id;
-                        displayNotes(data.note, 1);
-                        loadNotesHistory(1);
-                        fileInput.value = '';
-                    }
-                } catch (error) {
-                    console.error('Error uploading file:', error);
-                    alert('Failed to upload file');
+            try {
+                const data = await requestNotes('/upload-file', form, document.getElementById('fileUploadStatus'));
+
+                if (data.success) {
+                    displayNotes(data.note, 1);
+                    loadNotesHistory(1);
+                    fileInput.value = '';
+                } else {
+                    alert(data.error || 'Failed to upload file');
                 }
-            };
-            reader.readAsText(file);
+            } catch (error) {
+                console.error('Error uploading file:', error);
+                alert('Failed to upload file');
+            }
         });
     }
     
     const aiNotesForm = document.getElementById('aiNotesForm');
     if (aiNotesForm) {
+        const aiNotesJobs = trackJobs('notes', document.getElementById('aiNotesJobs'), {
+            describeProgress: describeNotesProgress,
+            onSucceeded(result) {
+                displayNotes(result.note, 2);
+                loadNotesHistory(2);
+            },
+            onFailed(job) {
+                alert(job.error.message || 'Failed to generate notes');
+            }
+        });
+        
         aiNotesForm.addEventListener('submit', async (e) => {
             e.preventDefault();
             
@@ -286,72 +1141,284 @@ function initializeNotesPage() {
             const content = document.getElementById('noteContent').value;
 
             try {
-                const response = await fetch(`${API_BASE_URL}/generate-ai-notes`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ topic, content })
-                });
-
-                const data = await response.json();
+                const data = await startJob('/generate-ai-notes', { topic, content });
                 
                 if (data.success) {
-                    currentNoteId2 = data.note.id;
-                    displayNotes(data.note, 2);
-                    loadNotesHistory(2);
+                    aiNotesJobs.add(data.job);
                     aiNotesForm.reset();
+                } else {
+                    alert(data.error || 'Failed to generate notes');
                 }
             } catch (error) {
                 console.error('Error generating notes:', error);
                 alert('Failed to generate notes');
             }
-        });
+        });
+    }
+    
+    function displayNotes(note, tab) {
+        const notesSection = document.getElementById('generatedNotesSection' + tab);
+        const notesContent = document.getElementById('notesContent' + tab);
+        
+        openNotes[tab] = note;
+        document.getElementById('noteTitle' + tab).textContent = note.title;
+        setMarkdown(notesContent, note.content);
+        setEditing(tab, false);
+        document.getElementById('noteVersions' + tab).style.display = 'none';
+        
+        // Notes made from an upload can fetch the original or be made again from it
+        const originalBtn = document.getElementById('originalFileBtn' + tab);
+        const regenerateBtn = document.getElementById('regenerateNotesBtn' + tab);
+        if (originalBtn) originalBtn.style.display = note.attachmentId ? 'inline-block' : 'none';
+        if (regenerateBtn) regenerateBtn.style.display = note.attachmentId ? 'inline-block' : 'none';
+        
+        notesSection.style.display = 'block';
+        notesSection.scrollIntoView({ behavior: 'smooth' });
+    }
+    
+    // Notes are edited as Markdown in a textarea, with the title above it
+    function setEditing(tab, editing) {
+        const note = openNotes[tab];
+        const editor = document.getElementById(`notesEditor${tab}`);
+        const titleInput = document.getElementById(`noteTitleInput${tab}`);
+        
+        if (editing) {
+            editor.value = note.content;
+            titleInput.value = note.title;
+        }
+        editor.style.display = editing ? 'block' : 'none';
+        titleInput.style.display = editing ? 'block' : 'none';
+        document.getElementById(`notesContent${tab}`).style.display = editing ? 'none' : 'block';
+        document.getElementById(`noteTitle${tab}`).style.display = editing ? 'none' : 'block';
+        document.getElementById(`editNotesBtn${tab}`).style.display = editing ? 'none' : 'inline-block';
+        document.getElementById(`saveNotesBtn${tab}`).style.display = editing ? 'inline-block' : 'none';
+        document.getElementById(`cancelEditBtn${tab}`).style.display = editing ? 'inline-block' : 'none';
+        if (editing) editor.focus();
+    }
+    
+    async function saveNote(tab) {
+        const note = openNotes[tab];
+        const saveBtn = document.getElementById(`saveNotesBtn${tab}`);
+        saveBtn.disabled = true;
+        
+        try {
+            const response = await apiFetch(`/note/${note.id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    title: document.getElementById(`noteTitleInput${tab}`).value,
+                    content: document.getElementById(`notesEditor${tab}`).value
+                })
+            });
+            const data = await response.json();
+            
+            if (data.success) {
+                displayNotes(data.note, tab);
+                loadNotesHistory(tab);
+            } else {
+                alert(data.error || 'Failed to save notes');
+            }
+        } catch (error) {
+            console.error('Error saving notes:', error);
+            alert('Failed to save notes');
+        } finally {
+            saveBtn.disabled = false;
+        }
+    }
+    
+    [1, 2].forEach(tab => {
+        const editBtn = document.getElementById(`editNotesBtn${tab}`);
+        const saveBtn = document.getElementById(`saveNotesBtn${tab}`);
+        const cancelBtn = document.getElementById(`cancelEditBtn${tab}`);
+        const historyBtn = document.getElementById(`historyNotesBtn${tab}`);
+        
+        if (editBtn) editBtn.addEventListener('click', () => setEditing(tab, true));
+        if (saveBtn) saveBtn.addEventListener('click', () => saveNote(tab));
+        if (cancelBtn) cancelBtn.addEventListener('click', () => setEditing(tab, false));
+        
+        if (historyBtn) {
+            historyBtn.addEventListener('click', () => {
+                const panel = document.getElementById(`noteVersions${tab}`);
+                if (panel.style.display === 'none') loadNoteVersions(tab);
+                else panel.style.display = 'none';
+            });
+        }
+    });
+    
+    const originalFileBtn = document.getElementById('originalFileBtn1');
+    if (originalFileBtn) {
+        originalFileBtn.addEventListener('click', async () => {
+            const note = openNotes[1];
+            try {
+                const response = await apiFetch(`/attachments/${note.attachmentId}/download`);
+                if (!response.ok) {
+                    const data = await response.json().catch(() => ({}));
+                    throw new Error(data.error || 'Download failed');
+                }
+                await saveDownload(response, 'original');
+            } catch (error) {
+                console.error('Error downloading original:', error);
+                alert(error.message || 'Failed to download the original file');
+            }
+        });
+    }
+    
+    // Regenerating keeps the current text as an older version
+    const regenerateNotesBtn = document.getElementById('regenerateNotesBtn1');
+    if (regenerateNotesBtn) {
+        regenerateNotesBtn.addEventListener('click', async () => {
+            const note = openNotes[1];
+            if (!confirm('Generate these notes again from the original file? The current text stays in the version history.')) return;
+            
+            regenerateNotesBtn.disabled = true;
+            try {
+                const data = await requestNotes(`/note/${note.id}/regenerate`, {}, document.getElementById('regenerateStatus1'));
+                if (data.success) {
+                    displayNotes(data.note, 1);
+                    loadNotesHistory(1);
+                } else {
+                    alert(data.error || 'Failed to regenerate notes');
+                }
+            } catch (error) {
+                console.error('Error regenerating notes:', error);
+                alert('Failed to regenerate notes');
+            } finally {
+                regenerateNotesBtn.disabled = false;
+            }
+        });
+    }
+    
+    // Version history panel: every saved revision, a diff between any two
+    // and a restore button (restoring saves the old text as a new version)
+    async function loadNoteVersions(tab) {
+        const panel = document.getElementById(`noteVersions${tab}`);
+        const note = openNotes[tab];
+        
+        try {
+            const response = await apiFetch(`/note/${note.id}/versions`);
+            const data = await response.json();
+            if (!data.success) {
+                alert(data.error || 'Failed to load version history');
+                return;
+            }
+            
+            const options = data.versions.map(v => `<option value="${v.version}">Version ${v.version}</option>`).join('');
+            panel.innerHTML = `
+                <h3>Version History</h3>
+                <ul class="version-list">
+                    ${data.versions.map(v => `
+                        <li class="version-item">
+                            <span>
+                                <strong>Version ${v.version}</strong>
+                                ${v.current ? '<span class="version-current">Current</span>' : ''}
+                                <span class="version-meta">${escapeHtml(v.title)} · ${new Date(v.createdAt).toLocaleString()} · ${v.length} characters</span>
+                            </span>
+                            ${v.current ? '' : `
+                                <span class="version-actions">
+                                    <button onclick="compareNoteVersions(${tab}, ${v.version})" class="btn btn-small">Changes since</button>
+                                    <button onclick="restoreNoteVersion(${tab}, ${v.version})" class="btn btn-small">Restore</button>
+                                </span>
+                            `}
+                        </li>
+                    `).join('')}
+                </ul>
+                <div class="version-compare">
+                    <label>Compare <select id="diffFrom${tab}">${options}</select></label>
+                    <label>with <select id="diffTo${tab}">${options}</select></label>
+                    <button onclick="compareNoteVersions(${tab})" class="btn btn-small">Compare</button>
+                </div>
+                <div id="noteDiff${tab}" class="note-diff"></div>
+            `;
+            // Default to the latest change
+            if (data.versions.length > 1) document.getElementById(`diffFrom${tab}`).value = data.versions[1].version;
+            panel.style.display = 'block';
+        } catch (error) {
+            console.error('Error loading note versions:', error);
+        }
     }
     
-    function displayNotes(note, tab) {
-        const notesSection = document.getElementById('generatedNotesSection' + tab);
-        const notesContent = document.getElementById('notesContent' + tab);
-        
-        notesContent.innerHTML = note.content.replace(/\n/g, '<br>');
-        notesContent.contentEditable = 'false';
+    // Unchanged runs longer than this are folded, keeping some context around each change
+    const DIFF_CONTEXT_LINES = 3;
+    
+    function renderDiff(diff) {
+        const marker = { same: ' ', added: '+', removed: '-' };
+        const near = diff.lines.map((line, i) => diff.lines
+            .slice(Math.max(i - DIFF_CONTEXT_LINES, 0), i + DIFF_CONTEXT_LINES + 1)
+            .some(other => other.type !== 'same'));
         
-        document.getElementById('editNotesBtn' + tab).style.display = 'inline-block';
-        document.getElementById('saveNotesBtn' + tab).style.display = 'none';
+        let html = '';
+        let folded = 0;
+        diff.lines.forEach((line, i) => {
+            if (line.type === 'same' && !near[i]) {
+                folded++;
+                return;
+            }
+            if (folded > 0) html += `<div class="diff-line diff-folded">… ${folded} unchanged line${folded === 1 ? '' : 's'}</div>`;
+            folded = 0;
+            html += `<div class="diff-line diff-${line.type}">${marker[line.type]} ${escapeHtml(line.text)}</div>`;
+        });
+        if (folded > 0) html += `<div class="diff-line diff-folded">… ${folded} unchanged line${folded === 1 ? '' : 's'}</div>`;
         
-        notesSection.style.display = 'block';
-        notesSection.scrollIntoView({ behavior: 'smooth' });
+        const title = diff.titleChanged
+            ? `<p>Title: “${escapeHtml(diff.titleChanged.from)}” → “${escapeHtml(diff.titleChanged.to)}”</p>`
+            : '';
+        return `
+            <p class="diff-summary">Version ${diff.from} → ${diff.to}: +${diff.added} / −${diff.removed} lines</p>
+            ${title}
+            ${diff.added + diff.removed > 0 ? `<pre>${html}</pre>` : '<p class="empty-state">No changes to the content.</p>'}
+        `;
     }
     
-    [1, 2].forEach(tab => {
-        const editBtn = document.getElementById(`editNotesBtn${tab}`);
-        const saveBtn = document.getElementById(`saveNotesBtn${tab}`);
+    // Diff the two selected versions, or `from` against the current version
+    window.compareNoteVersions = async function(tab, from) {
+        const note = openNotes[tab];
+        const fromSelect = document.getElementById(`diffFrom${tab}`);
+        const toSelect = document.getElementById(`diffTo${tab}`);
+        if (from) {
+            fromSelect.value = from;
+            toSelect.selectedIndex = 0;
+        }
         
-        if (editBtn) {
-            editBtn.addEventListener('click', () => {
-                const content = document.getElementById(`notesContent${tab}`);
-                content.contentEditable = 'true';
-                content.focus();
-                editBtn.style.display = 'none';
-                saveBtn.style.display = 'inline-block';
-            });
+        try {
+            const response = await apiFetch(`/note/${note.id}/diff?from=${fromSelect.value}&to=${toSelect.value}`);
+            const data = await response.json();
+            if (data.success) {
+                document.getElementById(`noteDiff${tab}`).innerHTML = renderDiff(data.diff);
+            } else {
+                alert(data.error || 'Failed to compare versions');
+            }
+        } catch (error) {
+            console.error('Error comparing note versions:', error);
         }
+    };
+    
+    window.restoreNoteVersion = async function(tab, version) {
+        if (!confirm(`Restore version ${version}? The current text stays in the history.`)) return;
+        const note = openNotes[tab];
         
-        if (saveBtn) {
-            saveBtn.addEventListener('click', () => {
-                const content = document.getElementById(`notesContent${tab}`);
-                content.contentEditable = 'false';
-                editBtn.style.display = 'inline-block';
-                saveBtn.style.display = 'none';
-                alert('Notes saved successfully!');
-            });
+        try {
+            const response = await apiFetch(`/note/${note.id}/versions/${version}/restore`, { method: 'POST' });
+            const data = await response.json();
+            
+            if (data.success) {
+                displayNotes(data.note, tab);
+                loadNotesHistory(tab);
+                loadNoteVersions(tab);
+            } else {
+                alert(data.error || 'Failed to restore version');
+            }
+        } catch (error) {
+            console.error('Error restoring note version:', error);
+            alert('Failed to restore version');
         }
-    });
+    };
     
     [1, 2].forEach(tab => {
         const downloadFormat = document.getElementById(`downloadFormat${tab}`);
         if (downloadFormat) {
             downloadFormat.addEventListener('change', async (e) => {
                 const format = e.target.value;
-                const noteId = tab === 1 ? currentNoteId1 : currentNoteId2;
+                const noteId = openNotes[tab] && openNotes[tab].id;
                 if (!format || !noteId) return;
                 
                 await downloadNote(noteId, format);
@@ -362,7 +1429,7 @@ function initializeNotesPage() {
     
     async function loadNotesHistory(tab) {
         try {
-            const response = await fetch(`${API_BASE_URL}/notes-history`);
+            const response = await apiFetch('/notes-history');
             const data = await response.json();
             
             const historyDiv = document.getElementById('notesHistory' + tab);
@@ -371,7 +1438,7 @@ function initializeNotesPage() {
                 historyDiv.innerHTML = data.notes.map(note => `
                     <div class="history-item" data-id="${note.id}">
                         <div class="history-header">
-                            <h3>${note.title}</h3>
+                            <h3>${escapeHtml(note.title)}</h3>
                             <span class="date">${new Date(note.createdAt).toLocaleDateString()}</span>
                         </div>
                         <div class="history-details">
@@ -395,16 +1462,12 @@ function initializeNotesPage() {
     
     window.viewNote = async function(id, tab) {
         try {
-            const response = await fetch(`${API_BASE_URL}/notes-history`);
+            const response = await apiFetch('/notes-history');
             const data = await response.json();
             
             if (data.success) {
                 const note = data.notes.find(n => n.id === id);
-                if (note) {
-                    if (tab === 1) currentNoteId1 = id;
-                    else currentNoteId2 = id;
-                    displayNotes(note, tab);
-                }
+                if (note) displayNotes(note, tab);
             }
         } catch (error) {
             console.error('Error viewing note:', error);
@@ -413,32 +1476,16 @@ function initializeNotesPage() {
     
     async function downloadNote(id, format) {
         try {
-            const response = await fetch(`${API_BASE_URL}/download-export`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ type: 'notes', id: id, format: format })
-            });
-
-            const data = await response.json();
-            
-            if (data.success) {
-                const mimeType = format === 'pdf' ? 'application/pdf' : 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
-                const blob = new Blob([data.content], { type: mimeType });
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = data.filename;
-                a.click();
-                URL.revokeObjectURL(url);
-            }
+            await downloadExport({ type: 'notes', id: id, format: format });
         } catch (error) {
             console.error('Error downloading note:', error);
+            alert('Failed to download note');
         }
     }
     
     window.downloadNotePrompt = async function(id) {
-        const format = prompt('Enter format (pdf or docx):', 'pdf');
-        if (format && (format === 'pdf' || format === 'docx')) {
+        const format = promptExportFormat();
+        if (format) {
             await downloadNote(id, format);
         }
     };
@@ -447,7 +1494,7 @@ function initializeNotesPage() {
         if (!confirm('Are you sure you want to delete this note?')) return;
         
         try {
-            const response = await fetch(`${API_BASE_URL}/note/${id}`, {
+            const response = await apiFetch(`/note/${id}`, {
                 method: 'DELETE'
             });
 
@@ -455,10 +1502,9 @@ function initializeNotesPage() {
             
             if (data.success) {
                 loadNotesHistory(tab);
-                if ((tab === 1 && currentNoteId1 === id) || (tab === 2 && currentNoteId2 === id)) {
+                if (openNotes[tab] && openNotes[tab].id === id) {
                     document.getElementById('generatedNotesSection' + tab).style.display = 'none';
-                    if (tab === 1) currentNoteId1 = null;
-                    else currentNoteId2 = null;
+                    openNotes[tab] = null;
                 }
             }
         } catch (error) {
@@ -468,66 +1514,326 @@ function initializeNotesPage() {
     
     const flashcardsForm = document.getElementById('flashcardsForm');
     if (flashcardsForm) {
+        const noteSelect = document.getElementById('flashcardNote');
+        const topicInput = document.getElementById('flashcardTopic');
+        
+        // A topic is only needed when the cards don't come from a note
+        noteSelect.addEventListener('change', () => {
+            topicInput.required = !noteSelect.value;
+            topicInput.placeholder = noteSelect.value ? 'Optional: defaults to the note title' : 'e.g., JavaScript Fundamentals';
+        });
+        
         flashcardsForm.addEventListener('submit', async (e) => {
             e.preventDefault();
             
-            const topic = document.getElementById('flashcardTopic').value;
-            const count = parseInt(document.getElementById('flashcardCount').value);
-
-            try {
-                const response = await fetch(`${API_BASE_URL}/generate-flashcards`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ topic, count })
-                });
-
-                const data = await response.json();
-                
-                if (data.success) {
-                    currentFlashcardSetId = data.flashcardSet.id;
-                    displayFlashcards(data.flashcardSet);
-                    loadFlashcardsHistory();
-                    flashcardsForm.reset();
-                }
-            } catch (error) {
-                console.error('Error generating flashcards:', error);
-                alert('Failed to generate flashcards');
+            const generated = await generateFlashcards({
+                topic: topicInput.value,
+                noteId: noteSelect.value ? parseInt(noteSelect.value) : undefined,
+                count: parseInt(document.getElementById('flashcardCount').value)
+            });
+            if (generated) {
+                flashcardsForm.reset();
+                topicInput.required = true;
             }
         });
     }
     
-    function displayFlashcards(flashcardSet) {
-        const flashcardsSection = document.getElementById('flashcardsSection');
-        const container = document.getElementById('flashcardsContainer');
+    // Notes to generate flashcards from
+    async function loadFlashcardNoteOptions() {
+        const noteSelect = document.getElementById('flashcardNote');
+        if (!noteSelect) return;
+        
+        try {
+            const response = await apiFetch('/notes-history');
+            const data = await response.json();
+            if (!data.success) return;
+            
+            const selected = noteSelect.value;
+            noteSelect.innerHTML = '<option value="">None (use the topic below)</option>' +
+                data.notes.map(note => `<option value="${note.id}">${escapeHtml(note.title)}</option>`).join('');
+            noteSelect.value = selected;
+        } catch (error) {
+            console.error('Error loading notes for flashcards:', error);
+        }
+    }
+    
+    const flashcardJobs = trackJobs('flashcards', document.getElementById('flashcardJobs'), {
+        onSucceeded(result) {
+            currentFlashcardSetId = result.flashcardSet.id;
+            reviewingDue = false;
+            displayFlashcards(result.flashcardSet);
+            loadFlashcardsHistory();
+            loadDueSummary();
+            if (result.duplicatesSkipped > 0) {
+                alert(`Skipped ${result.duplicatesSkipped} card${result.duplicatesSkipped === 1 ? '' : 's'} that repeated ones this note already has.`);
+            }
+        },
+        onFailed(job) {
+            alert('Error generating flashcards: ' + job.error.message);
+        }
+    });
+    
+    // Returns true when generation started; the set is shown when its job finishes
+    async function generateFlashcards({ topic, noteId, selection, count = 5 }) {
+        try {
+            const data = await startJob('/generate-flashcards', { topic, noteId, selection, count, today: toLocalDateString() });
+            
+            if (data.success) {
+                flashcardJobs.add(data.job);
+                return true;
+            }
+            alert('Error generating flashcards: ' + data.error);
+        } catch (error) {
+            console.error('Error generating flashcards:', error);
+            alert('Failed to generate flashcards');
+        }
+        return false;
+    }
+    
+    // "Make Flashcards" on an open note: from the selected text, if any
+    [1, 2].forEach(tab => {
+        const button = document.getElementById(`flashcardsFromNoteBtn${tab}`);
+        if (!button) return;
         
-        container.innerHTML = flashcardSet.cards.map(card => `
+        button.addEventListener('click', async () => {
+            const note = openNotes[tab];
+            const content = document.getElementById(`notesContent${tab}`);
+            const selection = window.getSelection();
+            const selected = selection.rangeCount > 0 && content.contains(selection.getRangeAt(0).commonAncestorContainer)
+                ? selection.toString().trim()
+                : '';
+            
+            button.disabled = true;
+            button.textContent = 'Generating...';
+            document.querySelector('.tab-btn[data-tab="flashcards"]').click();
+            await generateFlashcards({ noteId: note.id, selection: selected || undefined });
+            button.disabled = false;
+            button.textContent = 'Make Flashcards';
+        });
+    });
+    
+    const GRADES = [
+        { grade: 'again', label: 'Again' },
+        { grade: 'hard', label: 'Hard' },
+        { grade: 'good', label: 'Good' },
+        { grade: 'easy', label: 'Easy' }
+    ];
+    
+    function cardStatus(card) {
+        const today = toLocalDateString();
+        if (!card.dueDate) return { label: 'New', due: true };
+        if (card.dueDate <= today) return { label: 'Due', due: true };
+        const next = new Date(card.dueDate + 'T00:00:00').toLocaleDateString();
+        return { label: `${card.mature ? 'Mature' : 'Learning'} · next ${next}`, due: false };
+    }
+    
+    function renderFlashcard(card) {
+        const status = cardStatus(card);
+        return `
             <div class="flashcard" data-card-id="${card.id}">
                 <div class="flashcard-inner">
                     <div class="flashcard-front">
+                        <span class="card-status ${status.due ? 'due' : ''}">${escapeHtml(status.label)}</span>
                         <h3>Question</h3>
-                        <p>${card.question}</p>
+                        <div class="card-text">${renderMarkdown(card.question)}</div>
+                        ${card.sourceNoteId ? `
+                            <a class="card-source" href="notes.html?note=${card.sourceNoteId}${card.sourceAnchor ? `#${escapeHtml(card.sourceAnchor)}` : ''}">
+                                Source: ${escapeHtml(card.sourceSection || 'note')}
+                            </a>
+                        ` : ''}
                         <button class="btn btn-small flip-btn" onclick="flipCard(${card.id})">Show Answer</button>
                     </div>
                     <div class="flashcard-back">
                         <h3>Answer</h3>
-                        <p>${card.answer}</p>
+                        <div class="card-text">${renderMarkdown(card.answer)}</div>
                         <div class="flashcard-actions">
-                            <button class="btn btn-small ${card.known ? 'btn-success' : ''}" onclick="markKnown(${flashcardSet.id}, ${card.id}, true)">
-                                ${card.known ? '✓ Known' : 'Mark Known'}
-                            </button>
-                            <button class="btn btn-small ${!card.known ? 'btn-danger' : ''}" onclick="markKnown(${flashcardSet.id}, ${card.id}, false)">
-                                ${!card.known ? '✗ Unknown' : 'Mark Unknown'}
-                            </button>
+                            ${GRADES.map(({ grade, label }) => `
+                                <button class="btn btn-small grade-${grade}" onclick="gradeCard(${card.setId}, ${card.id}, '${grade}')">${label}</button>
+                            `).join('')}
                         </div>
                         <button class="btn btn-small flip-btn" onclick="flipCard(${card.id})">Show Question</button>
                     </div>
                 </div>
             </div>
-        `).join('');
+        `;
+    }
+    
+    // Edit mode: every card as a form, plus renaming and a blank card to add
+    function renderCardEditor(flashcardSet) {
+        const last = flashcardSet.cards.length - 1;
+        return `
+            <div class="form-group card-editor-topic">
+                <label for="flashcardSetTopic">Set Name</label>
+                <div class="card-editor-row">
+                    <input type="text" id="flashcardSetTopic" value="${escapeHtml(flashcardSet.topic)}">
+                    <button class="btn btn-small" onclick="renameFlashcardSet()">Rename</button>
+                </div>
+            </div>
+            ${flashcardSet.cards.map((card, i) => `
+                <div class="card-editor" data-card-id="${card.id}">
+                    <div class="card-editor-header">
+                        <span class="card-editor-number">Card ${i + 1}</span>
+                        <div class="card-editor-actions">
+                            <button class="btn btn-small" onclick="moveFlashcard(${card.id}, -1)" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+                            <button class="btn btn-small" onclick="moveFlashcard(${card.id}, 1)" title="Move down" ${i === last ? 'disabled' : ''}>↓</button>
+                            <button class="btn btn-small btn-danger" onclick="deleteFlashcard(${card.id})">Delete</button>
+                        </div>
+                    </div>
+                    <label>Question<textarea class="card-editor-question" rows="2">${escapeHtml(card.question)}</textarea></label>
+                    <label>Answer<textarea class="card-editor-answer" rows="3">${escapeHtml(card.answer)}</textarea></label>
+                    <button class="btn btn-small btn-primary" onclick="saveFlashcard(${card.id})">Save Card</button>
+                </div>
+            `).join('')}
+            <div class="card-editor new-card">
+                <span class="card-editor-number">New Card</span>
+                <label>Question<textarea id="newCardQuestion" rows="2"></textarea></label>
+                <label>Answer<textarea id="newCardAnswer" rows="3"></textarea></label>
+                <button class="btn btn-small btn-primary" onclick="addFlashcard()">Add Card</button>
+            </div>
+        `;
+    }
+    
+    // Edit mode carries over while the same set is redrawn and is left when
+    // another set (or the due queue) is shown, unless `editing` says otherwise
+    function displayFlashcards(flashcardSet, { scroll = true, editing } = {}) {
+        const flashcardsSection = document.getElementById('flashcardsSection');
+        const container = document.getElementById('flashcardsContainer');
+        const editButton = document.getElementById('editFlashcardsBtn');
+        
+        const sameSet = shownFlashcardSet && shownFlashcardSet.id === flashcardSet.id;
+        // Only a real set can be edited, not the due queue
+        shownFlashcardSet = reviewingDue ? null : flashcardSet;
+        editingCards = Boolean(shownFlashcardSet) && (editing !== undefined ? editing : editingCards && sameSet);
+        editButton.style.display = shownFlashcardSet ? '' : 'none';
+        editButton.textContent = editingCards ? 'Done Editing' : 'Edit Cards';
+        
+        document.getElementById('flashcardsTitle').textContent = flashcardSet.topic;
+        container.classList.toggle('editing', editingCards);
+        if (editingCards) {
+            container.innerHTML = renderCardEditor(flashcardSet);
+        } else if (flashcardSet.cards.length > 0) {
+            container.innerHTML = flashcardSet.cards.map(renderFlashcard).join('');
+        } else {
+            container.innerHTML = '<p class="empty-state">This set has no cards yet. Use Edit Cards to write some.</p>';
+        }
         
         updateFlashcardProgress(flashcardSet);
         flashcardsSection.style.display = 'block';
-        flashcardsSection.scrollIntoView({ behavior: 'smooth' });
+        if (scroll) flashcardsSection.scrollIntoView({ behavior: 'smooth' });
+    }
+    
+    document.getElementById('editFlashcardsBtn').addEventListener('click', () => {
+        if (!shownFlashcardSet) return;
+        displayFlashcards(shownFlashcardSet, { scroll: false, editing: !editingCards });
+    });
+    
+    // Send a set or card edit and show the set as the server now has it
+    async function editFlashcards(path, method, body) {
+        try {
+            const response = await apiFetch(path, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...body, today: toLocalDateString() })
+            });
+            const data = await response.json();
+            
+            if (data.success) {
+                displayFlashcards(data.flashcardSet, { scroll: false });
+                loadFlashcardsHistory();
+                loadDueSummary();
+                return true;
+            }
+            alert(data.error || 'Failed to save the change');
+        } catch (error) {
+            console.error('Error editing flashcards:', error);
+            alert('Failed to save the change');
+        }
+        return false;
+    }
+    
+    window.renameFlashcardSet = function() {
+        const topic = document.getElementById('flashcardSetTopic').value;
+        editFlashcards(`/flashcard/${shownFlashcardSet.id}`, 'PUT', { topic });
+    };
+    
+    window.saveFlashcard = function(cardId) {
+        const editor = document.querySelector(`.card-editor[data-card-id="${cardId}"]`);
+        editFlashcards(`/flashcard/${shownFlashcardSet.id}/cards/${cardId}`, 'PUT', {
+            question: editor.querySelector('.card-editor-question').value,
+            answer: editor.querySelector('.card-editor-answer').value
+        });
+    };
+    
+    window.addFlashcard = function() {
+        editFlashcards(`/flashcard/${shownFlashcardSet.id}/cards`, 'POST', {
+            question: document.getElementById('newCardQuestion').value,
+            answer: document.getElementById('newCardAnswer').value
+        });
+    };
+    
+    window.moveFlashcard = function(cardId, offset) {
+        const cardIds = shownFlashcardSet.cards.map(card => card.id);
+        const from = cardIds.indexOf(cardId);
+        const to = from + offset;
+        if (from === -1 || to < 0 || to >= cardIds.length) return;
+        
+        [cardIds[from], cardIds[to]] = [cardIds[to], cardIds[from]];
+        editFlashcards(`/flashcard/${shownFlashcardSet.id}/cards/order`, 'PUT', { cardIds });
+    };
+    
+    window.deleteFlashcard = async function(cardId) {
+        if (!confirm('Delete this card?')) return;
+        
+        try {
+            const response = await apiFetch(`/flashcard/${shownFlashcardSet.id}/cards/${cardId}?date=${toLocalDateString()}`, {
+                method: 'DELETE'
+            });
+            const data = await response.json();
+            
+            if (data.success) {
+                displayFlashcards(data.flashcardSet, { scroll: false });
+                loadFlashcardsHistory();
+                loadDueSummary();
+            } else {
+                alert(data.error || 'Failed to delete card');
+            }
+        } catch (error) {
+            console.error('Error deleting flashcard:', error);
+            alert('Failed to delete card');
+        }
+    };
+    
+    const newFlashcardSetForm = document.getElementById('newFlashcardSetForm');
+    if (newFlashcardSetForm) {
+        newFlashcardSetForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            try {
+                const response = await apiFetch('/flashcard', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        topic: document.getElementById('newFlashcardSetTopic').value,
+                        today: toLocalDateString()
+                    })
+                });
+                const data = await response.json();
+                
+                if (data.success) {
+                    newFlashcardSetForm.reset();
+                    currentFlashcardSetId = data.flashcardSet.id;
+                    reviewingDue = false;
+                    // A new set starts out empty, so open it ready for writing cards
+                    displayFlashcards(data.flashcardSet, { editing: true });
+                    loadFlashcardsHistory();
+                } else {
+                    alert(data.error || 'Failed to create flashcard set');
+                }
+            } catch (error) {
+                console.error('Error creating flashcard set:', error);
+                alert('Failed to create flashcard set');
+            }
+        });
     }
     
     window.flipCard = function(cardId) {
@@ -535,31 +1841,89 @@ function initializeNotesPage() {
         card.classList.toggle('flipped');
     };
     
-    window.markKnown = async function(setId, cardId, known) {
+    window.gradeCard = async function(setId, cardId, grade) {
         try {
-            const response = await fetch(`${API_BASE_URL}/save-flashcard-status`, {
+            const response = await apiFetch(`/flashcard/${setId}/cards/${cardId}/review`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ setId, cardId, known })
+                body: JSON.stringify({ grade, today: toLocalDateString() })
             });
 
             const data = await response.json();
             
             if (data.success) {
-                displayFlashcards(data.flashcardSet);
+                if (reviewingDue) {
+                    // Graded cards leave the due queue
+                    document.querySelector(`[data-card-id="${cardId}"]`).remove();
+                    updateReviewProgress();
+                } else {
+                    displayFlashcards(data.flashcardSet);
+                }
+                loadDueSummary();
+                loadFlashcardsHistory();
+            } else {
+                alert('Error saving review: ' + data.error);
             }
         } catch (error) {
-            console.error('Error saving flashcard status:', error);
+            console.error('Error saving flashcard review:', error);
         }
     };
     
     function updateFlashcardProgress(flashcardSet) {
         const progress = document.getElementById('flashcardProgress');
         if (progress) {
-            progress.textContent = `${flashcardSet.knownCount} / ${flashcardSet.totalCount} Known`;
+            progress.textContent = `${flashcardSet.matureCount} / ${flashcardSet.totalCount} Mature · ${flashcardSet.dueCount} Due`;
+        }
+    }
+    
+    function updateReviewProgress() {
+        const remaining = document.querySelectorAll('#flashcardsContainer .flashcard').length;
+        document.getElementById('flashcardProgress').textContent = remaining > 0
+            ? `${remaining} left to review`
+            : 'All caught up!';
+    }
+    
+    async function loadDueSummary() {
+        const startReviewBtn = document.getElementById('startReviewBtn');
+        if (!startReviewBtn) return;
+        
+        try {
+            const response = await apiFetch(`/flashcards/due?date=${toLocalDateString()}`);
+            const data = await response.json();
+            
+            if (data.success) {
+                const count = data.due.cards.length;
+                const sets = new Set(data.due.cards.map(card => card.setId)).size;
+                startReviewBtn.disabled = count === 0;
+                startReviewBtn.textContent = count > 0 ? `Review ${count} Card${count === 1 ? '' : 's'}` : 'No Cards Due';
+                document.getElementById('dueSummary').textContent = count > 0
+                    ? `${count} card${count === 1 ? '' : 's'} from ${sets} set${sets === 1 ? '' : 's'} due today.`
+                    : 'Nothing due today. Graded cards come back on a spaced-repetition schedule.';
+            }
+        } catch (error) {
+            console.error('Error loading due flashcards:', error);
         }
     }
     
+    const startReviewBtn = document.getElementById('startReviewBtn');
+    if (startReviewBtn) {
+        startReviewBtn.addEventListener('click', async () => {
+            try {
+                const response = await apiFetch(`/flashcards/due?date=${toLocalDateString()}`);
+                const data = await response.json();
+                
+                if (data.success) {
+                    reviewingDue = true;
+                    currentFlashcardSetId = null;
+                    displayFlashcards({ topic: 'Due Today', cards: data.due.cards });
+                    updateReviewProgress();
+                }
+            } catch (error) {
+                console.error('Error starting review:', error);
+            }
+        });
+    }
+    
     const downloadFlashcardsFormat = document.getElementById('downloadFlashcardsFormat');
     if (downloadFlashcardsFormat) {
         downloadFlashcardsFormat.addEventListener('change', async (e) => {
@@ -571,9 +1935,153 @@ function initializeNotesPage() {
         });
     }
     
+    // Import a CSV/TSV spreadsheet or an Anki package. Spreadsheets are
+    // previewed first so their columns can be matched to card fields.
+    const flashcardImportForm = document.getElementById('flashcardImportForm');
+    if (flashcardImportForm) {
+        const fileInput = document.getElementById('flashcardImportFile');
+        const previewDiv = document.getElementById('flashcardImportPreview');
+        let importFile = null;
+        
+        const IMPORT_FIELDS = [
+            { field: 'question', label: 'Question' },
+            { field: 'answer', label: 'Answer' },
+            { field: 'ease', label: 'Ease' },
+            { field: 'interval', label: 'Interval (days)' },
+            { field: 'repetitions', label: 'Repetitions' },
+            { field: 'due', label: 'Due Date' },
+            { field: 'lastReviewed', label: 'Last Reviewed' }
+        ];
+        
+        const readAsDataUrl = file => new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = e => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+        
+        function renderImportPreview(preview) {
+            if (preview.format === 'apkg') {
+                previewDiv.innerHTML = `
+                    <p>Each deck becomes its own set:</p>
+                    <ul>${preview.decks.map(deck => `<li>${escapeHtml(deck.name)} · ${deck.count} card${deck.count === 1 ? '' : 's'}</li>`).join('')}</ul>
+                `;
+                return;
+            }
+            
+            const width = Math.max(preview.header ? preview.header.length : 0, ...preview.sample.map(row => row.length));
+            const columns = Array.from({ length: width }, (_, i) => (preview.header && preview.header[i]) || `Column ${i + 1}`);
+            const required = field => field === 'question' || field === 'answer';
+            
+            previewDiv.innerHTML = `
+                <label class="import-header-toggle">
+                    <input type="checkbox" id="importHasHeader" ${preview.header ? 'checked' : ''}> First row is a header
+                </label>
+                <div class="import-mapping">
+                    ${IMPORT_FIELDS.map(({ field, label }) => `
+                        <label>${label}
+                            <select data-field="${field}">
+                                ${required(field) ? '' : '<option value="">Not imported</option>'}
+                                ${columns.map((name, i) => `<option value="${i}" ${preview.mapping[field] === i ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('')}
+                            </select>
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="import-sample">
+                    <table>
+                        <thead><tr>${columns.map(name => `<th>${escapeHtml(name)}</th>`).join('')}</tr></thead>
+                        <tbody>${preview.sample.map(row => `<tr>${columns.map((_, i) => `<td>${escapeHtml(row[i] || '')}</td>`).join('')}</tr>`).join('')}</tbody>
+                    </table>
+                </div>
+                <p class="review-summary">${preview.rowCount} row${preview.rowCount === 1 ? '' : 's'} to import.</p>
+            `;
+            
+            // The header choice changes the rows and the suggested columns
+            document.getElementById('importHasHeader').addEventListener('change', (e) => {
+                loadImportPreview({ hasHeader: e.target.checked });
+            });
+        }
+        
+        async function loadImportPreview(options = {}) {
+            try {
+                const response = await apiFetch('/flashcards/import/preview', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ...importFile, ...options, today: toLocalDateString() })
+                });
+                const data = await response.json();
+                
+                if (data.success) {
+                    renderImportPreview(data.preview);
+                    previewDiv.style.display = 'block';
+                } else {
+                    previewDiv.style.display = 'none';
+                    alert(data.error || 'Failed to read the file');
+                }
+            } catch (error) {
+                console.error('Error previewing flashcard import:', error);
+                alert('Failed to read the file');
+            }
+        }
+        
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            importFile = null;
+            previewDiv.style.display = 'none';
+            if (!file) return;
+            
+            importFile = { fileName: file.name, fileContent: await readAsDataUrl(file) };
+            await loadImportPreview();
+        });
+        
+        flashcardImportForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!importFile) return;
+            
+            const mapping = {};
+            previewDiv.querySelectorAll('select[data-field]').forEach(select => {
+                mapping[select.dataset.field] = select.value;
+            });
+            const headerToggle = document.getElementById('importHasHeader');
+            
+            try {
+                const response = await apiFetch('/flashcards/import', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        ...importFile,
+                        mapping: Object.keys(mapping).length > 0 ? mapping : undefined,
+                        hasHeader: headerToggle ? headerToggle.checked : undefined,
+                        topic: document.getElementById('flashcardImportTopic').value,
+                        today: toLocalDateString()
+                    })
+                });
+                const data = await response.json();
+                
+                if (data.success) {
+                    flashcardImportForm.reset();
+                    importFile = null;
+                    previewDiv.style.display = 'none';
+                    alert(`Imported ${data.imported} card${data.imported === 1 ? '' : 's'}${data.skipped ? ` (${data.skipped} incomplete row${data.skipped === 1 ? '' : 's'} skipped)` : ''}.`);
+                    
+                    currentFlashcardSetId = data.flashcardSets[0].id;
+                    reviewingDue = false;
+                    displayFlashcards(data.flashcardSets[0]);
+                    loadFlashcardsHistory();
+                    loadDueSummary();
+                } else {
+                    alert(data.error || 'Failed to import flashcards');
+                }
+            } catch (error) {
+                console.error('Error importing flashcards:', error);
+                alert('Failed to import flashcards');
+            }
+        });
+    }
+    
     async function loadFlashcardsHistory() {
         try {
-            const response = await fetch(`${API_BASE_URL}/flashcards-history`);
+            const response = await apiFetch(`/flashcards-history?date=${toLocalDateString()}`);
             const data = await response.json();
             
             const historyDiv = document.getElementById('flashcardsHistory');
@@ -582,12 +2090,13 @@ function initializeNotesPage() {
                 historyDiv.innerHTML = data.flashcards.map(set => `
                     <div class="history-item" data-id="${set.id}">
                         <div class="history-header">
-                            <h3>${set.topic}</h3>
+                            <h3>${escapeHtml(set.topic)}</h3>
                             <span class="date">${new Date(set.createdAt).toLocaleDateString()}</span>
                         </div>
                         <div class="history-details">
                             <p>Cards: ${set.totalCount}</p>
-                            <p>Known: ${set.knownCount} (${Math.round((set.knownCount / set.totalCount) * 100)}%)</p>
+                            <p>Mature: ${set.matureCount} (${set.totalCount > 0 ? Math.round((set.matureCount / set.totalCount) * 100) : 0}%)</p>
+                            <p>Due today: ${set.dueCount}</p>
                         </div>
                         <div class="history-actions">
                             <button onclick="viewFlashcards(${set.id})" class="btn btn-small">View</button>
@@ -606,13 +2115,14 @@ function initializeNotesPage() {
     
     window.viewFlashcards = async function(id) {
         try {
-            const response = await fetch(`${API_BASE_URL}/flashcards-history`);
+            const response = await apiFetch(`/flashcards-history?date=${toLocalDateString()}`);
             const data = await response.json();
             
             if (data.success) {
                 const flashcardSet = data.flashcards.find(f => f.id === id);
                 if (flashcardSet) {
                     currentFlashcardSetId = id;
+                    reviewingDue = false;
                     displayFlashcards(flashcardSet);
                 }
             }
@@ -623,31 +2133,15 @@ function initializeNotesPage() {
     
     window.downloadFlashcardSet = async function(id, format) {
         if (!format) {
-            format = prompt('Enter format (pdf or docx):', 'pdf');
-            if (!format || (format !== 'pdf' && format !== 'docx')) return;
+            format = promptExportFormat(FLASHCARD_EXPORT_FORMATS);
+            if (!format) return;
         }
         
         try {
-            const response = await fetch(`${API_BASE_URL}/download-export`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ type: 'flashcards', id: id, format: format })
-            });
-
-            const data = await response.json();
-            
-            if (data.success) {
-                const mimeType = format === 'pdf' ? 'application/pdf' : 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
-                const blob = new Blob([data.content], { type: mimeType });
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = data.filename;
-                a.click();
-                URL.revokeObjectURL(url);
-            }
+            await downloadExport({ type: 'flashcards', id: id, format: format });
         } catch (error) {
             console.error('Error downloading flashcard set:', error);
+            alert('Failed to download flashcards');
         }
     };
     
@@ -655,7 +2149,7 @@ function initializeNotesPage() {
         if (!confirm('Are you sure you want to delete this flashcard set?')) return;
         
         try {
-            const response = await fetch(`${API_BASE_URL}/flashcard/${id}`, {
+            const response = await apiFetch(`/flashcard/${id}`, {
                 method: 'DELETE'
             });
 
@@ -663,6 +2157,7 @@ function initializeNotesPage() {
             
             if (data.success) {
                 loadFlashcardsHistory();
+                loadDueSummary();
                 if (currentFlashcardSetId === id) {
                     document.getElementById('flashcardsSection').style.display = 'none';
                     currentFlashcardSetId = null;
@@ -673,14 +2168,342 @@ function initializeNotesPage() {
         }
     };
     
+    // Open what a chat citation or search result links to:
+    // notes.html?note=ID#section-anchor or notes.html?set=ID
+    async function openLinkedItem() {
+        const params = new URLSearchParams(window.location.search);
+        
+        if (params.has('note')) {
+            const id = parseInt(params.get('note'));
+            const response = await apiFetch('/notes-history');
+            const data = await response.json();
+            const note = data.success && data.notes.find(n => n.id === id);
+            if (!note) return;
+            
+            // AI notes live on the second tab, file notes on the first
+            const tab = note.source === 'ai' ? 2 : 1;
+            document.querySelector(`.tab-btn[data-tab="${tab === 2 ? 'ai' : 'file'}"]`).click();
+            await viewNote(id, tab);
+            
+            const anchor = window.location.hash.slice(1);
+            const heading = anchor && document.querySelector(`#notesContent${tab} [id="${CSS.escape(anchor)}"]`);
+            if (heading) {
+                heading.classList.add('linked-section');
+                heading.scrollIntoView({ behavior: 'smooth' });
+            }
+        } else if (params.has('set')) {
+            document.querySelector('.tab-btn[data-tab="flashcards"]').click();
+            await viewFlashcards(parseInt(params.get('set')));
+        }
+    }
+    
     // Initialize notes page
     loadNotesHistory(1);
     loadNotesHistory(2);
     loadFlashcardsHistory();
+    loadFlashcardNoteOptions();
+    loadDueSummary();
+    // Notes added on the other tabs show up in the flashcards note picker
+    document.querySelector('.tab-btn[data-tab="flashcards"]').addEventListener('click', loadFlashcardNoteOptions);
+    openLinkedItem().catch(error => console.error('Error opening linked item:', error));
 }
 
 document.addEventListener('DOMContentLoaded', initializeNotesPage);
 
+// Quiz tab on the notes page: generate a quiz from a note or flashcard set,
+// answer it, and see the graded results with explanations
+const QUIZ_TYPE_LABELS = { multiple_choice: 'Multiple choice', true_false: 'True / false', short_answer: 'Short answer' };
+
+function initializeQuizTab() {
+    const quizForm = document.getElementById('quizForm');
+    if (!quizForm) return;
+    
+    const quizSection = document.getElementById('quizSection');
+    const questionsForm = document.getElementById('quizQuestionsForm');
+    const questionsDiv = document.getElementById('quizQuestions');
+    const submitBtn = document.getElementById('submitQuizBtn');
+    const retakeBtn = document.getElementById('retakeQuizBtn');
+    const scoreSpan = document.getElementById('quizScore');
+    
+    let currentQuiz = null;
+    
+    // Notes and flashcard sets to build a quiz from
+    async function loadQuizSources() {
+        const select = document.getElementById('quizSource');
+        try {
+            const [notesData, setsData] = await Promise.all([
+                apiFetch('/notes-history').then(response => response.json()),
+                apiFetch(`/flashcards-history?date=${toLocalDateString()}`).then(response => response.json())
+            ]);
+            const selected = select.value;
+            
+            const notes = notesData.success ? notesData.notes : [];
+            const sets = setsData.success ? setsData.flashcards : [];
+            select.innerHTML = `
+                <option value="">Choose a note or flashcard set...</option>
+                ${notes.length > 0 ? `<optgroup label="Notes">
+                    ${notes.map(note => `<option value="note:${note.id}">${escapeHtml(note.title)}</option>`).join('')}
+                </optgroup>` : ''}
+                ${sets.length > 0 ? `<optgroup label="Flashcard Sets">
+                    ${sets.map(set => `<option value="set:${set.id}">${escapeHtml(set.topic)}</option>`).join('')}
+                </optgroup>` : ''}
+            `;
+            select.value = selected;
+        } catch (error) {
+            console.error('Error loading quiz sources:', error);
+        }
+    }
+    
+    function renderQuestionInput(question) {
+        const name = `question-${question.id}`;
+        if (question.type === 'short_answer') {
+            return `<input type="text" class="quiz-answer" name="${name}" autocomplete="off" placeholder="Your answer">`;
+        }
+        return question.options.map(option => `
+            <label class="quiz-option">
+                <input type="radio" name="${name}" value="${escapeHtml(option)}">
+                <span>${renderMarkdown(option, { inline: true })}</span>
+            </label>
+        `).join('');
+    }
+    
+    // A graded question: what was answered, the right answer and why
+    function renderQuestionResult(result) {
+        const response = result.response === null || result.response === '' ? '<em>No answer</em>' : renderMarkdown(result.response, { inline: true });
+        return `
+            <p class="quiz-response">Your answer: ${response}</p>
+            ${result.correct ? '' : `<p class="quiz-correct-answer">Correct answer: ${renderMarkdown(result.answer, { inline: true })}</p>`}
+            <div class="quiz-explanation">${renderMarkdown(result.explanation)}</div>
+        `;
+    }
+    
+    // Show a quiz to answer, or with `results` the graded review of an attempt
+    function displayQuiz(quiz, results = null) {
+        currentQuiz = quiz;
+        const questions = results || quiz.questions;
+        
+        document.getElementById('quizTitle').textContent = quiz.title;
+        questionsDiv.innerHTML = questions.map((question, i) => `
+            <div class="quiz-question ${results ? (question.correct ? 'correct' : 'incorrect') : ''}" data-question-id="${question.id}">
+                <div class="quiz-question-header">
+                    <span class="quiz-number">Question ${i + 1}</span>
+                    <span class="quiz-type">${QUIZ_TYPE_LABELS[question.type]}</span>
+                    ${results ? `<span class="quiz-mark">${question.correct ? '✓ Correct' : '✗ Incorrect'}</span>` : ''}
+                </div>
+                <div class="quiz-question-text">${renderMarkdown(question.question)}</div>
+                ${results ? renderQuestionResult(question) : renderQuestionInput(question)}
+            </div>
+        `).join('');
+        
+        submitBtn.style.display = results ? 'none' : 'inline-block';
+        retakeBtn.style.display = results ? 'inline-block' : 'none';
+        if (!results) scoreSpan.textContent = '';
+        
+        quizSection.style.display = 'block';
+        quizSection.scrollIntoView({ behavior: 'smooth' });
+    }
+    
+    function showAttempt(attempt) {
+        displayQuiz(currentQuiz, attempt.results);
+        scoreSpan.textContent = `${attempt.score} / ${attempt.total} (${attempt.percent}%)`;
+    }
+    
+    quizForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const [kind, id] = document.getElementById('quizSource').value.split(':');
+        const types = [...quizForm.querySelectorAll('input[name="quizType"]:checked')].map(input => input.value);
+        if (types.length === 0) {
+            alert('Choose at least one question type');
+            return;
+        }
+        
+        const generateBtn = quizForm.querySelector('button[type="submit"]');
+        generateBtn.disabled = true;
+        generateBtn.textContent = 'Generating...';
+        try {
+            const response = await apiFetch('/generate-quiz', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    [kind === 'note' ? 'noteId' : 'setId']: parseInt(id),
+                    count: parseInt(document.getElementById('quizCount').value),
+                    types
+                })
+            });
+            const data = await response.json();
+            
+            if (data.success) {
+                displayQuiz(data.quiz);
+                loadQuizzes();
+            } else {
+                alert(data.error || 'Failed to generate quiz');
+            }
+        } catch (error) {
+            console.error('Error generating quiz:', error);
+            alert('Failed to generate quiz');
+        } finally {
+            generateBtn.disabled = false;
+            generateBtn.textContent = 'Generate Quiz';
+        }
+    });
+    
+    questionsForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (!currentQuiz) return;
+        
+        const answers = {};
+        currentQuiz.questions.forEach(question => {
+            const name = `question-${question.id}`;
+            const input = question.type === 'short_answer'
+                ? questionsForm.querySelector(`input[name="${name}"]`)
+                : questionsForm.querySelector(`input[name="${name}"]:checked`);
+            answers[question.id] = input ? input.value : '';
+        });
+        
+        const unanswered = Object.values(answers).filter(answer => !answer.trim()).length;
+        if (unanswered > 0 && !confirm(`${unanswered} question${unanswered === 1 ? ' is' : 's are'} unanswered. Submit anyway?`)) return;
+        
+        submitBtn.disabled = true;
+        try {
+            const response = await apiFetch(`/quiz/${currentQuiz.id}/attempts`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ answers })
+            });
+            const data = await response.json();
+            
+            if (data.success) {
+                showAttempt(data.attempt);
+                loadQuizzes();
+            } else {
+                alert(data.error || 'Failed to submit answers');
+            }
+        } catch (error) {
+            console.error('Error submitting quiz:', error);
+            alert('Failed to submit answers');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    });
+    
+    retakeBtn.addEventListener('click', () => {
+        if (currentQuiz) displayQuiz(currentQuiz);
+    });
+    
+    function renderScoreHistory(attempts) {
+        const historyDiv = document.getElementById('quizScoreHistory');
+        if (attempts.length === 0) {
+            historyDiv.innerHTML = '<p class="empty-state">Take a quiz to start tracking your scores.</p>';
+            return;
+        }
+        
+        // Oldest first so the bars read left to right over time
+        historyDiv.innerHTML = `
+            <div class="score-bars">
+                ${[...attempts].reverse().map(attempt => `
+                    <button class="score-bar" onclick="reviewQuizAttempt(${attempt.quizId}, ${attempt.id})"
+                        title="${escapeHtml(attempt.title)}: ${attempt.score} / ${attempt.total} on ${new Date(attempt.createdAt).toLocaleString()}">
+                        <span class="score-bar-fill" style="height: ${Math.max(attempt.percent, 2)}%"></span>
+                        <span class="score-bar-label">${attempt.percent}%</span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+    
+    async function loadQuizzes() {
+        try {
+            const response = await apiFetch('/quizzes');
+            const data = await response.json();
+            if (!data.success) return;
+            
+            renderScoreHistory(data.recentAttempts);
+            
+            const historyDiv = document.getElementById('quizHistory');
+            if (data.quizzes.length === 0) {
+                historyDiv.innerHTML = '<p class="empty-state">No quizzes yet. Generate your first quiz above!</p>';
+                return;
+            }
+            historyDiv.innerHTML = data.quizzes.map(quiz => `
+                <div class="history-item" data-id="${quiz.id}">
+                    <div class="history-header">
+                        <h3>${escapeHtml(quiz.title)}</h3>
+                        <span class="date">${new Date(quiz.createdAt).toLocaleDateString()}</span>
+                    </div>
+                    <div class="history-details">
+                        <p>Questions: ${quiz.questionCount}</p>
+                        <p>Attempts: ${quiz.attemptCount}</p>
+                        <p>Best score: ${quiz.bestPercent === null ? '–' : `${quiz.bestPercent}%`}</p>
+                    </div>
+                    <div class="history-actions">
+                        <button onclick="viewQuiz(${quiz.id})" class="btn btn-small">Take</button>
+                        <button onclick="deleteQuiz(${quiz.id})" class="btn btn-small btn-danger">Delete</button>
+                    </div>
+                </div>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading quizzes:', error);
+        }
+    }
+    
+    async function fetchQuiz(id) {
+        const response = await apiFetch(`/quiz/${id}`);
+        const data = await response.json();
+        return data.success ? data.quiz : null;
+    }
+    
+    window.viewQuiz = async function(id) {
+        try {
+            const quiz = await fetchQuiz(id);
+            if (quiz) displayQuiz(quiz);
+        } catch (error) {
+            console.error('Error loading quiz:', error);
+        }
+    };
+    
+    window.reviewQuizAttempt = async function(quizId, attemptId) {
+        try {
+            const quiz = await fetchQuiz(quizId);
+            const response = await apiFetch(`/quiz/${quizId}/attempts/${attemptId}`);
+            const data = await response.json();
+            if (!quiz || !data.success) return;
+            
+            currentQuiz = quiz;
+            showAttempt(data.attempt);
+        } catch (error) {
+            console.error('Error loading quiz attempt:', error);
+        }
+    };
+    
+    window.deleteQuiz = async function(id) {
+        if (!confirm('Delete this quiz and all of its attempts?')) return;
+        
+        try {
+            const response = await apiFetch(`/quiz/${id}`, { method: 'DELETE' });
+            const data = await response.json();
+            
+            if (data.success) {
+                loadQuizzes();
+                if (currentQuiz && currentQuiz.id === id) {
+                    quizSection.style.display = 'none';
+                    currentQuiz = null;
+                }
+            }
+        } catch (error) {
+            console.error('Error deleting quiz:', error);
+        }
+    };
+    
+    // Notes and sets made on the other tabs show up when switching to this one
+    document.querySelector('.tab-btn[data-tab="quiz"]').addEventListener('click', loadQuizSources);
+    
+    loadQuizSources();
+    loadQuizzes();
+}
+
+document.addEventListener('DOMContentLoaded', initializeQuizTab);
+
 // Study Page Functionality
 function initializeStudyPage() {
     // Check if we're on the study page
@@ -689,10 +2512,152 @@ function initializeStudyPage() {
     
     // State variable for current plan ID
     let currentPlanId = null;
+    let blackoutDates = [];
+    let currentCalendar = null;
+    let calendarMonth = null;
+    
+    const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    
+    async function loadAgenda() {
+        const agendaDiv = document.getElementById('todayAgenda');
+        if (!agendaDiv) return;
+        
+        try {
+            const today = toLocalDateString();
+            const response = await apiFetch(`/agenda?date=${today}`);
+            const data = await response.json();
+            
+            document.getElementById('agendaDate').textContent = new Date().toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' });
+            
+            if (data.success && data.agenda.sessions.length > 0) {
+                agendaDiv.innerHTML = data.agenda.sessions.map(session => `
+                    <div class="agenda-item ${session.completed ? 'done' : ''}">
+                        <span class="agenda-hours">${session.hours}h</span>
+                        <div>
+                            <p class="agenda-task">${renderMarkdown(session.task, { inline: true })}</p>
+                            <p class="agenda-course">${escapeHtml(session.courseName)} · Week ${session.week}</p>
+                        </div>
+                        ${session.taskId ? `<input type="checkbox" class="task-checkbox" data-plan-id="${session.planId}" data-task-id="${session.taskId}" ${session.completed ? 'checked' : ''} aria-label="Mark task done">` : ''}
+                    </div>
+                `).join('');
+            } else {
+                agendaDiv.innerHTML = '<p class="empty-state">Nothing scheduled for today.</p>';
+            }
+        } catch (error) {
+            console.error('Error loading agenda:', error);
+        }
+    }
+    
+    function renderBlackoutDates() {
+        const list = document.getElementById('blackoutDatesList');
+        if (!list) return;
+        list.innerHTML = blackoutDates.map(date => `
+            <span class="chip">
+                ${new Date(date + 'T00:00:00').toLocaleDateString()}
+                <button type="button" class="chip-remove" data-date="${date}" aria-label="Remove date">×</button>
+            </span>
+        `).join('');
+    }
+    
+    const addBlackoutBtn = document.getElementById('addBlackoutBtn');
+    if (addBlackoutBtn) {
+        addBlackoutBtn.addEventListener('click', () => {
+            const input = document.getElementById('blackoutDateInput');
+            if (input.value && !blackoutDates.includes(input.value)) {
+                blackoutDates.push(input.value);
+                blackoutDates.sort();
+                renderBlackoutDates();
+            }
+            input.value = '';
+        });
+        
+        document.getElementById('blackoutDatesList').addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.chip-remove');
+            if (!removeBtn) return;
+            blackoutDates = blackoutDates.filter(date => date !== removeBtn.dataset.date);
+            renderBlackoutDates();
+        });
+    }
+    
+    async function loadCalendar(planId) {
+        try {
+            const response = await apiFetch(`/studyplan/${planId}/calendar`);
+            const data = await response.json();
+            
+            if (data.success) {
+                currentCalendar = data.calendar;
+                // Open on the current month, or the first scheduled month if the plan starts later
+                const today = toLocalDateString();
+                const firstSession = currentCalendar.sessions.find(session => session.date >= today);
+                const start = firstSession ? firstSession.date : today;
+                calendarMonth = new Date(start.slice(0, 7) + '-01T00:00:00');
+                renderCalendar();
+            }
+        } catch (error) {
+            console.error('Error loading calendar:', error);
+        }
+    }
+    
+    function renderCalendar() {
+        const grid = document.getElementById('planCalendar');
+        if (!grid || !currentCalendar || !calendarMonth) return;
+        
+        document.getElementById('calendarTitle').textContent = calendarMonth.toLocaleDateString([], { month: 'long', year: 'numeric' });
+        
+        const sessionsByDate = {};
+        currentCalendar.sessions.forEach(session => {
+            (sessionsByDate[session.date] = sessionsByDate[session.date] || []).push(session);
+        });
+        
+        const today = toLocalDateString();
+        const year = calendarMonth.getFullYear();
+        const month = calendarMonth.getMonth();
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        const leadingBlanks = new Date(year, month, 1).getDay();
+        
+        let html = WEEKDAYS.map(day => `<div class="calendar-weekday">${day}</div>`).join('');
+        html += '<div class="calendar-day empty"></div>'.repeat(leadingBlanks);
+        
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = toLocalDateString(new Date(year, month, day));
+            const sessions = sessionsByDate[date] || [];
+            const classes = ['calendar-day'];
+            if (date === today) classes.push('today');
+            if (date === currentCalendar.deadline) classes.push('deadline');
+            if (currentCalendar.restDays.includes(new Date(year, month, day).getDay())
+                || currentCalendar.blackoutDates.includes(date)) classes.push('off');
+            
+            html += `
+                <div class="${classes.join(' ')}">
+                    <span class="calendar-date">${day}</span>
+                    ${date === currentCalendar.deadline ? '<span class="calendar-deadline">Deadline</span>' : ''}
+                    ${sessions.map(session => `
+                        <div class="calendar-session ${session.completed ? 'done' : ''}" title="${escapeHtml(session.task)}">
+                            <span>${renderMarkdown(session.task, { inline: true })}</span>
+                            <span class="calendar-session-hours">${session.hours}h</span>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }
+        
+        grid.innerHTML = html;
+    }
+    
+    [['calendarPrev', -1], ['calendarNext', 1]].forEach(([id, step]) => {
+        const btn = document.getElementById(id);
+        if (btn) {
+            btn.addEventListener('click', () => {
+                if (!calendarMonth) return;
+                calendarMonth = new Date(calendarMonth.getFullYear(), calendarMonth.getMonth() + step, 1);
+                renderCalendar();
+            });
+        }
+    });
     
     async function loadDashboardStats() {
         try {
-            const response = await fetch(`${API_BASE_URL}/dashboard-stats`);
+            const response = await apiFetch('/dashboard-stats');
             const data = await response.json();
             
             if (data.success) {
@@ -710,9 +2675,80 @@ function initializeStudyPage() {
         }
     }
     
+    const AI_FEATURE_LABELS = {
+        study_plan: 'Study plans',
+        notes: 'Notes',
+        flashcards: 'Flashcards',
+        quiz: 'Quizzes',
+        chat: 'Chat',
+        title: 'Chat titles',
+        summary: 'Chat summaries'
+    };
+    
+    const formatTokens = count => Number(count).toLocaleString();
+    
+    // "5 hours", "20 minutes"
+    function formatDuration(seconds) {
+        const [amount, unit] = seconds < 90 * 60 ? [Math.max(1, Math.round(seconds / 60)), 'minute'] : [Math.round(seconds / 3600), 'hour'];
+        return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+    }
+    
+    // AI tokens used today against the daily quota, and the last 30 days by feature
+    async function loadUsage() {
+        const todayDiv = document.getElementById('usageToday');
+        if (!todayDiv) return;
+        
+        try {
+            const response = await apiFetch('/usage?days=30');
+            const data = await response.json();
+            if (!data.success) return;
+            
+            const { today, byFeature } = data.usage;
+            document.getElementById('usageResets').textContent = today.quota ? `Resets in ${formatDuration(today.resetsInSeconds)}` : '';
+            
+            todayDiv.innerHTML = `
+                <div class="progress-section usage-meter">
+                    <label>Today</label>
+                    ${today.quota ? `<progress max="${today.quota}" value="${Math.min(today.tokens, today.quota)}"></progress>` : ''}
+                    <span>${formatTokens(today.tokens)}${today.quota ? ` / ${formatTokens(today.quota)}` : ''} tokens</span>
+                </div>
+            `;
+            
+            const featureQuotas = new Map(today.features.map(item => [item.feature, item]));
+            const featuresDiv = document.getElementById('usageByFeature');
+            if (byFeature.length === 0) {
+                featuresDiv.innerHTML = '<p class="empty-state">No AI usage in the last 30 days.</p>';
+                return;
+            }
+            featuresDiv.innerHTML = `
+                <table class="usage-table">
+                    <thead>
+                        <tr><th>Last 30 days</th><th>Calls</th><th>Input tokens</th><th>Output tokens</th><th>Today</th></tr>
+                    </thead>
+                    <tbody>
+                        ${byFeature.map(row => {
+                            const todayUse = featureQuotas.get(row.feature) || { tokens: 0, quota: null };
+                            return `
+                                <tr>
+                                    <td>${escapeHtml(AI_FEATURE_LABELS[row.feature] || row.feature)}</td>
+                                    <td>${formatTokens(row.calls)}</td>
+                                    <td>${formatTokens(row.inputTokens)}</td>
+                                    <td>${formatTokens(row.outputTokens)}</td>
+                                    <td>${formatTokens(todayUse.tokens)}${todayUse.quota ? ` / ${formatTokens(todayUse.quota)}` : ''}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            `;
+        } catch (error) {
+            console.error('Error loading AI usage:', error);
+        }
+    }
+    
     async function loadStudyHistory() {
         try {
-            const response = await fetch(`${API_BASE_URL}/studyplans`);
+            const response = await apiFetch('/studyplans');
             const data = await response.json();
             
             const historyDiv = document.getElementById('studyHistory');
@@ -721,7 +2757,7 @@ function initializeStudyPage() {
                 historyDiv.innerHTML = data.studyPlans.map(plan => `
                     <div class="history-item" data-id="${plan.id}">
                         <div class="history-header">
-                            <h3>${plan.courseName}</h3>
+                            <h3>${escapeHtml(plan.courseName)}</h3>
                             <span class="date">${new Date(plan.createdAt).toLocaleDateString()}</span>
                         </div>
                         <div class="history-details">
@@ -744,30 +2780,40 @@ function initializeStudyPage() {
         }
     }
     
+    const studyPlanJobs = trackJobs('study_plan', document.getElementById('studyPlanJobs'), {
+        onSucceeded(result) {
+            currentPlanId = result.studyPlan.id;
+            displayPlan(result.studyPlan);
+            loadStudyHistory();
+            loadDashboardStats();
+            loadAgenda();
+            loadUsage();
+        },
+        onFailed(job) {
+            alert('Error generating study plan: ' + job.error.message);
+        }
+    });
+    
     studyPlanForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         
         const formData = {
             courseName: document.getElementById('courseName').value,
             deadline: document.getElementById('deadline').value,
-            hoursPerDay: parseInt(document.getElementById('hoursPerDay').value)
+            hoursPerDay: parseInt(document.getElementById('hoursPerDay').value),
+            restDays: [...document.querySelectorAll('input[name="restDays"]:checked')].map(input => parseInt(input.value)),
+            blackoutDates,
+            startDate: toLocalDateString()
         };
 
         try {
-            const response = await fetch(`${API_BASE_URL}/generate-study-plan`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(formData)
-            });
-
-            const data = await response.json();
+            const data = await startJob('/generate-study-plan', formData);
             
             if (data.success) {
-                currentPlanId = data.studyPlan.id;
-                displayPlan(data.studyPlan);
-                loadStudyHistory();
-                loadDashboardStats();
+                studyPlanJobs.add(data.job);
                 studyPlanForm.reset();
+                blackoutDates = [];
+                renderBlackoutDates();
             } else {
                 alert('Error generating study plan: ' + data.error);
             }
@@ -783,7 +2829,7 @@ function initializeStudyPage() {
         
         let html = `
             <div class="plan-header">
-                <h3>${plan.courseName}</h3>
+                <h3>${escapeHtml(plan.courseName)}</h3>
                 <p>Deadline: ${new Date(plan.deadline).toLocaleDateString()}</p>
                 <p>Total Hours: ${plan.totalHours} (${plan.hoursPerDay} hours/day for ${plan.daysUntil} days)</p>
             </div>
@@ -791,12 +2837,20 @@ function initializeStudyPage() {
         `;
         
         plan.plan.forEach(week => {
+            const weekTasks = plan.tasks.filter(task => task.week === week.week);
             html += `
                 <div class="week-card">
-                    <h4>Week ${week.week}: ${week.topic}</h4>
+                    <h4>Week ${week.week}: ${renderMarkdown(week.topic, { inline: true })}</h4>
                     <p class="hours">Allocated Hours: ${week.hours}</p>
                     <ul class="task-list">
-                        ${week.tasks.map(task => `<li>${task}</li>`).join('')}
+                        ${weekTasks.map(task => `
+                            <li class="task-item ${task.completed ? 'done' : ''}">
+                                <label>
+                                    <input type="checkbox" class="task-checkbox" data-plan-id="${plan.id}" data-task-id="${task.id}" ${task.completed ? 'checked' : ''}>
+                                    <span class="task-title">${renderMarkdown(task.title, { inline: true })}</span>
+                                </label>
+                            </li>
+                        `).join('')}
                     </ul>
                 </div>
             `;
@@ -805,8 +2859,9 @@ function initializeStudyPage() {
         html += '</div>';
         planContent.innerHTML = html;
         
-        document.getElementById('planProgress').value = plan.progress;
-        document.getElementById('progressValue').textContent = plan.progress + '%';
+        updatePlanProgress(plan.progress, plan.tasks.filter(task => task.completed).length, plan.tasks.length);
+        
+        loadCalendar(plan.id);
         
         planSection.style.display = 'block';
         planSection.scrollIntoView({ behavior: 'smooth' });
@@ -814,7 +2869,7 @@ function initializeStudyPage() {
     
     window.viewPlan = async function(id) {
         try {
-            const response = await fetch(`${API_BASE_URL}/studyplans`);
+            const response = await apiFetch('/studyplans');
             const data = await response.json();
             
             if (data.success) {
@@ -829,71 +2884,67 @@ function initializeStudyPage() {
         }
     };
     
-    const saveProgressBtn = document.getElementById('saveProgressBtn');
-    if (saveProgressBtn) {
-        saveProgressBtn.addEventListener('click', async () => {
-            if (!currentPlanId) return;
+    function updatePlanProgress(progress, completedTasks, totalTasks) {
+        document.getElementById('planProgress').value = progress;
+        document.getElementById('progressValue').textContent = progress + '%';
+        document.getElementById('progressTasks').textContent = `${completedTasks} of ${totalTasks} tasks done`;
+    }
+    
+    // Task checkboxes live in the plan, the agenda and can be re-rendered at any
+    // time, so one delegated listener handles them all
+    document.addEventListener('change', async (e) => {
+        const checkbox = e.target.closest('.task-checkbox');
+        if (!checkbox) return;
+        
+        const { planId, taskId } = checkbox.dataset;
+        try {
+            const response = await apiFetch(`/studyplan/${planId}/tasks/${taskId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ completed: checkbox.checked })
+            });
+            const data = await response.json();
+            
+            if (!data.success) {
+                checkbox.checked = !checkbox.checked;
+                alert('Error updating task: ' + data.error);
+                return;
+            }
             
-            const progress = parseInt(document.getElementById('planProgress').value);
+            // Keep every copy of the task (plan list and agenda) in sync
+            document.querySelectorAll(`.task-checkbox[data-task-id="${taskId}"]`).forEach(box => {
+                box.checked = data.task.completed;
+                box.closest('.task-item, .agenda-item').classList.toggle('done', data.task.completed);
+            });
             
-            try {
-                const response = await fetch(`${API_BASE_URL}/update-study-progress`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        id: currentPlanId,
-                        progress: progress,
-                        completed: progress === 100
-                    })
-                });
-
-                const data = await response.json();
-                
-                if (data.success) {
-                    alert('Progress saved successfully!');
-                    loadStudyHistory();
-                    loadDashboardStats();
+            if (currentPlanId === parseInt(planId)) {
+                updatePlanProgress(data.progress, data.completedTasks, data.totalTasks);
+                if (currentCalendar) {
+                    currentCalendar.sessions.forEach(session => {
+                        if (session.taskId === parseInt(taskId)) session.completed = data.task.completed;
+                    });
+                    renderCalendar();
                 }
-            } catch (error) {
-                console.error('Error saving progress:', error);
             }
-        });
-    }
-    
-    const planProgress = document.getElementById('planProgress');
-    if (planProgress) {
-        planProgress.addEventListener('input', (e) => {
-            document.getElementById('progressValue').textContent = e.target.value + '%';
-        });
-    }
+            loadStudyHistory();
+            loadDashboardStats();
+        } catch (error) {
+            checkbox.checked = !checkbox.checked;
+            console.error('Error updating task:', error);
+        }
+    });
     
     window.downloadPlan = async function(id, format) {
         if (!format) {
-            format = prompt('Enter format (pdf or docx):', 'pdf');
-            if (!format || (format !== 'pdf' && format !== 'docx')) return;
+            format = promptExportFormat();
+            if (!format) return;
         }
         
         try {
-            const response = await fetch(`${API_BASE_URL}/download-export`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ type: 'study', id: id, format: format })
-            });
-
-            const data = await response.json();
-            
-            if (data.success) {
-                const mimeType = format === 'pdf' ? 'application/pdf' : 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
-                const blob = new Blob([data.content], { type: mimeType });
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = data.filename;
-                a.click();
-                URL.revokeObjectURL(url);
-            }
+            await downloadExport({ type: 'study', id: id, format: format });
         } catch (error) {
             console.error('Error downloading plan:', error);
+            alert('Failed to download study plan');
         }
     };
     
@@ -912,7 +2963,7 @@ function initializeStudyPage() {
         if (!confirm('Are you sure you want to delete this study plan?')) return;
         
         try {
-            const response = await fetch(`${API_BASE_URL}/studyplan/${id}`, {
+            const response = await apiFetch(`/studyplan/${id}`, {
                 method: 'DELETE'
             });
 
@@ -921,6 +2972,7 @@ function initializeStudyPage() {
             if (data.success) {
                 loadStudyHistory();
                 loadDashboardStats();
+                loadAgenda();
                 if (currentPlanId === id) {
                     document.getElementById('generatedPlanSection').style.display = 'none';
                     currentPlanId = null;
@@ -931,9 +2983,13 @@ function initializeStudyPage() {
         }
     };
     
-    // Initialize study page
+    // Initialize study page; search results link to study.html?plan=ID
     loadDashboardStats();
+    loadAgenda();
+    loadUsage();
     loadStudyHistory();
+    const linkedPlanId = parseInt(new URLSearchParams(window.location.search).get('plan'));
+    if (linkedPlanId) viewPlan(linkedPlanId);
 }
 
 document.addEventListener('DOMContentLoaded', initializeStudyPage);